@@ -0,0 +1,3 @@
+-- Data: accounts created before email verification existed. Login requires
+-- a verified email, so they are treated as verified from their creation.
+UPDATE "User" SET "emailVerifiedAt" = "createdAt" WHERE "emailVerifiedAt" IS NULL;
@@ -0,0 +1,10 @@
+-- New enum values can only be used once the transaction that adds them has
+-- committed, so they get a migration of their own before the domain tables.
+
+-- AlterEnum
+ALTER TYPE "Role" ADD VALUE 'SUPER_ADMIN' BEFORE 'DOCTOR';
+ALTER TYPE "Role" ADD VALUE 'PATIENT';
+
+-- AlterEnum
+ALTER TYPE "AppointmentStatus" ADD VALUE 'SCHEDULED' BEFORE 'CONFIRMED';
+ALTER TYPE "AppointmentStatus" ADD VALUE 'NO_SHOW';
@@ -0,0 +1,373 @@
+-- Practice / doctor / patient domain.
+--
+-- Existing data is moved into the new model:
+--   * doctors, admins, staff and pending invitations are attached to a
+--     "Default Practice" (only created when there is something to attach)
+--   * every DOCTOR user (and any user referenced by an appointment) gets a
+--     Doctor profile; User.specialization becomes Doctor.specialty
+--   * Appointment.doctorId is remapped from the user ID to the Doctor ID
+--   * legacy appointments keep their free-text patientName/patientEmail and
+--     have no patientId; a check constraint requires one or the other
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "phone" TEXT;
+
+-- CreateTable
+CREATE TABLE "Practice" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "email" TEXT,
+    "phone" TEXT,
+    "address" TEXT,
+    "city" TEXT,
+    "state" TEXT,
+    "zip" TEXT,
+    "website" TEXT,
+    "logo" TEXT,
+    "primaryColor" TEXT,
+    "secondaryColor" TEXT,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Practice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Admin" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "isSuperAdmin" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Admin_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Doctor" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "title" TEXT,
+    "specialty" TEXT,
+    "bio" TEXT,
+    "education" TEXT,
+    "profileImage" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Doctor_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Staff" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "position" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Staff_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Patient" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "dateOfBirth" TIMESTAMP(3),
+    "gender" TEXT,
+    "address" TEXT,
+    "city" TEXT,
+    "state" TEXT,
+    "zip" TEXT,
+    "insuranceProvider" TEXT,
+    "insuranceNumber" TEXT,
+    "emergencyContact" TEXT,
+    "emergencyPhone" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Patient_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Service" (
+    "id" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "duration" INTEGER NOT NULL,
+    "price" DECIMAL(10,2) NOT NULL,
+    "color" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Service_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Schedule" (
+    "id" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "doctorId" TEXT NOT NULL,
+    "dayOfWeek" INTEGER NOT NULL,
+    "startTime" TEXT NOT NULL,
+    "endTime" TEXT NOT NULL,
+    "isAvailable" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Schedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TimeOff" (
+    "id" TEXT NOT NULL,
+    "scheduleId" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TimeOff_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Notification" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "data" JSONB,
+    "read" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Notification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_AdminToPractice" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_AdminToPractice_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateTable
+CREATE TABLE "_PatientToPractice" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_PatientToPractice_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateTable
+CREATE TABLE "_DoctorToService" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_DoctorToService_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Practice_slug_key" ON "Practice"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Admin_userId_key" ON "Admin"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Doctor_userId_key" ON "Doctor"("userId");
+
+-- CreateIndex
+CREATE INDEX "Doctor_practiceId_idx" ON "Doctor"("practiceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Staff_userId_key" ON "Staff"("userId");
+
+-- CreateIndex
+CREATE INDEX "Staff_practiceId_idx" ON "Staff"("practiceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Patient_userId_key" ON "Patient"("userId");
+
+-- CreateIndex
+CREATE INDEX "Service_practiceId_idx" ON "Service"("practiceId");
+
+-- CreateIndex
+CREATE INDEX "Schedule_doctorId_dayOfWeek_idx" ON "Schedule"("doctorId", "dayOfWeek");
+
+-- CreateIndex
+CREATE INDEX "Schedule_practiceId_idx" ON "Schedule"("practiceId");
+
+-- CreateIndex
+CREATE INDEX "TimeOff_scheduleId_startDate_idx" ON "TimeOff"("scheduleId", "startDate");
+
+-- CreateIndex
+CREATE INDEX "Notification_userId_read_idx" ON "Notification"("userId", "read");
+
+-- CreateIndex
+CREATE INDEX "_AdminToPractice_B_index" ON "_AdminToPractice"("B");
+
+-- CreateIndex
+CREATE INDEX "_PatientToPractice_B_index" ON "_PatientToPractice"("B");
+
+-- CreateIndex
+CREATE INDEX "_DoctorToService_B_index" ON "_DoctorToService"("B");
+
+-- Data: default practice for existing doctors, admins, staff and invitations
+INSERT INTO "Practice" ("id", "name", "slug", "updatedAt")
+SELECT gen_random_uuid()::text, 'Default Practice', 'default-practice', CURRENT_TIMESTAMP
+WHERE EXISTS (SELECT 1 FROM "User" WHERE "role" IN ('DOCTOR', 'STAFF', 'ADMIN'))
+   OR EXISTS (SELECT 1 FROM "Appointment")
+   OR EXISTS (SELECT 1 FROM "Invitation");
+
+-- Data: doctor profiles
+INSERT INTO "Doctor" ("id", "userId", "practiceId", "specialty", "updatedAt")
+SELECT gen_random_uuid()::text, u."id", p."id", u."specialization", CURRENT_TIMESTAMP
+FROM "User" u
+CROSS JOIN "Practice" p
+WHERE p."slug" = 'default-practice'
+  AND (u."role" = 'DOCTOR' OR u."id" IN (SELECT "doctorId" FROM "Appointment"));
+
+-- Data: staff profiles
+INSERT INTO "Staff" ("id", "userId", "practiceId", "updatedAt")
+SELECT gen_random_uuid()::text, u."id", p."id", CURRENT_TIMESTAMP
+FROM "User" u
+CROSS JOIN "Practice" p
+WHERE p."slug" = 'default-practice' AND u."role" = 'STAFF';
+
+-- Data: admin profiles, linked to the default practice
+INSERT INTO "Admin" ("id", "userId", "updatedAt")
+SELECT gen_random_uuid()::text, u."id", CURRENT_TIMESTAMP
+FROM "User" u
+WHERE u."role" = 'ADMIN';
+
+INSERT INTO "_AdminToPractice" ("A", "B")
+SELECT a."id", p."id"
+FROM "Admin" a
+CROSS JOIN "Practice" p
+WHERE p."slug" = 'default-practice';
+
+-- Data: invitations pointed at a practice that never existed
+UPDATE "Invitation"
+SET "practiceId" = (SELECT "id" FROM "Practice" WHERE "slug" = 'default-practice')
+WHERE "practiceId" IS NULL
+   OR "practiceId" NOT IN (SELECT "id" FROM "Practice");
+
+-- AlterTable
+ALTER TABLE "User" DROP COLUMN "specialization";
+
+-- DropForeignKey
+ALTER TABLE "Appointment" DROP CONSTRAINT "Appointment_doctorId_fkey";
+
+-- AlterTable
+ALTER TABLE "Appointment" ADD COLUMN     "cancellationReason" TEXT,
+ADD COLUMN     "patientId" TEXT,
+ADD COLUMN     "practiceId" TEXT,
+ADD COLUMN     "reminder" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "reminderSent" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "serviceId" TEXT,
+ALTER COLUMN "patientName" DROP NOT NULL,
+ALTER COLUMN "patientEmail" DROP NOT NULL,
+ALTER COLUMN "status" SET DEFAULT 'SCHEDULED';
+
+-- Data: point appointments at Doctor profiles instead of users
+UPDATE "Appointment" a
+SET "doctorId" = d."id", "practiceId" = d."practiceId"
+FROM "Doctor" d
+WHERE d."userId" = a."doctorId";
+
+-- Data: don't send reminders for appointments that are already over
+UPDATE "Appointment" SET "reminderSent" = true WHERE "startTime" < CURRENT_TIMESTAMP;
+
+-- AlterTable
+ALTER TABLE "Appointment" ALTER COLUMN "practiceId" SET NOT NULL;
+
+-- Appointments without a patient account must carry the patient's contact details
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_patient_check"
+CHECK ("patientId" IS NOT NULL OR ("patientName" IS NOT NULL AND "patientEmail" IS NOT NULL));
+
+-- CreateIndex
+CREATE INDEX "Appointment_doctorId_startTime_idx" ON "Appointment"("doctorId", "startTime");
+
+-- CreateIndex
+CREATE INDEX "Appointment_practiceId_startTime_idx" ON "Appointment"("practiceId", "startTime");
+
+-- CreateIndex
+CREATE INDEX "Appointment_patientId_idx" ON "Appointment"("patientId");
+
+-- CreateIndex
+CREATE INDEX "Appointment_serviceId_idx" ON "Appointment"("serviceId");
+
+-- AddForeignKey
+ALTER TABLE "Invitation" ADD CONSTRAINT "Invitation_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Admin" ADD CONSTRAINT "Admin_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Doctor" ADD CONSTRAINT "Doctor_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Doctor" ADD CONSTRAINT "Doctor_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Staff" ADD CONSTRAINT "Staff_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Staff" ADD CONSTRAINT "Staff_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Patient" ADD CONSTRAINT "Patient_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Service" ADD CONSTRAINT "Service_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Schedule" ADD CONSTRAINT "Schedule_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Schedule" ADD CONSTRAINT "Schedule_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "Doctor"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TimeOff" ADD CONSTRAINT "TimeOff_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "Schedule"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "Doctor"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Notification" ADD CONSTRAINT "Notification_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_AdminToPractice" ADD CONSTRAINT "_AdminToPractice_A_fkey" FOREIGN KEY ("A") REFERENCES "Admin"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_AdminToPractice" ADD CONSTRAINT "_AdminToPractice_B_fkey" FOREIGN KEY ("B") REFERENCES "Practice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_PatientToPractice" ADD CONSTRAINT "_PatientToPractice_A_fkey" FOREIGN KEY ("A") REFERENCES "Patient"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_PatientToPractice" ADD CONSTRAINT "_PatientToPractice_B_fkey" FOREIGN KEY ("B") REFERENCES "Practice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_DoctorToService" ADD CONSTRAINT "_DoctorToService_A_fkey" FOREIGN KEY ("A") REFERENCES "Doctor"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_DoctorToService" ADD CONSTRAINT "_DoctorToService_B_fkey" FOREIGN KEY ("B") REFERENCES "Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
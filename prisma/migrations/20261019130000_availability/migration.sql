@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Practice" ADD COLUMN     "timezone" TEXT NOT NULL DEFAULT 'UTC';
+
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "bufferMinutes" INTEGER;
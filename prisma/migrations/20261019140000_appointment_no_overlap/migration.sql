@@ -0,0 +1,17 @@
+-- Two active appointments of the same doctor can never overlap, whichever
+-- concurrent request loses the race. Cancelled appointments free their time.
+-- The constraint is not expressible in schema.prisma, so it only lives here.
+--
+-- Existing overlaps make this migration fail; list them with:
+--   SELECT a."id", b."id" FROM "Appointment" a JOIN "Appointment" b
+--     ON a."doctorId" = b."doctorId" AND a."id" < b."id"
+--    AND a."status" <> 'CANCELLED' AND b."status" <> 'CANCELLED'
+--    AND a."startTime" < b."endTime" AND b."startTime" < a."endTime";
+
+-- btree_gist lets the exclusion constraint compare doctorId with "="
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- AddConstraint
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_no_overlap"
+EXCLUDE USING gist ("doctorId" WITH =, tsrange("startTime", "endTime") WITH &&)
+WHERE ("status" <> 'CANCELLED');
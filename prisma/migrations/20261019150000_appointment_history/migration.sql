@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "AppointmentAction" AS ENUM ('CREATED', 'STATUS_CHANGED', 'RESCHEDULED');
+
+-- CreateTable
+CREATE TABLE "AppointmentHistory" (
+    "id" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "action" "AppointmentAction" NOT NULL,
+    "fromStatus" "AppointmentStatus",
+    "toStatus" "AppointmentStatus" NOT NULL,
+    "reason" TEXT,
+    "actorId" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AppointmentHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AppointmentHistory_appointmentId_createdAt_idx" ON "AppointmentHistory"("appointmentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "AppointmentHistory" ADD CONSTRAINT "AppointmentHistory_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentHistory" ADD CONSTRAINT "AppointmentHistory_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- History rows are never rewritten
+CREATE FUNCTION "AppointmentHistory_reject_update"() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'AppointmentHistory is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "AppointmentHistory_append_only"
+BEFORE UPDATE ON "AppointmentHistory"
+FOR EACH ROW EXECUTE FUNCTION "AppointmentHistory_reject_update"();
+
+-- Data: start the history of existing appointments from their current state
+INSERT INTO "AppointmentHistory" ("id", "appointmentId", "action", "toStatus", "createdAt")
+SELECT gen_random_uuid()::text, "id", 'CREATED', "status", "createdAt"
+FROM "Appointment";
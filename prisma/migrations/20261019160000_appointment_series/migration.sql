@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "Appointment" ADD COLUMN     "seriesId" TEXT;
+
+-- CreateTable
+CREATE TABLE "AppointmentSeries" (
+    "id" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "doctorId" TEXT NOT NULL,
+    "serviceId" TEXT NOT NULL,
+    "patientId" TEXT,
+    "patientName" TEXT,
+    "patientEmail" TEXT,
+    "rrule" TEXT NOT NULL,
+    "startTime" TIMESTAMP(3) NOT NULL,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AppointmentSeries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AppointmentSeries_practiceId_idx" ON "AppointmentSeries"("practiceId");
+
+-- CreateIndex
+CREATE INDEX "AppointmentSeries_doctorId_idx" ON "AppointmentSeries"("doctorId");
+
+-- CreateIndex
+CREATE INDEX "AppointmentSeries_patientId_idx" ON "AppointmentSeries"("patientId");
+
+-- CreateIndex
+CREATE INDEX "Appointment_seriesId_startTime_idx" ON "Appointment"("seriesId", "startTime");
+
+-- AddForeignKey
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "AppointmentSeries"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentSeries" ADD CONSTRAINT "AppointmentSeries_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentSeries" ADD CONSTRAINT "AppointmentSeries_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "Doctor"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentSeries" ADD CONSTRAINT "AppointmentSeries_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentSeries" ADD CONSTRAINT "AppointmentSeries_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,114 @@
+-- CreateEnum
+CREATE TYPE "WaitlistStatus" AS ENUM ('WAITING', 'OFFERED', 'BOOKED', 'REMOVED');
+
+-- CreateEnum
+CREATE TYPE "WaitlistOfferStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "SlotHold" (
+    "id" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "doctorId" TEXT NOT NULL,
+    "serviceId" TEXT NOT NULL,
+    "startTime" TIMESTAMP(3) NOT NULL,
+    "endTime" TIMESTAMP(3) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "releasedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SlotHold_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WaitlistEntry" (
+    "id" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "serviceId" TEXT NOT NULL,
+    "doctorId" TEXT,
+    "patientId" TEXT,
+    "patientName" TEXT,
+    "patientEmail" TEXT,
+    "windowStart" TIMESTAMP(3) NOT NULL,
+    "windowEnd" TIMESTAMP(3) NOT NULL,
+    "status" "WaitlistStatus" NOT NULL DEFAULT 'WAITING',
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WaitlistEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WaitlistOffer" (
+    "id" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "holdId" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "status" "WaitlistOfferStatus" NOT NULL DEFAULT 'PENDING',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "respondedAt" TIMESTAMP(3),
+    "appointmentId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WaitlistOffer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SlotHold_doctorId_startTime_idx" ON "SlotHold"("doctorId", "startTime");
+
+-- CreateIndex
+CREATE INDEX "SlotHold_expiresAt_idx" ON "SlotHold"("expiresAt");
+
+-- CreateIndex
+CREATE INDEX "WaitlistEntry_practiceId_status_createdAt_idx" ON "WaitlistEntry"("practiceId", "status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "WaitlistEntry_doctorId_idx" ON "WaitlistEntry"("doctorId");
+
+-- CreateIndex
+CREATE INDEX "WaitlistEntry_patientId_idx" ON "WaitlistEntry"("patientId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WaitlistOffer_holdId_key" ON "WaitlistOffer"("holdId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WaitlistOffer_tokenHash_key" ON "WaitlistOffer"("tokenHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WaitlistOffer_appointmentId_key" ON "WaitlistOffer"("appointmentId");
+
+-- CreateIndex
+CREATE INDEX "WaitlistOffer_entryId_idx" ON "WaitlistOffer"("entryId");
+
+-- CreateIndex
+CREATE INDEX "WaitlistOffer_status_expiresAt_idx" ON "WaitlistOffer"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "SlotHold" ADD CONSTRAINT "SlotHold_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SlotHold" ADD CONSTRAINT "SlotHold_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "Doctor"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SlotHold" ADD CONSTRAINT "SlotHold_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WaitlistEntry" ADD CONSTRAINT "WaitlistEntry_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WaitlistEntry" ADD CONSTRAINT "WaitlistEntry_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WaitlistEntry" ADD CONSTRAINT "WaitlistEntry_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "Doctor"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WaitlistEntry" ADD CONSTRAINT "WaitlistEntry_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WaitlistOffer" ADD CONSTRAINT "WaitlistOffer_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "WaitlistEntry"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WaitlistOffer" ADD CONSTRAINT "WaitlistOffer_holdId_fkey" FOREIGN KEY ("holdId") REFERENCES "SlotHold"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WaitlistOffer" ADD CONSTRAINT "WaitlistOffer_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Doctor" ADD COLUMN     "calendarTokenHash" TEXT;
+
+-- AlterTable
+ALTER TABLE "Appointment" ADD COLUMN     "sequence" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Doctor_calendarTokenHash_key" ON "Doctor"("calendarTokenHash");
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "BookingRequest" (
+    "id" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "holdId" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "patientName" TEXT NOT NULL,
+    "patientEmail" TEXT NOT NULL,
+    "notes" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "confirmedAt" TIMESTAMP(3),
+    "appointmentId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookingRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BookingRequest_holdId_key" ON "BookingRequest"("holdId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BookingRequest_tokenHash_key" ON "BookingRequest"("tokenHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BookingRequest_appointmentId_key" ON "BookingRequest"("appointmentId");
+
+-- CreateIndex
+CREATE INDEX "BookingRequest_practiceId_patientEmail_idx" ON "BookingRequest"("practiceId", "patientEmail");
+
+-- AddForeignKey
+ALTER TABLE "BookingRequest" ADD CONSTRAINT "BookingRequest_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingRequest" ADD CONSTRAINT "BookingRequest_holdId_fkey" FOREIGN KEY ("holdId") REFERENCES "SlotHold"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingRequest" ADD CONSTRAINT "BookingRequest_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
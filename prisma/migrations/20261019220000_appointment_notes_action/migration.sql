@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "AppointmentAction" ADD VALUE 'NOTES_UPDATED';
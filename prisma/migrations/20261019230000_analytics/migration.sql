@@ -0,0 +1,57 @@
+-- AlterTable
+ALTER TABLE "Practice" ADD COLUMN     "statsThrough" DATE;
+
+-- CreateTable
+CREATE TABLE "ScheduleStat" (
+    "id" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "doctorId" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "availableMinutes" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ScheduleStat_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AppointmentStat" (
+    "id" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "doctorId" TEXT NOT NULL,
+    "serviceId" TEXT,
+    "date" DATE NOT NULL,
+    "appointments" INTEGER NOT NULL,
+    "completed" INTEGER NOT NULL,
+    "cancelled" INTEGER NOT NULL,
+    "noShows" INTEGER NOT NULL,
+    "bookedMinutes" INTEGER NOT NULL,
+    "leadMinutes" INTEGER NOT NULL,
+    "revenue" DECIMAL(12,2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AppointmentStat_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScheduleStat_doctorId_date_key" ON "ScheduleStat"("doctorId", "date");
+
+-- CreateIndex
+CREATE INDEX "ScheduleStat_practiceId_date_idx" ON "ScheduleStat"("practiceId", "date");
+
+-- CreateIndex
+CREATE INDEX "AppointmentStat_practiceId_date_idx" ON "AppointmentStat"("practiceId", "date");
+
+-- AddForeignKey
+ALTER TABLE "ScheduleStat" ADD CONSTRAINT "ScheduleStat_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScheduleStat" ADD CONSTRAINT "ScheduleStat_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "Doctor"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentStat" ADD CONSTRAINT "AppointmentStat_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentStat" ADD CONSTRAINT "AppointmentStat_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "Doctor"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentStat" ADD CONSTRAINT "AppointmentStat_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
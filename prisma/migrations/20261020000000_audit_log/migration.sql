@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "AuditAction" AS ENUM ('READ', 'CREATE', 'UPDATE', 'DELETE');
+
+-- CreateEnum
+CREATE TYPE "AuditResource" AS ENUM ('PATIENT', 'APPOINTMENT', 'USER');
+
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" TEXT NOT NULL,
+    "sequence" BIGSERIAL NOT NULL,
+    "practiceId" TEXT,
+    "actorId" TEXT,
+    "actorRole" "Role",
+    "action" "AuditAction" NOT NULL,
+    "resourceType" "AuditResource" NOT NULL,
+    "resourceId" TEXT NOT NULL,
+    "changes" JSONB,
+    "ipAddress" TEXT,
+    "requestId" TEXT,
+    "previousHash" TEXT,
+    "hash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuditLog_sequence_key" ON "AuditLog"("sequence");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuditLog_hash_key" ON "AuditLog"("hash");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_practiceId_sequence_idx" ON "AuditLog"("practiceId", "sequence");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_resourceType_resourceId_idx" ON "AuditLog"("resourceType", "resourceId");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_actorId_createdAt_idx" ON "AuditLog"("actorId", "createdAt");
+
+-- Audit entries are never rewritten or removed
+CREATE FUNCTION "AuditLog_reject_change"() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'AuditLog is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "AuditLog_append_only"
+BEFORE UPDATE OR DELETE ON "AuditLog"
+FOR EACH ROW EXECUTE FUNCTION "AuditLog_reject_change"();
+
+CREATE TRIGGER "AuditLog_no_truncate"
+BEFORE TRUNCATE ON "AuditLog"
+FOR EACH STATEMENT EXECUTE FUNCTION "AuditLog_reject_change"();
@@ -0,0 +1,79 @@
+-- CreateEnum
+CREATE TYPE "FilePurpose" AS ENUM ('DOCTOR_PHOTO', 'PRACTICE_LOGO', 'APPOINTMENT_DOCUMENT');
+
+-- CreateEnum
+CREATE TYPE "DocumentType" AS ENUM ('REFERRAL', 'LAB_RESULT', 'IMAGING', 'PRESCRIPTION', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "Practice" ADD COLUMN     "logoFileId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Doctor" ADD COLUMN     "photoFileId" TEXT;
+
+-- CreateTable
+CREATE TABLE "File" (
+    "id" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "purpose" "FilePurpose" NOT NULL,
+    "name" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "checksum" TEXT NOT NULL,
+    "uploadedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "File_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AppointmentDocument" (
+    "id" TEXT NOT NULL,
+    "practiceId" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "fileId" TEXT NOT NULL,
+    "type" "DocumentType" NOT NULL DEFAULT 'OTHER',
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AppointmentDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Practice_logoFileId_key" ON "Practice"("logoFileId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Doctor_photoFileId_key" ON "Doctor"("photoFileId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "File_key_key" ON "File"("key");
+
+-- CreateIndex
+CREATE INDEX "File_practiceId_idx" ON "File"("practiceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AppointmentDocument_fileId_key" ON "AppointmentDocument"("fileId");
+
+-- CreateIndex
+CREATE INDEX "AppointmentDocument_appointmentId_idx" ON "AppointmentDocument"("appointmentId");
+
+-- AddForeignKey
+ALTER TABLE "Practice" ADD CONSTRAINT "Practice_logoFileId_fkey" FOREIGN KEY ("logoFileId") REFERENCES "File"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Doctor" ADD CONSTRAINT "Doctor_photoFileId_fkey" FOREIGN KEY ("photoFileId") REFERENCES "File"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "File" ADD CONSTRAINT "File_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "File" ADD CONSTRAINT "File_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentDocument" ADD CONSTRAINT "AppointmentDocument_practiceId_fkey" FOREIGN KEY ("practiceId") REFERENCES "Practice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentDocument" ADD CONSTRAINT "AppointmentDocument_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentDocument" ADD CONSTRAINT "AppointmentDocument_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "File"("id") ON DELETE CASCADE ON UPDATE CASCADE;
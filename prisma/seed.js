@@ -8,9 +8,10 @@
  * Usage: npx prisma db seed
  */
 
+require("dotenv").config();
 const { PrismaClient } = require("@prisma/client");
 const bcrypt = require("bcryptjs");
-const { v4: uuidv4 } = require("uuid");
+const { encrypt } = require("../src/utils/encryption");
 const prisma = new PrismaClient();
 
 // Password hashing function
@@ -104,22 +105,21 @@ async function main() {
 // Clean database before seeding
 async function cleanDatabase() {
   // Delete in correct order to respect foreign key constraints
+  await prisma.bookingRequest.deleteMany({});
+  // Waitlist offers are removed with their entry or hold
+  await prisma.waitlistEntry.deleteMany({});
+  await prisma.slotHold.deleteMany({});
+  await prisma.appointmentStat.deleteMany({});
+  await prisma.scheduleStat.deleteMany({});
   await prisma.timeOff.deleteMany({});
   await prisma.notification.deleteMany({});
   await prisma.appointment.deleteMany({});
+  await prisma.appointmentSeries.deleteMany({});
+  // Appointment documents are removed with their file
+  await prisma.file.deleteMany({});
   await prisma.schedule.deleteMany({});
-  await prisma.patient.update({
-    where: { id: { not: "" } },
-    data: { practices: { set: [] } },
-  });
-  await prisma.service.update({
-    where: { id: { not: "" } },
-    data: { doctors: { set: [] } },
-  });
-  await prisma.admin.update({
-    where: { id: { not: "" } },
-    data: { practices: { set: [] } },
-  });
+  await prisma.invitation.deleteMany({});
+  // Rows in the many-to-many join tables are removed by cascade
   await prisma.doctor.deleteMany({});
   await prisma.staff.deleteMany({});
   await prisma.patient.deleteMany({});
@@ -137,6 +137,7 @@ async function createSuperAdmin() {
     data: {
       email: "superadmin@medicalbooking.com",
       password: hashedPassword,
+      emailVerifiedAt: new Date(),
       firstName: "Super",
       lastName: "Admin",
       phone: "555-123-4567",
@@ -176,6 +177,7 @@ async function createPractice(name) {
       primaryColor: "#0070f3",
       secondaryColor: "#f5f5f5",
       description: `${name} is a state-of-the-art medical facility providing comprehensive healthcare services.`,
+      timezone: "America/Chicago",
     },
   });
 }
@@ -188,6 +190,7 @@ async function createPracticeAdmin(practice) {
     data: {
       email: `admin@${practice.slug}.com`,
       password: hashedPassword,
+      emailVerifiedAt: new Date(),
       firstName: "Practice",
       lastName: "Admin",
       phone: `555-${Math.floor(100 + Math.random() * 900)}-${Math.floor(
@@ -228,6 +231,7 @@ async function createDoctors(practice) {
       data: {
         email: `doctor${i + 1}@${practice.slug}.com`,
         password: hashedPassword,
+        emailVerifiedAt: new Date(),
         firstName: `Doctor${i + 1}`,
         lastName: `${specialty.split(" ")[0]}`,
         phone: `555-${Math.floor(100 + Math.random() * 900)}-${Math.floor(
@@ -354,6 +358,7 @@ async function createStaff(practice) {
       data: {
         email: `staff${i + 1}@${practice.slug}.com`,
         password: hashedPassword,
+        emailVerifiedAt: new Date(),
         firstName: `Staff${i + 1}`,
         lastName: `${position.split(" ")[0]}`,
         phone: `555-${Math.floor(100 + Math.random() * 900)}-${Math.floor(
@@ -383,6 +388,7 @@ async function createPatients() {
       data: {
         email: `patient${i + 1}@example.com`,
         password: hashedPassword,
+        emailVerifiedAt: new Date(),
         firstName: `Patient${i + 1}`,
         lastName: `Smith${i + 1}`,
         phone: `555-${Math.floor(100 + Math.random() * 900)}-${Math.floor(
@@ -408,13 +414,16 @@ async function createPatients() {
               "Cigna",
               "Humana",
             ][Math.floor(Math.random() * 5)],
-            insuranceNumber: `INS-${Math.floor(
-              10000000 + Math.random() * 90000000
-            )}`,
-            emergencyContact: `EmergencyContact${i + 1}`,
-            emergencyPhone: `555-${Math.floor(
-              100 + Math.random() * 900
-            )}-${Math.floor(1000 + Math.random() * 9000)}`,
+            // Encrypted at rest (ENCRYPTED_FIELDS.patient)
+            insuranceNumber: encrypt(
+              `INS-${Math.floor(10000000 + Math.random() * 90000000)}`
+            ),
+            emergencyContact: encrypt(`EmergencyContact${i + 1}`),
+            emergencyPhone: encrypt(
+              `555-${Math.floor(100 + Math.random() * 900)}-${Math.floor(
+                1000 + Math.random() * 9000
+              )}`
+            ),
           },
         },
       },
@@ -524,6 +533,10 @@ async function createAppointments(practice, doctors, services, patients) {
     // Create 2-5 appointments per day
     const appointmentsPerDay = 2 + Math.floor(Math.random() * 4);
 
+    // Times each doctor is already booked that day: the database rejects
+    // overlapping appointments of a doctor (Appointment_no_overlap)
+    const booked = new Map();
+
     for (let i = 0; i < appointmentsPerDay; i++) {
       // Random doctor, service, and patient
       const doctor = doctors[Math.floor(Math.random() * doctors.length)];
@@ -534,12 +547,32 @@ async function createAppointments(practice, doctors, services, patients) {
       const startHour = 9 + Math.floor(Math.random() * 7);
       const startMinute = [0, 15, 30, 45][Math.floor(Math.random() * 4)];
 
-      const startTime = new Date(appointmentDate);
+      let startTime = new Date(appointmentDate);
       startTime.setHours(startHour, startMinute, 0, 0);
 
-      const endTime = new Date(startTime);
+      let endTime = new Date(startTime);
       endTime.setMinutes(endTime.getMinutes() + service.duration);
 
+      // Move past the doctor's appointments it would overlap
+      const taken = booked.get(doctor.id) || [];
+      let clash;
+      while (
+        (clash = taken.find(
+          (slot) => startTime < slot.endTime && slot.startTime < endTime
+        ))
+      ) {
+        startTime = new Date(clash.endTime);
+        endTime = new Date(startTime);
+        endTime.setMinutes(endTime.getMinutes() + service.duration);
+      }
+
+      // Skip it if the doctor's day is already full
+      if (startTime.getHours() >= 17) {
+        continue;
+      }
+
+      booked.set(doctor.id, [...taken, { startTime, endTime }]);
+
       // Random status based on date
       let status;
       if (appointmentDate < today) {
@@ -0,0 +1,81 @@
+/**
+ * Re-encrypt sensitive columns with the current encryption key
+ *
+ * Walks every model listed in ENCRYPTED_FIELDS and rewrites values that are
+ * still plaintext or were encrypted with an older key version. Safe to run
+ * repeatedly; rows already on the current key are skipped.
+ *
+ * Rotation procedure:
+ *   1. Add the new key to ENCRYPTION_KEYS and point ENCRYPTION_KEY_VERSION at it
+ *   2. Deploy, then run: npm run rotate-keys
+ *   3. Remove the old key from ENCRYPTION_KEYS
+ */
+
+require("dotenv").config();
+const { PrismaClient } = require("@prisma/client");
+const {
+  ENCRYPTED_FIELDS,
+  encrypt,
+  decrypt,
+  needsRotation,
+} = require("../src/utils/encryption");
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 500;
+
+// Re-encrypt one model, batch by batch
+async function rotateModel(model, fields) {
+  let cursor;
+  let updated = 0;
+
+  for (;;) {
+    const rows = await prisma[model].findMany({
+      take: BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      orderBy: { id: "asc" },
+      select: fields.reduce((select, field) => ({ ...select, [field]: true }), {
+        id: true,
+      }),
+    });
+
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      const data = {};
+
+      for (const field of fields) {
+        if (needsRotation(row[field])) {
+          data[field] = encrypt(decrypt(row[field]));
+        }
+      }
+
+      if (Object.keys(data).length > 0) {
+        await prisma[model].update({ where: { id: row.id }, data });
+        updated++;
+      }
+    }
+
+    cursor = rows[rows.length - 1].id;
+  }
+
+  return updated;
+}
+
+async function main() {
+  for (const [model, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+    const updated = await rotateModel(model, fields);
+    console.log(`${model}: re-encrypted ${updated} row(s)`);
+  }
+
+  console.log("Key rotation completed successfully!");
+}
+
+main()
+  .catch((e) => {
+    console.error("Error during key rotation:", e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,13 @@
+// src/botCheck/drivers/none.js
+
+/**
+ * Driver for development and tests: every request passes
+ * @returns {Object} Driver
+ */
+module.exports = () => ({
+  name: "none",
+
+  async verify() {
+    return true;
+  },
+});
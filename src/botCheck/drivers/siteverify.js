@@ -0,0 +1,35 @@
+// src/botCheck/drivers/siteverify.js
+
+/**
+ * Driver for providers with a reCAPTCHA-style siteverify endpoint
+ * (Cloudflare Turnstile, hCaptcha)
+ * @param {Object} options - name, url, secret and timeoutMs
+ * @returns {Object} Driver
+ */
+module.exports = (options) => ({
+  name: options.name,
+
+  async verify(token, ip) {
+    if (!token) return false;
+
+    const response = await fetch(options.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        secret: options.secret,
+        response: token,
+        ...(ip && { remoteip: ip }),
+      }),
+      signal: AbortSignal.timeout(options.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `${options.name} siteverify responded with ${response.status}`
+      );
+    }
+
+    const result = await response.json();
+    return result.success === true;
+  },
+});
@@ -0,0 +1,46 @@
+// src/botCheck/index.js
+const config = require("../config");
+
+const drivers = {
+  none: () => require("./drivers/none")(),
+  turnstile: () =>
+    require("./drivers/siteverify")({
+      ...config.botCheck,
+      name: "turnstile",
+      url: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+    }),
+  hcaptcha: () =>
+    require("./drivers/siteverify")({
+      ...config.botCheck,
+      name: "hcaptcha",
+      url: "https://api.hcaptcha.com/siteverify",
+    }),
+};
+
+let driver;
+
+/**
+ * Get the configured bot check driver (created on first use)
+ * @returns {Object} Driver with a verify(token, ip) method
+ */
+exports.getDriver = () => {
+  if (!driver) {
+    const create = drivers[config.botCheck.driver];
+
+    if (!create) {
+      throw new Error(`Unknown bot check driver "${config.botCheck.driver}"`);
+    }
+
+    driver = create();
+  }
+
+  return driver;
+};
+
+/**
+ * Check a challenge token with the provider
+ * @param {String} token - Token from the provider's widget
+ * @param {String} [ip] - Client IP, passed on to the provider
+ * @returns {Boolean} Whether the client passed
+ */
+exports.verify = (token, ip) => exports.getDriver().verify(token, ip);
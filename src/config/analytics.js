@@ -0,0 +1,29 @@
+/**
+ * Analytics Configuration
+ *
+ * Practice reports: the longest ranges they can cover, and how the daily
+ * aggregates behind them are pre-computed.
+ */
+
+const int = (value, fallback) => parseInt(value, 10) || fallback;
+
+module.exports = {
+  // Longest range of a JSON report, and of a CSV export
+  maxRangeDays: int(process.env.ANALYTICS_MAX_RANGE_DAYS, 366),
+  exportMaxRangeDays: int(process.env.ANALYTICS_EXPORT_MAX_RANGE_DAYS, 1830),
+
+  aggregation: {
+    // How often practices are checked for a day to aggregate
+    scanSeconds: int(process.env.ANALYTICS_SCAN_SECONDS, 15 * 60),
+
+    // Days already aggregated that are done again, to pick up statuses set
+    // after the fact (completed, no-show)
+    recomputeDays: int(process.env.ANALYTICS_RECOMPUTE_DAYS, 7),
+
+    // How far back a practice's first aggregation goes
+    backfillDays: int(process.env.ANALYTICS_BACKFILL_DAYS, 730),
+
+    // Days computed and written at a time
+    batchDays: int(process.env.ANALYTICS_BATCH_DAYS, 31),
+  },
+};
@@ -0,0 +1,64 @@
+/**
+ * Application Configuration
+ *
+ * General server settings: environment, port, public API URL, frontend URLs
+ * used in links and CORS, and upload storage options.
+ */
+
+const isProduction = process.env.NODE_ENV === "production";
+
+const MB = 1024 * 1024;
+
+module.exports = {
+  name: process.env.APP_NAME || "MediBook",
+  env: process.env.NODE_ENV || "development",
+  isProduction,
+  port: parseInt(process.env.PORT, 10) || 5000,
+
+  // Public URL of this API (used in links to API resources, e.g. calendar
+  // feeds)
+  url: process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`,
+
+  // Number of reverse proxies in front of the app, so req.ip is the client IP
+  trustProxy: parseInt(process.env.TRUST_PROXY, 10) || 0,
+
+  // Frontend applications (used for links in emails and CORS)
+  frontend: {
+    url: process.env.FRONTEND_URL || "http://localhost:3000",
+    adminUrl: process.env.ADMIN_FRONTEND_URL || "",
+  },
+
+  // File uploads (see src/storage). Files are only ever served through
+  // signed links (config.auth.fileLinks), never as static files.
+  uploads: {
+    // local | s3 | memory
+    driver: process.env.UPLOADS_DRIVER || "local",
+
+    // Directory of the local driver, relative to the working directory
+    localStoragePath: process.env.UPLOADS_PATH || "uploads",
+
+    // Largest accepted upload: doctor photos and practice logos, and
+    // documents attached to appointments
+    maxImageBytes: parseInt(process.env.UPLOADS_MAX_IMAGE_BYTES, 10) || 2 * MB,
+    maxDocumentBytes:
+      parseInt(process.env.UPLOADS_MAX_DOCUMENT_BYTES, 10) || 10 * MB,
+
+    // S3 or an S3-compatible store (MinIO, LocalStack, ...). The bucket
+    // should not be public.
+    s3: {
+      // e.g. http://localhost:9000 for a local MinIO
+      endpoint:
+        process.env.S3_ENDPOINT ||
+        `https://s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`,
+      region: process.env.S3_REGION || "us-east-1",
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // Bucket in the path instead of the host name (most local stand-ins)
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      // e.g. AES256 to have S3 encrypt objects at rest
+      serverSideEncryption: process.env.S3_SERVER_SIDE_ENCRYPTION,
+      timeoutMs: parseInt(process.env.S3_TIMEOUT_MS, 10) || 30000,
+    },
+  },
+};
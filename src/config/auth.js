@@ -0,0 +1,110 @@
+/**
+ * Authentication Configuration
+ *
+ * JWT signing options, refresh token lifetime, auth cookie settings,
+ * password policy, password reset and invitation lifetimes, appointment link
+ * signing, two-factor settings and brute-force protection limits.
+ */
+
+const int = (value, fallback) => parseInt(value, 10) || fallback;
+
+module.exports = {
+  jwt: {
+    secret: process.env.JWT_SECRET,
+    // Access tokens are short-lived; clients renew them via /api/auth/refresh
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
+  },
+
+  // Rotating refresh tokens, persisted as Session rows
+  refreshToken: {
+    expiresInDays: int(process.env.REFRESH_TOKEN_EXPIRES_IN, 30),
+    cookieName: "refreshToken",
+    cookiePath: "/api/auth",
+  },
+
+  // Auth cookie set by sendTokenCookie
+  cookie: {
+    name: "token",
+    expiresInDays: int(process.env.JWT_COOKIE_EXPIRES_IN, 7),
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+  },
+
+  // Password policy for new passwords (reset, change, invitation)
+  password: {
+    minLength: int(process.env.PASSWORD_MIN_LENGTH, 10),
+    maxLength: 128,
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== "false",
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== "false",
+    // Reject passwords from the bundled common-passwords list
+    rejectCommon: process.env.PASSWORD_REJECT_COMMON !== "false",
+    // Number of previous passwords that can't be reused
+    historySize: int(process.env.PASSWORD_HISTORY_SIZE, 5),
+  },
+
+  // Password reset links
+  passwordReset: {
+    expiresInMinutes: int(process.env.RESET_TOKEN_EXPIRES_IN, 10),
+  },
+
+  // Invitation links for new doctors and staff
+  invitation: {
+    expiresInDays: int(process.env.INVITATION_EXPIRES_IN, 7),
+  },
+
+  // Signed confirm/cancel links in appointment reminders; they expire when
+  // the appointment starts
+  appointmentLinks: {
+    secret: process.env.APPOINTMENT_LINK_SECRET || process.env.JWT_SECRET,
+  },
+
+  // Signed URLs that uploaded files are downloaded from, handed out after an
+  // access check
+  fileLinks: {
+    secret: process.env.FILE_LINK_SECRET || process.env.JWT_SECRET,
+    expiresInMinutes: int(process.env.FILE_LINK_EXPIRES_IN, 15),
+  },
+
+  // Two-factor login step
+  twoFactor: {
+    // Challenge token returned by login when a code is required
+    challengeExpiresInMinutes: int(
+      process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+      5
+    ),
+    challengeMaxAttempts: int(process.env.TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS, 5),
+    // Accepted clock drift, in 30-second TOTP steps either side
+    window: int(process.env.TWO_FACTOR_WINDOW, 1),
+    // One-time recovery codes issued when 2FA is enabled
+    backupCodeCount: int(process.env.TWO_FACTOR_BACKUP_CODES, 10),
+    // Roles that must enroll in 2FA, e.g. "ADMIN" or "ADMIN,DOCTOR"
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+      .split(",")
+      .map((role) => role.trim())
+      .filter(Boolean),
+  },
+
+  // Request rate limit per IP on login, 2FA and password reset endpoints
+  rateLimit: {
+    windowMinutes: int(process.env.AUTH_RATE_LIMIT_WINDOW, 15),
+    max: int(process.env.AUTH_RATE_LIMIT_MAX, 50),
+  },
+
+  // Failed attempt tracking for login and 2FA verification
+  bruteForce: {
+    // Failures before each further attempt must wait (per account and per IP)
+    delayAfter: int(process.env.AUTH_DELAY_AFTER, 3),
+    baseDelaySeconds: int(process.env.AUTH_BASE_DELAY_SECONDS, 2),
+    maxDelaySeconds: int(process.env.AUTH_MAX_DELAY_SECONDS, 60),
+
+    // Account lockout
+    maxFailedAttempts: int(process.env.AUTH_MAX_FAILED_ATTEMPTS, 5),
+    lockoutMinutes: int(process.env.AUTH_LOCKOUT_MINUTES, 15),
+
+    // IP block, counted over a sliding window
+    ipMaxFailedAttempts: int(process.env.AUTH_IP_MAX_FAILED_ATTEMPTS, 20),
+    ipWindowMinutes: int(process.env.AUTH_IP_WINDOW_MINUTES, 15),
+  },
+};
@@ -0,0 +1,79 @@
+/**
+ * Booking Configuration
+ *
+ * Rules used when computing bookable slots: slot granularity, buffer between
+ * visits, minimum notice, how far a single availability query may reach, how
+ * many alternatives to suggest when a slot is taken, how long a recurring
+ * series may be, how waitlist offers are made, what calendar feeds show and
+ * how the public booking site is protected from abuse.
+ */
+
+// Unlike the auth settings, 0 is a meaningful value here (e.g. no buffer)
+const int = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Settings that must be at least 1; anything else fails at startup rather
+// than at the first query (a 0 slot interval would never advance)
+const positiveInt = (name, fallback) => {
+  const value = int(process.env[name], fallback);
+
+  if (value < 1) {
+    throw new Error(`${name} must be a whole number of at least 1`);
+  }
+
+  return value;
+};
+
+module.exports = {
+  // Start times are offered every N minutes from the start of working hours
+  slotIntervalMinutes: positiveInt("BOOKING_SLOT_INTERVAL_MINUTES", 15),
+
+  // Gap kept free around existing appointments (Service.bufferMinutes overrides)
+  bufferMinutes: int(process.env.BOOKING_BUFFER_MINUTES, 0),
+
+  // Slots starting sooner than this are not offered
+  minNoticeMinutes: int(process.env.BOOKING_MIN_NOTICE_MINUTES, 60),
+
+  // Availability queries
+  defaultRangeDays: int(process.env.BOOKING_DEFAULT_RANGE_DAYS, 7),
+  maxRangeDays: int(process.env.BOOKING_MAX_RANGE_DAYS, 31),
+
+  // Nearby slots suggested when a requested time is taken
+  alternatives: {
+    count: int(process.env.BOOKING_ALTERNATIVES_COUNT, 5),
+    searchDays: int(process.env.BOOKING_ALTERNATIVES_SEARCH_DAYS, 3),
+  },
+
+  // Most occurrences a recurring series may create
+  maxSeriesOccurrences: int(process.env.BOOKING_MAX_SERIES_OCCURRENCES, 52),
+
+  // Freed slots offered to the waitlist
+  waitlist: {
+    // How long an offered slot is held for the patient
+    offerMinutes: int(process.env.WAITLIST_OFFER_MINUTES, 60),
+    // How often expired offers are passed on to the next patient
+    sweepSeconds: int(process.env.WAITLIST_SWEEP_SECONDS, 60),
+  },
+
+  // Window of a doctor's calendar feed around today
+  calendarFeed: {
+    pastDays: int(process.env.CALENDAR_FEED_PAST_DAYS, 30),
+    futureDays: int(process.env.CALENDAR_FEED_FUTURE_DAYS, 365),
+  },
+
+  // Guest bookings made on the public site (/api/public)
+  publicBooking: {
+    // How long the slot is held while the patient verifies their email
+    holdMinutes: int(process.env.PUBLIC_BOOKING_HOLD_MINUTES, 30),
+    // Unverified bookings one email address may have open in a practice
+    maxPendingPerEmail: int(process.env.PUBLIC_BOOKING_MAX_PENDING, 2),
+    // Requests per IP: browsing, and booking attempts
+    rateLimit: {
+      windowMinutes: int(process.env.PUBLIC_RATE_LIMIT_WINDOW, 15),
+      max: int(process.env.PUBLIC_RATE_LIMIT_MAX, 300),
+      bookingMax: int(process.env.PUBLIC_BOOKING_RATE_LIMIT_MAX, 10),
+    },
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * Bot Check Configuration
+ *
+ * CAPTCHA-style challenge required on public forms (e.g. guest booking). The
+ * frontend renders the provider's widget and sends its token; the backend
+ * verifies it with the provider.
+ */
+
+module.exports = {
+  // none | turnstile | hcaptcha ("none" accepts every request)
+  driver: process.env.BOT_CHECK_DRIVER || "none",
+
+  // Provider secret key
+  secret: process.env.BOT_CHECK_SECRET,
+
+  // Give up on the provider after this long and reject the request
+  timeoutMs: parseInt(process.env.BOT_CHECK_TIMEOUT_MS, 10) || 5000,
+};
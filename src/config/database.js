@@ -0,0 +1,9 @@
+/**
+ * Database Configuration
+ *
+ * Connection settings read by Prisma (see prisma/schema.prisma).
+ */
+
+module.exports = {
+  url: process.env.DATABASE_URL,
+};
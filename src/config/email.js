@@ -0,0 +1,53 @@
+/**
+ * Email Configuration
+ *
+ * Sender identity, delivery driver, provider credentials and retry policy
+ * for outgoing email.
+ */
+
+const isProduction = process.env.NODE_ENV === "production";
+
+module.exports = {
+  // smtp | sendgrid | mailgun | outbox | memory
+  driver: process.env.EMAIL_DRIVER || (isProduction ? "smtp" : "outbox"),
+
+  from: {
+    name: process.env.EMAIL_FROM_NAME || "MediBook",
+    address: process.env.EMAIL_FROM_ADDRESS || "no-reply@medibook.local",
+  },
+
+  // Locale used when a recipient's locale has no translation
+  defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || "en",
+
+  // Failed sends are retried with exponential backoff
+  retry: {
+    attempts: parseInt(process.env.EMAIL_RETRY_ATTEMPTS, 10) || 3,
+    baseDelayMs: parseInt(process.env.EMAIL_RETRY_DELAY_MS, 10) || 500,
+  },
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  },
+
+  sendgrid: {
+    apiKey: process.env.SENDGRID_API_KEY,
+  },
+
+  mailgun: {
+    apiKey: process.env.MAILGUN_API_KEY,
+    domain: process.env.MAILGUN_DOMAIN,
+    // https://api.eu.mailgun.net for EU domains
+    baseUrl: process.env.MAILGUN_BASE_URL || "https://api.mailgun.net",
+  },
+
+  // Development driver: every message is written to this directory
+  outbox: {
+    path: process.env.EMAIL_OUTBOX_PATH || "tmp/outbox",
+  },
+};
@@ -0,0 +1,32 @@
+/**
+ * Encryption Configuration
+ *
+ * Keys for application-level encryption of sensitive columns. Keys are
+ * versioned so they can be rotated: new values are written with the current
+ * version, older versions stay available for decryption until
+ * `npm run rotate-keys` has re-encrypted every row.
+ *
+ * ENCRYPTION_KEYS="1:<base64 32-byte key>,2:<base64 32-byte key>"
+ * ENCRYPTION_KEY_VERSION=2
+ */
+
+const parseKeys = (value) =>
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .reduce((keys, entry) => {
+      const [version, key] = entry.split(":");
+      keys[version] = Buffer.from(key, "base64");
+      return keys;
+    }, {});
+
+const keys = parseKeys(process.env.ENCRYPTION_KEYS);
+
+module.exports = {
+  keys,
+  // Defaults to the highest configured version
+  currentKeyVersion:
+    process.env.ENCRYPTION_KEY_VERSION ||
+    Object.keys(keys).sort((a, b) => Number(b) - Number(a))[0],
+};
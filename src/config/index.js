@@ -5,10 +5,16 @@
  * a single entry point for accessing application configuration.
  */
 
+const analyticsConfig = require("./analytics");
 const appConfig = require("./app");
 const authConfig = require("./auth");
+const bookingConfig = require("./booking");
+const botCheckConfig = require("./botCheck");
 const databaseConfig = require("./database");
 const emailConfig = require("./email");
+const encryptionConfig = require("./encryption");
+const jobsConfig = require("./jobs");
+const smsConfig = require("./sms");
 
 /**
  * Global application configuration
@@ -17,10 +23,16 @@ const emailConfig = require("./email");
  * adds computed/derived configuration values based on other settings.
  */
 const config = {
+  analytics: analyticsConfig,
   app: appConfig,
   auth: authConfig,
+  booking: bookingConfig,
+  botCheck: botCheckConfig,
   database: databaseConfig,
   email: emailConfig,
+  encryption: encryptionConfig,
+  jobs: jobsConfig,
+  sms: smsConfig,
 
   // Environment checks (convenience shortcuts)
   isProduction: process.env.NODE_ENV === "production",
@@ -34,7 +46,13 @@ const config = {
       : true,
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Practice-ID"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Practice-ID",
+      "X-Request-ID",
+    ],
+    exposedHeaders: ["X-Request-ID"],
   },
 
   // Root directory paths
@@ -52,6 +70,27 @@ if (process.env.LOG_CONFIG === "true" && config.isDevelopment) {
   // Remove sensitive information before logging
   if (safeConfig.auth && safeConfig.auth.jwt) {
     safeConfig.auth.jwt.secret = "[REDACTED]";
+    safeConfig.auth.appointmentLinks.secret = "[REDACTED]";
+    safeConfig.auth.fileLinks.secret = "[REDACTED]";
+  }
+
+  if (safeConfig.app && safeConfig.app.uploads) {
+    const { uploads } = safeConfig.app;
+    safeConfig.app = {
+      ...safeConfig.app,
+      uploads: {
+        ...uploads,
+        s3: { ...uploads.s3, secretAccessKey: "[REDACTED]" },
+      },
+    };
+  }
+
+  if (safeConfig.botCheck) {
+    safeConfig.botCheck = { ...safeConfig.botCheck, secret: "[REDACTED]" };
+  }
+
+  if (safeConfig.encryption) {
+    safeConfig.encryption = { ...safeConfig.encryption, keys: "[REDACTED]" };
   }
 
   if (safeConfig.email && safeConfig.email.smtp) {
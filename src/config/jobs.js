@@ -0,0 +1,36 @@
+/**
+ * Jobs Configuration
+ *
+ * In-process worker settings: how often it polls the job table, how many
+ * jobs it takes at once, how long a claimed job is locked, how failed jobs
+ * are retried, how long finished jobs are kept and how often appointment
+ * reminders are scheduled.
+ */
+
+const int = (value, fallback) => parseInt(value, 10) || fallback;
+
+module.exports = {
+  // Set to "false" on instances that should only serve requests
+  enabled: process.env.JOBS_ENABLED !== "false",
+
+  pollSeconds: int(process.env.JOBS_POLL_SECONDS, 5),
+  batchSize: int(process.env.JOBS_BATCH_SIZE, 20),
+
+  // A job still running after this is assumed lost and run again
+  lockMinutes: int(process.env.JOBS_LOCK_MINUTES, 5),
+
+  // Failed jobs are retried with exponential backoff
+  retry: {
+    maxAttempts: int(process.env.JOBS_MAX_ATTEMPTS, 5),
+    baseDelaySeconds: int(process.env.JOBS_RETRY_DELAY_SECONDS, 30),
+    maxDelaySeconds: int(process.env.JOBS_RETRY_MAX_DELAY_SECONDS, 3600),
+  },
+
+  // Completed and failed jobs are deleted this long after they finished
+  keepDays: int(process.env.JOBS_KEEP_DAYS, 7),
+
+  // How often appointments are checked for reminders that are due
+  reminders: {
+    scanSeconds: int(process.env.REMINDER_SCAN_SECONDS, 60),
+  },
+};
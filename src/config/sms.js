@@ -0,0 +1,16 @@
+/**
+ * SMS Configuration
+ *
+ * Delivery driver and sender ID for outgoing text messages.
+ */
+
+module.exports = {
+  // log | memory (no provider driver yet; "log" prints messages)
+  driver: process.env.SMS_DRIVER || "log",
+
+  // Sender ID or number shown to recipients
+  from: process.env.SMS_FROM || "MediBook",
+
+  // Locale used when a recipient's locale has no translation
+  defaultLocale: process.env.SMS_DEFAULT_LOCALE || "en",
+};
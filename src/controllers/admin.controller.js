@@ -0,0 +1,689 @@
+// src/controllers/admin.controller.js
+const adminService = require("../services/admin.services");
+const auditService = require("../services/audit.services");
+const invitationService = require("../services/invitation.services");
+const asyncHandler = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Read the optional ?active=true|false filter
+ * @param {Object} req - Express request
+ * @returns {Boolean|undefined} Filter
+ */
+const getActiveFilter = (req) =>
+  req.query.active === undefined ? undefined : req.query.active === "true";
+
+/**
+ * Force-logout doctor controller
+ * @route POST /api/admin/doctors/:id/logout
+ */
+exports.forceLogoutDoctor = asyncHandler(async (req, res) => {
+  const count = await adminService.forceLogoutDoctor(
+    req.practiceId,
+    req.params.id,
+    req.user
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: `${count} session(s) revoked`,
+  });
+});
+
+/**
+ * Unlock account controller
+ * @route POST /api/admin/users/:id/unlock
+ */
+exports.unlockAccount = asyncHandler(async (req, res) => {
+  await adminService.unlockAccount(req.practiceId, req.params.id, req.user);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Account unlocked",
+  });
+});
+
+/**
+ * Reset 2FA controller
+ * @route POST /api/admin/users/:id/reset-2fa
+ */
+exports.resetTwoFactor = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  // A reason is required for the audit trail
+  if (!reason) {
+    throw new ValidationError("Please provide a reason for the reset");
+  }
+
+  await adminService.resetTwoFactor(
+    req.practiceId,
+    req.params.id,
+    req.user,
+    reason,
+    { ipAddress: req.ip }
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication reset",
+  });
+});
+
+/**
+ * Security events controller
+ * @route GET /api/admin/users/:id/security-events
+ */
+exports.getSecurityEvents = asyncHandler(async (req, res) => {
+  const events = await adminService.getSecurityEvents(
+    req.practiceId,
+    req.params.id,
+    req.user
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    events,
+  });
+});
+
+/**
+ * Create invitation controller
+ * @route POST /api/admin/invitations
+ */
+exports.createInvitation = asyncHandler(async (req, res) => {
+  const { email, role, firstName, lastName } = req.body;
+
+  // Check if email and role are provided
+  if (!email || !role) {
+    throw new ValidationError("Please provide email and role");
+  }
+
+  const invitation = await invitationService.createInvitation(
+    req.practiceId,
+    { email, role, firstName, lastName },
+    req.user
+  );
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    invitation,
+  });
+});
+
+/**
+ * List invitations controller
+ * @route GET /api/admin/invitations
+ */
+exports.getInvitations = asyncHandler(async (req, res) => {
+  const invitations = await invitationService.listInvitations(req.practiceId, {
+    status: req.query.status,
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    invitations,
+  });
+});
+
+/**
+ * Resend invitation controller
+ * @route POST /api/admin/invitations/:id/resend
+ */
+exports.resendInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.resendInvitation(
+    req.practiceId,
+    req.params.id,
+    req.user
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    invitation,
+  });
+});
+
+/**
+ * Revoke invitation controller
+ * @route DELETE /api/admin/invitations/:id
+ */
+exports.revokeInvitation = asyncHandler(async (req, res) => {
+  await invitationService.revokeInvitation(req.practiceId, req.params.id);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Invitation revoked",
+  });
+});
+
+/**
+ * List practices controller
+ * @route GET /api/admin/practices
+ */
+exports.getPractices = asyncHandler(async (req, res) => {
+  const practices = await adminService.listPractices(req.user, {
+    active: getActiveFilter(req),
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    practices,
+  });
+});
+
+/**
+ * Get practice controller
+ * @route GET /api/admin/practices/:id
+ */
+exports.getPractice = asyncHandler(async (req, res) => {
+  const practice = await adminService.getPractice(req.user, req.params.id);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    practice,
+  });
+});
+
+/**
+ * Create practice controller
+ * @route POST /api/admin/practices
+ */
+exports.createPractice = asyncHandler(async (req, res) => {
+  // Check if name is provided
+  if (!req.body.name) {
+    throw new ValidationError("Please provide name");
+  }
+
+  const practice = await adminService.createPractice(req.body);
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    practice,
+  });
+});
+
+/**
+ * Update practice controller
+ * @route PATCH /api/admin/practices/:id
+ */
+exports.updatePractice = asyncHandler(async (req, res) => {
+  const practice = await adminService.updatePractice(
+    req.user,
+    req.params.id,
+    req.body || {}
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    practice,
+  });
+});
+
+/**
+ * Upload practice logo controller (the image is the request body)
+ * @route PUT /api/admin/practices/:id/logo?name=...
+ */
+exports.uploadPracticeLogo = asyncHandler(async (req, res) => {
+  const practice = await adminService.setPracticeLogo(req.user, req.params.id, {
+    data: req.body,
+    name: req.query.name,
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    practice,
+  });
+});
+
+/**
+ * Remove practice logo controller
+ * @route DELETE /api/admin/practices/:id/logo
+ */
+exports.removePracticeLogo = asyncHandler(async (req, res) => {
+  const practice = await adminService.removePracticeLogo(
+    req.user,
+    req.params.id
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    practice,
+  });
+});
+
+/**
+ * Deactivate practice controller
+ * @route POST /api/admin/practices/:id/deactivate
+ */
+exports.deactivatePractice = asyncHandler(async (req, res) => {
+  const practice = await adminService.setPracticeActive(req.params.id, false);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    practice,
+  });
+});
+
+/**
+ * Reactivate practice controller
+ * @route POST /api/admin/practices/:id/activate
+ */
+exports.activatePractice = asyncHandler(async (req, res) => {
+  const practice = await adminService.setPracticeActive(req.params.id, true);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    practice,
+  });
+});
+
+/**
+ * List doctors controller
+ * @route GET /api/admin/doctors
+ */
+exports.getDoctors = asyncHandler(async (req, res) => {
+  const doctors = await adminService.listDoctors(req.practiceId, {
+    active: getActiveFilter(req),
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    doctors,
+  });
+});
+
+/**
+ * Get doctor controller
+ * @route GET /api/admin/doctors/:id
+ */
+exports.getDoctor = asyncHandler(async (req, res) => {
+  const doctor = await adminService.getDoctor(req.practiceId, req.params.id);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    doctor,
+  });
+});
+
+/**
+ * Update doctor controller
+ * @route PATCH /api/admin/doctors/:id
+ */
+exports.updateDoctor = asyncHandler(async (req, res) => {
+  const doctor = await adminService.updateDoctor(
+    req.practiceId,
+    req.params.id,
+    req.body || {}
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    doctor,
+  });
+});
+
+/**
+ * Upload doctor photo controller (the image is the request body)
+ * @route PUT /api/admin/doctors/:id/photo?name=...
+ */
+exports.uploadDoctorPhoto = asyncHandler(async (req, res) => {
+  const doctor = await adminService.setDoctorPhoto(
+    req.practiceId,
+    req.params.id,
+    { data: req.body, name: req.query.name },
+    req.user
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    doctor,
+  });
+});
+
+/**
+ * Remove doctor photo controller
+ * @route DELETE /api/admin/doctors/:id/photo
+ */
+exports.removeDoctorPhoto = asyncHandler(async (req, res) => {
+  const doctor = await adminService.removeDoctorPhoto(
+    req.practiceId,
+    req.params.id
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    doctor,
+  });
+});
+
+/**
+ * Deactivate doctor controller
+ * @route POST /api/admin/doctors/:id/deactivate
+ */
+exports.deactivateDoctor = asyncHandler(async (req, res) => {
+  const { doctor, upcomingAppointments } = await adminService.setDoctorActive(
+    req.practiceId,
+    req.params.id,
+    false
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    doctor,
+    upcomingAppointments,
+  });
+});
+
+/**
+ * Reactivate doctor controller
+ * @route POST /api/admin/doctors/:id/activate
+ */
+exports.activateDoctor = asyncHandler(async (req, res) => {
+  const { doctor } = await adminService.setDoctorActive(
+    req.practiceId,
+    req.params.id,
+    true
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    doctor,
+  });
+});
+
+/**
+ * List staff controller
+ * @route GET /api/admin/staff
+ */
+exports.getStaffList = asyncHandler(async (req, res) => {
+  const staff = await adminService.listStaff(req.practiceId, {
+    active: getActiveFilter(req),
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    staff,
+  });
+});
+
+/**
+ * Get staff member controller
+ * @route GET /api/admin/staff/:id
+ */
+exports.getStaff = asyncHandler(async (req, res) => {
+  const staff = await adminService.getStaff(req.practiceId, req.params.id);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    staff,
+  });
+});
+
+/**
+ * Update staff member controller
+ * @route PATCH /api/admin/staff/:id
+ */
+exports.updateStaff = asyncHandler(async (req, res) => {
+  const { position } = req.body || {};
+
+  // Check if position is provided
+  if (position === undefined) {
+    throw new ValidationError("Please provide position");
+  }
+
+  const staff = await adminService.updateStaff(req.practiceId, req.params.id, {
+    position,
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    staff,
+  });
+});
+
+/**
+ * Deactivate staff member controller
+ * @route POST /api/admin/staff/:id/deactivate
+ */
+exports.deactivateStaff = asyncHandler(async (req, res) => {
+  const staff = await adminService.setStaffActive(
+    req.practiceId,
+    req.params.id,
+    false
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    staff,
+  });
+});
+
+/**
+ * Reactivate staff member controller
+ * @route POST /api/admin/staff/:id/activate
+ */
+exports.activateStaff = asyncHandler(async (req, res) => {
+  const staff = await adminService.setStaffActive(
+    req.practiceId,
+    req.params.id,
+    true
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    staff,
+  });
+});
+
+/**
+ * List services controller
+ * @route GET /api/admin/services
+ */
+exports.getServices = asyncHandler(async (req, res) => {
+  const services = await adminService.listServices(req.practiceId, {
+    active: getActiveFilter(req),
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    services,
+  });
+});
+
+/**
+ * Get service controller
+ * @route GET /api/admin/services/:id
+ */
+exports.getService = asyncHandler(async (req, res) => {
+  const service = await adminService.getService(req.practiceId, req.params.id);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    service,
+  });
+});
+
+/**
+ * Create service controller
+ * @route POST /api/admin/services
+ */
+exports.createService = asyncHandler(async (req, res) => {
+  const { name, duration, price } = req.body;
+
+  // Check if name, duration and price are provided
+  if (!name || duration === undefined || price === undefined) {
+    throw new ValidationError("Please provide name, duration and price");
+  }
+
+  const service = await adminService.createService(req.practiceId, req.body);
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    service,
+  });
+});
+
+/**
+ * Update service controller
+ * @route PATCH /api/admin/services/:id
+ */
+exports.updateService = asyncHandler(async (req, res) => {
+  const service = await adminService.updateService(
+    req.practiceId,
+    req.params.id,
+    req.body || {}
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    service,
+  });
+});
+
+/**
+ * Deactivate service controller
+ * @route POST /api/admin/services/:id/deactivate
+ */
+exports.deactivateService = asyncHandler(async (req, res) => {
+  const service = await adminService.setServiceActive(
+    req.practiceId,
+    req.params.id,
+    false
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    service,
+  });
+});
+
+/**
+ * Reactivate service controller
+ * @route POST /api/admin/services/:id/activate
+ */
+exports.activateService = asyncHandler(async (req, res) => {
+  const service = await adminService.setServiceActive(
+    req.practiceId,
+    req.params.id,
+    true
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    service,
+  });
+});
+
+/**
+ * Read the audit trail filters from the query string
+ * @param {Object} req - Express request
+ * @returns {Object} Filters for auditService.listAuditLogs
+ */
+const getAuditFilters = (req) => ({
+  actorId: req.query.actorId,
+  action: req.query.action,
+  resourceType: req.query.resourceType,
+  resourceId: req.query.resourceId,
+  requestId: req.query.requestId,
+  from: req.query.from,
+  to: req.query.to,
+  before: req.query.before,
+  limit: req.query.limit,
+});
+
+/**
+ * List audit trail controller
+ * @route GET /api/admin/audit-logs
+ */
+exports.getAuditLogs = asyncHandler(async (req, res) => {
+  const { entries, nextCursor } = await auditService.listAuditLogs(
+    req.practiceId,
+    getAuditFilters(req)
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    entries,
+    nextCursor,
+  });
+});
+
+/**
+ * Verify audit trail controller
+ * @route GET /api/admin/audit-logs/verify
+ */
+exports.verifyAuditLogs = asyncHandler(async (req, res) => {
+  const result = await auditService.verifyChain(req.practiceId);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * List system audit trail controller (account entries outside a practice)
+ * @route GET /api/admin/audit-logs/system
+ */
+exports.getSystemAuditLogs = asyncHandler(async (req, res) => {
+  const { entries, nextCursor } = await auditService.listAuditLogs(
+    null,
+    getAuditFilters(req)
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    entries,
+    nextCursor,
+  });
+});
+
+/**
+ * Verify system audit trail controller
+ * @route GET /api/admin/audit-logs/system/verify
+ */
+exports.verifySystemAuditLogs = asyncHandler(async (req, res) => {
+  const result = await auditService.verifyChain(null);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...result,
+  });
+});
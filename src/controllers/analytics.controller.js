@@ -0,0 +1,76 @@
+// src/controllers/analytics.controller.js
+const { once } = require("events");
+const analyticsService = require("../services/analytics.services");
+const asyncHandler = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Practice report controller
+ * @route GET /api/analytics/report
+ */
+exports.getReport = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  // Check if the range is provided
+  if (!from || !to) {
+    throw new ValidationError("Please provide from and to");
+  }
+
+  const report = await analyticsService.getReport(req.practiceId, {
+    from,
+    to,
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...report,
+  });
+});
+
+/**
+ * Practice report CSV export controller
+ * @route GET /api/analytics/report.csv
+ */
+exports.exportReport = asyncHandler(async (req, res) => {
+  const { from, to, groupBy } = req.query;
+
+  // Check if the range is provided
+  if (!from || !to) {
+    throw new ValidationError("Please provide from and to");
+  }
+
+  try {
+    await analyticsService.exportReport(
+      req.practiceId,
+      { from, to, groupBy },
+      async (chunk) => {
+        // Headers go out with the first chunk, once the query was accepted
+        if (!res.headersSent) {
+          res.status(200).set({
+            "Content-Type": "text/csv; charset=utf-8",
+            "Content-Disposition": `attachment; filename="report-${from}-${to}.csv"`,
+            "Cache-Control": "no-store",
+          });
+        }
+
+        if (res.destroyed) throw new Error("The client went away");
+
+        if (!res.write(chunk)) {
+          await Promise.race([once(res, "drain"), once(res, "close")]);
+        }
+      }
+    );
+  } catch (error) {
+    // Too late for an error response: cut the download short instead
+    if (res.headersSent) {
+      console.error("Report export failed:", error.message);
+      res.destroy();
+      return;
+    }
+    throw error;
+  }
+
+  // Send response
+  res.end();
+});
@@ -0,0 +1,401 @@
+// src/controllers/appointment.controller.js
+const appointmentService = require("../services/appointment.services");
+const documentService = require("../services/document.services");
+const reminderService = require("../services/reminder.services");
+const asyncHandler = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * List appointments controller
+ * @route GET /api/appointments
+ */
+exports.getAppointments = asyncHandler(async (req, res) => {
+  const { from, to, doctorId, patientId, status } = req.query;
+
+  const appointments = await appointmentService.listAppointments(
+    req.practiceId,
+    { from, to, doctorId, patientId, status }
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    appointments,
+  });
+});
+
+/**
+ * Get appointment controller
+ * @route GET /api/appointments/:id
+ */
+exports.getAppointment = asyncHandler(async (req, res) => {
+  const appointment = await appointmentService.getAppointment(
+    req.practiceId,
+    req.params.id
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    appointment,
+  });
+});
+
+/**
+ * Book appointment controller
+ * @route POST /api/appointments
+ */
+exports.createAppointment = asyncHandler(async (req, res) => {
+  const {
+    doctorId,
+    serviceId,
+    startTime,
+    patientId,
+    patientName,
+    patientEmail,
+    notes,
+  } = req.body;
+
+  // Check if doctor, service and start time are provided
+  if (!doctorId || !serviceId || !startTime) {
+    throw new ValidationError(
+      "Please provide doctorId, serviceId and startTime"
+    );
+  }
+
+  const appointment = await appointmentService.createAppointment(
+    req.practiceId,
+    {
+      doctorId,
+      serviceId,
+      startTime,
+      patientId,
+      patientName,
+      patientEmail,
+      notes,
+    },
+    req.user
+  );
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    appointment,
+  });
+});
+
+/**
+ * Reschedule appointment controller
+ * @route POST /api/appointments/:id/reschedule
+ */
+exports.rescheduleAppointment = asyncHandler(async (req, res) => {
+  const { startTime, doctorId, scope = "this" } = req.body;
+
+  // Check if start time is provided
+  if (!startTime) {
+    throw new ValidationError("Please provide startTime");
+  }
+
+  const result = await appointmentService.rescheduleAppointment(
+    req.practiceId,
+    req.params.id,
+    { startTime, doctorId, scope },
+    req.user
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...(scope === "this" ? { appointment: result } : { appointments: result }),
+  });
+});
+
+/**
+ * Cancel appointment controller
+ * @route POST /api/appointments/:id/cancel
+ */
+exports.cancelAppointment = asyncHandler(async (req, res) => {
+  const { reason, scope = "this" } = req.body;
+
+  // Check if reason is provided
+  if (!reason) {
+    throw new ValidationError("Please provide a reason");
+  }
+
+  const result = await appointmentService.cancelAppointment(
+    req.practiceId,
+    req.params.id,
+    reason,
+    req.user,
+    scope
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...(scope === "this" ? { appointment: result } : { appointments: result }),
+  });
+});
+
+/**
+ * Change appointment status controller
+ * @route POST /api/appointments/:id/status
+ */
+exports.updateStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  // Check if status is provided
+  if (!status) {
+    throw new ValidationError("Please provide status");
+  }
+
+  const appointment = await appointmentService.changeStatus(
+    req.practiceId,
+    req.params.id,
+    { status, reason },
+    req.user
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    appointment,
+  });
+});
+
+/**
+ * Appointment history controller
+ * @route GET /api/appointments/:id/history
+ */
+exports.getHistory = asyncHandler(async (req, res) => {
+  const history = await appointmentService.getHistory(
+    req.practiceId,
+    req.params.id
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    history,
+  });
+});
+
+/**
+ * Preview recurring series controller
+ * @route POST /api/appointments/series/preview
+ */
+exports.previewSeries = asyncHandler(async (req, res) => {
+  const { doctorId, serviceId, startTime, rrule } = req.body;
+
+  // Check if doctor, service, start time and rule are provided
+  if (!doctorId || !serviceId || !startTime || !rrule) {
+    throw new ValidationError(
+      "Please provide doctorId, serviceId, startTime and rrule"
+    );
+  }
+
+  const preview = await appointmentService.previewSeries(req.practiceId, {
+    doctorId,
+    serviceId,
+    startTime,
+    rrule,
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...preview,
+  });
+});
+
+/**
+ * Book recurring series controller
+ * @route POST /api/appointments/series
+ */
+exports.createSeries = asyncHandler(async (req, res) => {
+  const {
+    doctorId,
+    serviceId,
+    startTime,
+    rrule,
+    patientId,
+    patientName,
+    patientEmail,
+    notes,
+    skipConflicts,
+  } = req.body;
+
+  // Check if doctor, service, start time and rule are provided
+  if (!doctorId || !serviceId || !startTime || !rrule) {
+    throw new ValidationError(
+      "Please provide doctorId, serviceId, startTime and rrule"
+    );
+  }
+
+  const { series, appointments, skipped } =
+    await appointmentService.createSeries(
+      req.practiceId,
+      {
+        doctorId,
+        serviceId,
+        startTime,
+        rrule,
+        patientId,
+        patientName,
+        patientEmail,
+        notes,
+        skipConflicts: skipConflicts === true,
+      },
+      req.user
+    );
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    series,
+    appointments,
+    skipped,
+  });
+});
+
+/**
+ * Get recurring series controller
+ * @route GET /api/appointments/series/:id
+ */
+exports.getSeries = asyncHandler(async (req, res) => {
+  const series = await appointmentService.getSeries(
+    req.practiceId,
+    req.params.id
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    series,
+  });
+});
+
+/**
+ * Get appointment from reminder link controller
+ * @route GET /api/appointments/links/:token
+ */
+exports.getLinkedAppointment = asyncHandler(async (req, res) => {
+  const appointment = await reminderService.getLinkedAppointment(
+    req.params.token
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    appointment,
+  });
+});
+
+/**
+ * Confirm appointment from reminder link controller
+ * @route POST /api/appointments/links/:token/confirm
+ */
+exports.confirmFromLink = asyncHandler(async (req, res) => {
+  const appointment = await reminderService.confirmFromLink(req.params.token);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    appointment,
+  });
+});
+
+/**
+ * Cancel appointment from reminder link controller
+ * @route POST /api/appointments/links/:token/cancel
+ */
+exports.cancelFromLink = asyncHandler(async (req, res) => {
+  // The reason is optional, so the link may be posted without a body
+  const { reason } = req.body || {};
+
+  const appointment = await reminderService.cancelFromLink(
+    req.params.token,
+    reason
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    appointment,
+  });
+});
+
+/**
+ * Attach document controller (the file is the request body)
+ * @route POST /api/appointments/:id/documents?name=...&type=...&description=...
+ */
+exports.addDocument = asyncHandler(async (req, res) => {
+  const { name, type, description } = req.query;
+
+  const document = await documentService.addDocument(
+    req.practiceId,
+    req.params.id,
+    { data: req.body, name },
+    { type, description },
+    req.user
+  );
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    document,
+  });
+});
+
+/**
+ * List documents controller
+ * @route GET /api/appointments/:id/documents
+ */
+exports.getDocuments = asyncHandler(async (req, res) => {
+  const documents = await documentService.listDocuments(
+    req.practiceId,
+    req.params.id
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    documents,
+  });
+});
+
+/**
+ * Get document controller (with a fresh download URL)
+ * @route GET /api/appointments/:id/documents/:documentId
+ */
+exports.getDocument = asyncHandler(async (req, res) => {
+  const document = await documentService.getDocument(
+    req.practiceId,
+    req.params.id,
+    req.params.documentId
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    document,
+  });
+});
+
+/**
+ * Remove document controller
+ * @route DELETE /api/appointments/:id/documents/:documentId
+ */
+exports.removeDocument = asyncHandler(async (req, res) => {
+  await documentService.removeDocument(
+    req.practiceId,
+    req.params.id,
+    req.params.documentId
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Document removed",
+  });
+});
@@ -1,7 +1,45 @@
 // src/controllers/authController.js
 const authService = require("../services/auth.services");
-const { sendTokenCookie } = require("../utils/tokens");
+const sessionService = require("../services/session.services");
+const invitationService = require("../services/invitation.services");
+const {
+  sendTokenCookie,
+  sendRefreshTokenCookie,
+  clearAuthCookies,
+} = require("../utils/tokens");
+const config = require("../config");
 const asyncHandler = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+const { validatePassword } = require("../utils/passwordPolicy");
+
+/**
+ * Client metadata recorded on the session
+ * @param {Object} req - Express request
+ * @returns {Object} userAgent and ipAddress
+ */
+const getClientMeta = (req) => ({
+  userAgent: req.get("user-agent"),
+  ipAddress: req.ip,
+});
+
+/**
+ * Read the refresh token from its cookie or the request body
+ * @param {Object} req - Express request
+ * @returns {String|undefined} Refresh token
+ */
+const getRefreshToken = (req) =>
+  (req.cookies && req.cookies[config.auth.refreshToken.cookieName]) ||
+  (req.body && req.body.refreshToken);
+
+/**
+ * Set both auth cookies
+ * @param {Object} res - Express response
+ * @param {Object} result - Token pair from the auth service
+ */
+const sendAuthCookies = (res, result) => {
+  sendTokenCookie(res, result.token);
+  sendRefreshTokenCookie(res, result.refreshToken);
+};
 
 /**
  * Login controller
@@ -10,35 +48,41 @@ const asyncHandler = require("../utils/asyncHandler");
 exports.login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  // Check if email and password are provided
-  if (!email || !password) {
-    return res.status(400).json({
-      success: false,
-      message: "Please provide email and password",
-    });
+  // Check if email and password are provided (both are compared as text,
+  // so anything else in the JSON body is rejected here)
+  if (
+    !email ||
+    !password ||
+    typeof email !== "string" ||
+    typeof password !== "string"
+  ) {
+    throw new ValidationError("Please provide email and password");
   }
 
   // Login user
-  const result = await authService.login(email, password);
+  const result = await authService.login(email, password, getClientMeta(req));
 
   // Check if 2FA is required
   if (result.requiresTwoFactor) {
     return res.status(200).json({
       success: true,
       message: "Two-factor authentication required",
-      userId: result.userId,
+      challengeToken: result.challengeToken,
+      challengeExpiresAt: result.challengeExpiresAt,
       requiresTwoFactor: true,
     });
   }
 
-  // Set token cookie
-  sendTokenCookie(res, result.token);
+  // Set token cookies
+  sendAuthCookies(res, result);
 
   // Send response
   res.status(200).json({
     success: true,
     token: result.token,
+    refreshToken: result.refreshToken,
     user: result.user,
+    twoFactorSetupRequired: result.twoFactorSetupRequired,
   });
 });
 
@@ -47,26 +91,31 @@ exports.login = asyncHandler(async (req, res) => {
  * @route POST /api/auth/verify-2fa
  */
 exports.verifyTwoFactor = asyncHandler(async (req, res) => {
-  const { userId, token } = req.body;
+  const { challengeToken, token } = req.body;
 
-  // Check if userId and token are provided
-  if (!userId || !token) {
-    return res.status(400).json({
-      success: false,
-      message: "Please provide user ID and verification code",
-    });
+  // Check if challenge token and code are provided (the challenge token is
+  // hashed to look up the challenge, so it must be a string)
+  if (!challengeToken || !token || typeof challengeToken !== "string") {
+    throw new ValidationError(
+      "Please provide challenge token and verification code"
+    );
   }
 
   // Verify 2FA token
-  const result = await authService.verifyTwoFactor(userId, token);
+  const result = await authService.verifyTwoFactor(
+    challengeToken,
+    token,
+    getClientMeta(req)
+  );
 
-  // Set token cookie
-  sendTokenCookie(res, result.token);
+  // Set token cookies
+  sendAuthCookies(res, result);
 
   // Send response
   res.status(200).json({
     success: true,
     token: result.token,
+    refreshToken: result.refreshToken,
     user: result.user,
   });
 });
@@ -76,8 +125,8 @@ exports.verifyTwoFactor = asyncHandler(async (req, res) => {
  * @route POST /api/auth/setup-2fa
  */
 exports.setupTwoFactor = asyncHandler(async (req, res) => {
-  // Setup 2FA
-  const result = await authService.setupTwoFactor(req.user);
+  // Setup 2FA (re-enrollment requires the current code)
+  const result = await authService.setupTwoFactor(req.user, req.body.token);
 
   // Send response
   res.status(200).json({
@@ -96,19 +145,74 @@ exports.enableTwoFactor = asyncHandler(async (req, res) => {
 
   // Check if token is provided
   if (!token) {
-    return res.status(400).json({
-      success: false,
-      message: "Please provide verification code",
-    });
+    throw new ValidationError("Please provide verification code");
   }
 
   // Enable 2FA
-  await authService.enableTwoFactor(req.user.id, token);
+  const backupCodes = await authService.enableTwoFactor(
+    req.user.id,
+    token,
+    getClientMeta(req)
+  );
 
   // Send response
   res.status(200).json({
     success: true,
     message: "Two-factor authentication enabled",
+    backupCodes,
+  });
+});
+
+/**
+ * Disable 2FA controller
+ * @route POST /api/auth/disable-2fa
+ */
+exports.disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, token } = req.body;
+
+  // Check if password and token are provided
+  if (!password || !token) {
+    throw new ValidationError("Please provide password and verification code");
+  }
+
+  // Disable 2FA
+  await authService.disableTwoFactor(
+    req.user.id,
+    password,
+    token,
+    getClientMeta(req)
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+/**
+ * Regenerate backup codes controller
+ * @route POST /api/auth/2fa/backup-codes
+ */
+exports.regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  // Check if token is provided
+  if (!token) {
+    throw new ValidationError("Please provide verification code");
+  }
+
+  // Regenerate backup codes
+  const backupCodes = await authService.regenerateBackupCodes(
+    req.user.id,
+    token,
+    getClientMeta(req)
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    backupCodes,
   });
 });
 
@@ -121,24 +225,20 @@ exports.forgotPassword = asyncHandler(async (req, res) => {
 
   // Check if email is provided
   if (!email) {
-    return res.status(400).json({
-      success: false,
-      message: "Please provide email",
-    });
+    throw new ValidationError("Please provide email");
   }
 
   // Get reset URL
-  const resetUrl = `${
-    process.env.FRONTEND_URL || "http://localhost:3000"
-  }/auth/reset-password`;
+  const resetUrl = `${config.app.frontend.url}/auth/reset-password`;
 
   // Send password reset email
   await authService.forgotPassword(email, resetUrl);
 
-  // Send response
+  // Send response (the same whether or not the email is registered)
   res.status(200).json({
     success: true,
-    message: "Password reset email sent",
+    message:
+      "If an account exists for that email, a password reset link has been sent",
   });
 });
 
@@ -152,10 +252,17 @@ exports.resetPassword = asyncHandler(async (req, res) => {
 
   // Check if password and token are provided
   if (!password || !token) {
-    return res.status(400).json({
-      success: false,
-      message: "Please provide password and token",
-    });
+    throw new ValidationError("Please provide password and token");
+  }
+
+  // Check password policy
+  const errors = validatePassword(password);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      "Password does not meet the requirements",
+      errors,
+      "PASSWORD_POLICY"
+    );
   }
 
   // Reset password
@@ -169,22 +276,197 @@ exports.resetPassword = asyncHandler(async (req, res) => {
 });
 
 /**
- * Logout controller
- * @route GET /api/auth/logout
+ * Get invitation controller
+ * @route GET /api/auth/invitations/:token
+ */
+exports.getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.getInvitationByToken(
+    req.params.token
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    invitation,
+  });
+});
+
+/**
+ * Accept invitation controller
+ * @route POST /api/auth/invitations/:token/accept
+ */
+exports.acceptInvitation = asyncHandler(async (req, res) => {
+  const { password, firstName, lastName } = req.body;
+
+  // Check if password is provided
+  if (!password) {
+    throw new ValidationError("Please provide a password");
+  }
+
+  // Check password policy
+  const errors = validatePassword(password);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      "Password does not meet the requirements",
+      errors,
+      "PASSWORD_POLICY"
+    );
+  }
+
+  // Create the account and sign in
+  const result = await invitationService.acceptInvitation(
+    req.params.token,
+    { password, firstName, lastName },
+    getClientMeta(req)
+  );
+
+  // Set token cookies
+  sendAuthCookies(res, result);
+
+  // Send response, offering the 2FA enrollment step (POST /setup-2fa, then
+  // /enable-2fa), which is mandatory for some roles
+  res.status(201).json({
+    success: true,
+    token: result.token,
+    refreshToken: result.refreshToken,
+    user: result.user,
+    twoFactorSetupRequired: result.twoFactorSetupRequired,
+    twoFactorSetupUrl: "/api/auth/setup-2fa",
+  });
+});
+
+/**
+ * Change password controller
+ * @route POST /api/auth/change-password
+ */
+exports.changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  // Check if both passwords are provided
+  if (!currentPassword || !newPassword) {
+    throw new ValidationError("Please provide current and new password");
+  }
+
+  // Check password policy
+  const errors = validatePassword(newPassword, req.user);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      "Password does not meet the requirements",
+      errors,
+      "PASSWORD_POLICY"
+    );
+  }
+
+  // Change password
+  await authService.changePassword(
+    req.user.id,
+    currentPassword,
+    newPassword,
+    req.sessionId
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Password changed, other sessions have been signed out",
+  });
+});
+
+/**
+ * Refresh token controller
+ * @route POST /api/auth/refresh
  */
-exports.logout = (req, res) => {
-  // Clear token cookie
-  res.cookie("token", "none", {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
+exports.refresh = asyncHandler(async (req, res) => {
+  const refreshToken = getRefreshToken(req);
+
+  // Check if refresh token is provided
+  if (!refreshToken) {
+    throw new ValidationError("Please provide a refresh token");
+  }
+
+  // Rotate refresh token
+  const result = await authService.refresh(refreshToken, getClientMeta(req));
+
+  // Set token cookies
+  sendAuthCookies(res, result);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    token: result.token,
+    refreshToken: result.refreshToken,
   });
+});
+
+/**
+ * Logout controller
+ * @route POST /api/auth/logout
+ */
+exports.logout = asyncHandler(async (req, res) => {
+  // Revoke the session the refresh token belongs to (only if the token is
+  // its current one)
+  const refreshToken = getRefreshToken(req);
+  if (refreshToken) {
+    await authService.logout(refreshToken);
+  }
+
+  // Clear token cookies
+  clearAuthCookies(res);
 
   // Send response
   res.status(200).json({
     success: true,
     message: "Logged out successfully",
   });
-};
+});
+
+/**
+ * List sessions controller
+ * @route GET /api/auth/sessions
+ */
+exports.getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listUserSessions(
+    req.user.id,
+    req.sessionId
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    sessions,
+  });
+});
+
+/**
+ * Revoke session controller
+ * @route DELETE /api/auth/sessions/:id
+ */
+exports.revokeSession = asyncHandler(async (req, res) => {
+  await sessionService.revokeOwnSession(req.user.id, req.params.id);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Session revoked",
+  });
+});
+
+/**
+ * Revoke all other sessions controller
+ * @route DELETE /api/auth/sessions
+ */
+exports.revokeOtherSessions = asyncHandler(async (req, res) => {
+  const count = await sessionService.revokeUserSessions(req.user.id, {
+    reason: "user_revoked",
+    exceptSessionId: req.sessionId,
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: `${count} session(s) revoked`,
+  });
+});
 
 /**
  * Get current user controller
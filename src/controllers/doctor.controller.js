@@ -0,0 +1,313 @@
+// src/controllers/doctor.controller.js
+const appointmentService = require("../services/appointment.services");
+const availabilityService = require("../services/availability.services");
+const calendarService = require("../services/calendar.services");
+const doctorService = require("../services/doctor.services");
+const asyncHandler = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Doctor availability controller
+ * @route GET /api/doctors/:id/availability
+ */
+exports.getAvailability = asyncHandler(async (req, res) => {
+  const { serviceId, from, to } = req.query;
+
+  // Check if service is provided
+  if (!serviceId) {
+    throw new ValidationError("Please provide serviceId");
+  }
+
+  const availability = await availabilityService.getDoctorAvailability(
+    req.practiceId,
+    req.params.id,
+    { serviceId, from, to }
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...availability,
+  });
+});
+
+/**
+ * Practice-wide availability controller
+ * @route GET /api/doctors/availability
+ */
+exports.getPracticeAvailability = asyncHandler(async (req, res) => {
+  const { serviceId, from, to, doctorIds } = req.query;
+
+  // Check if service is provided
+  if (!serviceId) {
+    throw new ValidationError("Please provide serviceId");
+  }
+
+  const availability = await availabilityService.getAvailability(
+    req.practiceId,
+    {
+      serviceId,
+      from,
+      to,
+      // Optional comma-separated list of doctors
+      doctorIds: doctorIds ? String(doctorIds).split(",") : undefined,
+    }
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...availability,
+  });
+});
+
+/**
+ * Doctor calendar feed controller
+ * @route GET /api/doctors/:id/calendar.ics
+ */
+exports.getCalendarFeed = asyncHandler(async (req, res) => {
+  const calendar = await calendarService.getDoctorFeed(
+    req.params.id,
+    req.query.token
+  );
+
+  // Send response
+  res
+    .status(200)
+    .set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Cache-Control": "private, max-age=300",
+    })
+    .send(calendar);
+});
+
+/**
+ * Create calendar feed link controller
+ * @route POST /api/doctors/:id/calendar-token
+ */
+exports.createCalendarToken = asyncHandler(async (req, res) => {
+  const { url } = await calendarService.createFeedToken(
+    req.practiceId,
+    req.params.id,
+    req.user
+  );
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    url,
+  });
+});
+
+/**
+ * Revoke calendar feed link controller
+ * @route DELETE /api/doctors/:id/calendar-token
+ */
+exports.revokeCalendarToken = asyncHandler(async (req, res) => {
+  await calendarService.revokeFeedToken(
+    req.practiceId,
+    req.params.id,
+    req.user
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Calendar feed link revoked",
+  });
+});
+
+/**
+ * Doctor agenda controller
+ * @route GET /api/doctors/me/agenda
+ */
+exports.getAgenda = asyncHandler(async (req, res) => {
+  const { date, view } = req.query;
+
+  const agenda = await doctorService.getAgenda(req.practiceId, req.user, {
+    date,
+    view,
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...agenda,
+  });
+});
+
+/**
+ * Build a quick action controller
+ * @param {String} action - confirm, complete or no-show
+ * @returns {Function} Controller
+ */
+const quickAction = (action) =>
+  asyncHandler(async (req, res) => {
+    const appointment = await doctorService.applyQuickAction(
+      req.practiceId,
+      req.params.id,
+      action,
+      req.body && req.body.reason,
+      req.user
+    );
+
+    // Send response
+    res.status(200).json({
+      success: true,
+      appointment,
+    });
+  });
+
+/**
+ * Confirm appointment controller
+ * @route POST /api/doctors/me/appointments/:id/confirm
+ */
+exports.confirmAppointment = quickAction("confirm");
+
+/**
+ * Complete appointment controller
+ * @route POST /api/doctors/me/appointments/:id/complete
+ */
+exports.completeAppointment = quickAction("complete");
+
+/**
+ * Mark appointment as no-show controller
+ * @route POST /api/doctors/me/appointments/:id/no-show
+ */
+exports.markNoShow = quickAction("no-show");
+
+/**
+ * Update appointment notes controller
+ * @route PATCH /api/doctors/me/appointments/:id/notes
+ */
+exports.updateAppointmentNotes = asyncHandler(async (req, res) => {
+  const { notes } = req.body;
+
+  // Check if notes are provided
+  if (notes === undefined) {
+    throw new ValidationError("Please provide notes");
+  }
+
+  const appointment = await appointmentService.updateNotes(
+    req.practiceId,
+    req.params.id,
+    notes,
+    req.user
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    appointment,
+  });
+});
+
+/**
+ * Get own schedule controller
+ * @route GET /api/doctors/me/schedule
+ */
+exports.getSchedule = asyncHandler(async (req, res) => {
+  const schedule = await doctorService.getSchedule(req.practiceId, req.user);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...schedule,
+  });
+});
+
+/**
+ * Replace own schedule controller
+ * @route PUT /api/doctors/me/schedule
+ */
+exports.updateSchedule = asyncHandler(async (req, res) => {
+  const { schedule } = req.body;
+
+  // Check if schedule is provided
+  if (!schedule) {
+    throw new ValidationError("Please provide schedule");
+  }
+
+  const result = await doctorService.replaceSchedule(
+    req.practiceId,
+    req.user,
+    schedule
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * Add time off controller
+ * @route POST /api/doctors/me/time-off
+ */
+exports.addTimeOff = asyncHandler(async (req, res) => {
+  const { startDate, endDate, reason } = req.body;
+
+  // Check if start and end dates are provided
+  if (!startDate || !endDate) {
+    throw new ValidationError("Please provide startDate and endDate");
+  }
+
+  const result = await doctorService.addTimeOff(req.practiceId, req.user, {
+    startDate,
+    endDate,
+    reason,
+  });
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * Upload own photo controller (the image is the request body)
+ * @route PUT /api/doctors/me/photo?name=...
+ */
+exports.uploadPhoto = asyncHandler(async (req, res) => {
+  const profileImage = await doctorService.setOwnPhoto(
+    req.practiceId,
+    req.user,
+    { data: req.body, name: req.query.name }
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    profileImage,
+  });
+});
+
+/**
+ * Remove own photo controller
+ * @route DELETE /api/doctors/me/photo
+ */
+exports.removePhoto = asyncHandler(async (req, res) => {
+  await doctorService.removeOwnPhoto(req.practiceId, req.user);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Photo removed",
+  });
+});
+
+/**
+ * Remove time off controller
+ * @route DELETE /api/doctors/me/time-off/:id
+ */
+exports.removeTimeOff = asyncHandler(async (req, res) => {
+  await doctorService.removeTimeOff(req.practiceId, req.user, req.params.id);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Time off removed",
+  });
+});
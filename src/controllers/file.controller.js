@@ -0,0 +1,40 @@
+// src/controllers/file.controller.js
+const fileService = require("../services/file.services");
+const asyncHandler = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Download file controller, reached through a signed URL
+ * @route GET /api/files/:id?token=...
+ */
+exports.downloadFile = asyncHandler(async (req, res) => {
+  // Check if token is provided
+  if (!req.query.token) {
+    throw new ValidationError("Please provide token");
+  }
+
+  const { file, stream } = await fileService.openFile(
+    req.params.id,
+    String(req.query.token)
+  );
+  const isDocument = file.purpose === "APPOINTMENT_DOCUMENT";
+
+  // Send response. Patient documents are downloaded and never cached;
+  // nothing served here may run scripts or be sniffed as another type.
+  res.status(200).set({
+    "Content-Type": file.contentType,
+    "Content-Length": String(file.size),
+    "Content-Disposition": `${
+      isDocument ? "attachment" : "inline"
+    }; filename="${file.name}"`,
+    "Cache-Control": isDocument ? "private, no-store" : "private, max-age=300",
+    "Content-Security-Policy": "default-src 'none'; sandbox",
+    "X-Content-Type-Options": "nosniff",
+  });
+
+  stream.on("error", (error) => {
+    console.error("Failed to read stored file:", error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
@@ -0,0 +1,29 @@
+// src/controllers/practice.controller.js
+const practiceService = require("../services/practice.services");
+const asyncHandler = require("../utils/asyncHandler");
+
+/**
+ * List the user's practices controller
+ * @route GET /api/practices
+ */
+exports.getPractices = asyncHandler(async (req, res) => {
+  const practices = await practiceService.listUserPractices(req.user);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    practices,
+  });
+});
+
+/**
+ * Current practice controller
+ * @route GET /api/practices/current
+ */
+exports.getCurrentPractice = asyncHandler(async (req, res) => {
+  // Send response
+  res.status(200).json({
+    success: true,
+    practice: req.practice,
+  });
+});
@@ -0,0 +1,161 @@
+// src/controllers/public.controller.js
+const publicBookingService = require("../services/publicBooking.services");
+const asyncHandler = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Public practice profile controller
+ * @route GET /api/public/practices/:slug
+ */
+exports.getPractice = asyncHandler(async (req, res) => {
+  const practice = await publicBookingService.getPractice(req.params.slug);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    practice,
+  });
+});
+
+/**
+ * Public services controller
+ * @route GET /api/public/practices/:slug/services
+ */
+exports.getServices = asyncHandler(async (req, res) => {
+  const services = await publicBookingService.listServices(req.params.slug);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    services,
+  });
+});
+
+/**
+ * Public doctors controller
+ * @route GET /api/public/practices/:slug/doctors
+ */
+exports.getDoctors = asyncHandler(async (req, res) => {
+  const doctors = await publicBookingService.listDoctors(req.params.slug, {
+    serviceId: req.query.serviceId,
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    doctors,
+  });
+});
+
+/**
+ * Practice logo controller: redirects to a short-lived signed URL, so the
+ * stored logo URL keeps working
+ * @route GET /api/public/logos/:id
+ */
+exports.getLogo = asyncHandler(async (req, res) => {
+  const url = await publicBookingService.getLogoUrl(req.params.id);
+
+  // Send response
+  res.set("Cache-Control", "private, max-age=300").redirect(302, url);
+});
+
+/**
+ * Doctor photo controller: redirects to a short-lived signed URL
+ * @route GET /api/public/photos/:id
+ */
+exports.getPhoto = asyncHandler(async (req, res) => {
+  const url = await publicBookingService.getPhotoUrl(req.params.id);
+
+  // Send response
+  res.set("Cache-Control", "private, max-age=300").redirect(302, url);
+});
+
+/**
+ * Public availability controller
+ * @route GET /api/public/practices/:slug/availability
+ */
+exports.getAvailability = asyncHandler(async (req, res) => {
+  const { serviceId, doctorId, from, to } = req.query;
+
+  // Check if service is provided
+  if (!serviceId) {
+    throw new ValidationError("Please provide serviceId");
+  }
+
+  const availability = await publicBookingService.getAvailability(
+    req.params.slug,
+    { serviceId, doctorId, from, to }
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    ...availability,
+  });
+});
+
+/**
+ * Request guest booking controller
+ * @route POST /api/public/practices/:slug/bookings
+ */
+exports.requestBooking = asyncHandler(async (req, res) => {
+  const { doctorId, serviceId, startTime, patientName, patientEmail, notes } =
+    req.body;
+
+  // Check if slot and patient details are provided
+  if (!doctorId || !serviceId || !startTime || !patientName || !patientEmail) {
+    throw new ValidationError(
+      "Please provide doctorId, serviceId, startTime, patientName and patientEmail"
+    );
+  }
+
+  const booking = await publicBookingService.requestBooking(req.params.slug, {
+    doctorId,
+    serviceId,
+    startTime,
+    patientName,
+    patientEmail,
+    notes,
+  });
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    message: "Check your email to confirm the booking",
+    booking,
+  });
+});
+
+/**
+ * Get guest booking controller
+ * @route GET /api/public/practices/:slug/bookings/:token
+ */
+exports.getBooking = asyncHandler(async (req, res) => {
+  const booking = await publicBookingService.getBookingRequest(
+    req.params.slug,
+    req.params.token
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    booking,
+  });
+});
+
+/**
+ * Confirm guest booking controller
+ * @route POST /api/public/practices/:slug/bookings/:token/confirm
+ */
+exports.confirmBooking = asyncHandler(async (req, res) => {
+  const booking = await publicBookingService.confirmBooking(
+    req.params.slug,
+    req.params.token
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    booking,
+  });
+});
@@ -0,0 +1,127 @@
+// src/controllers/waitlist.controller.js
+const waitlistService = require("../services/waitlist.services");
+const asyncHandler = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * List waitlist controller
+ * @route GET /api/waitlist
+ */
+exports.getWaitlist = asyncHandler(async (req, res) => {
+  const { doctorId, serviceId, status } = req.query;
+
+  const entries = await waitlistService.listWaitlist(req.practiceId, {
+    doctorId,
+    serviceId,
+    status,
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    entries,
+  });
+});
+
+/**
+ * Join waitlist controller
+ * @route POST /api/waitlist
+ */
+exports.joinWaitlist = asyncHandler(async (req, res) => {
+  const {
+    serviceId,
+    doctorId,
+    from,
+    to,
+    patientId,
+    patientName,
+    patientEmail,
+    notes,
+  } = req.body;
+
+  // Check if service and preferred dates are provided
+  if (!serviceId || !from || !to) {
+    throw new ValidationError("Please provide serviceId, from and to");
+  }
+
+  const entry = await waitlistService.joinWaitlist(
+    req.practiceId,
+    {
+      serviceId,
+      doctorId,
+      from,
+      to,
+      patientId,
+      patientName,
+      patientEmail,
+      notes,
+    },
+    req.user
+  );
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    entry,
+  });
+});
+
+/**
+ * Leave waitlist controller
+ * @route DELETE /api/waitlist/:id
+ */
+exports.removeEntry = asyncHandler(async (req, res) => {
+  const entry = await waitlistService.removeEntry(
+    req.practiceId,
+    req.params.id,
+    req.user
+  );
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    entry,
+  });
+});
+
+/**
+ * Get waitlist offer controller
+ * @route GET /api/waitlist/offers/:token
+ */
+exports.getOffer = asyncHandler(async (req, res) => {
+  const offer = await waitlistService.getOffer(req.params.token);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    offer,
+  });
+});
+
+/**
+ * Accept waitlist offer controller
+ * @route POST /api/waitlist/offers/:token/accept
+ */
+exports.acceptOffer = asyncHandler(async (req, res) => {
+  const appointment = await waitlistService.acceptOffer(req.params.token);
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    appointment,
+  });
+});
+
+/**
+ * Decline waitlist offer controller
+ * @route POST /api/waitlist/offers/:token/decline
+ */
+exports.declineOffer = asyncHandler(async (req, res) => {
+  await waitlistService.declineOffer(req.params.token);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Offer declined",
+  });
+});
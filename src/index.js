@@ -3,35 +3,55 @@ const express = require("express");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
 require("dotenv").config();
+const config = require("./config");
+const { notFound, errorHandler } = require("./middleware/errorHandler");
+const { requestContext } = require("./middleware/requestContext");
+const jobs = require("./jobs");
 
 // Import routes
 const authRoutes = require("./routes/auth.routes");
-// const doctorRoutes = require("./routes/doctors");
-// const adminRoutes = require("./routes/admin");
+const doctorRoutes = require("./routes/doctor.routes");
+const adminRoutes = require("./routes/admin.routes");
+const practiceRoutes = require("./routes/practice.routes");
+const appointmentRoutes = require("./routes/appointment.routes");
+const waitlistRoutes = require("./routes/waitlist.routes");
+const publicRoutes = require("./routes/public.routes");
+const analyticsRoutes = require("./routes/analytics.routes");
+const fileRoutes = require("./routes/file.routes");
 
 const app = express();
 
+// Per-IP rate limits and login tracking rely on the real client IP
+app.set("trust proxy", config.app.trustProxy);
+
 // Middleware
-app.use(
-  cors({
-    origin: process.env.FRONTEND_URL || "http://localhost:3000",
-    credentials: true,
-  })
-);
+// Allowed origins and headers (including X-Practice-ID) live in config.cors
+app.use(cors(config.cors));
 app.use(express.json());
 app.use(cookieParser());
+// Request ID and client IP for the audit trail (after the body parsers, so
+// the context isn't lost while they read the body)
+app.use(requestContext);
 
-
-// // Routes
-// app.use("/api/auth", authRoutes);
-// app.use("/api/doctors", doctorRoutes);
-// app.use("/api/admin", adminRoutes);
+// Routes
+app.use("/api/auth", authRoutes);
+app.use("/api/doctors", doctorRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/practices", practiceRoutes);
+app.use("/api/appointments", appointmentRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/public", publicRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/files", fileRoutes);
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: "Something went wrong!" });
-});
+app.use(notFound);
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+
+  // Reminders, waitlist offer expiry and other background work
+  jobs.start();
+});
@@ -0,0 +1,39 @@
+// src/jobs/index.js
+const config = require("../config");
+const queue = require("./queue");
+const worker = require("./worker");
+const analyticsService = require("../services/analytics.services");
+const reminderService = require("../services/reminder.services");
+const waitlistService = require("../services/waitlist.services");
+
+// Job handlers
+worker.register(reminderService.REMINDER_JOB, reminderService.sendReminder);
+worker.register(
+  analyticsService.AGGREGATE_JOB,
+  analyticsService.aggregateStats
+);
+
+// Periodic tasks
+worker.every(
+  "reminders.schedule",
+  config.jobs.reminders.scanSeconds,
+  reminderService.scheduleReminders
+);
+worker.every(
+  "waitlist.expireOffers",
+  config.booking.waitlist.sweepSeconds,
+  waitlistService.expireOffers
+);
+worker.every(
+  "analytics.schedule",
+  config.analytics.aggregation.scanSeconds,
+  analyticsService.scheduleAggregation
+);
+worker.every("jobs.prune", 60 * 60, queue.prune);
+
+/**
+ * Start the in-process worker, unless disabled on this instance
+ */
+exports.start = () => {
+  if (config.jobs.enabled) worker.start();
+};
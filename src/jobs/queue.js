@@ -0,0 +1,137 @@
+// src/jobs/queue.js
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+
+const prisma = new PrismaClient();
+
+const SECOND = 1000;
+const DAY = 24 * 60 * 60 * SECOND;
+
+/**
+ * Add a job to the queue
+ *
+ * With a uniqueKey, enqueuing the same work twice is a no-op, so callers
+ * can safely retry or re-scan.
+ * @param {String} type - Job type (a handler registered with the worker)
+ * @param {Object} payload - Data for the handler (JSON)
+ * @param {Object} [options] - Options
+ * @param {Date} [options.runAt] - Earliest time to run (defaults to now)
+ * @param {String} [options.uniqueKey] - Idempotency key
+ * @param {Number} [options.maxAttempts] - Runs before the job is given up
+ * @returns {Boolean} Whether a new job was added
+ */
+exports.enqueue = async (type, payload, options = {}) => {
+  const { count } = await prisma.job.createMany({
+    data: [
+      {
+        type,
+        payload,
+        runAt: options.runAt || new Date(),
+        uniqueKey: options.uniqueKey,
+        maxAttempts: options.maxAttempts || config.jobs.retry.maxAttempts,
+      },
+    ],
+    skipDuplicates: true,
+  });
+
+  return count > 0;
+};
+
+/**
+ * Claim due jobs for this worker
+ *
+ * Jobs that are due, and running jobs whose lock ran out (their worker
+ * stopped), are claimed with a conditional update on their attempt count,
+ * so two workers never run the same attempt.
+ * @param {Number} limit - Most jobs to claim
+ * @returns {Array} Claimed jobs, with this attempt counted
+ */
+exports.claim = async (limit) => {
+  const now = new Date();
+
+  const candidates = await prisma.job.findMany({
+    where: {
+      OR: [
+        { status: "PENDING", runAt: { lte: now } },
+        { status: "RUNNING", lockedUntil: { lt: now } },
+      ],
+    },
+    orderBy: { runAt: "asc" },
+    take: limit,
+  });
+
+  const claimed = [];
+
+  for (const job of candidates) {
+    const { count } = await prisma.job.updateMany({
+      where: { id: job.id, status: job.status, attempts: job.attempts },
+      data: {
+        status: "RUNNING",
+        attempts: { increment: 1 },
+        lockedUntil: new Date(
+          now.getTime() + config.jobs.lockMinutes * 60 * SECOND
+        ),
+      },
+    });
+
+    if (count > 0) claimed.push({ ...job, attempts: job.attempts + 1 });
+  }
+
+  return claimed;
+};
+
+/**
+ * Mark a claimed job as done
+ * @param {Object} job - Claimed job
+ */
+exports.complete = async (job) => {
+  await prisma.job.updateMany({
+    where: { id: job.id, attempts: job.attempts },
+    data: { status: "COMPLETED", completedAt: new Date(), lockedUntil: null },
+  });
+};
+
+/**
+ * Record a failed run: retry later with exponential backoff, or give up
+ * after the job's last attempt or on an error marked retryable = false
+ * @param {Object} job - Claimed job
+ * @param {Error} error - Why it failed
+ * @returns {Boolean} Whether the job will be retried
+ */
+exports.fail = async (job, error) => {
+  const { baseDelaySeconds, maxDelaySeconds } = config.jobs.retry;
+  const retry = job.attempts < job.maxAttempts && error.retryable !== false;
+  const delay = Math.min(
+    baseDelaySeconds * 2 ** (job.attempts - 1),
+    maxDelaySeconds
+  );
+
+  await prisma.job.updateMany({
+    where: { id: job.id, attempts: job.attempts },
+    data: {
+      status: retry ? "PENDING" : "FAILED",
+      lastError: String(error.stack || error.message).slice(0, 2000),
+      lockedUntil: null,
+      ...(retry && { runAt: new Date(Date.now() + delay * SECOND) }),
+    },
+  });
+
+  return retry;
+};
+
+/**
+ * Delete jobs that finished before the retention period
+ *
+ * Failed jobs are kept as long as completed ones, for inspection.
+ * @returns {Number} Jobs deleted
+ */
+exports.prune = async () => {
+  const { count } = await prisma.job.deleteMany({
+    where: {
+      status: { in: ["COMPLETED", "FAILED"] },
+      updatedAt: { lt: new Date(Date.now() - config.jobs.keepDays * DAY) },
+    },
+  });
+
+  return count;
+};
@@ -0,0 +1,109 @@
+// src/jobs/worker.js
+const config = require("../config");
+const queue = require("./queue");
+
+// Job handlers, by job type
+const handlers = new Map();
+
+// Work repeated on an interval, e.g. scanning for due reminders
+const tasks = [];
+
+// Skip a tick while the previous one is still running
+let running = false;
+
+/**
+ * Build an error that fails a job without retrying it
+ * @param {String} message - Error message
+ * @returns {Error} Error
+ */
+const permanentError = (message) =>
+  Object.assign(new Error(message), { retryable: false });
+
+/**
+ * Register the handler for a job type
+ * @param {String} type - Job type
+ * @param {Function} handler - Async function given the payload and the job
+ */
+exports.register = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Run a function every so often on this instance
+ *
+ * Every instance runs its own tasks, so they must be safe to run
+ * concurrently (e.g. enqueue with a uniqueKey).
+ * @param {String} name - Task name, for logs
+ * @param {Number} seconds - Interval
+ * @param {Function} run - Async function
+ */
+exports.every = (name, seconds, run) => {
+  tasks.push({ name, interval: seconds * 1000, run, nextRunAt: 0 });
+};
+
+/**
+ * Run one claimed job
+ * @param {Object} job - Claimed job
+ */
+const runJob = async (job) => {
+  try {
+    const handler = handlers.get(job.type);
+
+    if (!handler) {
+      throw permanentError(`No handler for job type "${job.type}"`);
+    }
+
+    // Only reached when a worker stopped during the last attempt
+    if (job.attempts > job.maxAttempts) {
+      throw permanentError("The last attempt did not finish");
+    }
+
+    await handler(job.payload, job);
+    await queue.complete(job);
+  } catch (error) {
+    const retry = await queue.fail(job, error);
+
+    console.error(
+      `Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${
+        job.maxAttempts
+      })${retry ? ", retrying" : ""}:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Run the tasks that are due, then a batch of due jobs
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const task of tasks) {
+      if (Date.now() < task.nextRunAt) continue;
+      task.nextRunAt = Date.now() + task.interval;
+
+      try {
+        await task.run();
+      } catch (error) {
+        console.error(`Task ${task.name} failed:`, error);
+      }
+    }
+
+    for (const job of await queue.claim(config.jobs.batchSize)) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error("Job worker failed:", error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start polling for work in the background
+ */
+exports.start = () => {
+  setInterval(tick, config.jobs.pollSeconds * 1000).unref();
+};
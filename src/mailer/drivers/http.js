@@ -0,0 +1,40 @@
+// src/mailer/drivers/http.js
+
+/**
+ * Turn a failed provider response into an error the mailer understands
+ *
+ * 4xx responses (bad request, auth) won't succeed on retry; 429 and 5xx may.
+ * @param {String} provider - Provider name
+ * @param {Response} response - fetch response
+ * @returns {Error} Error with a `retryable` flag
+ */
+exports.responseError = async (provider, response) => {
+  const body = await response.text().catch(() => "");
+  const error = new Error(
+    `${provider} responded with ${response.status}: ${body.slice(0, 500)}`
+  );
+  error.retryable = response.status === 429 || response.status >= 500;
+  return error;
+};
+
+/**
+ * Split a formatted address ("Name" <address>) into its parts
+ * @param {String} value - Formatted address
+ * @returns {Object} name and email
+ */
+exports.parseAddress = (value) => {
+  const match = /^"?([^"<]*)"?\s*<([^>]+)>$/.exec(value);
+  return match
+    ? { name: match[1].trim() || undefined, email: match[2] }
+    : { email: value };
+};
+
+/**
+ * Attachment content as a Buffer
+ * @param {Object} attachment - Attachment
+ * @returns {Buffer} Content
+ */
+exports.toBuffer = (attachment) =>
+  Buffer.isBuffer(attachment.content)
+    ? attachment.content
+    : Buffer.from(String(attachment.content), "utf8");
@@ -0,0 +1,45 @@
+// src/mailer/drivers/mailgun.js
+const { responseError, toBuffer } = require("./http");
+
+/**
+ * Mailgun driver (messages API)
+ * @param {Object} options - config.email.mailgun
+ * @returns {Object} Driver
+ */
+module.exports = (options) => ({
+  name: "mailgun",
+
+  async send(message) {
+    const form = new FormData();
+    form.append("from", message.from);
+    form.append("to", message.to);
+    form.append("subject", message.subject);
+    form.append("text", message.text);
+    form.append("html", message.html);
+
+    for (const attachment of message.attachments || []) {
+      form.append(
+        "attachment",
+        new Blob([toBuffer(attachment)], { type: attachment.contentType }),
+        attachment.filename
+      );
+    }
+
+    const credentials = Buffer.from(`api:${options.apiKey}`).toString("base64");
+    const response = await fetch(
+      `${options.baseUrl}/v3/${options.domain}/messages`,
+      {
+        method: "POST",
+        headers: { Authorization: `Basic ${credentials}` },
+        body: form,
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError("Mailgun", response);
+    }
+
+    const body = await response.json();
+    return { id: body.id };
+  },
+});
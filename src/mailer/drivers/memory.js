@@ -0,0 +1,24 @@
+// src/mailer/drivers/memory.js
+
+/**
+ * In-memory driver for tests: messages are kept in an array
+ * @returns {Object} Driver with `messages` and `clear()`
+ */
+module.exports = () => {
+  const messages = [];
+
+  return {
+    name: "memory",
+    messages,
+
+    async send(message) {
+      const id = String(messages.length + 1);
+      messages.push({ id, ...message });
+      return { id };
+    },
+
+    clear() {
+      messages.length = 0;
+    },
+  };
+};
@@ -0,0 +1,50 @@
+// src/mailer/drivers/outbox.js
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Outbox driver: writes each message to disk instead of sending it
+ *
+ * Every message gets its own directory with message.json, body.html,
+ * body.txt and any attachments, so links can be opened during development.
+ * @param {Object} options - config.email.outbox
+ * @returns {Object} Driver
+ */
+module.exports = (options) => ({
+  name: "outbox",
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const dir = path.resolve(options.path, id);
+
+    await fs.mkdir(dir, { recursive: true });
+
+    const { html, text, attachments = [], ...headers } = message;
+
+    await Promise.all([
+      fs.writeFile(
+        path.join(dir, "message.json"),
+        JSON.stringify(
+          {
+            ...headers,
+            attachments: attachments.map((a) => a.filename),
+            sentAt: new Date(),
+          },
+          null,
+          2
+        )
+      ),
+      fs.writeFile(path.join(dir, "body.html"), html || ""),
+      fs.writeFile(path.join(dir, "body.txt"), text || ""),
+      ...attachments.map((attachment) =>
+        fs.writeFile(
+          path.join(dir, path.basename(attachment.filename)),
+          attachment.content
+        )
+      ),
+    ]);
+
+    return { id, path: dir };
+  },
+});
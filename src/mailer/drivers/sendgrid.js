@@ -0,0 +1,44 @@
+// src/mailer/drivers/sendgrid.js
+const { responseError, parseAddress, toBuffer } = require("./http");
+
+const API_URL = "https://api.sendgrid.com/v3/mail/send";
+
+/**
+ * SendGrid driver (v3 Web API)
+ * @param {Object} options - config.email.sendgrid
+ * @returns {Object} Driver
+ */
+module.exports = (options) => ({
+  name: "sendgrid",
+
+  async send(message) {
+    const response = await fetch(API_URL, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${options.apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: message.to }] }],
+        from: parseAddress(message.from),
+        subject: message.subject,
+        content: [
+          { type: "text/plain", value: message.text },
+          { type: "text/html", value: message.html },
+        ],
+        attachments: (message.attachments || []).map((attachment) => ({
+          filename: attachment.filename,
+          type: attachment.contentType,
+          content: toBuffer(attachment).toString("base64"),
+          disposition: "attachment",
+        })),
+      }),
+    });
+
+    if (!response.ok) {
+      throw await responseError("SendGrid", response);
+    }
+
+    return { id: response.headers.get("x-message-id") };
+  },
+});
@@ -0,0 +1,33 @@
+// src/mailer/drivers/smtp.js
+const nodemailer = require("nodemailer");
+
+/**
+ * SMTP driver (nodemailer)
+ * @param {Object} options - config.email.smtp
+ * @returns {Object} Driver
+ */
+module.exports = (options) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.auth,
+  });
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments: message.attachments,
+      });
+
+      return { id: info.messageId };
+    },
+  };
+};
@@ -0,0 +1,102 @@
+// src/mailer/index.js
+const config = require("../config");
+const templates = require("./templates");
+
+const drivers = {
+  smtp: () => require("./drivers/smtp")(config.email.smtp),
+  sendgrid: () => require("./drivers/sendgrid")(config.email.sendgrid),
+  mailgun: () => require("./drivers/mailgun")(config.email.mailgun),
+  outbox: () => require("./drivers/outbox")(config.email.outbox),
+  memory: () => require("./drivers/memory")(),
+};
+
+let driver;
+
+/**
+ * Get the configured delivery driver (created on first use)
+ * @returns {Object} Driver with a send(message) method
+ */
+exports.getDriver = () => {
+  if (!driver) {
+    const create = drivers[config.email.driver];
+
+    if (!create) {
+      throw new Error(`Unknown email driver "${config.email.driver}"`);
+    }
+
+    driver = create();
+  }
+
+  return driver;
+};
+
+/**
+ * Render a named template
+ * @param {String} name - Template name (see ./templates)
+ * @param {Object} data - Template data
+ * @param {String} [locale] - Preferred locale, falls back to the default
+ * @returns {Object} subject, text and html
+ */
+exports.render = (name, data, locale) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const localized = template[locale] || template[config.email.defaultLocale];
+
+  return {
+    subject: localized.subject(data),
+    text: localized.text(data),
+    html: localized.html(data),
+  };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Send a message, retrying transient failures with exponential backoff
+ * @param {Object} message - Fully rendered message
+ * @returns {Object} Driver result
+ */
+const deliver = async (message) => {
+  const { attempts, baseDelayMs } = config.email.retry;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await exports.getDriver().send(message);
+    } catch (error) {
+      if (attempt >= attempts || error.retryable === false) {
+        throw error;
+      }
+
+      console.error(
+        `Email to ${message.to} failed (attempt ${attempt}/${attempts}), retrying:`,
+        error.message
+      );
+      await sleep(baseDelayMs * 2 ** (attempt - 1));
+    }
+  }
+};
+
+/**
+ * Render a template and send it
+ * @param {Object} options - Email options
+ * @param {String} options.to - Recipient address
+ * @param {String} options.template - Template name
+ * @param {Object} options.data - Template data
+ * @param {String} [options.locale] - Recipient locale
+ * @param {Array} [options.attachments] - { filename, content, contentType }
+ * @returns {Object} Driver result
+ */
+exports.sendMail = async ({ to, template, data, locale, attachments }) => {
+  const { from } = config.email;
+
+  return deliver({
+    from: `"${from.name}" <${from.address}>`,
+    to,
+    ...exports.render(template, data, locale),
+    attachments,
+  });
+};
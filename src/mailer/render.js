@@ -0,0 +1,114 @@
+// src/mailer/render.js
+const { format } = require("date-fns");
+const config = require("../config");
+
+/**
+ * Marker for HTML that must not be escaped again
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const renderValue = (value) => {
+  if (value === null || value === undefined || value === false) return "";
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  if (value instanceof SafeHtml) return value.value;
+  return escapeHtml(value);
+};
+
+/**
+ * Tagged template for HTML bodies; interpolated values are escaped
+ * @example html`<p>Hello ${user.firstName}</p>`
+ * @returns {SafeHtml} Rendered HTML
+ */
+exports.html = (strings, ...values) =>
+  new SafeHtml(
+    strings.reduce(
+      (out, string, i) =>
+        out + string + (i < values.length ? renderValue(values[i]) : ""),
+      ""
+    )
+  );
+
+/**
+ * Tagged template for plain-text bodies; trims the common indentation
+ * @returns {String} Rendered text
+ */
+exports.text = (strings, ...values) => {
+  const raw = strings.reduce(
+    (out, string, i) =>
+      out + string + (i < values.length ? String(values[i] ?? "") : ""),
+    ""
+  );
+
+  return raw
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n")
+    .trim();
+};
+
+/**
+ * Format a date for display in emails
+ * @param {Date|String} date - Date
+ * @param {String} [timeZone] - IANA time zone to show it in (defaults to the
+ *   server's)
+ * @returns {String} e.g. "Monday 3 March 2025 at 09:30"
+ */
+exports.formatDateTime = (date, timeZone) => {
+  if (!timeZone) {
+    return format(new Date(date), "EEEE d MMMM yyyy 'at' HH:mm");
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(new Date(date))
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return `${parts.weekday} ${parts.day} ${parts.month} ${parts.year} at ${parts.hour}:${parts.minute}`;
+};
+
+/**
+ * Wrap a template body in the shared email layout
+ * @param {String} title - Heading shown at the top
+ * @param {SafeHtml} body - Body HTML
+ * @returns {String} Full HTML document
+ */
+exports.layout = (title, body) =>
+  exports.html`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${title}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    <h1>${title}</h1>
+    ${body}
+    <p style="color: #888; font-size: 12px;">${config.email.from.name}</p>
+  </body>
+</html>`.toString();
@@ -0,0 +1,34 @@
+// src/mailer/templates/accountLocked.js
+const { html, text, layout, formatDateTime } = require("../render");
+
+/**
+ * Account locked after too many failed sign-in attempts
+ * @param {Object} data - { failedAttempts, lockedUntil, ipAddress }
+ */
+module.exports = {
+  en: {
+    subject: () => "Your account has been temporarily locked",
+    text: ({ failedAttempts, lockedUntil, ipAddress }) => text`
+      Your account was locked after ${failedAttempts} failed sign-in attempts${
+      ipAddress ? ` (last from ${ipAddress})` : ""
+    }.
+      It will unlock automatically on ${formatDateTime(lockedUntil)}.
+      If this wasn't you, please reset your password and contact your practice administrator.
+    `,
+    html: ({ failedAttempts, lockedUntil, ipAddress }) =>
+      layout(
+        "Account Locked",
+        html`
+          <p>
+            Your account was locked after ${failedAttempts} failed sign-in
+            attempts${ipAddress ? ` (last from ${ipAddress})` : ""}.
+          </p>
+          <p>It will unlock automatically on ${formatDateTime(lockedUntil)}.</p>
+          <p>
+            If this wasn't you, please reset your password and contact your
+            practice administrator.
+          </p>
+        `
+      ),
+  },
+};
@@ -0,0 +1,29 @@
+// src/mailer/templates/accountUnlocked.js
+const { html, text, layout } = require("../render");
+
+/**
+ * Account unlocked early by an admin
+ * @param {Object} data - { adminName }
+ */
+module.exports = {
+  en: {
+    subject: () => "Your account has been unlocked",
+    text: ({ adminName }) => text`
+      Your account was unlocked by ${adminName}. You can sign in again.
+      If you didn't ask for this, please contact your practice administrator.
+    `,
+    html: ({ adminName }) =>
+      layout(
+        "Account Unlocked",
+        html`
+          <p>
+            Your account was unlocked by ${adminName}. You can sign in again.
+          </p>
+          <p>
+            If you didn't ask for this, please contact your practice
+            administrator.
+          </p>
+        `
+      ),
+  },
+};
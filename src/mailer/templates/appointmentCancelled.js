@@ -0,0 +1,58 @@
+// src/mailer/templates/appointmentCancelled.js
+const { html, text, layout, formatDateTime } = require("../render");
+
+/**
+ * Appointment (or appointments of a series) cancelled
+ * @param {Object} data - { patientName, doctorName, serviceName, practiceName,
+ *   startTimes, timezone, reason }
+ */
+module.exports = {
+  en: {
+    subject: ({ practiceName, startTimes, timezone }) =>
+      startTimes.length === 1
+        ? `Appointment cancelled: ${practiceName}, ${formatDateTime(
+            startTimes[0],
+            timezone
+          )}`
+        : `${startTimes.length} appointments cancelled: ${practiceName}`,
+    text: (data) => text`
+      Hi ${data.patientName},
+      Your ${data.serviceName} appointment${
+      data.startTimes.length === 1 ? "" : "s"
+    } with ${data.doctorName} at ${data.practiceName} ${
+      data.startTimes.length === 1 ? "has" : "have"
+    } been cancelled:
+      ${data.startTimes
+        .map((startTime) => `- ${formatDateTime(startTime, data.timezone)}`)
+        .join("\n")}
+      ${data.reason ? `Reason: ${data.reason}` : ""}
+      The attached calendar file removes ${
+        data.startTimes.length === 1 ? "it" : "them"
+      } from your calendar.
+    `,
+    html: (data) =>
+      layout(
+        "Appointment Cancelled",
+        html`
+          <p>Hi ${data.patientName},</p>
+          <p>
+            Your ${data.serviceName}
+            appointment${data.startTimes.length === 1 ? "" : "s"} with
+            ${data.doctorName} at ${data.practiceName}
+            ${data.startTimes.length === 1 ? "has" : "have"} been cancelled:
+          </p>
+          <ul>
+            ${data.startTimes.map(
+              (startTime) =>
+                html`<li>${formatDateTime(startTime, data.timezone)}</li>`
+            )}
+          </ul>
+          ${data.reason && html`<p><strong>Reason:</strong> ${data.reason}</p>`}
+          <p>
+            The attached calendar file removes
+            ${data.startTimes.length === 1 ? "it" : "them"} from your calendar.
+          </p>
+        `
+      ),
+  },
+};
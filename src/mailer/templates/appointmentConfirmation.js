@@ -0,0 +1,55 @@
+// src/mailer/templates/appointmentConfirmation.js
+const { html, text, layout, formatDateTime } = require("../render");
+
+/**
+ * Appointment booked or confirmed
+ * @param {Object} data - { patientName, doctorName, serviceName, practiceName,
+ *   practiceAddress, startTime, timezone, manageUrl }
+ */
+module.exports = {
+  en: {
+    subject: ({ practiceName, startTime, timezone }) =>
+      `Appointment confirmed: ${practiceName}, ${formatDateTime(
+        startTime,
+        timezone
+      )}`,
+    text: (data) => text`
+      Hi ${data.patientName},
+      Your appointment is confirmed.
+      When: ${formatDateTime(data.startTime, data.timezone)}
+      With: ${data.doctorName}
+      Service: ${data.serviceName}
+      Where: ${data.practiceName}${
+      data.practiceAddress ? `, ${data.practiceAddress}` : ""
+    }
+      ${data.manageUrl ? `Manage your appointment: ${data.manageUrl}` : ""}
+    `,
+    html: (data) =>
+      layout(
+        "Appointment Confirmed",
+        html`
+          <p>Hi ${data.patientName},</p>
+          <p>Your appointment is confirmed.</p>
+          <ul>
+            <li>
+              <strong>When:</strong> ${formatDateTime(
+                data.startTime,
+                data.timezone
+              )}
+            </li>
+            <li><strong>With:</strong> ${data.doctorName}</li>
+            <li><strong>Service:</strong> ${data.serviceName}</li>
+            <li>
+              <strong>Where:</strong> ${data.practiceName}${data.practiceAddress
+                ? `, ${data.practiceAddress}`
+                : ""}
+            </li>
+          </ul>
+          ${data.manageUrl &&
+          html`<a href="${data.manageUrl}" target="_blank"
+            >Manage Appointment</a
+          >`}
+        `
+      ),
+  },
+};
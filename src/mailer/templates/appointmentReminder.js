@@ -0,0 +1,61 @@
+// src/mailer/templates/appointmentReminder.js
+const { html, text, layout, formatDateTime } = require("../render");
+
+/**
+ * Upcoming appointment reminder
+ * @param {Object} data - { patientName, doctorName, serviceName, practiceName,
+ *   practiceAddress, startTime, timezone, confirmUrl, cancelUrl }
+ *   (confirmUrl only while the appointment is unconfirmed)
+ */
+module.exports = {
+  en: {
+    subject: ({ practiceName, startTime, timezone }) =>
+      `Appointment reminder: ${practiceName}, ${formatDateTime(
+        startTime,
+        timezone
+      )}`,
+    text: (data) => text`
+      Hi ${data.patientName},
+      This is a reminder of your upcoming appointment.
+      When: ${formatDateTime(data.startTime, data.timezone)}
+      With: ${data.doctorName}
+      Service: ${data.serviceName}
+      Where: ${data.practiceName}${
+      data.practiceAddress ? `, ${data.practiceAddress}` : ""
+    }
+      ${data.confirmUrl ? `Confirm you're coming: ${data.confirmUrl}` : ""}
+      Can't make it? Cancel here: ${data.cancelUrl}
+    `,
+    html: (data) =>
+      layout(
+        "Appointment Reminder",
+        html`
+          <p>Hi ${data.patientName},</p>
+          <p>This is a reminder of your upcoming appointment.</p>
+          <ul>
+            <li>
+              <strong>When:</strong> ${formatDateTime(
+                data.startTime,
+                data.timezone
+              )}
+            </li>
+            <li><strong>With:</strong> ${data.doctorName}</li>
+            <li><strong>Service:</strong> ${data.serviceName}</li>
+            <li>
+              <strong>Where:</strong> ${data.practiceName}${data.practiceAddress
+                ? `, ${data.practiceAddress}`
+                : ""}
+            </li>
+          </ul>
+          ${data.confirmUrl &&
+          html`<a href="${data.confirmUrl}" target="_blank"
+            >Confirm Appointment</a
+          >`}
+          <p>
+            Can't make it?
+            <a href="${data.cancelUrl}" target="_blank">Cancel Appointment</a>
+          </p>
+        `
+      ),
+  },
+};
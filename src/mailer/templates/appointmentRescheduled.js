@@ -0,0 +1,75 @@
+// src/mailer/templates/appointmentRescheduled.js
+const { html, text, layout, formatDateTime } = require("../render");
+
+/**
+ * Appointment (or appointments of a series) moved to a new time
+ * @param {Object} data - { patientName, doctorName, serviceName, practiceName,
+ *   practiceAddress, startTimes, timezone, manageUrl }
+ */
+module.exports = {
+  en: {
+    subject: ({ practiceName, startTimes, timezone }) =>
+      startTimes.length === 1
+        ? `Appointment moved: ${practiceName}, ${formatDateTime(
+            startTimes[0],
+            timezone
+          )}`
+        : `${startTimes.length} appointments moved: ${practiceName}`,
+    text: (data) => text`
+      Hi ${data.patientName},
+      Your appointment${
+        data.startTimes.length === 1 ? " has" : "s have"
+      } been moved.
+      New time${data.startTimes.length === 1 ? "" : "s"}:
+      ${data.startTimes
+        .map((startTime) => `- ${formatDateTime(startTime, data.timezone)}`)
+        .join("\n")}
+      With: ${data.doctorName}
+      Service: ${data.serviceName}
+      Where: ${data.practiceName}${
+      data.practiceAddress ? `, ${data.practiceAddress}` : ""
+    }
+      The attached calendar file updates the event${
+        data.startTimes.length === 1 ? "" : "s"
+      } in your calendar.
+      ${data.manageUrl ? `Manage your appointments: ${data.manageUrl}` : ""}
+    `,
+    html: (data) =>
+      layout(
+        "Appointment Moved",
+        html`
+          <p>Hi ${data.patientName},</p>
+          <p>
+            Your appointment${data.startTimes.length === 1 ? " has" : "s have"}
+            been moved.
+          </p>
+          <p>
+            <strong>New time${data.startTimes.length === 1 ? "" : "s"}:</strong>
+          </p>
+          <ul>
+            ${data.startTimes.map(
+              (startTime) =>
+                html`<li>${formatDateTime(startTime, data.timezone)}</li>`
+            )}
+          </ul>
+          <ul>
+            <li><strong>With:</strong> ${data.doctorName}</li>
+            <li><strong>Service:</strong> ${data.serviceName}</li>
+            <li>
+              <strong>Where:</strong> ${data.practiceName}${data.practiceAddress
+                ? `, ${data.practiceAddress}`
+                : ""}
+            </li>
+          </ul>
+          <p>
+            The attached calendar file updates the
+            event${data.startTimes.length === 1 ? "" : "s"} in your calendar.
+          </p>
+          ${data.manageUrl &&
+          html`<a href="${data.manageUrl}" target="_blank"
+            >Manage Appointments</a
+          >`}
+        `
+      ),
+  },
+};
@@ -0,0 +1,56 @@
+// src/mailer/templates/appointmentSeriesConfirmation.js
+const { html, text, layout, formatDateTime } = require("../render");
+
+/**
+ * Recurring appointments booked
+ * @param {Object} data - { patientName, doctorName, serviceName, practiceName,
+ *   practiceAddress, startTimes, timezone, manageUrl }
+ */
+module.exports = {
+  en: {
+    subject: ({ practiceName, startTimes }) =>
+      `${startTimes.length} appointments confirmed: ${practiceName}`,
+    text: (data) => text`
+      Hi ${data.patientName},
+      Your recurring appointments are confirmed.
+      With: ${data.doctorName}
+      Service: ${data.serviceName}
+      Where: ${data.practiceName}${
+      data.practiceAddress ? `, ${data.practiceAddress}` : ""
+    }
+      When:
+      ${data.startTimes
+        .map((startTime) => `- ${formatDateTime(startTime, data.timezone)}`)
+        .join("\n")}
+      ${data.manageUrl ? `Manage your appointments: ${data.manageUrl}` : ""}
+    `,
+    html: (data) =>
+      layout(
+        "Appointments Confirmed",
+        html`
+          <p>Hi ${data.patientName},</p>
+          <p>Your recurring appointments are confirmed.</p>
+          <ul>
+            <li><strong>With:</strong> ${data.doctorName}</li>
+            <li><strong>Service:</strong> ${data.serviceName}</li>
+            <li>
+              <strong>Where:</strong> ${data.practiceName}${data.practiceAddress
+                ? `, ${data.practiceAddress}`
+                : ""}
+            </li>
+          </ul>
+          <p><strong>When:</strong></p>
+          <ul>
+            ${data.startTimes.map(
+              (startTime) =>
+                html`<li>${formatDateTime(startTime, data.timezone)}</li>`
+            )}
+          </ul>
+          ${data.manageUrl &&
+          html`<a href="${data.manageUrl}" target="_blank"
+            >Manage Appointments</a
+          >`}
+        `
+      ),
+  },
+};
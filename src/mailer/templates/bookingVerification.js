@@ -0,0 +1,60 @@
+// src/mailer/templates/bookingVerification.js
+const { html, text, layout, formatDateTime } = require("../render");
+
+/**
+ * Guest booking made on the public site, waiting for its email to be verified
+ * @param {Object} data - { patientName, doctorName, serviceName, practiceName,
+ *   practiceAddress, startTime, timezone, expiresAt, confirmUrl }
+ */
+module.exports = {
+  en: {
+    subject: ({ practiceName }) =>
+      `Confirm your appointment request: ${practiceName}`,
+    text: (data) => text`
+      Hi ${data.patientName},
+      We're holding this appointment for you. It isn't booked until you confirm it.
+      When: ${formatDateTime(data.startTime, data.timezone)}
+      With: ${data.doctorName}
+      Service: ${data.serviceName}
+      Where: ${data.practiceName}${
+      data.practiceAddress ? `, ${data.practiceAddress}` : ""
+    }
+      Confirm it here: ${data.confirmUrl}
+      The hold ends on ${formatDateTime(
+        data.expiresAt,
+        data.timezone
+      )}. If you didn't request this appointment, you can ignore this email.
+    `,
+    html: (data) =>
+      layout(
+        "Confirm Your Appointment",
+        html`
+          <p>Hi ${data.patientName},</p>
+          <p>
+            We're holding this appointment for you. It isn't booked until you
+            confirm it.
+          </p>
+          <ul>
+            <li>
+              <strong>When:</strong> ${formatDateTime(
+                data.startTime,
+                data.timezone
+              )}
+            </li>
+            <li><strong>With:</strong> ${data.doctorName}</li>
+            <li><strong>Service:</strong> ${data.serviceName}</li>
+            <li>
+              <strong>Where:</strong> ${data.practiceName}${data.practiceAddress
+                ? `, ${data.practiceAddress}`
+                : ""}
+            </li>
+          </ul>
+          <a href="${data.confirmUrl}" target="_blank">Confirm Appointment</a>
+          <p>
+            The hold ends on ${formatDateTime(data.expiresAt, data.timezone)}.
+            If you didn't request this appointment, you can ignore this email.
+          </p>
+        `
+      ),
+  },
+};
@@ -0,0 +1,22 @@
+// src/mailer/templates/index.js
+
+/**
+ * Registered email templates, by name
+ *
+ * Each template exports one entry per locale with subject, text and html
+ * functions that receive the template data.
+ */
+module.exports = {
+  passwordReset: require("./passwordReset"),
+  invitation: require("./invitation"),
+  appointmentConfirmation: require("./appointmentConfirmation"),
+  appointmentSeriesConfirmation: require("./appointmentSeriesConfirmation"),
+  appointmentReminder: require("./appointmentReminder"),
+  appointmentRescheduled: require("./appointmentRescheduled"),
+  appointmentCancelled: require("./appointmentCancelled"),
+  waitlistOffer: require("./waitlistOffer"),
+  bookingVerification: require("./bookingVerification"),
+  accountLocked: require("./accountLocked"),
+  accountUnlocked: require("./accountUnlocked"),
+  twoFactorReset: require("./twoFactorReset"),
+};
@@ -0,0 +1,27 @@
+// src/mailer/templates/invitation.js
+const { html, text, layout, formatDateTime } = require("../render");
+
+/**
+ * Invitation for a new doctor or staff member
+ * @param {Object} data - { inviterName, acceptUrl, expiresAt }
+ */
+module.exports = {
+  en: {
+    subject: () => "You've been invited to MediBook",
+    text: ({ inviterName, acceptUrl, expiresAt }) => text`
+      ${inviterName} invited you to join MediBook. Please click on the link below to set up your account:
+      ${acceptUrl}
+      This link expires on ${formatDateTime(expiresAt)}.
+    `,
+    html: ({ inviterName, acceptUrl, expiresAt }) =>
+      layout(
+        "You're invited",
+        html`
+          <p>${inviterName} invited you to join MediBook.</p>
+          <p>Please click on the link below to set up your account:</p>
+          <a href="${acceptUrl}" target="_blank">Accept Invitation</a>
+          <p>This link expires on ${formatDateTime(expiresAt)}.</p>
+        `
+      ),
+  },
+};
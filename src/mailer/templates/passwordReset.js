@@ -0,0 +1,29 @@
+// src/mailer/templates/passwordReset.js
+const { html, text, layout } = require("../render");
+
+/**
+ * Password reset link
+ * @param {Object} data - { resetUrl, expiresInMinutes }
+ */
+module.exports = {
+  en: {
+    subject: () => "Password Reset Request",
+    text: ({ resetUrl, expiresInMinutes }) => text`
+      You requested a password reset. Please click on the link below to reset your password:
+      ${resetUrl}
+      The link expires in ${expiresInMinutes} minutes.
+      If you didn't request this, please ignore this email.
+    `,
+    html: ({ resetUrl, expiresInMinutes }) =>
+      layout(
+        "Password Reset",
+        html`
+          <p>You requested a password reset.</p>
+          <p>Please click on the link below to reset your password:</p>
+          <a href="${resetUrl}" target="_blank">Reset Password</a>
+          <p>The link expires in ${expiresInMinutes} minutes.</p>
+          <p>If you didn't request this, please ignore this email.</p>
+        `
+      ),
+  },
+};
@@ -0,0 +1,29 @@
+// src/mailer/templates/twoFactorReset.js
+const { html, text, layout } = require("../render");
+
+/**
+ * Two-factor authentication reset by an admin
+ * @param {Object} data - { adminName }
+ */
+module.exports = {
+  en: {
+    subject: () => "Your two-factor authentication was reset",
+    text: ({ adminName }) => text`
+      ${adminName} reset two-factor authentication on your account.
+      Please sign in and set up two-factor authentication again.
+      If you didn't ask for this, contact your practice administrator immediately.
+    `,
+    html: ({ adminName }) =>
+      layout(
+        "Two-Factor Authentication Reset",
+        html`
+          <p>${adminName} reset two-factor authentication on your account.</p>
+          <p>Please sign in and set up two-factor authentication again.</p>
+          <p>
+            If you didn't ask for this, contact your practice administrator
+            immediately.
+          </p>
+        `
+      ),
+  },
+};
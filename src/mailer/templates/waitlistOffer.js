@@ -0,0 +1,59 @@
+// src/mailer/templates/waitlistOffer.js
+const { html, text, layout, formatDateTime } = require("../render");
+
+/**
+ * A slot opened up for a waitlisted patient and is held for them
+ * @param {Object} data - { patientName, doctorName, serviceName, practiceName,
+ *   practiceAddress, startTime, timezone, expiresAt, offerUrl }
+ */
+module.exports = {
+  en: {
+    subject: ({ practiceName }) => `An appointment opened up: ${practiceName}`,
+    text: (data) => text`
+      Hi ${data.patientName},
+      An appointment you were waiting for is available and we're holding it for you.
+      When: ${formatDateTime(data.startTime, data.timezone)}
+      With: ${data.doctorName}
+      Service: ${data.serviceName}
+      Where: ${data.practiceName}${
+      data.practiceAddress ? `, ${data.practiceAddress}` : ""
+    }
+      Book or decline it here: ${data.offerUrl}
+      The hold ends on ${formatDateTime(
+        data.expiresAt,
+        data.timezone
+      )}, after which the slot is offered to the next patient.
+    `,
+    html: (data) =>
+      layout(
+        "An Appointment Opened Up",
+        html`
+          <p>Hi ${data.patientName},</p>
+          <p>
+            An appointment you were waiting for is available and we're holding
+            it for you.
+          </p>
+          <ul>
+            <li>
+              <strong>When:</strong> ${formatDateTime(
+                data.startTime,
+                data.timezone
+              )}
+            </li>
+            <li><strong>With:</strong> ${data.doctorName}</li>
+            <li><strong>Service:</strong> ${data.serviceName}</li>
+            <li>
+              <strong>Where:</strong> ${data.practiceName}${data.practiceAddress
+                ? `, ${data.practiceAddress}`
+                : ""}
+            </li>
+          </ul>
+          <a href="${data.offerUrl}" target="_blank">Book or Decline</a>
+          <p>
+            The hold ends on ${formatDateTime(data.expiresAt, data.timezone)},
+            after which the slot is offered to the next patient.
+          </p>
+        `
+      ),
+  },
+};
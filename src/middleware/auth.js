@@ -0,0 +1,124 @@
+// src/middleware/auth.js
+const { PrismaClient } = require("@prisma/client");
+const { verifyToken } = require("../utils/tokens");
+const sessionService = require("../services/session.services");
+const twoFactorService = require("../services/twoFactor.services");
+const asyncHandler = require("../utils/asyncHandler");
+const requestContext = require("../utils/requestContext");
+const { AuthenticationError, AuthorizationError } = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+/**
+ * Read the JWT from the Authorization header or the token cookie
+ * @param {Object} req - Express request
+ * @returns {String|null} Raw token
+ */
+const getTokenFromRequest = (req) => {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith("Bearer ")) {
+    return header.split(" ")[1];
+  }
+
+  if (req.cookies && req.cookies.token) {
+    return req.cookies.token;
+  }
+
+  return null;
+};
+
+/**
+ * Build the authentication middleware
+ * @param {Object} options - Options
+ * @param {Boolean} options.allowTwoFactorSetup - Let users whose role requires
+ *   2FA through before they have enrolled (for the enrollment routes)
+ * @returns {Function} Express middleware
+ */
+const createAuthenticate = ({ allowTwoFactorSetup }) =>
+  asyncHandler(async (req, res, next) => {
+    const token = getTokenFromRequest(req);
+
+    if (!token) {
+      throw new AuthenticationError();
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      throw new AuthenticationError(
+        "Not authorized, invalid or expired token",
+        "TOKEN_INVALID"
+      );
+    }
+
+    // Tokens die with their session (logout, revocation, reuse detection)
+    if (!decoded.sid || !(await sessionService.isSessionActive(decoded.sid))) {
+      throw new AuthenticationError(
+        "Not authorized, session has ended",
+        "SESSION_REVOKED"
+      );
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        twoFactorEnabled: true,
+      },
+    });
+
+    if (!user) {
+      throw new AuthenticationError("Not authorized, user no longer exists");
+    }
+
+    if (
+      !allowTwoFactorSetup &&
+      !user.twoFactorEnabled &&
+      twoFactorService.isRequiredForRole(user.role)
+    ) {
+      throw new AuthorizationError(
+        "Two-factor authentication must be enabled for your account",
+        "TWO_FACTOR_SETUP_REQUIRED"
+      );
+    }
+
+    req.user = user;
+    req.sessionId = decoded.sid;
+    requestContext.set({ actorId: user.id, actorRole: user.role });
+    next();
+  });
+
+/**
+ * Require a valid JWT and attach the authenticated user to req.user and
+ * its session ID to req.sessionId
+ */
+exports.authenticate = createAuthenticate({ allowTwoFactorSetup: false });
+
+/**
+ * Same as authenticate, but also admits users who still have to complete a
+ * mandatory 2FA enrollment
+ */
+exports.authenticateAllowTwoFactorSetup = createAuthenticate({
+  allowTwoFactorSetup: true,
+});
+
+/**
+ * Restrict a route to the given roles. Must run after authenticate.
+ * @param {...String} roles - Allowed Role values
+ * @returns {Function} Express middleware
+ */
+exports.authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      throw new AuthorizationError();
+    }
+
+    next();
+  };
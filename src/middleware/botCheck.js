@@ -0,0 +1,22 @@
+// src/middleware/botCheck.js
+const botCheck = require("../botCheck");
+const asyncHandler = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Reject requests whose bot check token (body field botCheckToken) the
+ * configured provider does not accept
+ */
+exports.requireBotCheck = asyncHandler(async (req, res, next) => {
+  const { botCheckToken } = req.body || {};
+
+  if (!(await botCheck.verify(botCheckToken, req.ip))) {
+    throw new ValidationError(
+      "Bot check failed, please try again",
+      undefined,
+      "BOT_CHECK_FAILED"
+    );
+  }
+
+  next();
+});
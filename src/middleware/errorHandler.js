@@ -0,0 +1,97 @@
+// src/middleware/errorHandler.js
+const { Prisma } = require("@prisma/client");
+const config = require("../config");
+const {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  PayloadTooLargeError,
+  ValidationError,
+} = require("../utils/errors");
+
+/**
+ * Translate known Prisma errors into application errors
+ * @param {Error} err - Error thrown by Prisma
+ * @returns {AppError|null} Translated error, or null if not a known case
+ */
+const fromPrismaError = (err) => {
+  if (err instanceof Prisma.PrismaClientKnownRequestError) {
+    switch (err.code) {
+      // Unique constraint failed
+      case "P2002": {
+        const fields = [].concat((err.meta && err.meta.target) || []);
+        return new ConflictError(
+          fields.length
+            ? `A record with this ${fields.join(", ")} already exists`
+            : "A record with these values already exists",
+          { fields },
+          "UNIQUE_CONSTRAINT"
+        );
+      }
+      // Foreign key constraint failed
+      case "P2003":
+        return new ConflictError(
+          "The record is referenced by, or references, a missing record",
+          { field: err.meta && err.meta.field_name },
+          "FOREIGN_KEY_CONSTRAINT"
+        );
+      // Record to update/delete not found
+      case "P2025":
+        return new NotFoundError("Resource not found");
+      default:
+        return null;
+    }
+  }
+
+  if (err instanceof Prisma.PrismaClientValidationError) {
+    return new ValidationError("Invalid request data");
+  }
+
+  return null;
+};
+
+/**
+ * 404 for requests that matched no route
+ */
+exports.notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`));
+};
+
+/**
+ * Global error handler
+ *
+ * Responds with `{ success: false, code, message, details?, stack? }`.
+ * Unknown errors become a generic 500 so internals don't leak; the stack is
+ * only included outside production.
+ */
+exports.errorHandler = (err, req, res, next) => {
+  let error = err instanceof AppError ? err : fromPrismaError(err);
+
+  // Malformed JSON bodies and other errors raised by body-parser
+  if (!error && err.type === "entity.parse.failed") {
+    error = new ValidationError("Malformed JSON in request body");
+  }
+
+  if (!error && err.type === "entity.too.large") {
+    error = new PayloadTooLargeError();
+  }
+
+  if (!error) {
+    console.error(err.stack || err);
+    error = new AppError("Something went wrong!");
+  } else if (error.statusCode >= 500) {
+    console.error(err.stack || err);
+  }
+
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+
+  res.status(error.statusCode).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.details !== undefined && { details: error.details }),
+    ...(!config.isProduction && { stack: err.stack }),
+  });
+};
@@ -0,0 +1,27 @@
+// src/middleware/practice.js
+const practiceService = require("../services/practice.services");
+const asyncHandler = require("../utils/asyncHandler");
+const requestContext = require("../utils/requestContext");
+const { AuthenticationError } = require("../utils/errors");
+
+/**
+ * Resolve the practice the request acts in from the X-Practice-ID header
+ * (practice ID or slug) or the user's only practice, and check the user
+ * belongs to it. Attaches it to req.practice and its ID to req.practiceId.
+ * Must run after authenticate.
+ */
+exports.resolvePractice = asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    throw new AuthenticationError();
+  }
+
+  const practice = await practiceService.resolvePractice(
+    req.user,
+    req.get("X-Practice-ID")
+  );
+
+  req.practice = practice;
+  req.practiceId = practice.id;
+  requestContext.set({ practiceId: practice.id });
+  next();
+});
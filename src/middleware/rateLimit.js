@@ -0,0 +1,48 @@
+// src/middleware/rateLimit.js
+const rateLimit = require("express-rate-limit");
+const config = require("../config");
+const { RateLimitError } = require("../utils/errors");
+
+/**
+ * Build a per-IP request limiter that fails with a RateLimitError
+ * @param {Number} windowMinutes - Window length
+ * @param {Number} max - Requests allowed per window
+ * @returns {Function} Express middleware
+ */
+const createLimiter = (windowMinutes, max) =>
+  rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    limit: max,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+      next(new RateLimitError(undefined, Math.ceil(options.windowMs / 1000)));
+    },
+  });
+
+/**
+ * Per-IP request limit for the credential endpoints (login, 2FA, password
+ * reset). Failed-attempt lockouts are handled separately by the
+ * brute-force service; this caps raw request volume.
+ */
+exports.authLimiter = createLimiter(
+  config.auth.rateLimit.windowMinutes,
+  config.auth.rateLimit.max
+);
+
+/**
+ * Per-IP request limit for the public booking site
+ */
+exports.publicLimiter = createLimiter(
+  config.booking.publicBooking.rateLimit.windowMinutes,
+  config.booking.publicBooking.rateLimit.max
+);
+
+/**
+ * Stricter per-IP limit on public booking attempts, each of which holds a
+ * slot and sends an email
+ */
+exports.bookingLimiter = createLimiter(
+  config.booking.publicBooking.rateLimit.windowMinutes,
+  config.booking.publicBooking.rateLimit.bookingMax
+);
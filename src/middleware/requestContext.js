@@ -0,0 +1,22 @@
+// src/middleware/requestContext.js
+const crypto = require("crypto");
+const requestContext = require("../utils/requestContext");
+
+// Request IDs accepted from a proxy or client; anything else is replaced
+const REQUEST_ID_FORMAT = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Give each request an ID (the X-Request-ID header if it is sane, otherwise
+ * a new one), echo it back, and start the request context with it and the
+ * client IP. authenticate and resolvePractice add the actor and practice.
+ */
+exports.requestContext = (req, res, next) => {
+  const header = req.get("X-Request-ID");
+  const requestId =
+    header && REQUEST_ID_FORMAT.test(header) ? header : crypto.randomUUID();
+
+  req.requestId = requestId;
+  res.set("X-Request-ID", requestId);
+
+  requestContext.run({ requestId, ipAddress: req.ip }, next);
+};
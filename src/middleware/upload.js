@@ -0,0 +1,15 @@
+// src/middleware/upload.js
+const express = require("express");
+const config = require("../config");
+
+/**
+ * Read an upload sent as the raw request body into req.body (a Buffer), with
+ * its file name in the `name` query parameter. Any Content-Type is accepted:
+ * the services detect the real type from the content.
+ * @param {Number} limit - Largest accepted body, in bytes
+ * @returns {Function} Express middleware
+ */
+const rawUpload = (limit) => express.raw({ type: () => true, limit });
+
+exports.imageUpload = rawUpload(config.app.uploads.maxImageBytes);
+exports.documentUpload = rawUpload(config.app.uploads.maxDocumentBytes);
@@ -0,0 +1,40 @@
+// src/notifications/index.js
+const { sendMail } = require("../mailer");
+const { sendSms } = require("../sms");
+
+/**
+ * Delivery channels, by NotificationChannel
+ *
+ * Each channel picks the recipient's address on it (null when they can't be
+ * reached that way) and sends a named template there. Templates of the same
+ * name must exist for every channel.
+ */
+const channels = {
+  EMAIL: {
+    address: (recipient) => recipient.email || null,
+    send: ({ to, template, data, locale }) =>
+      sendMail({ to, template, data, locale }),
+  },
+  SMS: {
+    address: (recipient) => recipient.phone || null,
+    send: ({ to, template, data, locale, idempotencyKey }) =>
+      sendSms({ to, template, data, locale, idempotencyKey }),
+  },
+};
+
+exports.CHANNELS = Object.keys(channels);
+
+/**
+ * Get a delivery channel
+ * @param {String} name - NotificationChannel, e.g. "EMAIL"
+ * @returns {Object} Channel with address(recipient) and send(message)
+ */
+exports.getChannel = (name) => {
+  const channel = channels[name];
+
+  if (!channel) {
+    throw new Error(`Unknown notification channel "${name}"`);
+  }
+
+  return channel;
+};
@@ -0,0 +1,152 @@
+// src/routes/admin.routes.js
+const express = require("express");
+const router = express.Router();
+
+const adminController = require("../controllers/admin.controller");
+const { authenticate, authorize } = require("../middleware/auth");
+const { resolvePractice } = require("../middleware/practice");
+const { imageUpload } = require("../middleware/upload");
+
+// All admin routes require an authenticated SUPER_ADMIN or ADMIN
+router.use(authenticate, authorize("SUPER_ADMIN", "ADMIN"));
+
+// Account actions on users of the practice selected by X-Practice-ID; only
+// super admins can act on admin accounts
+router.post(
+  "/doctors/:id/logout",
+  resolvePractice,
+  adminController.forceLogoutDoctor
+);
+router.post(
+  "/users/:id/unlock",
+  resolvePractice,
+  adminController.unlockAccount
+);
+router.post(
+  "/users/:id/reset-2fa",
+  resolvePractice,
+  adminController.resetTwoFactor
+);
+router.get(
+  "/users/:id/security-events",
+  resolvePractice,
+  adminController.getSecurityEvents
+);
+
+// Invitations belong to the practice selected by X-Practice-ID
+router.get("/invitations", resolvePractice, adminController.getInvitations);
+router.post("/invitations", resolvePractice, adminController.createInvitation);
+router.post(
+  "/invitations/:id/resend",
+  resolvePractice,
+  adminController.resendInvitation
+);
+router.delete(
+  "/invitations/:id",
+  resolvePractice,
+  adminController.revokeInvitation
+);
+
+// Super admins see and create every practice; admins manage the practices
+// they are linked to. Deactivation is soft and keeps all appointments.
+router.get("/practices", adminController.getPractices);
+router.post(
+  "/practices",
+  authorize("SUPER_ADMIN"),
+  adminController.createPractice
+);
+router.get("/practices/:id", adminController.getPractice);
+router.patch("/practices/:id", adminController.updatePractice);
+router.put(
+  "/practices/:id/logo",
+  imageUpload,
+  adminController.uploadPracticeLogo
+);
+router.delete("/practices/:id/logo", adminController.removePracticeLogo);
+router.post(
+  "/practices/:id/deactivate",
+  authorize("SUPER_ADMIN"),
+  adminController.deactivatePractice
+);
+router.post(
+  "/practices/:id/activate",
+  authorize("SUPER_ADMIN"),
+  adminController.activatePractice
+);
+
+// Doctors, staff and services of the practice selected by X-Practice-ID.
+// Doctors and staff join through invitations.
+router.get("/doctors", resolvePractice, adminController.getDoctors);
+router.get("/doctors/:id", resolvePractice, adminController.getDoctor);
+router.patch("/doctors/:id", resolvePractice, adminController.updateDoctor);
+router.put(
+  "/doctors/:id/photo",
+  resolvePractice,
+  imageUpload,
+  adminController.uploadDoctorPhoto
+);
+router.delete(
+  "/doctors/:id/photo",
+  resolvePractice,
+  adminController.removeDoctorPhoto
+);
+router.post(
+  "/doctors/:id/deactivate",
+  resolvePractice,
+  adminController.deactivateDoctor
+);
+router.post(
+  "/doctors/:id/activate",
+  resolvePractice,
+  adminController.activateDoctor
+);
+
+router.get("/staff", resolvePractice, adminController.getStaffList);
+router.get("/staff/:id", resolvePractice, adminController.getStaff);
+router.patch("/staff/:id", resolvePractice, adminController.updateStaff);
+router.post(
+  "/staff/:id/deactivate",
+  resolvePractice,
+  adminController.deactivateStaff
+);
+router.post(
+  "/staff/:id/activate",
+  resolvePractice,
+  adminController.activateStaff
+);
+
+router.get("/services", resolvePractice, adminController.getServices);
+router.post("/services", resolvePractice, adminController.createService);
+router.get("/services/:id", resolvePractice, adminController.getService);
+router.patch("/services/:id", resolvePractice, adminController.updateService);
+router.post(
+  "/services/:id/deactivate",
+  resolvePractice,
+  adminController.deactivateService
+);
+router.post(
+  "/services/:id/activate",
+  resolvePractice,
+  adminController.activateService
+);
+
+// Audit trail of the practice selected by X-Practice-ID. Account entries
+// outside any practice (sign-in security, passwords) are for super admins.
+router.get("/audit-logs", resolvePractice, adminController.getAuditLogs);
+router.get(
+  "/audit-logs/verify",
+  resolvePractice,
+  adminController.verifyAuditLogs
+);
+router.get(
+  "/audit-logs/system",
+  authorize("SUPER_ADMIN"),
+  adminController.getSystemAuditLogs
+);
+router.get(
+  "/audit-logs/system/verify",
+  authorize("SUPER_ADMIN"),
+  adminController.verifySystemAuditLogs
+);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// src/routes/analytics.routes.js
+const express = require("express");
+const router = express.Router();
+
+const analyticsController = require("../controllers/analytics.controller");
+const { authenticate, authorize } = require("../middleware/auth");
+const { resolvePractice } = require("../middleware/practice");
+
+// Reports cover the practice selected by X-Practice-ID, for its admins
+router.use(authenticate, authorize("SUPER_ADMIN", "ADMIN"), resolvePractice);
+
+router.get("/report", analyticsController.getReport);
+router.get("/report.csv", analyticsController.exportReport);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// src/routes/appointment.routes.js
+const express = require("express");
+const router = express.Router();
+
+const appointmentController = require("../controllers/appointment.controller");
+const { authenticate, authorize } = require("../middleware/auth");
+const { resolvePractice } = require("../middleware/practice");
+const { authLimiter } = require("../middleware/rateLimit");
+const { documentUpload } = require("../middleware/upload");
+
+// Public routes, reached from the signed links in reminders
+router.get(
+  "/links/:token",
+  authLimiter,
+  appointmentController.getLinkedAppointment
+);
+router.post(
+  "/links/:token/confirm",
+  authLimiter,
+  appointmentController.confirmFromLink
+);
+router.post(
+  "/links/:token/cancel",
+  authLimiter,
+  appointmentController.cancelFromLink
+);
+
+// Practice team members manage appointments in the selected practice
+router.use(
+  authenticate,
+  authorize("SUPER_ADMIN", "ADMIN", "STAFF", "DOCTOR"),
+  resolvePractice
+);
+
+router.get("/", appointmentController.getAppointments);
+router.post("/", appointmentController.createAppointment);
+router.post("/series/preview", appointmentController.previewSeries);
+router.post("/series", appointmentController.createSeries);
+router.get("/series/:id", appointmentController.getSeries);
+router.get("/:id", appointmentController.getAppointment);
+router.post("/:id/reschedule", appointmentController.rescheduleAppointment);
+router.post("/:id/cancel", appointmentController.cancelAppointment);
+router.post("/:id/status", appointmentController.updateStatus);
+router.get("/:id/history", appointmentController.getHistory);
+
+// Patient documents (referral letters, lab results, ...), downloaded through
+// the signed URLs in the responses
+router.get("/:id/documents", appointmentController.getDocuments);
+router.post(
+  "/:id/documents",
+  documentUpload,
+  appointmentController.addDocument
+);
+router.get("/:id/documents/:documentId", appointmentController.getDocument);
+router.delete(
+  "/:id/documents/:documentId",
+  appointmentController.removeDocument
+);
+
+module.exports = router;
@@ -3,11 +3,57 @@ const express = require("express");
 const router = express.Router();
 
 const authController = require("../controllers/auth.controller");
-const { authenticate } = require("../middleware/auth");
+const {
+  authenticate,
+  authenticateAllowTwoFactorSetup,
+} = require("../middleware/auth");
+const { authLimiter } = require("../middleware/rateLimit");
 
+// Public routes
+router.post("/login", authLimiter, authController.login);
+router.post("/verify-2fa", authLimiter, authController.verifyTwoFactor);
+router.post("/forgot-password", authLimiter, authController.forgotPassword);
+router.post(
+  "/reset-password/:token",
+  authLimiter,
+  authController.resetPassword
+);
+router.post("/refresh", authController.refresh);
+router.post("/logout", authController.logout);
+router.get("/invitations/:token", authLimiter, authController.getInvitation);
+router.post(
+  "/invitations/:token/accept",
+  authLimiter,
+  authController.acceptInvitation
+);
 
-// Protected routes
+// Protected routes, reachable before a mandatory 2FA enrollment
+router.get(
+  "/me",
+  authenticateAllowTwoFactorSetup,
+  authController.getCurrentUser
+);
+router.post(
+  "/setup-2fa",
+  authenticateAllowTwoFactorSetup,
+  authController.setupTwoFactor
+);
+router.post(
+  "/enable-2fa",
+  authenticateAllowTwoFactorSetup,
+  authController.enableTwoFactor
+);
 
+// Protected routes
+router.post("/change-password", authenticate, authController.changePassword);
+router.post("/disable-2fa", authenticate, authController.disableTwoFactor);
+router.post(
+  "/2fa/backup-codes",
+  authenticate,
+  authController.regenerateBackupCodes
+);
+router.get("/sessions", authenticate, authController.getSessions);
+router.delete("/sessions", authenticate, authController.revokeOtherSessions);
+router.delete("/sessions/:id", authenticate, authController.revokeSession);
 
-// Public routes
 module.exports = router;
@@ -0,0 +1,63 @@
+// src/routes/doctor.routes.js
+const express = require("express");
+const router = express.Router();
+
+const doctorController = require("../controllers/doctor.controller");
+const { authenticate, authorize } = require("../middleware/auth");
+const { resolvePractice } = require("../middleware/practice");
+const { imageUpload } = require("../middleware/upload");
+
+// Calendar subscription, authenticated by the token in its URL
+router.get("/:id/calendar.ics", doctorController.getCalendarFeed);
+
+// Doctor routes act within the practice selected by X-Practice-ID
+router.use(authenticate, resolvePractice);
+
+// The signed-in doctor's own workspace
+router.get("/me/agenda", authorize("DOCTOR"), doctorController.getAgenda);
+router.post(
+  "/me/appointments/:id/confirm",
+  authorize("DOCTOR"),
+  doctorController.confirmAppointment
+);
+router.post(
+  "/me/appointments/:id/complete",
+  authorize("DOCTOR"),
+  doctorController.completeAppointment
+);
+router.post(
+  "/me/appointments/:id/no-show",
+  authorize("DOCTOR"),
+  doctorController.markNoShow
+);
+router.patch(
+  "/me/appointments/:id/notes",
+  authorize("DOCTOR"),
+  doctorController.updateAppointmentNotes
+);
+router.put(
+  "/me/photo",
+  authorize("DOCTOR"),
+  imageUpload,
+  doctorController.uploadPhoto
+);
+router.delete("/me/photo", authorize("DOCTOR"), doctorController.removePhoto);
+router.get("/me/schedule", authorize("DOCTOR"), doctorController.getSchedule);
+router.put(
+  "/me/schedule",
+  authorize("DOCTOR"),
+  doctorController.updateSchedule
+);
+router.post("/me/time-off", authorize("DOCTOR"), doctorController.addTimeOff);
+router.delete(
+  "/me/time-off/:id",
+  authorize("DOCTOR"),
+  doctorController.removeTimeOff
+);
+
+router.get("/availability", doctorController.getPracticeAvailability);
+router.get("/:id/availability", doctorController.getAvailability);
+router.post("/:id/calendar-token", doctorController.createCalendarToken);
+router.delete("/:id/calendar-token", doctorController.revokeCalendarToken);
+
+module.exports = router;
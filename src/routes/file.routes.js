@@ -0,0 +1,12 @@
+// src/routes/file.routes.js
+const express = require("express");
+const router = express.Router();
+
+const fileController = require("../controllers/file.controller");
+const { publicLimiter } = require("../middleware/rateLimit");
+
+// Uploaded files are only served through the signed, expiring URLs handed
+// out after an access check, never as a static folder
+router.get("/:id", publicLimiter, fileController.downloadFile);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// src/routes/practice.routes.js
+const express = require("express");
+const router = express.Router();
+
+const practiceController = require("../controllers/practice.controller");
+const { authenticate } = require("../middleware/auth");
+const { resolvePractice } = require("../middleware/practice");
+
+router.use(authenticate);
+
+router.get("/", practiceController.getPractices);
+router.get("/current", resolvePractice, practiceController.getCurrentPractice);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// src/routes/public.routes.js
+const express = require("express");
+const router = express.Router();
+
+const publicController = require("../controllers/public.controller");
+const { requireBotCheck } = require("../middleware/botCheck");
+const { publicLimiter, bookingLimiter } = require("../middleware/rateLimit");
+
+// Unauthenticated booking site, keyed by practice slug
+router.use(publicLimiter);
+
+router.get("/practices/:slug", publicController.getPractice);
+router.get("/practices/:slug/services", publicController.getServices);
+router.get("/practices/:slug/doctors", publicController.getDoctors);
+router.get("/practices/:slug/availability", publicController.getAvailability);
+
+// Uploaded logos and doctor photos, linked from the practice and doctor
+// profiles; they redirect to signed file URLs
+router.get("/logos/:id", publicController.getLogo);
+router.get("/photos/:id", publicController.getPhoto);
+
+// Guest bookings are held until confirmed from the emailed link
+router.post(
+  "/practices/:slug/bookings",
+  bookingLimiter,
+  requireBotCheck,
+  publicController.requestBooking
+);
+router.get("/practices/:slug/bookings/:token", publicController.getBooking);
+router.post(
+  "/practices/:slug/bookings/:token/confirm",
+  bookingLimiter,
+  publicController.confirmBooking
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// src/routes/waitlist.routes.js
+const express = require("express");
+const router = express.Router();
+
+const waitlistController = require("../controllers/waitlist.controller");
+const { authenticate, authorize } = require("../middleware/auth");
+const { resolvePractice } = require("../middleware/practice");
+const { authLimiter } = require("../middleware/rateLimit");
+
+// Public routes, reached from the offer email
+router.get("/offers/:token", authLimiter, waitlistController.getOffer);
+router.post(
+  "/offers/:token/accept",
+  authLimiter,
+  waitlistController.acceptOffer
+);
+router.post(
+  "/offers/:token/decline",
+  authLimiter,
+  waitlistController.declineOffer
+);
+
+// Patients join and leave the selected practice's waitlist; the team
+// manages it
+router.use(authenticate, resolvePractice);
+
+router.get(
+  "/",
+  authorize("SUPER_ADMIN", "ADMIN", "STAFF", "DOCTOR"),
+  waitlistController.getWaitlist
+);
+router.post("/", waitlistController.joinWaitlist);
+router.delete("/:id", waitlistController.removeEntry);
+
+module.exports = router;
@@ -0,0 +1,1039 @@
+// src/services/admin.services.js
+const { PrismaClient } = require("@prisma/client");
+const slugify = require("slugify");
+const appointmentService = require("./appointment.services");
+const auditService = require("./audit.services");
+const fileService = require("./file.services");
+const practiceService = require("./practice.services");
+const sessionService = require("./session.services");
+const twoFactorService = require("./twoFactor.services");
+const securityEvents = require("./securityEvent.services");
+const bruteForce = require("./bruteForce.services");
+const { sendMail } = require("../mailer");
+const { CHANNELS } = require("../notifications");
+const { scopedPrisma } = require("../utils/practiceScope");
+const { isValidTimeZone } = require("../utils/timezone");
+const {
+  AuthorizationError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+const HEX_COLOR = /^#(?:[0-9a-fA-F]{3}){1,2}$/;
+
+// Practice fields an admin can change as given
+const PRACTICE_TEXT_FIELDS = [
+  "email",
+  "phone",
+  "address",
+  "city",
+  "state",
+  "zip",
+  "website",
+  "logo",
+  "description",
+];
+
+const DOCTOR_FIELDS = [
+  "title",
+  "specialty",
+  "bio",
+  "education",
+  "profileImage",
+];
+
+const userSelect = {
+  select: { id: true, email: true, firstName: true, lastName: true },
+};
+
+const practiceAdminSelect = {
+  id: true,
+  name: true,
+  slug: true,
+  email: true,
+  phone: true,
+  address: true,
+  city: true,
+  state: true,
+  zip: true,
+  website: true,
+  logo: true,
+  primaryColor: true,
+  secondaryColor: true,
+  description: true,
+  timezone: true,
+  reminderOffsets: true,
+  reminderChannels: true,
+  active: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: { select: { doctors: true, staff: true, services: true } },
+};
+
+const doctorAdminSelect = {
+  id: true,
+  title: true,
+  specialty: true,
+  bio: true,
+  education: true,
+  profileImage: true,
+  active: true,
+  createdAt: true,
+  updatedAt: true,
+  user: userSelect,
+  services: { select: { id: true, name: true } },
+};
+
+const staffAdminSelect = {
+  id: true,
+  position: true,
+  active: true,
+  createdAt: true,
+  updatedAt: true,
+  user: userSelect,
+};
+
+const serviceAdminSelect = {
+  id: true,
+  name: true,
+  description: true,
+  duration: true,
+  bufferMinutes: true,
+  price: true,
+  color: true,
+  active: true,
+  createdAt: true,
+  updatedAt: true,
+  doctors: {
+    select: {
+      id: true,
+      title: true,
+      active: true,
+      user: { select: { firstName: true, lastName: true } },
+    },
+  },
+};
+
+// Roles whose accounts only super admins may manage
+const ADMIN_ROLES = ["SUPER_ADMIN", "ADMIN"];
+
+/**
+ * Filter on users who belong to a practice: its doctors, staff, admins and
+ * patients
+ * @param {String} practiceId - Practice ID
+ * @returns {Object} Prisma where clause
+ */
+const practiceMemberWhere = (practiceId) => ({
+  OR: [
+    { doctor: { practiceId } },
+    { staff: { practiceId } },
+    { admin: { practices: { some: { id: practiceId } } } },
+    { patient: { practices: { some: { id: practiceId } } } },
+  ],
+});
+
+/**
+ * Find a user whose account an admin may manage from a practice
+ *
+ * The user must belong to the practice. Super admins belong to none, so
+ * only other super admins can reach their accounts; admins can't act on
+ * admin or super admin accounts at all.
+ * @param {String} practiceId - Practice the admin acts in
+ * @param {String} userId - User ID
+ * @param {Object} admin - Authenticated admin
+ * @returns {Object} User
+ */
+const findManagedUser = async (practiceId, userId, admin) => {
+  const isSuperAdmin = admin.role === "SUPER_ADMIN";
+
+  const user = await prisma.user.findFirst({
+    where: {
+      AND: [
+        { id: userId },
+        isSuperAdmin
+          ? { OR: [practiceMemberWhere(practiceId), { role: "SUPER_ADMIN" }] }
+          : practiceMemberWhere(practiceId),
+      ],
+    },
+  });
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!isSuperAdmin && ADMIN_ROLES.includes(user.role)) {
+    throw new AuthorizationError(
+      "Only super admins can manage admin accounts",
+      "ADMIN_ACCOUNT_PROTECTED"
+    );
+  }
+
+  return user;
+};
+
+/**
+ * Force-logout a doctor of the practice by revoking all of their sessions
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - User ID of the doctor
+ * @param {Object} admin - Authenticated admin
+ * @returns {Number} Number of revoked sessions
+ */
+exports.forceLogoutDoctor = async (practiceId, doctorId, admin) => {
+  const user = await findManagedUser(practiceId, doctorId, admin);
+
+  if (user.role !== "DOCTOR") {
+    throw new NotFoundError("Doctor not found");
+  }
+
+  return sessionService.revokeUserSessions(user.id, {
+    reason: "admin_forced_logout",
+  });
+};
+
+/**
+ * Reset a user's 2FA so they can sign in with their password and re-enroll
+ * (e.g. after losing their phone and backup codes)
+ * @param {String} practiceId - Practice the user belongs to
+ * @param {String} userId - User ID
+ * @param {Object} admin - Admin performing the reset
+ * @param {String} reason - Why the reset was needed, kept in the audit trail
+ * @param {Object} meta - Client metadata (ipAddress)
+ */
+exports.resetTwoFactor = async (
+  practiceId,
+  userId,
+  admin,
+  reason,
+  meta = {}
+) => {
+  const user = await findManagedUser(practiceId, userId, admin);
+
+  await twoFactorService.clearTwoFactor(user.id);
+  await sessionService.revokeUserSessions(user.id, {
+    reason: "two_factor_reset",
+  });
+
+  await securityEvents.record({
+    userId: user.id,
+    actorId: admin.id,
+    type: "TWO_FACTOR_RESET",
+    ipAddress: meta.ipAddress,
+    metadata: { reason },
+  });
+
+  try {
+    await sendMail({
+      to: user.email,
+      template: "twoFactorReset",
+      data: { adminName: `${admin.firstName} ${admin.lastName}` },
+    });
+  } catch (error) {
+    console.error("Failed to send 2FA reset email:", error);
+  }
+};
+
+/**
+ * Unlock the account of a user of the practice before its lockout expires
+ * @param {String} practiceId - Practice the user belongs to
+ * @param {String} userId - User ID
+ * @param {Object} admin - Admin performing the unlock
+ */
+exports.unlockAccount = async (practiceId, userId, admin) => {
+  const user = await findManagedUser(practiceId, userId, admin);
+
+  await bruteForce.unlockAccount(user.id, admin);
+};
+
+/**
+ * Get the security event history of a user of the practice
+ * @param {String} practiceId - Practice the user belongs to
+ * @param {String} userId - User ID
+ * @param {Object} admin - Authenticated admin
+ * @returns {Array} Events, newest first
+ */
+exports.getSecurityEvents = async (practiceId, userId, admin) => {
+  const user = await findManagedUser(practiceId, userId, admin);
+
+  return securityEvents.listForUser(user.id);
+};
+
+/**
+ * Check a color given as a hex code
+ * @param {String} value - Color, e.g. "#1e88e5" (null clears it)
+ * @param {String} name - Field name, for the error message
+ * @returns {String|null} Color
+ */
+const parseColor = (value, name) => {
+  if (value === null || value === "") return null;
+
+  if (!HEX_COLOR.test(value)) {
+    throw new ValidationError(`${name} must be a hex color, e.g. #1e88e5`);
+  }
+
+  return value;
+};
+
+/**
+ * Check a whole number field
+ * @param {*} value - Value
+ * @param {String} name - Field name, for the error message
+ * @param {Number} min - Smallest allowed value
+ * @returns {Number} Number
+ */
+const parseWholeNumber = (value, name, min) => {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < min) {
+    throw new ValidationError(
+      `${name} must be a whole number of at least ${min}`
+    );
+  }
+
+  return number;
+};
+
+/**
+ * Turn the fields given for a practice into update data
+ * @param {Object} data - Fields to set (see createPractice)
+ * @returns {Object} Prisma data
+ */
+const practiceData = (data) => {
+  const result = {};
+
+  for (const field of PRACTICE_TEXT_FIELDS) {
+    if (data[field] !== undefined) result[field] = data[field] || null;
+  }
+
+  if (data.name !== undefined) {
+    if (!String(data.name).trim()) {
+      throw new ValidationError("Please provide a practice name");
+    }
+    result.name = String(data.name).trim();
+  }
+
+  if (data.slug !== undefined) {
+    result.slug = slugify(String(data.slug), { lower: true, strict: true });
+
+    if (!result.slug) {
+      throw new ValidationError("Please provide a valid slug");
+    }
+  }
+
+  for (const field of ["primaryColor", "secondaryColor"]) {
+    if (data[field] !== undefined) {
+      result[field] = parseColor(data[field], field);
+    }
+  }
+
+  if (data.timezone !== undefined) {
+    if (!isValidTimeZone(data.timezone)) {
+      throw new ValidationError("Please provide a valid IANA time zone");
+    }
+    result.timezone = data.timezone;
+  }
+
+  if (data.reminderOffsets !== undefined) {
+    if (!Array.isArray(data.reminderOffsets)) {
+      throw new ValidationError("reminderOffsets must be a list of minutes");
+    }
+    result.reminderOffsets = [
+      ...new Set(
+        data.reminderOffsets.map((minutes) =>
+          parseWholeNumber(minutes, "reminderOffsets", 1)
+        )
+      ),
+    ].sort((a, b) => b - a);
+  }
+
+  if (data.reminderChannels !== undefined) {
+    if (
+      !Array.isArray(data.reminderChannels) ||
+      data.reminderChannels.some((channel) => !CHANNELS.includes(channel))
+    ) {
+      throw new ValidationError(
+        `reminderChannels must be a list of: ${CHANNELS.join(", ")}`
+      );
+    }
+    result.reminderChannels = [...new Set(data.reminderChannels)];
+  }
+
+  return result;
+};
+
+/**
+ * Find a practice the admin manages
+ * @param {Object} user - Authenticated admin
+ * @param {String} practiceId - Practice ID
+ * @returns {Object} Practice
+ */
+const findManagedPractice = async (user, practiceId) => {
+  const practice = await prisma.practice.findFirst({
+    where: {
+      AND: [{ id: practiceId }, practiceService.membershipWhere(user)],
+    },
+    select: practiceAdminSelect,
+  });
+
+  if (!practice) {
+    throw new NotFoundError("Practice not found", "PRACTICE_NOT_FOUND");
+  }
+
+  return practice;
+};
+
+/**
+ * List the practices an admin manages: all of them for super admins, the
+ * ones they are linked to for admins
+ * @param {Object} user - Authenticated admin
+ * @param {Object} filters - Filters
+ * @param {Boolean} [filters.active] - Only active or inactive practices
+ * @returns {Array} Practices, by name
+ */
+exports.listPractices = async (user, { active } = {}) => {
+  return prisma.practice.findMany({
+    where: {
+      AND: [
+        practiceService.membershipWhere(user),
+        active !== undefined ? { active } : {},
+      ],
+    },
+    select: practiceAdminSelect,
+    orderBy: { name: "asc" },
+  });
+};
+
+/**
+ * Get a practice the admin manages
+ * @param {Object} user - Authenticated admin
+ * @param {String} practiceId - Practice ID
+ * @returns {Object} Practice
+ */
+exports.getPractice = async (user, practiceId) =>
+  findManagedPractice(user, practiceId);
+
+/**
+ * Create a practice (super admins)
+ * @param {Object} data - Practice data
+ * @param {String} data.name - Name
+ * @param {String} [data.slug] - Public URL slug (derived from the name if
+ *   omitted)
+ * @param {String} [data.timezone] - IANA time zone of the schedules
+ * @param {String} [data.primaryColor] - Branding color (hex)
+ * @param {String} [data.secondaryColor] - Branding color (hex)
+ * @param {Array} [data.reminderOffsets] - Minutes before appointments that
+ *   reminders go out
+ * @param {Array} [data.reminderChannels] - NotificationChannels of reminders
+ * @returns {Object} Practice
+ */
+exports.createPractice = async (data) => {
+  const practice = await prisma.practice.create({
+    data: practiceData({ ...data, slug: data.slug || data.name }),
+    select: { id: true },
+  });
+
+  return prisma.practice.findUnique({
+    where: { id: practice.id },
+    select: practiceAdminSelect,
+  });
+};
+
+/**
+ * Update a practice the admin manages
+ * @param {Object} user - Authenticated admin
+ * @param {String} practiceId - Practice ID
+ * @param {Object} data - Fields to change (see createPractice, plus contact
+ *   details, address, website, logo and description)
+ * @returns {Object} Practice
+ */
+exports.updatePractice = async (user, practiceId, data) => {
+  const practice = await findManagedPractice(user, practiceId);
+
+  return prisma.practice.update({
+    where: { id: practice.id },
+    data: practiceData(data),
+    select: practiceAdminSelect,
+  });
+};
+
+/**
+ * Upload the logo of a practice the admin manages, replacing the old one
+ * @param {Object} user - Authenticated admin
+ * @param {String} practiceId - Practice ID
+ * @param {Object} upload - Upload (data and name)
+ * @returns {Object} Practice
+ */
+exports.setPracticeLogo = async (user, practiceId, upload) => {
+  const practice = await findManagedPractice(user, practiceId);
+
+  await fileService.replaceImage(
+    practice.id,
+    "PRACTICE_LOGO",
+    practice.id,
+    upload,
+    user
+  );
+
+  return findManagedPractice(user, practice.id);
+};
+
+/**
+ * Remove the uploaded logo of a practice the admin manages
+ * @param {Object} user - Authenticated admin
+ * @param {String} practiceId - Practice ID
+ * @returns {Object} Practice
+ */
+exports.removePracticeLogo = async (user, practiceId) => {
+  const practice = await findManagedPractice(user, practiceId);
+
+  await fileService.removeImage(practice.id, "PRACTICE_LOGO", practice.id);
+
+  return findManagedPractice(user, practice.id);
+};
+
+/**
+ * Deactivate or reactivate a practice (super admins)
+ *
+ * A deactivated practice keeps its data and appointments, but disappears
+ * from the public site and its team can no longer act in it.
+ * @param {String} practiceId - Practice ID
+ * @param {Boolean} active - New state
+ * @returns {Object} Practice
+ */
+exports.setPracticeActive = async (practiceId, active) => {
+  const practice = await prisma.practice.findUnique({
+    where: { id: practiceId },
+    select: { id: true },
+  });
+
+  if (!practice) {
+    throw new NotFoundError("Practice not found", "PRACTICE_NOT_FOUND");
+  }
+
+  return prisma.practice.update({
+    where: { id: practice.id },
+    data: { active },
+    select: practiceAdminSelect,
+  });
+};
+
+/**
+ * Check that IDs all belong to records of the practice
+ * @param {Object} delegate - Scoped Prisma model (e.g. db.service)
+ * @param {Array} ids - IDs
+ * @param {String} name - Field name, for the error message
+ * @returns {Array} Relation list for connect or set
+ */
+const practiceRecords = async (delegate, ids, name) => {
+  if (!Array.isArray(ids)) {
+    throw new ValidationError(`${name} must be a list of IDs`);
+  }
+
+  const unique = [...new Set(ids)];
+  const found = await delegate.count({ where: { id: { in: unique } } });
+
+  if (found !== unique.length) {
+    throw new ValidationError(`Some ${name} do not belong to this practice`);
+  }
+
+  return unique.map((id) => ({ id }));
+};
+
+/**
+ * Record that doctors or staff members were viewed
+ * @param {String} practiceId - Practice ID
+ * @param {Array} members - Doctors or staff members (with their user)
+ */
+const recordMemberReads = (practiceId, members) =>
+  auditService.recordMany(
+    auditService.reads(
+      practiceId,
+      "USER",
+      members.map((member) => member.user.id)
+    )
+  );
+
+/**
+ * Record a change to a doctor's or staff member's profile
+ * @param {String} practiceId - Practice ID
+ * @param {Object} member - Doctor or staff member (with their user)
+ * @param {Object} before - Old values of the changed fields
+ * @param {Object} after - New values
+ */
+const recordMemberUpdate = (practiceId, member, before, after) =>
+  auditService.record({
+    practiceId,
+    action: "UPDATE",
+    resourceType: "USER",
+    resourceId: member.user.id,
+    changes: auditService.diff(before, after),
+  });
+
+/**
+ * Find one of a practice's doctors
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @returns {Object} Doctor
+ */
+const findDoctor = async (practiceId, doctorId) => {
+  const doctor = await scopedPrisma(practiceId).doctor.findUnique({
+    where: { id: doctorId },
+    select: doctorAdminSelect,
+  });
+
+  if (!doctor) {
+    throw new NotFoundError("Doctor not found");
+  }
+
+  return doctor;
+};
+
+/**
+ * Editable profile fields of a doctor, for the audit trail
+ * @param {Object} doctor - Doctor
+ * @returns {Object} Profile fields and service IDs
+ */
+const doctorProfile = (doctor) => ({
+  ...Object.fromEntries(DOCTOR_FIELDS.map((field) => [field, doctor[field]])),
+  serviceIds: doctor.services.map((service) => service.id).sort(),
+});
+
+/**
+ * List a practice's doctors
+ * @param {String} practiceId - Practice ID
+ * @param {Object} filters - Filters
+ * @param {Boolean} [filters.active] - Only active or inactive doctors
+ * @returns {Array} Doctors, by last name
+ */
+exports.listDoctors = async (practiceId, { active } = {}) => {
+  const doctors = await scopedPrisma(practiceId).doctor.findMany({
+    where: active !== undefined ? { active } : {},
+    select: doctorAdminSelect,
+    orderBy: { user: { lastName: "asc" } },
+  });
+
+  await recordMemberReads(practiceId, doctors);
+
+  return doctors;
+};
+
+/**
+ * Get one of a practice's doctors
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @returns {Object} Doctor
+ */
+exports.getDoctor = async (practiceId, doctorId) => {
+  const doctor = await findDoctor(practiceId, doctorId);
+
+  await recordMemberReads(practiceId, [doctor]);
+
+  return doctor;
+};
+
+/**
+ * Update a doctor's profile and the services they offer
+ *
+ * Doctors join a practice by accepting an invitation.
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @param {Object} data - Fields to change: title, specialty, bio, education,
+ *   profileImage and serviceIds (replaces the list)
+ * @returns {Object} Doctor
+ */
+exports.updateDoctor = async (practiceId, doctorId, data) => {
+  const db = scopedPrisma(practiceId);
+  const doctor = await findDoctor(practiceId, doctorId);
+  const changes = {};
+
+  for (const field of DOCTOR_FIELDS) {
+    if (data[field] !== undefined) changes[field] = data[field] || null;
+  }
+
+  if (data.serviceIds !== undefined) {
+    changes.services = {
+      set: await practiceRecords(db.service, data.serviceIds, "serviceIds"),
+    };
+  }
+
+  const updated = await db.doctor.update({
+    where: { id: doctor.id },
+    data: changes,
+    select: doctorAdminSelect,
+  });
+
+  await recordMemberUpdate(
+    practiceId,
+    doctor,
+    doctorProfile(doctor),
+    doctorProfile(updated)
+  );
+
+  return updated;
+};
+
+/**
+ * Upload a doctor's photo, replacing the old one
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @param {Object} upload - Upload (data and name)
+ * @param {Object} user - Authenticated admin
+ * @returns {Object} Doctor
+ */
+exports.setDoctorPhoto = async (practiceId, doctorId, upload, user) => {
+  const doctor = await findDoctor(practiceId, doctorId);
+
+  const { file, previousFileId } = await fileService.replaceImage(
+    practiceId,
+    "DOCTOR_PHOTO",
+    doctor.id,
+    upload,
+    user
+  );
+
+  await recordMemberUpdate(
+    practiceId,
+    doctor,
+    { photoFileId: previousFileId },
+    { photoFileId: file.id }
+  );
+
+  return findDoctor(practiceId, doctor.id);
+};
+
+/**
+ * Remove a doctor's uploaded photo
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @returns {Object} Doctor
+ */
+exports.removeDoctorPhoto = async (practiceId, doctorId) => {
+  const doctor = await findDoctor(practiceId, doctorId);
+
+  const fileId = await fileService.removeImage(
+    practiceId,
+    "DOCTOR_PHOTO",
+    doctor.id
+  );
+
+  await recordMemberUpdate(
+    practiceId,
+    doctor,
+    { photoFileId: fileId },
+    { photoFileId: null }
+  );
+
+  return findDoctor(practiceId, doctor.id);
+};
+
+/**
+ * Deactivate or reactivate a doctor
+ *
+ * A deactivated doctor can't be booked and is signed out, but keeps their
+ * appointments; the count of upcoming ones tells the admin what to move.
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @param {Boolean} active - New state
+ * @returns {Object} doctor and upcomingAppointments
+ */
+exports.setDoctorActive = async (practiceId, doctorId, active) => {
+  const db = scopedPrisma(practiceId);
+  const existing = await findDoctor(practiceId, doctorId);
+  const { user } = existing;
+
+  const doctor = await db.doctor.update({
+    where: { id: doctorId },
+    data: { active },
+    select: doctorAdminSelect,
+  });
+
+  await recordMemberUpdate(
+    practiceId,
+    existing,
+    { active: existing.active },
+    { active }
+  );
+
+  if (!active) {
+    await sessionService.revokeUserSessions(user.id, {
+      reason: "doctor_deactivated",
+    });
+  }
+
+  const upcomingAppointments = await db.appointment.count({
+    where: {
+      doctorId,
+      status: { in: appointmentService.ACTIVE_STATUSES },
+      startTime: { gt: new Date() },
+    },
+  });
+
+  return { doctor, upcomingAppointments };
+};
+
+/**
+ * List a practice's staff
+ * @param {String} practiceId - Practice ID
+ * @param {Object} filters - Filters
+ * @param {Boolean} [filters.active] - Only active or inactive staff
+ * @returns {Array} Staff members, by last name
+ */
+exports.listStaff = async (practiceId, { active } = {}) => {
+  const staff = await scopedPrisma(practiceId).staff.findMany({
+    where: active !== undefined ? { active } : {},
+    select: staffAdminSelect,
+    orderBy: { user: { lastName: "asc" } },
+  });
+
+  await recordMemberReads(practiceId, staff);
+
+  return staff;
+};
+
+/**
+ * Find one of a practice's staff members
+ * @param {String} practiceId - Practice ID
+ * @param {String} staffId - Staff ID
+ * @returns {Object} Staff member
+ */
+const findStaff = async (practiceId, staffId) => {
+  const staff = await scopedPrisma(practiceId).staff.findUnique({
+    where: { id: staffId },
+    select: staffAdminSelect,
+  });
+
+  if (!staff) {
+    throw new NotFoundError("Staff member not found");
+  }
+
+  return staff;
+};
+
+/**
+ * Get one of a practice's staff members
+ * @param {String} practiceId - Practice ID
+ * @param {String} staffId - Staff ID
+ * @returns {Object} Staff member
+ */
+exports.getStaff = async (practiceId, staffId) => {
+  const staff = await findStaff(practiceId, staffId);
+
+  await recordMemberReads(practiceId, [staff]);
+
+  return staff;
+};
+
+/**
+ * Change a staff member's position
+ *
+ * Staff join a practice by accepting an invitation.
+ * @param {String} practiceId - Practice ID
+ * @param {String} staffId - Staff ID
+ * @param {Object} data - Fields to change
+ * @param {String} data.position - Position, e.g. "Receptionist"
+ * @returns {Object} Staff member
+ */
+exports.updateStaff = async (practiceId, staffId, data) => {
+  const staff = await findStaff(practiceId, staffId);
+
+  const updated = await scopedPrisma(practiceId).staff.update({
+    where: { id: staff.id },
+    data: { position: data.position || null },
+    select: staffAdminSelect,
+  });
+
+  await recordMemberUpdate(
+    practiceId,
+    staff,
+    { position: staff.position },
+    { position: updated.position }
+  );
+
+  return updated;
+};
+
+/**
+ * Deactivate or reactivate a staff member; deactivation signs them out
+ * @param {String} practiceId - Practice ID
+ * @param {String} staffId - Staff ID
+ * @param {Boolean} active - New state
+ * @returns {Object} Staff member
+ */
+exports.setStaffActive = async (practiceId, staffId, active) => {
+  const existing = await findStaff(practiceId, staffId);
+  const { user } = existing;
+
+  const staff = await scopedPrisma(practiceId).staff.update({
+    where: { id: staffId },
+    data: { active },
+    select: staffAdminSelect,
+  });
+
+  await recordMemberUpdate(
+    practiceId,
+    existing,
+    { active: existing.active },
+    { active }
+  );
+
+  if (!active) {
+    await sessionService.revokeUserSessions(user.id, {
+      reason: "staff_deactivated",
+    });
+  }
+
+  return staff;
+};
+
+/**
+ * Turn the fields given for a service into create or update data
+ * @param {Object} db - Practice-scoped Prisma client
+ * @param {Object} data - Fields to set (see createService)
+ * @param {String} relation - "connect" (create) or "set" (update)
+ * @returns {Object} Prisma data
+ */
+const serviceData = async (db, data, relation) => {
+  const result = {};
+
+  if (data.name !== undefined) {
+    if (!String(data.name).trim()) {
+      throw new ValidationError("Please provide a service name");
+    }
+    result.name = String(data.name).trim();
+  }
+
+  if (data.description !== undefined) {
+    result.description = data.description || null;
+  }
+
+  if (data.duration !== undefined) {
+    result.duration = parseWholeNumber(data.duration, "duration", 1);
+  }
+
+  if (data.bufferMinutes !== undefined) {
+    result.bufferMinutes =
+      data.bufferMinutes === null
+        ? null
+        : parseWholeNumber(data.bufferMinutes, "bufferMinutes", 0);
+  }
+
+  if (data.price !== undefined) {
+    const price = Number(data.price);
+
+    if (!Number.isFinite(price) || price < 0) {
+      throw new ValidationError("price must be an amount of 0 or more");
+    }
+    result.price = String(data.price);
+  }
+
+  if (data.color !== undefined) {
+    result.color = parseColor(data.color, "color");
+  }
+
+  if (data.doctorIds !== undefined) {
+    result.doctors = {
+      [relation]: await practiceRecords(db.doctor, data.doctorIds, "doctorIds"),
+    };
+  }
+
+  return result;
+};
+
+/**
+ * List a practice's services
+ * @param {String} practiceId - Practice ID
+ * @param {Object} filters - Filters
+ * @param {Boolean} [filters.active] - Only active or inactive services
+ * @returns {Array} Services, by name
+ */
+exports.listServices = async (practiceId, { active } = {}) => {
+  return scopedPrisma(practiceId).service.findMany({
+    where: active !== undefined ? { active } : {},
+    select: serviceAdminSelect,
+    orderBy: { name: "asc" },
+  });
+};
+
+/**
+ * Get one of a practice's services
+ * @param {String} practiceId - Practice ID
+ * @param {String} serviceId - Service ID
+ * @returns {Object} Service
+ */
+exports.getService = async (practiceId, serviceId) => {
+  const service = await scopedPrisma(practiceId).service.findUnique({
+    where: { id: serviceId },
+    select: serviceAdminSelect,
+  });
+
+  if (!service) {
+    throw new NotFoundError("Service not found");
+  }
+
+  return service;
+};
+
+/**
+ * Add a service to a practice
+ * @param {String} practiceId - Practice ID
+ * @param {Object} data - Service data
+ * @param {String} data.name - Name
+ * @param {Number} data.duration - Length in minutes
+ * @param {Number} data.price - Price
+ * @param {String} [data.description] - Description
+ * @param {Number} [data.bufferMinutes] - Gap kept around visits (defaults to
+ *   config.booking)
+ * @param {String} [data.color] - Calendar color (hex)
+ * @param {Array} [data.doctorIds] - Doctors offering it
+ * @returns {Object} Service
+ */
+exports.createService = async (practiceId, data) => {
+  const db = scopedPrisma(practiceId);
+
+  return db.service.create({
+    data: await serviceData(db, data, "connect"),
+    select: serviceAdminSelect,
+  });
+};
+
+/**
+ * Update a service
+ *
+ * Changes apply to new bookings; existing appointments keep their times.
+ * @param {String} practiceId - Practice ID
+ * @param {String} serviceId - Service ID
+ * @param {Object} data - Fields to change (see createService; doctorIds
+ *   replaces the list)
+ * @returns {Object} Service
+ */
+exports.updateService = async (practiceId, serviceId, data) => {
+  const db = scopedPrisma(practiceId);
+  const service = await exports.getService(practiceId, serviceId);
+
+  return db.service.update({
+    where: { id: service.id },
+    data: await serviceData(db, data, "set"),
+    select: serviceAdminSelect,
+  });
+};
+
+/**
+ * Deactivate or reactivate a service
+ *
+ * A deactivated service can't be booked, but its existing appointments stay
+ * and can still be moved.
+ * @param {String} practiceId - Practice ID
+ * @param {String} serviceId - Service ID
+ * @param {Boolean} active - New state
+ * @returns {Object} Service
+ */
+exports.setServiceActive = async (practiceId, serviceId, active) => {
+  const service = await exports.getService(practiceId, serviceId);
+
+  return scopedPrisma(practiceId).service.update({
+    where: { id: service.id },
+    data: { active },
+    select: serviceAdminSelect,
+  });
+};
@@ -0,0 +1,713 @@
+// src/services/analytics.services.js
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const availabilityService = require("./availability.services");
+const queue = require("../jobs/queue");
+const { formatRow } = require("../utils/csv");
+const { scopedPrisma } = require("../utils/practiceScope");
+const { addDays, getZonedDate, zonedTimeToUtc } = require("../utils/timezone");
+const { ValidationError } = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+exports.AGGREGATE_JOB = "analytics.aggregate";
+
+// How a CSV export breaks each day down
+exports.EXPORT_GROUPS = ["doctor", "service"];
+
+const EXPORT_COLUMNS = [
+  "available_hours",
+  "utilization",
+  "booked_hours",
+  "appointments",
+  "completed",
+  "cancelled",
+  "no_shows",
+  "cancellation_rate",
+  "no_show_rate",
+  "average_lead_time_hours",
+  "estimated_revenue",
+];
+
+// AppointmentStat figures that add up across days
+const appointmentStatSums = {
+  appointments: true,
+  completed: true,
+  cancelled: true,
+  noShows: true,
+  bookedMinutes: true,
+  leadMinutes: true,
+  revenue: true,
+};
+
+/**
+ * Date column value of a calendar day
+ * @param {Object} day - year, month (1-12) and day
+ * @returns {Date} UTC midnight of that date
+ */
+const toDate = ({ year, month, day }) =>
+  new Date(Date.UTC(year, month - 1, day));
+
+/**
+ * Calendar day of a date column value
+ * @param {Date} date - UTC midnight
+ * @returns {Object} year, month (1-12) and day
+ */
+const fromDate = (date) => ({
+  year: date.getUTCFullYear(),
+  month: date.getUTCMonth() + 1,
+  day: date.getUTCDate(),
+});
+
+/**
+ * Format a calendar day
+ * @param {Object} day - year, month (1-12) and day
+ * @returns {String} YYYY-MM-DD
+ */
+const formatDay = (day) => toDate(day).toISOString().slice(0, 10);
+
+/**
+ * Parse a calendar day
+ * @param {String} value - YYYY-MM-DD
+ * @param {String} name - Parameter name, for the error message
+ * @returns {Object} year, month (1-12) and day
+ */
+const parseDay = (value, name) => {
+  if (DATE_ONLY.test(value || "")) {
+    const [year, month, day] = value.split("-").map(Number);
+    const parsed = { year, month, day };
+
+    // Rejects dates like 2026-02-30
+    if (formatDay(parsed) === value) return parsed;
+  }
+
+  throw new ValidationError(`Please provide ${name} as YYYY-MM-DD`);
+};
+
+/**
+ * The earlier of two calendar days
+ * @param {Object} a - Day
+ * @param {Object} b - Day
+ * @returns {Object} Earlier day
+ */
+const earlierDay = (a, b) => (toDate(a) <= toDate(b) ? a : b);
+
+/**
+ * The later of two calendar days
+ * @param {Object} a - Day
+ * @param {Object} b - Day
+ * @returns {Object} Later day
+ */
+const laterDay = (a, b) => (toDate(a) >= toDate(b) ? a : b);
+
+/**
+ * Counters of a report row, all zero
+ * @returns {Object} Counters
+ */
+const emptyCounters = () => ({
+  availableMinutes: 0,
+  appointments: 0,
+  completed: 0,
+  cancelled: 0,
+  noShows: 0,
+  bookedMinutes: 0,
+  leadMinutes: 0,
+  revenueCents: 0,
+});
+
+/**
+ * Add the counters of a stat to a total
+ * @param {Object} total - Counters added to
+ * @param {Object} stat - Stat (missing counters count as zero)
+ * @returns {Object} total
+ */
+const addCounters = (total, stat) => {
+  for (const key of Object.keys(total)) total[key] += stat[key] || 0;
+  return total;
+};
+
+/**
+ * Stored appointment stat, with revenue in cents like computed ones
+ * @param {Object} record - AppointmentStat fields or sums
+ * @returns {Object} Stat
+ */
+const fromRecord = ({ revenue, ...record }) => ({
+  ...record,
+  revenueCents: Math.round(Number(revenue || 0) * 100),
+});
+
+/**
+ * AppointmentStat row of a computed stat
+ * @param {Object} stat - Computed stat
+ * @returns {Object} Row data
+ */
+const toRecord = ({ revenueCents, ...stat }) => ({
+  ...stat,
+  revenue: (revenueCents / 100).toFixed(2),
+});
+
+/**
+ * Share of a whole, to four decimals
+ * @param {Number} part - Part
+ * @param {Number} whole - Whole
+ * @returns {Number|null} Ratio, or null without a whole
+ */
+const ratio = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+
+/**
+ * Minutes as hours, to two decimals
+ * @param {Number} minutes - Minutes
+ * @returns {Number} Hours
+ */
+const hours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * Report figures of summed counters
+ *
+ * Utilization is booked over available time. The no-show rate is taken over
+ * the appointments that were either attended or missed.
+ * @param {Object} counters - Counters
+ * @param {Boolean} withAvailability - Whether available time applies (it is
+ *   a doctor's, so not per service)
+ * @returns {Object} Metrics
+ */
+const toMetrics = (counters, withAvailability) => ({
+  ...(withAvailability && {
+    availableHours: hours(counters.availableMinutes),
+    utilization: ratio(counters.bookedMinutes, counters.availableMinutes),
+  }),
+  bookedHours: hours(counters.bookedMinutes),
+  appointments: counters.appointments,
+  completed: counters.completed,
+  cancelled: counters.cancelled,
+  noShows: counters.noShows,
+  cancellationRate: ratio(counters.cancelled, counters.appointments),
+  noShowRate: ratio(counters.noShows, counters.completed + counters.noShows),
+  averageLeadTimeHours:
+    counters.appointments > 0
+      ? hours(counters.leadMinutes / counters.appointments)
+      : null,
+  estimatedRevenue: (counters.revenueCents / 100).toFixed(2),
+});
+
+/**
+ * Compute a practice's daily stats from its schedules and appointments
+ * @param {Object} practice - Practice (id, timezone)
+ * @param {Object} first - First day
+ * @param {Object} last - Last day
+ * @returns {Object} schedule (per doctor and day) and appointments (per
+ *   doctor, service and day) stats
+ */
+const computeStats = async (practice, first, last) => {
+  const start = zonedTimeToUtc(first, 0, practice.timezone);
+  const end = zonedTimeToUtc(addDays(last, 1), 0, practice.timezone);
+
+  const [working, appointments] = await Promise.all([
+    availabilityService.getWorkingMinutes(practice.id, start, end),
+    scopedPrisma(practice.id).appointment.findMany({
+      where: { startTime: { gte: start, lt: end } },
+      select: {
+        doctorId: true,
+        serviceId: true,
+        status: true,
+        startTime: true,
+        endTime: true,
+        createdAt: true,
+        service: { select: { price: true } },
+      },
+    }),
+  ]);
+
+  const stats = new Map();
+
+  for (const appointment of appointments) {
+    const date = toDate(getZonedDate(appointment.startTime, practice.timezone));
+    const key = [
+      date.getTime(),
+      appointment.doctorId,
+      appointment.serviceId,
+    ].join("|");
+
+    if (!stats.has(key)) {
+      stats.set(key, {
+        practiceId: practice.id,
+        doctorId: appointment.doctorId,
+        serviceId: appointment.serviceId,
+        date,
+        appointments: 0,
+        completed: 0,
+        cancelled: 0,
+        noShows: 0,
+        bookedMinutes: 0,
+        leadMinutes: 0,
+        revenueCents: 0,
+      });
+    }
+
+    const stat = stats.get(key);
+    const { status } = appointment;
+
+    stat.appointments++;
+    stat.leadMinutes += Math.max(
+      0,
+      Math.round((appointment.startTime - appointment.createdAt) / MINUTE)
+    );
+
+    if (status === "COMPLETED") stat.completed++;
+    if (status === "NO_SHOW") stat.noShows++;
+
+    if (status === "CANCELLED") {
+      stat.cancelled++;
+    } else {
+      stat.bookedMinutes += Math.round(
+        (appointment.endTime - appointment.startTime) / MINUTE
+      );
+    }
+
+    if (status !== "CANCELLED" && status !== "NO_SHOW" && appointment.service) {
+      stat.revenueCents += Math.round(Number(appointment.service.price) * 100);
+    }
+  }
+
+  return {
+    schedule: working.map((row) => ({
+      practiceId: practice.id,
+      doctorId: row.doctorId,
+      date: toDate(row.day),
+      availableMinutes: row.minutes,
+    })),
+    appointments: [...stats.values()],
+  };
+};
+
+/**
+ * Split a range into the days with pre-computed stats and the days after
+ * @param {Object} practice - Practice (statsThrough)
+ * @param {Object} first - First day
+ * @param {Object} last - Last day
+ * @returns {Object} stored and live ranges ({ first, last }), either null
+ */
+const splitRange = (practice, first, last) => {
+  const through = practice.statsThrough && fromDate(practice.statsThrough);
+
+  if (!through || toDate(through) < toDate(first)) {
+    return { stored: null, live: { first, last } };
+  }
+
+  if (toDate(through) >= toDate(last)) {
+    return { stored: { first, last }, live: null };
+  }
+
+  return {
+    stored: { first, last: through },
+    live: { first: addDays(through, 1), last },
+  };
+};
+
+/**
+ * Daily stats of a practice over a range: stored where pre-computed,
+ * computed otherwise
+ * @param {Object} practice - Practice (id, timezone, statsThrough)
+ * @param {Object} first - First day
+ * @param {Object} last - Last day
+ * @returns {Object} schedule and appointments stats
+ */
+const loadStats = async (practice, first, last) => {
+  const { stored, live } = splitRange(practice, first, last);
+  const db = scopedPrisma(practice.id);
+  const stats = { schedule: [], appointments: [] };
+
+  if (stored) {
+    const date = { gte: toDate(stored.first), lte: toDate(stored.last) };
+
+    const [schedule, appointments] = await Promise.all([
+      db.scheduleStat.findMany({
+        where: { date },
+        select: { doctorId: true, date: true, availableMinutes: true },
+      }),
+      db.appointmentStat.findMany({
+        where: { date },
+        select: {
+          doctorId: true,
+          serviceId: true,
+          date: true,
+          ...appointmentStatSums,
+        },
+      }),
+    ]);
+
+    stats.schedule.push(...schedule);
+    stats.appointments.push(...appointments.map(fromRecord));
+  }
+
+  if (live) {
+    const computed = await computeStats(practice, live.first, live.last);
+
+    stats.schedule.push(...computed.schedule);
+    stats.appointments.push(...computed.appointments);
+  }
+
+  return stats;
+};
+
+/**
+ * Resolve and check the days a report covers
+ * @param {String} practiceId - Practice ID
+ * @param {Object} query - from and to (YYYY-MM-DD, both included)
+ * @param {Number} maxDays - Longest range
+ * @returns {Object} practice (id, timezone, statsThrough), first and last
+ */
+const resolveRange = async (practiceId, { from, to }, maxDays) => {
+  const first = parseDay(from, "from");
+  const last = parseDay(to, "to");
+  const days = (toDate(last) - toDate(first)) / DAY + 1;
+
+  if (days < 1) {
+    throw new ValidationError(
+      "The end of the range must not be before its start"
+    );
+  }
+
+  if (days > maxDays) {
+    throw new ValidationError(
+      `The range cannot be longer than ${maxDays} days`
+    );
+  }
+
+  const practice = await scopedPrisma(practiceId).practice.findUnique({
+    where: { id: practiceId },
+    select: { id: true, timezone: true, statsThrough: true },
+  });
+
+  return { practice, first, last };
+};
+
+/**
+ * Names of a practice's doctors and services, including inactive ones
+ * @param {String} practiceId - Practice ID
+ * @returns {Object} doctors and services: Maps of ID to name
+ */
+const loadNames = async (practiceId) => {
+  const db = scopedPrisma(practiceId);
+
+  const [doctors, services] = await Promise.all([
+    db.doctor.findMany({
+      select: {
+        id: true,
+        title: true,
+        user: { select: { firstName: true, lastName: true } },
+      },
+    }),
+    db.service.findMany({ select: { id: true, name: true } }),
+  ]);
+
+  return {
+    doctors: new Map(
+      doctors.map((doctor) => [
+        doctor.id,
+        [doctor.title, doctor.user.firstName, doctor.user.lastName]
+          .filter(Boolean)
+          .join(" "),
+      ])
+    ),
+    services: new Map(services.map((service) => [service.id, service.name])),
+  };
+};
+
+/**
+ * Get a practice's operational report over a range of days
+ *
+ * Days up to the last aggregation are read from the pre-computed stats;
+ * later days (today, the future) are computed from the appointments.
+ * @param {String} practiceId - Practice ID
+ * @param {Object} query - Query
+ * @param {String} query.from - First day (YYYY-MM-DD, practice time zone)
+ * @param {String} query.to - Last day (YYYY-MM-DD, included)
+ * @returns {Object} Range, time zone, and metrics for the practice, each
+ *   doctor and each service
+ */
+exports.getReport = async (practiceId, query) => {
+  const { practice, first, last } = await resolveRange(
+    practiceId,
+    query,
+    config.analytics.maxRangeDays
+  );
+  const { stored, live } = splitRange(practice, first, last);
+  const db = scopedPrisma(practiceId);
+  const stats = { schedule: [], appointments: [] };
+
+  if (stored) {
+    const date = { gte: toDate(stored.first), lte: toDate(stored.last) };
+    const [schedule, appointments] = await Promise.all([
+      db.scheduleStat.groupBy({
+        by: ["doctorId"],
+        where: { date },
+        _sum: { availableMinutes: true },
+      }),
+      db.appointmentStat.groupBy({
+        by: ["doctorId", "serviceId"],
+        where: { date },
+        _sum: appointmentStatSums,
+      }),
+    ]);
+
+    stats.schedule.push(
+      ...schedule.map((row) => ({ doctorId: row.doctorId, ...row._sum }))
+    );
+    stats.appointments.push(
+      ...appointments.map((row) =>
+        fromRecord({
+          doctorId: row.doctorId,
+          serviceId: row.serviceId,
+          ...row._sum,
+        })
+      )
+    );
+  }
+
+  if (live) {
+    const computed = await computeStats(practice, live.first, live.last);
+
+    stats.schedule.push(...computed.schedule);
+    stats.appointments.push(...computed.appointments);
+  }
+
+  const totals = emptyCounters();
+  const doctors = new Map();
+  const services = new Map();
+  const entry = (map, id) => {
+    if (!map.has(id)) map.set(id, emptyCounters());
+    return map.get(id);
+  };
+
+  for (const stat of stats.schedule) {
+    addCounters(entry(doctors, stat.doctorId), stat);
+    addCounters(totals, stat);
+  }
+
+  for (const stat of stats.appointments) {
+    addCounters(entry(doctors, stat.doctorId), stat);
+    addCounters(entry(services, stat.serviceId), stat);
+    addCounters(totals, stat);
+  }
+
+  const names = await loadNames(practiceId);
+  const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+
+  return {
+    from: formatDay(first),
+    to: formatDay(last),
+    timezone: practice.timezone,
+    totals: toMetrics(totals, true),
+    doctors: [...doctors]
+      .map(([id, counters]) => ({
+        doctorId: id,
+        name: names.doctors.get(id),
+        ...toMetrics(counters, true),
+      }))
+      .sort(byName),
+    services: [...services]
+      .map(([id, counters]) => ({
+        serviceId: id,
+        name: id ? names.services.get(id) : null,
+        ...toMetrics(counters, false),
+      }))
+      .sort(byName),
+  };
+};
+
+/**
+ * Export a practice's report as CSV, one row per day and doctor or service
+ *
+ * Days are loaded a batch at a time and handed to write as they are ready,
+ * so long ranges are never held in memory. The range is checked before
+ * anything is written.
+ * @param {String} practiceId - Practice ID
+ * @param {Object} query - Query
+ * @param {String} query.from - First day (YYYY-MM-DD, practice time zone)
+ * @param {String} query.to - Last day (YYYY-MM-DD, included)
+ * @param {String} [query.groupBy] - "doctor" (default) or "service"
+ * @param {Function} write - Async function given each chunk of CSV text
+ */
+exports.exportReport = async (
+  practiceId,
+  { from, to, groupBy = "doctor" },
+  write
+) => {
+  if (!exports.EXPORT_GROUPS.includes(groupBy)) {
+    throw new ValidationError(
+      `groupBy must be one of: ${exports.EXPORT_GROUPS.join(", ")}`
+    );
+  }
+
+  const { practice, first, last } = await resolveRange(
+    practiceId,
+    { from, to },
+    config.analytics.exportMaxRangeDays
+  );
+  const names = (await loadNames(practiceId))[`${groupBy}s`];
+  const keyOf = (stat) => stat[`${groupBy}Id`];
+  const { batchDays } = config.analytics.aggregation;
+
+  await write(formatRow(["date", `${groupBy}_id`, groupBy, ...EXPORT_COLUMNS]));
+
+  for (
+    let batchFirst = first, batchLast;
+    toDate(batchFirst) <= toDate(last);
+    batchFirst = addDays(batchLast, 1)
+  ) {
+    batchLast = earlierDay(addDays(batchFirst, batchDays - 1), last);
+
+    const stats = await loadStats(practice, batchFirst, batchLast);
+    const rows = new Map();
+    const entry = (stat) => {
+      const key = `${stat.date.getTime()}|${keyOf(stat)}`;
+
+      if (!rows.has(key)) {
+        rows.set(key, {
+          date: stat.date,
+          id: keyOf(stat),
+          counters: emptyCounters(),
+        });
+      }
+
+      return rows.get(key).counters;
+    };
+
+    if (groupBy === "doctor") {
+      for (const stat of stats.schedule) addCounters(entry(stat), stat);
+    }
+    for (const stat of stats.appointments) addCounters(entry(stat), stat);
+
+    const lines = [...rows.values()]
+      .map((row) => ({ ...row, name: row.id ? names.get(row.id) : null }))
+      .sort(
+        (a, b) =>
+          a.date - b.date || String(a.name).localeCompare(String(b.name))
+      )
+      .map((row) => {
+        const metrics = toMetrics(row.counters, groupBy === "doctor");
+
+        return formatRow([
+          formatDay(fromDate(row.date)),
+          row.id,
+          row.name,
+          metrics.availableHours,
+          metrics.utilization,
+          metrics.bookedHours,
+          metrics.appointments,
+          metrics.completed,
+          metrics.cancelled,
+          metrics.noShows,
+          metrics.cancellationRate,
+          metrics.noShowRate,
+          metrics.averageLeadTimeHours,
+          metrics.estimatedRevenue,
+        ]);
+      });
+
+    if (lines.length > 0) await write(lines.join(""));
+  }
+};
+
+/**
+ * Queue the daily aggregation of every active practice
+ *
+ * Runs periodically (see src/jobs). Once a day has ended in a practice's
+ * time zone, one job is queued for it under a key of the practice and the
+ * day, so every instance can scan without aggregating twice.
+ */
+exports.scheduleAggregation = async () => {
+  const practices = await prisma.practice.findMany({
+    where: { active: true },
+    select: { id: true, timezone: true },
+  });
+
+  for (const practice of practices) {
+    const through = formatDay(
+      addDays(getZonedDate(new Date(), practice.timezone), -1)
+    );
+
+    await queue.enqueue(
+      exports.AGGREGATE_JOB,
+      { practiceId: practice.id, through },
+      { uniqueKey: ["analytics", practice.id, through].join(":") }
+    );
+  }
+};
+
+/**
+ * Pre-compute a practice's daily stats up to a day (job handler)
+ *
+ * Carries on from the last day aggregated, going back recomputeDays to
+ * pick up statuses set late; the first run fills in up to backfillDays of
+ * history. Each batch of days is replaced in one transaction.
+ * @param {Object} payload - practiceId and through (last day, YYYY-MM-DD)
+ */
+exports.aggregateStats = async (payload) => {
+  const db = scopedPrisma(payload.practiceId);
+  const { recomputeDays, backfillDays, batchDays } =
+    config.analytics.aggregation;
+
+  const practice = await db.practice.findUnique({
+    where: { id: payload.practiceId },
+    select: { id: true, timezone: true, statsThrough: true },
+  });
+  if (!practice) return;
+
+  const last = parseDay(payload.through, "through");
+  let first = last;
+
+  if (practice.statsThrough) {
+    first = addDays(fromDate(practice.statsThrough), 1 - recomputeDays);
+  } else {
+    const earliest = await db.appointment.findFirst({
+      orderBy: { startTime: "asc" },
+      select: { startTime: true },
+    });
+
+    if (earliest) first = getZonedDate(earliest.startTime, practice.timezone);
+  }
+
+  first = laterDay(first, addDays(last, 1 - backfillDays));
+
+  for (
+    let batchFirst = first, batchLast;
+    toDate(batchFirst) <= toDate(last);
+    batchFirst = addDays(batchLast, 1)
+  ) {
+    batchLast = earlierDay(addDays(batchFirst, batchDays - 1), last);
+
+    const stats = await computeStats(practice, batchFirst, batchLast);
+    const date = { gte: toDate(batchFirst), lte: toDate(batchLast) };
+
+    await db.$transaction(async (tx) => {
+      // Runs for different days of a practice don't interleave their writes
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`analytics:${practice.id}`}))`;
+
+      await tx.scheduleStat.deleteMany({ where: { date } });
+      await tx.appointmentStat.deleteMany({ where: { date } });
+      await tx.scheduleStat.createMany({ data: stats.schedule });
+      await tx.appointmentStat.createMany({
+        data: stats.appointments.map(toRecord),
+      });
+
+      // Only ever moves forward
+      await tx.practice.updateMany({
+        where: {
+          OR: [
+            { statsThrough: null },
+            { statsThrough: { lt: toDate(batchLast) } },
+          ],
+        },
+        data: { statsThrough: toDate(batchLast) },
+      });
+    });
+  }
+};
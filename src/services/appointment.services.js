@@ -0,0 +1,1783 @@
+// src/services/appointment.services.js
+const crypto = require("crypto");
+const config = require("../config");
+const { sendMail } = require("../mailer");
+const auditService = require("./audit.services");
+const availabilityService = require("./availability.services");
+const calendarService = require("./calendar.services");
+const waitlistService = require("./waitlist.services");
+const { scopedPrisma } = require("../utils/practiceScope");
+const { expandRRule, formatRRule, parseRRule } = require("../utils/recurrence");
+const {
+  addDays,
+  getZonedDate,
+  getZonedMinutes,
+  zonedTimeToUtc,
+} = require("../utils/timezone");
+const {
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Statuses of appointments that are still going to happen
+exports.ACTIVE_STATUSES = ["PENDING", "SCHEDULED", "CONFIRMED"];
+
+const TEAM = ["SUPER_ADMIN", "ADMIN", "STAFF", "DOCTOR"];
+const TEAM_AND_PATIENT = [...TEAM, "PATIENT"];
+
+/**
+ * Allowed status changes, and the roles that may make each of them
+ * Doctors can only change their own appointments; patients change theirs
+ * through the signed links in their reminders.
+ */
+exports.STATUS_TRANSITIONS = {
+  PENDING: { SCHEDULED: TEAM, CONFIRMED: TEAM, CANCELLED: TEAM_AND_PATIENT },
+  SCHEDULED: {
+    CONFIRMED: TEAM_AND_PATIENT,
+    CANCELLED: TEAM_AND_PATIENT,
+    COMPLETED: ["DOCTOR"],
+    NO_SHOW: ["DOCTOR", "STAFF"],
+  },
+  CONFIRMED: {
+    CANCELLED: TEAM_AND_PATIENT,
+    COMPLETED: ["DOCTOR"],
+    NO_SHOW: ["DOCTOR", "STAFF"],
+  },
+  CANCELLED: {},
+  COMPLETED: {},
+  NO_SHOW: {},
+};
+
+// Statuses that can't be set without a reason
+const REASON_REQUIRED = ["CANCELLED", "NO_SHOW"];
+
+// Statuses that can only be set once the appointment has started
+const AFTER_START = ["COMPLETED", "NO_SHOW"];
+
+// Longest appointment notes accepted
+const MAX_NOTES_LENGTH = 5000;
+
+// Which occurrences of a series a change applies to
+exports.SERIES_SCOPES = ["this", "following", "all"];
+
+const appointmentInclude = {
+  doctor: {
+    select: {
+      id: true,
+      title: true,
+      user: { select: { firstName: true, lastName: true } },
+    },
+  },
+  service: {
+    select: { id: true, name: true, duration: true, color: true },
+  },
+  patient: {
+    select: {
+      id: true,
+      user: {
+        select: { firstName: true, lastName: true, email: true, phone: true },
+      },
+    },
+  },
+};
+
+/**
+ * Human-readable status for messages
+ * @param {String} status - AppointmentStatus
+ * @returns {String} e.g. "no-show"
+ */
+const statusLabel = (status) => status.toLowerCase().replace("_", "-");
+
+/**
+ * Append an entry to an appointment's history and to the audit trail
+ * @param {Object} tx - Transaction client
+ * @param {Object} entry - History entry
+ * @param {Object} [actor] - User who made the change (none for the system)
+ * @param {Object} audit - Audit details
+ * @param {String} audit.practiceId - Practice ID
+ * @param {Object} [audit.before] - Old values of changed fields (the status
+ *   is taken from the entry)
+ * @param {Object} [audit.after] - New values of changed fields
+ */
+const recordHistory = async (
+  tx,
+  entry,
+  actor,
+  { practiceId, before = {}, after = {} }
+) => {
+  await tx.appointmentHistory.create({
+    data: { ...entry, actorId: actor ? actor.id : null },
+  });
+
+  await auditService.record(
+    {
+      practiceId,
+      action: entry.action === "CREATED" ? "CREATE" : "UPDATE",
+      resourceType: "APPOINTMENT",
+      resourceId: entry.appointmentId,
+      changes: auditService.diff(
+        { status: entry.fromStatus, ...before },
+        { status: entry.toStatus, ...after }
+      ),
+      actor,
+    },
+    tx
+  );
+};
+
+/**
+ * Parse a requested start time
+ * @param {String} value - ISO date-time
+ * @returns {Date} Start time
+ */
+const parseStartTime = (value) => {
+  const startTime = new Date(value);
+
+  if (!value || Number.isNaN(startTime.getTime())) {
+    throw new ValidationError("Please provide a valid startTime");
+  }
+
+  return startTime;
+};
+
+/**
+ * Whether an error is the database rejecting overlapping appointments
+ * @param {Error} error - Error thrown by Prisma
+ * @returns {Boolean} Whether the no-overlap constraint was violated
+ */
+const isOverlapViolation = (error) =>
+  Boolean(
+    error && error.message && /Appointment_no_overlap|23P01/.test(error.message)
+  );
+
+/**
+ * Open slots closest to a requested time, for the same doctor and service
+ * @param {String} practiceId - Practice ID
+ * @param {Object} slot - Requested slot
+ * @returns {Array} The nearest open slots, in time order
+ */
+const findAlternatives = async (practiceId, slot) => {
+  const { count, searchDays } = config.booking.alternatives;
+  const requested = slot.startTime.getTime();
+
+  const { doctors } = await availabilityService.getAvailability(practiceId, {
+    serviceId: slot.serviceId,
+    doctorIds: [slot.doctorId],
+    excludeAppointmentIds: slot.excludeAppointmentIds,
+    excludeHoldId: slot.excludeHoldId,
+    from: new Date(
+      Math.max(Date.now(), requested - searchDays * DAY)
+    ).toISOString(),
+    to: new Date(requested + searchDays * DAY).toISOString(),
+  });
+
+  return (doctors.length > 0 ? doctors[0].slots : [])
+    .sort(
+      (a, b) =>
+        Math.abs(a.startTime - requested) - Math.abs(b.startTime - requested)
+    )
+    .slice(0, count)
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((alternative) => ({ doctorId: slot.doctorId, ...alternative }));
+};
+
+/**
+ * Build the 409 returned when a slot can't be booked
+ * @param {String} practiceId - Practice ID
+ * @param {Object} slot - Requested slot
+ * @returns {ConflictError} Error listing nearby open slots
+ */
+const slotUnavailable = async (practiceId, slot) =>
+  new ConflictError(
+    "The requested time is not available",
+    { alternatives: await findAlternatives(practiceId, slot) },
+    "SLOT_UNAVAILABLE"
+  );
+
+/**
+ * Check a slot against working hours, time off, notice and other bookings
+ * @param {String} practiceId - Practice ID
+ * @param {Object} slot - doctorId, serviceId, startTime, excludeAppointmentIds,
+ *   excludeHoldId
+ */
+const assertSlotOffered = async (practiceId, slot) => {
+  const { slots } = await availabilityService.getDoctorAvailability(
+    practiceId,
+    slot.doctorId,
+    {
+      serviceId: slot.serviceId,
+      excludeAppointmentIds: slot.excludeAppointmentIds,
+      excludeHoldId: slot.excludeHoldId,
+      from: slot.startTime.toISOString(),
+      to: new Date(slot.startTime.getTime() + MINUTE).toISOString(),
+    }
+  );
+
+  if (
+    !slots.some((open) => open.startTime.getTime() === slot.startTime.getTime())
+  ) {
+    throw await slotUnavailable(practiceId, slot);
+  }
+};
+
+/**
+ * Write appointments while holding their doctors' booking locks
+ *
+ * Bookings for a doctor are serialized with a transaction-scoped advisory
+ * lock, and overlaps with bookings and holds (including the buffer) are
+ * re-checked inside it. The Appointment_no_overlap exclusion constraint backs
+ * this up in the database.
+ * @param {Object} db - Practice-scoped Prisma client
+ * @param {String} practiceId - Practice ID
+ * @param {Array} slots - Slots written (doctorId, serviceId, startTime,
+ *   endTime, buffer, excludeAppointmentIds, excludeHoldId)
+ * @param {Function} write - Performs the write with the transaction client
+ * @returns {Object} Result of write
+ */
+const writeWithBookingLock = async (db, practiceId, slots, write) => {
+  try {
+    return await db.$transaction(async (tx) => {
+      // Locks are always taken in the same order so writers can't deadlock
+      const doctorIds = [...new Set(slots.map((slot) => slot.doctorId))];
+      for (const doctorId of doctorIds.sort()) {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${doctorId}))`;
+      }
+
+      const overlapping = (slot) => ({
+        doctorId: slot.doctorId,
+        startTime: { lt: new Date(slot.endTime.getTime() + slot.buffer) },
+        endTime: { gt: new Date(slot.startTime.getTime() - slot.buffer) },
+      });
+
+      const clash = await tx.appointment.findFirst({
+        where: {
+          status: { notIn: availabilityService.NON_BLOCKING_STATUSES },
+          OR: slots.map((slot) => ({
+            ...overlapping(slot),
+            ...(slot.excludeAppointmentIds && {
+              id: { notIn: slot.excludeAppointmentIds },
+            }),
+          })),
+        },
+        select: { id: true },
+      });
+
+      const held = await tx.slotHold.findFirst({
+        where: {
+          OR: slots.map((slot) => ({
+            ...overlapping(slot),
+            ...availabilityService.activeHoldWhere(slot.excludeHoldId),
+          })),
+        },
+        select: { id: true },
+      });
+
+      if (clash || held) {
+        throw new ConflictError(
+          "The requested time is not available",
+          undefined,
+          "SLOT_UNAVAILABLE"
+        );
+      }
+
+      return write(tx);
+    });
+  } catch (error) {
+    if (error.code === "SLOT_UNAVAILABLE" || isOverlapViolation(error)) {
+      // Alternatives are looked up after the lock is released
+      if (slots.length === 1) {
+        throw await slotUnavailable(practiceId, slots[0]);
+      }
+
+      throw new ConflictError(
+        "Some of the requested times were just booked, please check again",
+        undefined,
+        "SERIES_CONFLICT"
+      );
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Load the doctor and service of a booking and check they go together
+ * @param {Object} db - Practice-scoped Prisma client
+ * @param {String} doctorId - Doctor ID
+ * @param {String} serviceId - Service ID
+ * @param {Boolean} [rebooking] - The appointments being moved already use
+ *   the service, so it may have been deactivated since
+ * @returns {Object} doctor and service
+ */
+const loadDoctorAndService = async (db, doctorId, serviceId, rebooking) => {
+  const [doctor, service] = await Promise.all([
+    db.doctor.findFirst({
+      where: { id: doctorId, active: true },
+      select: { id: true, services: { where: { id: serviceId } } },
+    }),
+    db.service.findFirst({
+      where: { id: serviceId, ...(!rebooking && { active: true }) },
+    }),
+  ]);
+
+  if (!doctor) {
+    throw new NotFoundError("Doctor not found");
+  }
+
+  if (!service) {
+    throw new NotFoundError("Service not found");
+  }
+
+  if (doctor.services.length === 0) {
+    throw new ValidationError(
+      "The doctor does not offer this service",
+      undefined,
+      "SERVICE_NOT_OFFERED"
+    );
+  }
+
+  return { doctor, service };
+};
+
+/**
+ * Check a list of start times for one doctor and service
+ *
+ * Availability is fetched in ranges of at most maxRangeDays. Each time that
+ * can't be booked gets a reason: TOO_SOON, TIME_OFF, BOOKED or OUTSIDE_HOURS.
+ * @param {Object} db - Practice-scoped Prisma client
+ * @param {String} practiceId - Practice ID
+ * @param {Object} params - Parameters
+ * @param {String} params.doctorId - Doctor ID
+ * @param {Object} params.service - Service
+ * @param {Array} params.startTimes - Start times, in order
+ * @param {Array} [params.excludeAppointmentIds] - Appointments being moved
+ * @returns {Array} Occurrences with startTime, endTime, available and reason
+ */
+const checkOccurrences = async (
+  db,
+  practiceId,
+  { doctorId, service, startTimes, excludeAppointmentIds }
+) => {
+  const duration = service.duration * MINUTE;
+  const buffer =
+    (service.bufferMinutes ?? config.booking.bufferMinutes) * MINUTE;
+  const span = config.booking.maxRangeDays * DAY;
+  const open = new Set();
+
+  for (let first = 0; first < startTimes.length; ) {
+    let last = first;
+    while (
+      last + 1 < startTimes.length &&
+      startTimes[last + 1] - startTimes[first] < span
+    ) {
+      last++;
+    }
+
+    const { doctors } = await availabilityService.getAvailability(practiceId, {
+      serviceId: service.id,
+      doctorIds: [doctorId],
+      excludeAppointmentIds,
+      from: startTimes[first].toISOString(),
+      to: new Date(startTimes[last].getTime() + MINUTE).toISOString(),
+    });
+
+    for (const slot of doctors.length > 0 ? doctors[0].slots : []) {
+      open.add(slot.startTime.getTime());
+    }
+
+    first = last + 1;
+  }
+
+  const occurrences = startTimes.map((startTime) => ({
+    startTime,
+    endTime: new Date(startTime.getTime() + duration),
+    available: open.has(startTime.getTime()),
+    reason: null,
+  }));
+
+  const blocked = occurrences.filter((occurrence) => !occurrence.available);
+  if (blocked.length === 0) return occurrences;
+
+  // Work out why, with one look at the time off and bookings involved
+  const from = new Date(blocked[0].startTime.getTime() - buffer);
+  const to = new Date(blocked[blocked.length - 1].endTime.getTime() + buffer);
+
+  const [timeOffs, appointments, holds] = await Promise.all([
+    db.timeOff.findMany({
+      where: {
+        schedule: { doctorId },
+        startDate: { lt: to },
+        endDate: { gt: from },
+      },
+      select: { startDate: true, endDate: true },
+    }),
+    db.appointment.findMany({
+      where: {
+        doctorId,
+        status: { notIn: availabilityService.NON_BLOCKING_STATUSES },
+        startTime: { lt: to },
+        endTime: { gt: from },
+        ...(excludeAppointmentIds && {
+          id: { notIn: excludeAppointmentIds },
+        }),
+      },
+      select: { startTime: true, endTime: true },
+    }),
+    db.slotHold.findMany({
+      where: {
+        doctorId,
+        startTime: { lt: to },
+        endTime: { gt: from },
+        ...availabilityService.activeHoldWhere(),
+      },
+      select: { startTime: true, endTime: true },
+    }),
+  ]);
+
+  const notice = Date.now() + config.booking.minNoticeMinutes * MINUTE;
+
+  for (const occurrence of blocked) {
+    const start = occurrence.startTime.getTime();
+    const end = occurrence.endTime.getTime();
+
+    if (start < notice) {
+      occurrence.reason = "TOO_SOON";
+    } else if (
+      timeOffs.some((block) => block.startDate < end && block.endDate > start)
+    ) {
+      occurrence.reason = "TIME_OFF";
+    } else if (
+      [...appointments, ...holds].some(
+        (booked) =>
+          booked.startTime.getTime() < end + buffer &&
+          booked.endTime.getTime() > start - buffer
+      )
+    ) {
+      occurrence.reason = "BOOKED";
+    } else {
+      occurrence.reason = "OUTSIDE_HOURS";
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Start of the practice-local day an instant falls on (Appointment.date)
+ * @param {Date} instant - Instant
+ * @param {String} timeZone - Practice time zone
+ * @returns {Date} Local midnight
+ */
+const localDay = (instant, timeZone) =>
+  zonedTimeToUtc(getZonedDate(instant, timeZone), 0, timeZone);
+
+// Patient email template for each kind of change
+const PATIENT_EMAILS = {
+  booked: "appointmentConfirmation",
+  bookedSeries: "appointmentSeriesConfirmation",
+  rescheduled: "appointmentRescheduled",
+  cancelled: "appointmentCancelled",
+};
+
+/**
+ * Email the patient about a change to their appointments, in the background
+ *
+ * The email carries an .ics file with the appointments' events, which adds
+ * them to the patient's calendar or updates (or removes) the ones added
+ * before.
+ * @param {String} change - "booked", "rescheduled" or "cancelled"
+ * @param {Array} appointments - Appointments of one patient, with doctor,
+ *   service and patient
+ * @param {Object} practice - Practice
+ * @param {Object} [details] - seriesId (a series was booked or changed) and
+ *   reason (cancellations)
+ */
+const notifyPatient = (change, appointments, practice, details = {}) => {
+  const [appointment] = appointments;
+  const patientUser = appointment.patient && appointment.patient.user;
+  const to = patientUser ? patientUser.email : appointment.patientEmail;
+  const doctorUser = appointment.doctor.user;
+  const seriesBooked = change === "booked" && details.seriesId;
+
+  sendMail({
+    to,
+    template: PATIENT_EMAILS[seriesBooked ? "bookedSeries" : change],
+    data: {
+      patientName: patientUser
+        ? `${patientUser.firstName} ${patientUser.lastName}`
+        : appointment.patientName,
+      doctorName: [
+        appointment.doctor.title,
+        doctorUser.firstName,
+        doctorUser.lastName,
+      ]
+        .filter(Boolean)
+        .join(" "),
+      serviceName: appointment.service.name,
+      practiceName: practice.name,
+      practiceAddress: practice.address,
+      startTime: appointment.startTime,
+      startTimes: appointments.map((booked) => booked.startTime),
+      timezone: practice.timezone,
+      reason: details.reason,
+      manageUrl: details.seriesId
+        ? `${config.app.frontend.url}/appointments/series/${details.seriesId}`
+        : `${config.app.frontend.url}/appointments/${appointment.id}`,
+    },
+    attachments: [
+      calendarService.inviteAttachment(
+        appointments,
+        practice,
+        change === "cancelled" ? "CANCEL" : "REQUEST"
+      ),
+    ],
+  }).catch((error) =>
+    console.error(`Failed to send appointment ${change} email:`, error)
+  );
+};
+
+/**
+ * Occurrences of a series that a change to one of them applies to
+ * @param {Object} db - Practice-scoped Prisma client
+ * @param {Object} appointment - The occurrence being changed
+ * @param {String} scope - "following" or "all"
+ * @returns {Array} Active occurrences, with their doctor's userId, in order
+ */
+const seriesTargets = async (db, appointment, scope) => {
+  if (!appointment.seriesId) {
+    throw new ValidationError(
+      "This appointment is not part of a series",
+      undefined,
+      "NOT_IN_SERIES"
+    );
+  }
+
+  // "all" leaves other occurrences that have already started alone
+  const when =
+    scope === "following"
+      ? { startTime: { gte: appointment.startTime } }
+      : { OR: [{ startTime: { gte: new Date() } }, { id: appointment.id }] };
+
+  const targets = await db.appointment.findMany({
+    where: {
+      seriesId: appointment.seriesId,
+      status: { in: exports.ACTIVE_STATUSES },
+      ...when,
+    },
+    include: { doctor: { select: { userId: true } } },
+    orderBy: { startTime: "asc" },
+  });
+
+  if (targets.length === 0) {
+    throw new ConflictError(
+      "The series has no upcoming appointments to change",
+      undefined,
+      "APPOINTMENT_NOT_ACTIVE"
+    );
+  }
+
+  return targets;
+};
+
+/**
+ * Check a change's scope
+ * @param {String} [scope] - "this", "following" or "all"
+ * @returns {String} Scope, "this" by default
+ */
+const parseScope = (scope = "this") => {
+  if (!exports.SERIES_SCOPES.includes(scope)) {
+    throw new ValidationError(
+      `scope must be one of ${exports.SERIES_SCOPES.join(", ")}`
+    );
+  }
+
+  return scope;
+};
+
+/**
+ * End a series' rule just before an occurrence
+ * @param {Object} tx - Transaction client
+ * @param {Object} series - Series
+ * @param {Date} before - First start time no longer covered
+ * @returns {Object} The parsed rule, before the change
+ */
+const endSeriesBefore = async (tx, series, before) => {
+  const rule = parseRRule(series.rrule);
+
+  await tx.appointmentSeries.update({
+    where: { id: series.id },
+    data: {
+      rrule: formatRRule({
+        ...rule,
+        count: null,
+        until: { instant: new Date(before.getTime() - 1000) },
+      }),
+    },
+  });
+
+  return rule;
+};
+
+/**
+ * Move the occurrences of a series from one onwards to a new series
+ * @param {Object} tx - Transaction client
+ * @param {Object} series - Series being split
+ * @param {Date} at - Start time of the first occurrence that moves
+ * @param {Object} changes - Fields that differ in the new series
+ * @returns {Object} New series
+ */
+const splitSeries = async (tx, series, at, changes) => {
+  const rule = await endSeriesBefore(tx, series, at);
+  const moving = await tx.appointment.count({
+    where: { seriesId: series.id, startTime: { gte: at } },
+  });
+
+  const created = await tx.appointmentSeries.create({
+    data: {
+      doctorId: series.doctorId,
+      serviceId: series.serviceId,
+      patientId: series.patientId,
+      patientName: series.patientName,
+      patientEmail: series.patientEmail,
+      notes: series.notes,
+      ...changes,
+      rrule: formatRRule({ ...rule, count: rule.count ? moving : null }),
+    },
+  });
+
+  await tx.appointment.updateMany({
+    where: { seriesId: series.id, startTime: { gte: at } },
+    data: { seriesId: created.id },
+  });
+
+  return created;
+};
+
+/**
+ * Move several occurrences of a series by the same change in local time
+ *
+ * The occurrence being edited moves to the new start time; the others move
+ * by the same number of days and to the same time of day, in the practice's
+ * time zone.
+ * @param {Object} db - Practice-scoped Prisma client
+ * @param {String} practiceId - Practice ID
+ * @param {Object} existing - The occurrence being edited
+ * @param {Object} data - startTime (Date), doctorId and scope
+ * @param {Object} [actor] - User making the change
+ * @returns {Array} Moved appointments
+ */
+const rescheduleSeries = async (db, practiceId, existing, data, actor) => {
+  const targets = await seriesTargets(db, existing, data.scope);
+  const doctorId = data.doctorId || existing.doctorId;
+  const { service } = await loadDoctorAndService(
+    db,
+    doctorId,
+    existing.serviceId,
+    true
+  );
+  const practice = await db.practice.findUnique({ where: { id: practiceId } });
+  const { timezone } = practice;
+
+  const before = getZonedDate(existing.startTime, timezone);
+  const after = getZonedDate(data.startTime, timezone);
+  const dayShift = Math.round(
+    (Date.UTC(after.year, after.month - 1, after.day) -
+      Date.UTC(before.year, before.month - 1, before.day)) /
+      DAY
+  );
+  const minutes = getZonedMinutes(data.startTime, timezone);
+  const shift = (instant) =>
+    zonedTimeToUtc(
+      addDays(getZonedDate(instant, timezone), dayShift),
+      minutes,
+      timezone
+    );
+
+  const excludeAppointmentIds = targets.map((target) => target.id);
+  const occurrences = await checkOccurrences(db, practiceId, {
+    doctorId,
+    service,
+    startTimes: targets.map((target) => shift(target.startTime)),
+    excludeAppointmentIds,
+  });
+
+  if (occurrences.some((occurrence) => !occurrence.available)) {
+    throw new ConflictError(
+      "Some appointments in the series can't be moved to that time",
+      { occurrences },
+      "SERIES_CONFLICT"
+    );
+  }
+
+  const buffer =
+    (service.bufferMinutes ?? config.booking.bufferMinutes) * MINUTE;
+  const slots = occurrences.map((occurrence) => ({
+    doctorId,
+    serviceId: service.id,
+    startTime: occurrence.startTime,
+    endTime: occurrence.endTime,
+    buffer,
+    excludeAppointmentIds,
+  }));
+
+  await writeWithBookingLock(db, practiceId, slots, async (tx) => {
+    const series = await tx.appointmentSeries.findUnique({
+      where: { id: existing.seriesId },
+    });
+    const earlier = await tx.appointment.count({
+      where: { seriesId: series.id, startTime: { lt: targets[0].startTime } },
+    });
+
+    // Earlier occurrences keep the old rule in a series of their own
+    if (data.scope === "following" && earlier > 0) {
+      await splitSeries(tx, series, targets[0].startTime, {
+        doctorId,
+        startTime: occurrences[0].startTime,
+      });
+    } else {
+      await tx.appointmentSeries.update({
+        where: { id: series.id },
+        data: { doctorId, startTime: shift(series.startTime) },
+      });
+    }
+
+    for (const [i, target] of targets.entries()) {
+      await tx.appointment.update({
+        where: { id: target.id },
+        data: {
+          doctorId,
+          date: localDay(occurrences[i].startTime, timezone),
+          startTime: occurrences[i].startTime,
+          endTime: occurrences[i].endTime,
+          reminderSent: false,
+          lastReminderOffset: null,
+          sequence: { increment: 1 },
+        },
+      });
+
+      await recordHistory(
+        tx,
+        {
+          appointmentId: target.id,
+          action: "RESCHEDULED",
+          fromStatus: target.status,
+          toStatus: target.status,
+          metadata: {
+            scope: data.scope,
+            previous: {
+              doctorId: target.doctorId,
+              startTime: target.startTime,
+              endTime: target.endTime,
+            },
+          },
+        },
+        actor,
+        {
+          practiceId,
+          before: target,
+          after: {
+            doctorId,
+            startTime: occurrences[i].startTime,
+            endTime: occurrences[i].endTime,
+          },
+        }
+      );
+    }
+  });
+
+  const moved = await db.appointment.findMany({
+    where: { id: { in: excludeAppointmentIds } },
+    include: appointmentInclude,
+    orderBy: { startTime: "asc" },
+  });
+
+  notifyPatient("rescheduled", moved, practice, {
+    seriesId: moved[0].seriesId,
+  });
+
+  return moved;
+};
+
+/**
+ * Check who a booking is for
+ * @param {String} practiceId - Practice ID
+ * @param {Object} data - patientId, or patientName and patientEmail
+ * @returns {Object} Patient fields of the appointment
+ */
+exports.resolveBookingPatient = async (practiceId, data) => {
+  if (!data.patientId && !(data.patientName && data.patientEmail)) {
+    throw new ValidationError(
+      "Please provide patientId, or patientName and patientEmail"
+    );
+  }
+
+  if (!data.patientId) {
+    return {
+      patientId: null,
+      patientName: data.patientName,
+      patientEmail: data.patientEmail.trim().toLowerCase(),
+    };
+  }
+
+  const patient = await scopedPrisma(practiceId).patient.findUnique({
+    where: { id: data.patientId },
+    select: { id: true },
+  });
+
+  if (!patient) {
+    throw new NotFoundError("Patient not found");
+  }
+
+  return { patientId: patient.id, patientName: null, patientEmail: null };
+};
+
+/**
+ * List a practice's appointments
+ * @param {String} practiceId - Practice ID
+ * @param {Object} filters - Filters
+ * @param {String} [filters.from] - Appointments starting at or after
+ * @param {String} [filters.to] - Appointments starting before
+ * @param {String} [filters.doctorId] - Doctor ID
+ * @param {String} [filters.patientId] - Patient ID
+ * @param {String} [filters.status] - AppointmentStatus
+ * @returns {Array} Appointments, by start time
+ */
+exports.listAppointments = async (
+  practiceId,
+  { from, to, doctorId, patientId, status } = {}
+) => {
+  const startTime = {};
+  if (from) startTime.gte = new Date(from);
+  if (to) startTime.lt = new Date(to);
+
+  if (Object.values(startTime).some((date) => Number.isNaN(date.getTime()))) {
+    throw new ValidationError("Invalid from or to date");
+  }
+
+  const appointments = await scopedPrisma(practiceId).appointment.findMany({
+    where: {
+      ...(Object.keys(startTime).length > 0 && { startTime }),
+      ...(doctorId && { doctorId }),
+      ...(patientId && { patientId }),
+      ...(status && { status }),
+    },
+    include: appointmentInclude,
+    orderBy: { startTime: "asc" },
+  });
+
+  await auditService.recordAppointmentReads(practiceId, appointments);
+
+  return appointments;
+};
+
+/**
+ * Load one appointment, without recording a read (for returning it after a
+ * change, which the trail already has)
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @returns {Object} Appointment
+ */
+const findAppointment = async (practiceId, appointmentId) => {
+  const appointment = await scopedPrisma(practiceId).appointment.findUnique({
+    where: { id: appointmentId },
+    include: appointmentInclude,
+  });
+
+  if (!appointment) {
+    throw new NotFoundError("Appointment not found");
+  }
+
+  return appointment;
+};
+
+/**
+ * Get one appointment
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @returns {Object} Appointment
+ */
+exports.getAppointment = async (practiceId, appointmentId) => {
+  const appointment = await findAppointment(practiceId, appointmentId);
+
+  await auditService.recordAppointmentReads(practiceId, [appointment]);
+
+  return appointment;
+};
+
+/**
+ * Book an appointment
+ * @param {String} practiceId - Practice ID
+ * @param {Object} data - Booking data
+ * @param {String} data.doctorId - Doctor ID
+ * @param {String} data.serviceId - Service ID
+ * @param {String} data.startTime - Start (ISO date-time, must be an open slot)
+ * @param {String} [data.patientId] - Patient with an account
+ * @param {String} [data.patientName] - Patient name, without an account
+ * @param {String} [data.patientEmail] - Patient email, without an account
+ * @param {String} [data.notes] - Notes
+ * @param {String} [data.holdId] - Hold on this slot that the booking takes up
+ * @param {Object} [actor] - User making the booking
+ * @param {Function} [attach] - Further writes made in the same transaction,
+ *   given the transaction client and the appointment
+ * @returns {Object} Appointment
+ */
+exports.createAppointment = async (practiceId, data, actor, attach) => {
+  const db = scopedPrisma(practiceId);
+  const startTime = parseStartTime(data.startTime);
+  const patient = await exports.resolveBookingPatient(practiceId, data);
+
+  const { service } = await loadDoctorAndService(
+    db,
+    data.doctorId,
+    data.serviceId
+  );
+
+  const practice = await db.practice.findUnique({ where: { id: practiceId } });
+
+  const slot = {
+    doctorId: data.doctorId,
+    serviceId: service.id,
+    startTime,
+    endTime: new Date(startTime.getTime() + service.duration * MINUTE),
+    buffer: (service.bufferMinutes ?? config.booking.bufferMinutes) * MINUTE,
+    excludeHoldId: data.holdId,
+  };
+
+  await assertSlotOffered(practiceId, slot);
+
+  const appointment = await writeWithBookingLock(
+    db,
+    practiceId,
+    [slot],
+    async (tx) => {
+      if (data.holdId) {
+        // The hold turns into the booking, if it hasn't run out
+        const { count } = await tx.slotHold.updateMany({
+          where: {
+            id: data.holdId,
+            doctorId: slot.doctorId,
+            startTime: slot.startTime,
+            ...availabilityService.activeHoldWhere(),
+          },
+          data: { releasedAt: new Date() },
+        });
+
+        if (count === 0) {
+          throw new ConflictError(
+            "The hold on this time has expired",
+            undefined,
+            "HOLD_EXPIRED"
+          );
+        }
+      }
+
+      const created = await tx.appointment.create({
+        data: {
+          doctorId: slot.doctorId,
+          serviceId: slot.serviceId,
+          ...patient,
+          date: localDay(startTime, practice.timezone),
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          status: "SCHEDULED",
+          notes: data.notes,
+        },
+        include: appointmentInclude,
+      });
+
+      await recordHistory(
+        tx,
+        {
+          appointmentId: created.id,
+          action: "CREATED",
+          toStatus: created.status,
+        },
+        actor,
+        {
+          practiceId,
+          after: {
+            doctorId: created.doctorId,
+            serviceId: created.serviceId,
+            patientId: created.patientId,
+            startTime: created.startTime,
+            endTime: created.endTime,
+            notes: created.notes,
+          },
+        }
+      );
+
+      if (attach) await attach(tx, created);
+
+      return created;
+    }
+  );
+
+  notifyPatient("booked", [appointment], practice);
+
+  return appointment;
+};
+
+/**
+ * Hold an open slot for someone until it expires
+ *
+ * The hold blocks the time under the same overlap rules as a booking until
+ * it is booked (createAppointment with its holdId), released or expires.
+ * @param {String} practiceId - Practice ID
+ * @param {Object} data - Slot
+ * @param {String} data.doctorId - Doctor ID
+ * @param {String} data.serviceId - Service ID
+ * @param {Date|String} data.startTime - Start (must be an open slot)
+ * @param {Date} data.expiresAt - When the hold lapses
+ * @param {Function} [attach] - Further writes made in the same transaction,
+ *   given the transaction client and the hold
+ * @returns {Object} Hold
+ */
+exports.holdSlot = async (practiceId, data, attach) => {
+  const db = scopedPrisma(practiceId);
+  const startTime = parseStartTime(data.startTime);
+
+  const { service } = await loadDoctorAndService(
+    db,
+    data.doctorId,
+    data.serviceId
+  );
+
+  const slot = {
+    doctorId: data.doctorId,
+    serviceId: service.id,
+    startTime,
+    endTime: new Date(startTime.getTime() + service.duration * MINUTE),
+    buffer: (service.bufferMinutes ?? config.booking.bufferMinutes) * MINUTE,
+  };
+
+  await assertSlotOffered(practiceId, slot);
+
+  return writeWithBookingLock(db, practiceId, [slot], async (tx) => {
+    const hold = await tx.slotHold.create({
+      data: {
+        doctorId: slot.doctorId,
+        serviceId: slot.serviceId,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        expiresAt: data.expiresAt,
+      },
+    });
+
+    if (attach) await attach(tx, hold);
+
+    return hold;
+  });
+};
+
+/**
+ * Give up a hold before it expires
+ * @param {String} practiceId - Practice ID
+ * @param {String} holdId - Hold ID
+ */
+exports.releaseHold = async (practiceId, holdId) => {
+  await scopedPrisma(practiceId).slotHold.updateMany({
+    where: { id: holdId, releasedAt: null },
+    data: { releasedAt: new Date() },
+  });
+};
+
+/**
+ * Move an appointment to another slot, optionally with another doctor
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @param {Object} data - New slot
+ * @param {String} data.startTime - New start (ISO date-time)
+ * @param {String} [data.doctorId] - New doctor (defaults to the current one)
+ * @param {String} [data.scope] - For a series occurrence: "this" (default),
+ *   "following" or "all"
+ * @param {Object} [actor] - User making the change
+ * @returns {Object|Array} Appointment, or the moved appointments of a series
+ */
+exports.rescheduleAppointment = async (
+  practiceId,
+  appointmentId,
+  data,
+  actor
+) => {
+  const db = scopedPrisma(practiceId);
+  const startTime = parseStartTime(data.startTime);
+  const scope = parseScope(data.scope);
+
+  const existing = await db.appointment.findUnique({
+    where: { id: appointmentId },
+  });
+
+  if (!existing) {
+    throw new NotFoundError("Appointment not found");
+  }
+
+  if (!exports.ACTIVE_STATUSES.includes(existing.status)) {
+    throw new ConflictError(
+      `A ${statusLabel(existing.status)} appointment cannot be rescheduled`,
+      undefined,
+      "APPOINTMENT_NOT_ACTIVE"
+    );
+  }
+
+  if (!existing.serviceId) {
+    throw new ValidationError(
+      "This appointment has no service; book a new appointment instead"
+    );
+  }
+
+  if (scope !== "this") {
+    return rescheduleSeries(
+      db,
+      practiceId,
+      existing,
+      { startTime, doctorId: data.doctorId, scope },
+      actor
+    );
+  }
+
+  const doctorId = data.doctorId || existing.doctorId;
+  const { service } = await loadDoctorAndService(
+    db,
+    doctorId,
+    existing.serviceId,
+    true
+  );
+  const practice = await db.practice.findUnique({ where: { id: practiceId } });
+
+  const slot = {
+    doctorId,
+    serviceId: service.id,
+    startTime,
+    endTime: new Date(startTime.getTime() + service.duration * MINUTE),
+    buffer: (service.bufferMinutes ?? config.booking.bufferMinutes) * MINUTE,
+    excludeAppointmentIds: [existing.id],
+  };
+
+  await assertSlotOffered(practiceId, slot);
+
+  const appointment = await writeWithBookingLock(
+    db,
+    practiceId,
+    [slot],
+    async (tx) => {
+      const updated = await tx.appointment.update({
+        where: { id: existing.id },
+        data: {
+          doctorId,
+          date: localDay(startTime, practice.timezone),
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          reminderSent: false,
+          lastReminderOffset: null,
+          sequence: { increment: 1 },
+        },
+        include: appointmentInclude,
+      });
+
+      await recordHistory(
+        tx,
+        {
+          appointmentId: existing.id,
+          action: "RESCHEDULED",
+          fromStatus: existing.status,
+          toStatus: existing.status,
+          metadata: {
+            previous: {
+              doctorId: existing.doctorId,
+              startTime: existing.startTime,
+              endTime: existing.endTime,
+            },
+          },
+        },
+        actor,
+        {
+          practiceId,
+          before: existing,
+          after: {
+            doctorId,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+          },
+        }
+      );
+
+      return updated;
+    }
+  );
+
+  notifyPatient("rescheduled", [appointment], practice);
+
+  return appointment;
+};
+
+/**
+ * Offer the time of cancelled appointments to the waitlist, in the background
+ * @param {String} practiceId - Practice ID
+ * @param {Array} appointments - Cancelled appointments
+ */
+const offerToWaitlist = (practiceId, appointments) => {
+  (async () => {
+    // One at a time, so the same patient isn't offered two slots at once
+    for (const appointment of appointments) {
+      await waitlistService.offerFreedSlot(practiceId, {
+        doctorId: appointment.doctorId,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+      });
+    }
+  })().catch((error) =>
+    console.error("Failed to offer a freed slot to the waitlist:", error)
+  );
+};
+
+/**
+ * Check a status change against STATUS_TRANSITIONS and its rules
+ * @param {Object} appointment - Appointment, with its doctor's userId
+ * @param {String} status - New AppointmentStatus
+ * @param {String} [reason] - Why the status changes
+ * @param {Object} actor - User making the change (id and role)
+ */
+const assertTransition = (appointment, status, reason, actor) => {
+  const allowed = exports.STATUS_TRANSITIONS[appointment.status] || {};
+
+  if (!allowed[status]) {
+    throw new ConflictError(
+      `A ${statusLabel(appointment.status)} appointment cannot be changed to ${
+        status ? statusLabel(status) : "that status"
+      }`,
+      { allowed: Object.keys(allowed) },
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  if (!allowed[status].includes(actor.role)) {
+    throw new AuthorizationError(
+      `You are not allowed to mark an appointment as ${statusLabel(status)}`,
+      "STATUS_CHANGE_FORBIDDEN"
+    );
+  }
+
+  if (actor.role === "DOCTOR" && appointment.doctor.userId !== actor.id) {
+    throw new AuthorizationError(
+      "Doctors can only change their own appointments",
+      "STATUS_CHANGE_FORBIDDEN"
+    );
+  }
+
+  if (REASON_REQUIRED.includes(status) && !reason) {
+    throw new ValidationError("Please provide a reason");
+  }
+
+  if (AFTER_START.includes(status) && appointment.startTime > new Date()) {
+    throw new ValidationError(
+      `An appointment can't be marked as ${statusLabel(
+        status
+      )} before it starts`
+    );
+  }
+};
+
+/**
+ * Write a checked status change and its history entry
+ * @param {Object} tx - Transaction client
+ * @param {Object} appointment - Appointment as it was checked
+ * @param {Object} change - status, reason and optional history metadata
+ * @param {Object} actor - User making the change
+ */
+const applyStatus = async (tx, appointment, change, actor) => {
+  const { status, reason, metadata } = change;
+
+  // Conditional update: a concurrent change makes this one fail
+  const { count } = await tx.appointment.updateMany({
+    where: { id: appointment.id, status: appointment.status },
+    data: {
+      status,
+      ...(status === "CANCELLED" && { cancellationReason: reason }),
+      sequence: { increment: 1 },
+    },
+  });
+
+  if (count === 0) {
+    throw new ConflictError(
+      "The appointment was changed by someone else, please reload it",
+      undefined,
+      "APPOINTMENT_CHANGED"
+    );
+  }
+
+  await recordHistory(
+    tx,
+    {
+      appointmentId: appointment.id,
+      action: "STATUS_CHANGED",
+      fromStatus: appointment.status,
+      toStatus: status,
+      reason,
+      metadata,
+    },
+    actor,
+    {
+      practiceId: appointment.practiceId,
+      ...(status === "CANCELLED" && {
+        before: { cancellationReason: appointment.cancellationReason },
+        after: { cancellationReason: reason },
+      }),
+    }
+  );
+};
+
+/**
+ * Change an appointment's status
+ *
+ * The change must be in STATUS_TRANSITIONS for the current status and the
+ * actor's role. Cancellations and no-shows need a reason; completions and
+ * no-shows can't be recorded before the appointment starts.
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @param {Object} change - Change
+ * @param {String} change.status - New AppointmentStatus
+ * @param {String} [change.reason] - Why the status changed
+ * @param {Object} actor - User making the change (id and role)
+ * @returns {Object} Appointment
+ */
+exports.changeStatus = async (
+  practiceId,
+  appointmentId,
+  { status, reason },
+  actor
+) => {
+  const db = scopedPrisma(practiceId);
+
+  const appointment = await db.appointment.findUnique({
+    where: { id: appointmentId },
+    include: { doctor: { select: { userId: true } } },
+  });
+
+  if (!appointment) {
+    throw new NotFoundError("Appointment not found");
+  }
+
+  assertTransition(appointment, status, reason, actor);
+
+  await db.$transaction((tx) =>
+    applyStatus(tx, appointment, { status, reason }, actor)
+  );
+
+  const updated = await findAppointment(practiceId, appointmentId);
+
+  if (status === "CANCELLED") {
+    offerToWaitlist(practiceId, [appointment]);
+    notifyPatient(
+      "cancelled",
+      [updated],
+      await db.practice.findUnique({ where: { id: practiceId } }),
+      { reason }
+    );
+  }
+
+  return updated;
+};
+
+/**
+ * Replace an appointment's notes
+ *
+ * Doctors can only write notes on their own appointments. The history keeps
+ * the previous notes.
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @param {String} notes - Notes (empty to clear them)
+ * @param {Object} actor - User making the change (id and role)
+ * @returns {Object} Appointment
+ */
+exports.updateNotes = async (practiceId, appointmentId, notes, actor) => {
+  const db = scopedPrisma(practiceId);
+  const text = String(notes ?? "").trim();
+
+  if (text.length > MAX_NOTES_LENGTH) {
+    throw new ValidationError(
+      `Notes cannot be longer than ${MAX_NOTES_LENGTH} characters`
+    );
+  }
+
+  const appointment = await db.appointment.findUnique({
+    where: { id: appointmentId },
+    include: { doctor: { select: { userId: true } } },
+  });
+
+  if (!appointment) {
+    throw new NotFoundError("Appointment not found");
+  }
+
+  if (actor.role === "DOCTOR" && appointment.doctor.userId !== actor.id) {
+    throw new AuthorizationError(
+      "Doctors can only change their own appointments"
+    );
+  }
+
+  await db.$transaction(async (tx) => {
+    await tx.appointment.update({
+      where: { id: appointment.id },
+      data: { notes: text || null },
+    });
+
+    await recordHistory(
+      tx,
+      {
+        appointmentId: appointment.id,
+        action: "NOTES_UPDATED",
+        fromStatus: appointment.status,
+        toStatus: appointment.status,
+        metadata: { previousNotes: appointment.notes },
+      },
+      actor,
+      {
+        practiceId,
+        before: { notes: appointment.notes },
+        after: { notes: text || null },
+      }
+    );
+  });
+
+  return findAppointment(practiceId, appointmentId);
+};
+
+/**
+ * Cancel an appointment, freeing its time
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @param {String} reason - Cancellation reason
+ * @param {Object} actor - User cancelling (id and role)
+ * @param {String} [scope] - For a series occurrence: "this" (default),
+ *   "following" or "all"
+ * @returns {Object|Array} Appointment, or the cancelled appointments of a
+ *   series
+ */
+exports.cancelAppointment = async (
+  practiceId,
+  appointmentId,
+  reason,
+  actor,
+  scope
+) => {
+  if (parseScope(scope) === "this") {
+    return exports.changeStatus(
+      practiceId,
+      appointmentId,
+      { status: "CANCELLED", reason },
+      actor
+    );
+  }
+
+  const db = scopedPrisma(practiceId);
+
+  const appointment = await db.appointment.findUnique({
+    where: { id: appointmentId },
+  });
+
+  if (!appointment) {
+    throw new NotFoundError("Appointment not found");
+  }
+
+  const targets = await seriesTargets(db, appointment, scope);
+
+  for (const target of targets) {
+    assertTransition(target, "CANCELLED", reason, actor);
+  }
+
+  await db.$transaction(async (tx) => {
+    for (const target of targets) {
+      await applyStatus(
+        tx,
+        target,
+        { status: "CANCELLED", reason, metadata: { scope } },
+        actor
+      );
+    }
+
+    // The series stops before the first cancelled occurrence
+    if (scope === "following") {
+      const series = await tx.appointmentSeries.findUnique({
+        where: { id: appointment.seriesId },
+      });
+      await endSeriesBefore(tx, series, targets[0].startTime);
+    }
+  });
+
+  offerToWaitlist(practiceId, targets);
+
+  const cancelled = await db.appointment.findMany({
+    where: { id: { in: targets.map((target) => target.id) } },
+    include: appointmentInclude,
+    orderBy: { startTime: "asc" },
+  });
+
+  notifyPatient(
+    "cancelled",
+    cancelled,
+    await db.practice.findUnique({ where: { id: practiceId } }),
+    { reason, seriesId: appointment.seriesId }
+  );
+
+  return cancelled;
+};
+
+/**
+ * Plan a recurring series: expand its rule and check every occurrence
+ * @param {Object} db - Practice-scoped Prisma client
+ * @param {String} practiceId - Practice ID
+ * @param {Object} data - doctorId, serviceId, startTime and rrule
+ * @returns {Object} Normalized rrule, practice, service and occurrences
+ */
+const planSeries = async (db, practiceId, data) => {
+  const startTime = parseStartTime(data.startTime);
+  const rule = parseRRule(data.rrule);
+
+  const { service } = await loadDoctorAndService(
+    db,
+    data.doctorId,
+    data.serviceId
+  );
+  const practice = await db.practice.findUnique({ where: { id: practiceId } });
+
+  const startTimes = expandRRule(
+    rule,
+    startTime,
+    practice.timezone,
+    config.booking.maxSeriesOccurrences
+  );
+
+  if (startTimes.length === 0) {
+    throw new ValidationError(
+      "The recurrence rule produces no appointments",
+      undefined,
+      "INVALID_RRULE"
+    );
+  }
+
+  const occurrences = await checkOccurrences(db, practiceId, {
+    doctorId: data.doctorId,
+    service,
+    startTimes,
+  });
+
+  return { rrule: formatRRule(rule), practice, service, occurrences };
+};
+
+/**
+ * Check the occurrences of a recurring series without booking them
+ * @param {String} practiceId - Practice ID
+ * @param {Object} data - doctorId, serviceId, startTime and rrule
+ * @returns {Object} Normalized rrule and occurrences, each with available and
+ *   (when unavailable) a reason
+ */
+exports.previewSeries = async (practiceId, data) => {
+  const { rrule, occurrences } = await planSeries(
+    scopedPrisma(practiceId),
+    practiceId,
+    data
+  );
+
+  return { rrule, occurrences };
+};
+
+/**
+ * Book a recurring series
+ *
+ * Every occurrence must be open unless skipConflicts is set, in which case
+ * the open ones are booked and the others reported.
+ * @param {String} practiceId - Practice ID
+ * @param {Object} data - Series data
+ * @param {String} data.doctorId - Doctor ID
+ * @param {String} data.serviceId - Service ID
+ * @param {String} data.startTime - First start (ISO date-time)
+ * @param {String} data.rrule - Recurrence rule, e.g. "FREQ=WEEKLY;COUNT=12"
+ * @param {String} [data.patientId] - Patient with an account
+ * @param {String} [data.patientName] - Patient name, without an account
+ * @param {String} [data.patientEmail] - Patient email, without an account
+ * @param {String} [data.notes] - Notes
+ * @param {Boolean} [data.skipConflicts] - Book the open occurrences only
+ * @param {Object} [actor] - User making the booking
+ * @returns {Object} series, its appointments and the skipped occurrences
+ */
+exports.createSeries = async (practiceId, data, actor) => {
+  const db = scopedPrisma(practiceId);
+  const patient = await exports.resolveBookingPatient(practiceId, data);
+  const { rrule, practice, service, occurrences } = await planSeries(
+    db,
+    practiceId,
+    data
+  );
+
+  const open = occurrences.filter((occurrence) => occurrence.available);
+  const skipped = occurrences.filter((occurrence) => !occurrence.available);
+
+  if (open.length === 0 || (skipped.length > 0 && !data.skipConflicts)) {
+    throw new ConflictError(
+      open.length === 0
+        ? "None of the appointments in the series are available"
+        : "Some appointments in the series are not available",
+      { occurrences },
+      "SERIES_CONFLICT"
+    );
+  }
+
+  const buffer =
+    (service.bufferMinutes ?? config.booking.bufferMinutes) * MINUTE;
+  const slots = open.map((occurrence) => ({
+    doctorId: data.doctorId,
+    serviceId: service.id,
+    startTime: occurrence.startTime,
+    endTime: occurrence.endTime,
+    buffer,
+  }));
+
+  const series = await writeWithBookingLock(
+    db,
+    practiceId,
+    slots,
+    async (tx) => {
+      const created = await tx.appointmentSeries.create({
+        data: {
+          doctorId: data.doctorId,
+          serviceId: service.id,
+          ...patient,
+          rrule,
+          startTime: occurrences[0].startTime,
+          notes: data.notes,
+        },
+      });
+
+      // IDs are generated here so the history can be written in one go
+      const appointments = slots.map((slot) => ({
+        id: crypto.randomUUID(),
+        seriesId: created.id,
+        doctorId: slot.doctorId,
+        serviceId: slot.serviceId,
+        ...patient,
+        date: localDay(slot.startTime, practice.timezone),
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        status: "SCHEDULED",
+        notes: data.notes,
+      }));
+
+      await tx.appointment.createMany({ data: appointments });
+      await tx.appointmentHistory.createMany({
+        data: appointments.map((appointment) => ({
+          appointmentId: appointment.id,
+          action: "CREATED",
+          toStatus: appointment.status,
+          actorId: actor ? actor.id : null,
+          metadata: { seriesId: created.id },
+        })),
+      });
+      await auditService.recordMany(
+        appointments.map((appointment) => ({
+          practiceId,
+          action: "CREATE",
+          resourceType: "APPOINTMENT",
+          resourceId: appointment.id,
+          changes: auditService.diff(
+            {},
+            {
+              status: appointment.status,
+              doctorId: appointment.doctorId,
+              serviceId: appointment.serviceId,
+              patientId: appointment.patientId,
+              seriesId: appointment.seriesId,
+              startTime: appointment.startTime,
+              endTime: appointment.endTime,
+              notes: appointment.notes,
+            }
+          ),
+          actor,
+        })),
+        tx
+      );
+
+      return created;
+    }
+  );
+
+  const appointments = await db.appointment.findMany({
+    where: { seriesId: series.id },
+    include: appointmentInclude,
+    orderBy: { startTime: "asc" },
+  });
+
+  notifyPatient("booked", appointments, practice, { seriesId: series.id });
+
+  return { series, appointments, skipped };
+};
+
+/**
+ * Get a recurring series and its appointments
+ * @param {String} practiceId - Practice ID
+ * @param {String} seriesId - Series ID
+ * @returns {Object} Series with its appointments, by start time
+ */
+exports.getSeries = async (practiceId, seriesId) => {
+  const db = scopedPrisma(practiceId);
+
+  const series = await db.appointmentSeries.findUnique({
+    where: { id: seriesId },
+  });
+
+  if (!series) {
+    throw new NotFoundError("Series not found");
+  }
+
+  const appointments = await db.appointment.findMany({
+    where: { seriesId: series.id },
+    include: appointmentInclude,
+    orderBy: { startTime: "asc" },
+  });
+
+  await auditService.recordAppointmentReads(practiceId, appointments);
+
+  return { ...series, appointments };
+};
+
+/**
+ * Get the change history of an appointment
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @returns {Array} History entries, oldest first
+ */
+exports.getHistory = async (practiceId, appointmentId) => {
+  const appointment = await scopedPrisma(practiceId).appointment.findUnique({
+    where: { id: appointmentId },
+    select: {
+      id: true,
+      patientId: true,
+      history: {
+        select: {
+          id: true,
+          action: true,
+          fromStatus: true,
+          toStatus: true,
+          reason: true,
+          metadata: true,
+          createdAt: true,
+          actor: {
+            select: { id: true, firstName: true, lastName: true, role: true },
+          },
+        },
+        orderBy: { createdAt: "asc" },
+      },
+    },
+  });
+
+  if (!appointment) {
+    throw new NotFoundError("Appointment not found");
+  }
+
+  await auditService.recordAppointmentReads(practiceId, [appointment]);
+
+  return appointment.history;
+};
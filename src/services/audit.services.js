@@ -0,0 +1,405 @@
+// src/services/audit.services.js
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const requestContext = require("../utils/requestContext");
+const { ENCRYPTED_FIELDS } = require("../utils/encryption");
+const { ValidationError } = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+exports.AUDIT_ACTIONS = ["READ", "CREATE", "UPDATE", "DELETE"];
+exports.AUDIT_RESOURCES = ["PATIENT", "APPOINTMENT", "USER"];
+
+const MASK = "[MASKED]";
+
+// Values that never reach the trail: secrets, and free text or identifiers
+// that may hold health or insurance details. The trail only shows they changed.
+const SENSITIVE_FIELDS = new Set([
+  "password",
+  "passwordHash",
+  "resetPasswordToken",
+  "tokenHash",
+  ...ENCRYPTED_FIELDS.user,
+  ...ENCRYPTED_FIELDS.patient,
+  "notes",
+  "cancellationReason",
+]);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Entries checked per query when verifying a chain
+const VERIFY_BATCH_SIZE = 1000;
+
+/**
+ * Serialize a value as JSON with object keys sorted, so the same entry
+ * always hashes the same (Postgres doesn't keep JSONB key order)
+ * @param {*} value - JSON-compatible value
+ * @returns {String} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  // Dates, Decimals and the like serialize through toJSON
+  if (value && typeof value.toJSON === "function") {
+    return canonicalJson(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash an entry together with the hash of the entry before it
+ * @param {Object} entry - Audit entry, as stored
+ * @returns {String} SHA-256 hex digest
+ */
+const hashEntry = (entry) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      canonicalJson({
+        id: entry.id,
+        practiceId: entry.practiceId,
+        actorId: entry.actorId,
+        actorRole: entry.actorRole,
+        action: entry.action,
+        resourceType: entry.resourceType,
+        resourceId: entry.resourceId,
+        changes: entry.changes,
+        ipAddress: entry.ipAddress,
+        requestId: entry.requestId,
+        previousHash: entry.previousHash,
+        createdAt: entry.createdAt.toISOString(),
+      })
+    )
+    .digest("hex");
+
+/**
+ * Advisory lock key of a practice's chain
+ * @param {String|null} practiceId - Practice ID (null for the system chain)
+ * @returns {String} Lock key
+ */
+const chainLock = (practiceId) => `audit:${practiceId || "system"}`;
+
+/**
+ * Append entries to their chains
+ * @param {Object} tx - Transaction client
+ * @param {Array} entries - Entries (see exports.recordMany)
+ */
+const appendEntries = async (tx, entries) => {
+  const context = requestContext.get();
+  const createdAt = new Date();
+  const chains = new Map();
+
+  for (const entry of entries) {
+    const practiceId = entry.practiceId || null;
+    if (!chains.has(practiceId)) chains.set(practiceId, []);
+    chains.get(practiceId).push(entry);
+  }
+
+  // Locks are always taken in the same order so writers can't deadlock
+  const practiceIds = [...chains.keys()].sort((a, b) =>
+    chainLock(a).localeCompare(chainLock(b))
+  );
+  const rows = [];
+
+  for (const practiceId of practiceIds) {
+    const lockKey = chainLock(practiceId);
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${lockKey}))`;
+
+    const last = await tx.auditLog.findFirst({
+      where: { practiceId },
+      orderBy: { sequence: "desc" },
+      select: { hash: true },
+    });
+    let previousHash = last ? last.hash : null;
+
+    for (const entry of chains.get(practiceId)) {
+      const actor = entry.actor || {
+        id: context.actorId,
+        role: context.actorRole,
+      };
+      const row = {
+        id: crypto.randomUUID(),
+        practiceId,
+        actorId: actor.id || null,
+        actorRole: actor.role || null,
+        action: entry.action,
+        resourceType: entry.resourceType,
+        resourceId: entry.resourceId,
+        // Stored as JSON, so hash what will be read back
+        changes: entry.changes
+          ? JSON.parse(JSON.stringify(entry.changes))
+          : null,
+        ipAddress: context.ipAddress || null,
+        requestId: context.requestId || null,
+        previousHash,
+        createdAt,
+      };
+
+      row.hash = hashEntry(row);
+      previousHash = row.hash;
+      rows.push(row);
+    }
+  }
+
+  await tx.auditLog.createMany({
+    data: rows.map(({ changes, ...row }) => ({
+      ...row,
+      ...(changes && { changes }),
+    })),
+  });
+};
+
+/**
+ * Record an access to or change of a record
+ * @param {Object} entry - Entry
+ * @param {String} [entry.practiceId] - Practice (none for system-wide records)
+ * @param {String} entry.action - AuditAction
+ * @param {String} entry.resourceType - AuditResource
+ * @param {String} entry.resourceId - ID of the record
+ * @param {Object} [entry.changes] - Changed fields (see exports.diff)
+ * @param {Object} [entry.actor] - Acting user ({ id, role }), defaults to the
+ *   authenticated user of the request
+ * @param {Object} [tx] - Transaction client, to record with the change itself
+ */
+exports.record = async (entry, tx) => exports.recordMany([entry], tx);
+
+/**
+ * Record accesses to or changes of several records
+ *
+ * Actor, IP and request ID come from the request context. Each practice's
+ * entries form a chain: an entry's hash covers its content and the hash of
+ * the entry before it, so editing or removing one breaks every later link.
+ * @param {Array} entries - Entries (see exports.record)
+ * @param {Object} [tx] - Transaction client, to record with the change itself
+ */
+exports.recordMany = async (entries, tx) => {
+  if (entries.length === 0) return;
+
+  if (tx) {
+    await appendEntries(tx, entries);
+  } else {
+    await prisma.$transaction((client) => appendEntries(client, entries));
+  }
+};
+
+/**
+ * Build entries for reads of several records of one type
+ * @param {String} practiceId - Practice ID
+ * @param {String} resourceType - AuditResource
+ * @param {Array} resourceIds - Record IDs (duplicates and empty IDs are skipped)
+ * @param {Object} [actor] - Acting user, defaults to the request's
+ * @returns {Array} Entries for exports.recordMany
+ */
+exports.reads = (practiceId, resourceType, resourceIds, actor) =>
+  [...new Set(resourceIds.filter(Boolean))].map((resourceId) => ({
+    practiceId,
+    action: "READ",
+    resourceType,
+    resourceId,
+    actor,
+  }));
+
+/**
+ * Record that appointments, and the patients on them, were viewed
+ * @param {String} practiceId - Practice ID
+ * @param {Array} appointments - Appointments shown (id and patientId)
+ * @param {Object} [actor] - Viewer, defaults to the request's user
+ */
+exports.recordAppointmentReads = async (practiceId, appointments, actor) =>
+  exports.recordMany([
+    ...exports.reads(
+      practiceId,
+      "APPOINTMENT",
+      appointments.map((appointment) => appointment.id),
+      actor
+    ),
+    ...exports.reads(
+      practiceId,
+      "PATIENT",
+      appointments.map((appointment) => appointment.patientId),
+      actor
+    ),
+  ]);
+
+/**
+ * Compare two versions of a record
+ * @param {Object} before - Old values (empty for a new record)
+ * @param {Object} after - New values
+ * @param {Array} [fields] - Fields to compare (defaults to those in after)
+ * @returns {Object|null} { field: { from, to } } for changed fields, with
+ *   sensitive values masked, or null if nothing changed
+ */
+exports.diff = (before, after, fields = Object.keys(after)) => {
+  const changes = {};
+
+  for (const field of fields) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+
+    if (canonicalJson(from) === canonicalJson(to)) continue;
+
+    changes[field] = SENSITIVE_FIELDS.has(field)
+      ? { from: from === null ? null : MASK, to: to === null ? null : MASK }
+      : { from, to };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Shape an entry for API responses
+ * @param {Object} entry - Audit entry
+ * @returns {Object} Entry with its sequence as a string
+ */
+const formatEntry = (entry) => ({
+  ...entry,
+  sequence: entry.sequence.toString(),
+});
+
+/**
+ * Parse a time filter
+ * @param {String} value - ISO date-time
+ * @param {String} name - Filter name, for the error message
+ * @returns {Date} Time
+ */
+const parseTime = (value, name) => {
+  const time = new Date(value);
+
+  if (Number.isNaN(time.getTime())) {
+    throw new ValidationError(`Please provide a valid ${name}`);
+  }
+
+  return time;
+};
+
+/**
+ * List audit entries of a practice, newest first
+ * @param {String|null} practiceId - Practice ID (null for system entries)
+ * @param {Object} filters - Filters
+ * @param {String} [filters.actorId] - Acting user
+ * @param {String} [filters.action] - AuditAction
+ * @param {String} [filters.resourceType] - AuditResource
+ * @param {String} [filters.resourceId] - Record ID
+ * @param {String} [filters.requestId] - Request ID
+ * @param {String} [filters.from] - Earliest time (ISO date-time)
+ * @param {String} [filters.to] - Latest time (ISO date-time)
+ * @param {String} [filters.before] - Only entries older than this sequence
+ *   (the nextCursor of the previous page)
+ * @param {Number} [filters.limit] - Page size
+ * @returns {Object} Entries and the cursor of the next page
+ */
+exports.listAuditLogs = async (practiceId, filters = {}) => {
+  const { actorId, action, resourceType, resourceId, requestId } = filters;
+
+  if (action && !exports.AUDIT_ACTIONS.includes(action)) {
+    throw new ValidationError(
+      `action must be one of: ${exports.AUDIT_ACTIONS.join(", ")}`
+    );
+  }
+
+  if (resourceType && !exports.AUDIT_RESOURCES.includes(resourceType)) {
+    throw new ValidationError(
+      `resourceType must be one of: ${exports.AUDIT_RESOURCES.join(", ")}`
+    );
+  }
+
+  if (filters.before !== undefined && !/^\d+$/.test(filters.before)) {
+    throw new ValidationError("Please provide a valid before cursor");
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  const entries = await prisma.auditLog.findMany({
+    where: {
+      practiceId,
+      ...(actorId && { actorId }),
+      ...(action && { action }),
+      ...(resourceType && { resourceType }),
+      ...(resourceId && { resourceId }),
+      ...(requestId && { requestId }),
+      ...((filters.from || filters.to) && {
+        createdAt: {
+          ...(filters.from && { gte: parseTime(filters.from, "from") }),
+          ...(filters.to && { lte: parseTime(filters.to, "to") }),
+        },
+      }),
+      ...(filters.before !== undefined && {
+        sequence: { lt: BigInt(filters.before) },
+      }),
+    },
+    orderBy: { sequence: "desc" },
+    take: limit + 1,
+  });
+
+  const page = entries.slice(0, limit);
+
+  return {
+    entries: page.map(formatEntry),
+    nextCursor:
+      entries.length > limit ? page[page.length - 1].sequence.toString() : null,
+  };
+};
+
+/**
+ * Check a practice's chain for entries that were altered or removed
+ * @param {String|null} practiceId - Practice ID (null for system entries)
+ * @returns {Object} Whether the chain is intact, how many entries were
+ *   checked, the first broken entry and the hash of the last entry (keep it
+ *   elsewhere to also detect entries cut off the end)
+ */
+exports.verifyChain = async (practiceId) => {
+  let previousHash = null;
+  let checked = 0;
+  let cursor;
+
+  for (;;) {
+    const batch = await prisma.auditLog.findMany({
+      where: {
+        practiceId,
+        ...(cursor !== undefined && { sequence: { gt: cursor } }),
+      },
+      orderBy: { sequence: "asc" },
+      take: VERIFY_BATCH_SIZE,
+    });
+
+    for (const entry of batch) {
+      const reason =
+        entry.previousHash !== previousHash
+          ? "An entry before this one is missing"
+          : entry.hash !== hashEntry(entry)
+          ? "This entry was altered"
+          : null;
+
+      if (reason) {
+        return {
+          valid: false,
+          checked,
+          brokenAt: { ...formatEntry(entry), reason },
+          lastHash: null,
+        };
+      }
+
+      previousHash = entry.hash;
+      checked += 1;
+    }
+
+    if (batch.length < VERIFY_BATCH_SIZE) break;
+    cursor = batch[batch.length - 1].sequence;
+  }
+
+  return { valid: true, checked, brokenAt: null, lastHash: previousHash };
+};
@@ -3,9 +3,23 @@ const bcrypt = require("bcryptjs");
 const speakeasy = require("speakeasy");
 const QRCode = require("qrcode");
 const { PrismaClient } = require("@prisma/client");
-const crypto = require("crypto");
-const { generateToken, generateResetToken } = require("../utils/tokens");
-const sendEmail = require("../utils/email");
+const { generateResetToken, hashToken } = require("../utils/tokens");
+const { sendMail } = require("../mailer");
+const config = require("../config");
+const { encrypt } = require("../utils/encryption");
+const auditService = require("./audit.services");
+const sessionService = require("./session.services");
+const bruteForce = require("./bruteForce.services");
+const twoFactorService = require("./twoFactor.services");
+const securityEvents = require("./securityEvent.services");
+const passwordService = require("./password.services");
+const {
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
 
 const prisma = new PrismaClient();
 
@@ -13,34 +27,64 @@ const prisma = new PrismaClient();
  * Login a user
  * @param {String} email - User email
  * @param {String} password - User password
- * @returns {Object} User data and token
+ * @param {Object} meta - Client metadata (userAgent, ipAddress) for the session
+ * @returns {Object} User data, access token and refresh token
  */
-exports.login = async (email, password) => {
+exports.login = async (email, password, meta = {}) => {
+  const { ipAddress } = meta;
+
   // Find user by email
   const user = await prisma.user.findUnique({
     where: { email },
   });
 
+  // Refuse locked-out accounts and throttled clients before any password check
+  await bruteForce.assertCanAttempt({ user, ipAddress });
+
   if (!user) {
-    throw new Error("Invalid credentials");
+    await bruteForce.recordFailure({ email, ipAddress, type: "PASSWORD" });
+    throw new AuthenticationError("Invalid credentials", "INVALID_CREDENTIALS");
   }
 
   // Check if password is correct
   const isPasswordCorrect = await bcrypt.compare(password, user.password);
   if (!isPasswordCorrect) {
-    throw new Error("Invalid credentials");
+    await bruteForce.recordFailure({
+      user,
+      email,
+      ipAddress,
+      type: "PASSWORD",
+    });
+    throw new AuthenticationError("Invalid credentials", "INVALID_CREDENTIALS");
+  }
+
+  // Invited accounts are verified when the invitation is accepted
+  if (!user.emailVerifiedAt) {
+    throw new AuthorizationError(
+      "Please verify your email address before logging in",
+      "EMAIL_NOT_VERIFIED"
+    );
   }
 
   // Check if 2FA is enabled
   if (user.twoFactorEnabled) {
+    const { challengeToken, expiresAt } =
+      await twoFactorService.createChallenge(user.id);
+
     return {
       requiresTwoFactor: true,
-      userId: user.id,
+      challengeToken,
+      challengeExpiresAt: expiresAt,
     };
   }
 
-  // Generate JWT token
-  const token = generateToken(user.id);
+  await bruteForce.recordSuccess({ user, ipAddress, type: "PASSWORD" });
+
+  // Start a session
+  const { token, refreshToken } = await sessionService.createSession(
+    user.id,
+    meta
+  );
 
   return {
     user: {
@@ -51,38 +95,63 @@ exports.login = async (email, password) => {
       role: user.role,
     },
     token,
+    refreshToken,
+    // Set when the role policy requires 2FA but the user hasn't enrolled yet
+    twoFactorSetupRequired: twoFactorService.isRequiredForRole(user.role),
   };
 };
 
 /**
  * Verify 2FA token
- * @param {String} userId - User ID
+ * @param {String} challengeToken - Challenge token returned by login
  * @param {String} token - 2FA token
- * @returns {Object} User data and token
+ * @param {Object} meta - Client metadata (userAgent, ipAddress) for the session
+ * @returns {Object} User data, access token and refresh token
  */
-exports.verifyTwoFactor = async (userId, token) => {
-  // Find user
-  const user = await prisma.user.findUnique({
-    where: { id: userId },
-  });
+exports.verifyTwoFactor = async (challengeToken, token, meta = {}) => {
+  const { ipAddress } = meta;
 
-  if (!user) {
-    throw new Error("User not found");
-  }
+  // Resolve the user from the challenge issued at login
+  const challenge = await twoFactorService.findChallenge(challengeToken);
+  const { user } = challenge;
 
-  // Verify token
-  const verified = speakeasy.totp.verify({
-    secret: user.twoFactorSecret,
-    encoding: "base32",
-    token: token,
-  });
+  // Failed codes count towards the same lockout as failed passwords
+  await bruteForce.assertCanAttempt({ user, ipAddress });
+
+  // Verify token (a TOTP code or one of the backup codes)
+  const { verified, usedBackupCode } =
+    await twoFactorService.verifyCodeOrBackupCode(user, token);
 
   if (!verified) {
-    throw new Error("Invalid verification code");
+    await twoFactorService.recordChallengeFailure(challenge.id);
+    await bruteForce.recordFailure({
+      user,
+      email: user.email,
+      ipAddress,
+      type: "TWO_FACTOR",
+    });
+    throw new AuthenticationError(
+      "Invalid verification code",
+      "INVALID_TWO_FACTOR_CODE"
+    );
   }
 
-  // Generate JWT token
-  const jwtToken = generateToken(user.id);
+  await twoFactorService.consumeChallenge(challenge.id);
+  await bruteForce.recordSuccess({ user, ipAddress, type: "TWO_FACTOR" });
+
+  if (usedBackupCode) {
+    await securityEvents.record({
+      userId: user.id,
+      type: "BACKUP_CODE_USED",
+      ipAddress,
+    });
+  }
+
+  // Start a session
+  const { token: jwtToken, refreshToken } = await sessionService.createSession(
+    user.id,
+    meta
+  );
 
   return {
     user: {
@@ -93,24 +162,58 @@ exports.verifyTwoFactor = async (userId, token) => {
       role: user.role,
     },
     token: jwtToken,
+    refreshToken,
   };
 };
 
 /**
  * Setup 2FA for a user
+ *
+ * The new secret is kept pending until confirmed by enableTwoFactor, so
+ * re-enrolling never replaces a working secret with an unconfirmed one.
  * @param {Object} user - User object
+ * @param {String} [token] - Current 2FA token, required if 2FA is enabled
  * @returns {Object} 2FA setup data
  */
-exports.setupTwoFactor = async (user) => {
+exports.setupTwoFactor = async (user, token) => {
+  const account = await prisma.user.findUnique({
+    where: { id: user.id },
+  });
+
+  // Re-enrollment needs proof of the current device
+  if (account.twoFactorEnabled) {
+    const { verified } = await twoFactorService.verifyCodeOrBackupCode(
+      account,
+      token
+    );
+
+    if (!verified) {
+      throw new ValidationError(
+        "Invalid verification code",
+        undefined,
+        "INVALID_TWO_FACTOR_CODE"
+      );
+    }
+  }
+
   // Generate secret
   const secret = speakeasy.generateSecret({
     name: `DoctorBookingApp:${user.email}`,
   });
 
   // Save secret to user
+  const data = { twoFactorPendingSecret: encrypt(secret.base32) };
+
   await prisma.user.update({
     where: { id: user.id },
-    data: { twoFactorSecret: secret.base32 },
+    data,
+  });
+
+  await auditService.record({
+    action: "UPDATE",
+    resourceType: "USER",
+    resourceId: user.id,
+    changes: auditService.diff(account, data),
   });
 
   // Generate QR code
@@ -125,38 +228,173 @@ exports.setupTwoFactor = async (user) => {
 /**
  * Enable 2FA for a user
  * @param {String} userId - User ID
- * @param {String} token - 2FA token
+ * @param {String} token - 2FA token from the newly configured device
+ * @param {Object} meta - Client metadata (ipAddress)
+ * @returns {Array} Backup codes, shown to the user once
  */
-exports.enableTwoFactor = async (userId, token) => {
+exports.enableTwoFactor = async (userId, token, meta = {}) => {
   // Find user
   const user = await prisma.user.findUnique({
     where: { id: userId },
   });
 
   if (!user) {
-    throw new Error("User not found");
+    throw new NotFoundError("User not found");
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ConflictError("Two-factor setup has not been started");
   }
 
   // Verify token
-  const verified = speakeasy.totp.verify({
-    secret: user.twoFactorSecret,
-    encoding: "base32",
-    token: token,
-  });
+  const verified = await twoFactorService.verifyCode(
+    user,
+    token,
+    user.twoFactorPendingSecret
+  );
 
   if (!verified) {
-    throw new Error("Invalid verification code");
+    throw new ValidationError(
+      "Invalid verification code",
+      undefined,
+      "INVALID_TWO_FACTOR_CODE"
+    );
   }
 
   // Enable 2FA for user
+  const data = {
+    twoFactorEnabled: true,
+    twoFactorSecret: user.twoFactorPendingSecret,
+    twoFactorPendingSecret: null,
+  };
+
   await prisma.user.update({
     where: { id: userId },
-    data: { twoFactorEnabled: true },
+    data,
+  });
+
+  await auditService.record({
+    action: "UPDATE",
+    resourceType: "USER",
+    resourceId: userId,
+    changes: auditService.diff(user, data),
+  });
+
+  const backupCodes = await twoFactorService.generateBackupCodes(userId);
+
+  await securityEvents.record({
+    userId,
+    type: user.twoFactorEnabled
+      ? "TWO_FACTOR_REENROLLED"
+      : "TWO_FACTOR_ENABLED",
+    ipAddress: meta.ipAddress,
   });
+
+  return backupCodes;
+};
+
+/**
+ * Disable 2FA for a user
+ * @param {String} userId - User ID
+ * @param {String} password - Current password
+ * @param {String} token - 2FA token or backup code
+ * @param {Object} meta - Client metadata (ipAddress)
+ */
+exports.disableTwoFactor = async (userId, password, token, meta = {}) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!user.twoFactorEnabled) {
+    throw new ConflictError("Two-factor authentication is not enabled");
+  }
+
+  if (twoFactorService.isRequiredForRole(user.role)) {
+    throw new AuthorizationError(
+      "Two-factor authentication is required for your role",
+      "TWO_FACTOR_REQUIRED"
+    );
+  }
+
+  // Check if password is correct
+  const isPasswordCorrect = await bcrypt.compare(password, user.password);
+  if (!isPasswordCorrect) {
+    throw new ValidationError(
+      "Password is incorrect",
+      undefined,
+      "INVALID_PASSWORD"
+    );
+  }
+
+  const { verified } = await twoFactorService.verifyCodeOrBackupCode(
+    user,
+    token
+  );
+
+  if (!verified) {
+    throw new ValidationError(
+      "Invalid verification code",
+      undefined,
+      "INVALID_TWO_FACTOR_CODE"
+    );
+  }
+
+  await twoFactorService.clearTwoFactor(userId);
+
+  await securityEvents.record({
+    userId,
+    type: "TWO_FACTOR_DISABLED",
+    ipAddress: meta.ipAddress,
+  });
+};
+
+/**
+ * Replace a user's backup codes
+ * @param {String} userId - User ID
+ * @param {String} token - Current 2FA token
+ * @param {Object} meta - Client metadata (ipAddress)
+ * @returns {Array} New backup codes
+ */
+exports.regenerateBackupCodes = async (userId, token, meta = {}) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (!user || !user.twoFactorEnabled) {
+    throw new ConflictError("Two-factor authentication is not enabled");
+  }
+
+  const verified = await twoFactorService.verifyCode(user, token);
+
+  if (!verified) {
+    throw new ValidationError(
+      "Invalid verification code",
+      undefined,
+      "INVALID_TWO_FACTOR_CODE"
+    );
+  }
+
+  const backupCodes = await twoFactorService.generateBackupCodes(userId);
+
+  await securityEvents.record({
+    userId,
+    type: "BACKUP_CODES_GENERATED",
+    ipAddress: meta.ipAddress,
+  });
+
+  return backupCodes;
 };
 
 /**
  * Forgot password - send reset email
+ *
+ * Behaves the same whether or not the address belongs to an account, so the
+ * endpoint can't be used to find out who is registered. The email is sent in
+ * the background for the same reason (no timing difference).
  * @param {String} email - User email
  * @param {String} resetUrl - Reset URL base
  */
@@ -167,56 +405,52 @@ exports.forgotPassword = async (email, resetUrl) => {
   });
 
   if (!user) {
-    throw new Error("No user with that email address");
+    return;
   }
 
   // Generate reset token
   const { resetToken, hashedToken, resetExpires } = generateResetToken();
 
   // Save reset token to user
+  const data = {
+    resetPasswordToken: hashedToken,
+    resetPasswordExpires: resetExpires,
+  };
+
   await prisma.user.update({
     where: { id: user.id },
-    data: {
-      resetPasswordToken: hashedToken,
-      resetPasswordExpires: resetExpires,
-    },
+    data,
   });
 
-  // Create reset URL
-  const completeResetUrl = `${resetUrl}/${resetToken}`;
-
-  // Create email message
-  const message = `
-    You requested a password reset. Please click on the link below to reset your password:
-    ${completeResetUrl}
-    If you didn't request this, please ignore this email.
-  `;
+  await auditService.record({
+    action: "UPDATE",
+    resourceType: "USER",
+    resourceId: user.id,
+    changes: auditService.diff(user, data),
+  });
 
   // Send email
-  try {
-    await sendEmail({
-      email: user.email,
-      subject: "Password Reset Request",
-      message,
-      html: `
-        <h1>Password Reset</h1>
-        <p>You requested a password reset.</p>
-        <p>Please click on the link below to reset your password:</p>
-        <a href="${completeResetUrl}" target="_blank">Reset Password</a>
-        <p>If you didn't request this, please ignore this email.</p>
-      `,
-    });
-  } catch (error) {
+  sendMail({
+    to: user.email,
+    template: "passwordReset",
+    data: {
+      resetUrl: `${resetUrl}/${resetToken}`,
+      expiresInMinutes: config.auth.passwordReset.expiresInMinutes,
+    },
+  }).catch(async (error) => {
+    console.error("Failed to send password reset email:", error);
+
     // If email fails, remove reset token
-    await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        resetPasswordToken: null,
-        resetPasswordExpires: null,
-      },
-    });
-    throw new Error("Failed to send email");
-  }
+    await prisma.user
+      .update({
+        where: { id: user.id },
+        data: {
+          resetPasswordToken: null,
+          resetPasswordExpires: null,
+        },
+      })
+      .catch((err) => console.error("Failed to clear reset token:", err));
+  });
 };
 
 /**
@@ -226,7 +460,7 @@ exports.forgotPassword = async (email, resetUrl) => {
  */
 exports.resetPassword = async (token, password) => {
   // Hash token
-  const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+  const hashedToken = hashToken(token);
 
   // Find user by token and check if token is still valid
   const user = await prisma.user.findFirst({
@@ -239,23 +473,92 @@ exports.resetPassword = async (token, password) => {
   });
 
   if (!user) {
-    throw new Error("Invalid or expired token");
+    throw new ValidationError(
+      "Invalid or expired token",
+      undefined,
+      "INVALID_TOKEN"
+    );
   }
 
-  // Hash new password
-  const hashedPassword = await bcrypt.hash(password, 12);
+  // Apply the password policy and history
+  await passwordService.assertPasswordAllowed(user, password);
 
   // Update user
-  await prisma.user.update({
-    where: { id: user.id },
-    data: {
-      password: hashedPassword,
-      resetPasswordToken: null,
-      resetPasswordExpires: null,
-    },
+  await passwordService.changeUserPassword(user, password, {
+    resetPasswordToken: null,
+    resetPasswordExpires: null,
+  });
+
+  // Sign out everywhere, the old password may have been compromised
+  await sessionService.revokeUserSessions(user.id, {
+    reason: "password_reset",
   });
 };
 
+/**
+ * Change password for a signed-in user
+ * @param {String} userId - User ID
+ * @param {String} currentPassword - Current password
+ * @param {String} newPassword - New password
+ * @param {String} sessionId - Caller's session, kept signed in
+ */
+exports.changePassword = async (
+  userId,
+  currentPassword,
+  newPassword,
+  sessionId
+) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  // Check if current password is correct
+  const isPasswordCorrect = await bcrypt.compare(
+    currentPassword,
+    user.password
+  );
+  if (!isPasswordCorrect) {
+    throw new ValidationError(
+      "Current password is incorrect",
+      undefined,
+      "INVALID_PASSWORD"
+    );
+  }
+
+  // Apply the password policy and history
+  await passwordService.assertPasswordAllowed(user, newPassword);
+
+  await passwordService.changeUserPassword(user, newPassword);
+
+  // Sign out every other device
+  await sessionService.revokeUserSessions(user.id, {
+    reason: "password_changed",
+    exceptSessionId: sessionId,
+  });
+};
+
+/**
+ * Refresh an access token
+ * @param {String} refreshToken - Refresh token
+ * @param {Object} meta - Client metadata (userAgent, ipAddress)
+ * @returns {Object} New access token and refresh token
+ */
+exports.refresh = async (refreshToken, meta) => {
+  return sessionService.rotateRefreshToken(refreshToken, meta);
+};
+
+/**
+ * Logout - revoke the session of a refresh token
+ * @param {String} refreshToken - Plain refresh token
+ */
+exports.logout = async (refreshToken) => {
+  await sessionService.revokeSessionByRefreshToken(refreshToken, "logout");
+};
+
 /**
  * Get current user
  * @param {String} userId - User ID
@@ -267,9 +570,15 @@ exports.getCurrentUser = async (userId) => {
   });
 
   if (!user) {
-    throw new Error("User not found");
+    throw new NotFoundError("User not found");
   }
 
+  await auditService.record({
+    action: "READ",
+    resourceType: "USER",
+    resourceId: user.id,
+  });
+
   return {
     id: user.id,
     email: user.email,
@@ -277,5 +586,6 @@ exports.getCurrentUser = async (userId) => {
     lastName: user.lastName,
     role: user.role,
     twoFactorEnabled: user.twoFactorEnabled,
+    twoFactorRequired: twoFactorService.isRequiredForRole(user.role),
   };
 };
@@ -0,0 +1,568 @@
+// src/services/availability.services.js
+const config = require("../config");
+const { scopedPrisma } = require("../utils/practiceScope");
+const {
+  addDays,
+  getZonedDate,
+  parseTimeOfDay,
+  zonedTimeToUtc,
+} = require("../utils/timezone");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Appointment statuses that leave their time free
+exports.NON_BLOCKING_STATUSES = ["CANCELLED"];
+
+/**
+ * Filter matching slot holds that still block their time
+ * @param {String} [excludeHoldId] - Hold to leave out
+ * @returns {Object} Prisma where clause on SlotHold
+ */
+exports.activeHoldWhere = (excludeHoldId) => ({
+  releasedAt: null,
+  expiresAt: { gt: new Date() },
+  ...(excludeHoldId && { id: { not: excludeHoldId } }),
+});
+
+/**
+ * Parse one end of a requested range
+ *
+ * A plain date ("2026-11-02") means that day in the practice's time zone;
+ * as the end of a range it includes the whole day.
+ * @param {String} value - ISO date or date-time
+ * @param {String} timeZone - Practice time zone
+ * @param {Boolean} isEnd - Whether this is the end of the range
+ * @returns {Date} Instant
+ */
+exports.parseBound = (value, timeZone, isEnd) => {
+  if (DATE_ONLY.test(value)) {
+    const [year, month, day] = value.split("-").map(Number);
+    const date = { year, month, day };
+
+    return zonedTimeToUtc(isEnd ? addDays(date, 1) : date, 0, timeZone);
+  }
+
+  const parsed = new Date(value);
+
+  if (Number.isNaN(parsed.getTime())) {
+    throw new ValidationError(`Invalid date: ${value}`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Resolve and check the requested range
+ * @param {Object} query - Query
+ * @param {String} [query.from] - Start (defaults to now)
+ * @param {String} [query.to] - End (defaults to the configured range)
+ * @param {String} timeZone - Practice time zone
+ * @returns {Object} start and end instants
+ */
+const resolveRange = ({ from, to }, timeZone) => {
+  const { defaultRangeDays, maxRangeDays } = config.booking;
+
+  const start = from ? exports.parseBound(from, timeZone, false) : new Date();
+  const end = to
+    ? exports.parseBound(to, timeZone, true)
+    : new Date(start.getTime() + defaultRangeDays * DAY);
+
+  if (end <= start) {
+    throw new ValidationError("The end of the range must be after its start");
+  }
+
+  // Rounded so a calendar month spanning a DST change still fits
+  if (Math.round((end - start) / DAY) > maxRangeDays) {
+    throw new ValidationError(
+      `The range cannot be longer than ${maxRangeDays} days`
+    );
+  }
+
+  return { start, end };
+};
+
+/**
+ * Merge intervals into a sorted list of disjoint intervals
+ * @param {Array} intervals - Intervals with start and end in milliseconds
+ * @returns {Array} Merged intervals
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Calendar days touched by a range, in a time zone
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {String} timeZone - Practice time zone
+ * @returns {Array} Days (year, month, day and dayOfWeek)
+ */
+const listDays = (start, end, timeZone) => {
+  const days = [];
+  const lastDay = getZonedDate(end, timeZone);
+
+  for (
+    let day = getZonedDate(start, timeZone);
+    Date.UTC(day.year, day.month - 1, day.day) <=
+    Date.UTC(lastDay.year, lastDay.month - 1, lastDay.day);
+    day = addDays(day, 1)
+  ) {
+    days.push(day);
+  }
+
+  return days;
+};
+
+/**
+ * Build a converter from a day and "HH:mm" to an instant, caching results
+ * @param {String} timeZone - Practice time zone
+ * @returns {Function} (day, time) => milliseconds, or null for a bad time
+ */
+const createInstantConverter = (timeZone) => {
+  const instants = new Map();
+
+  return (day, time) => {
+    const key = `${day.year}-${day.month}-${day.day} ${time}`;
+
+    if (!instants.has(key)) {
+      const minutes = parseTimeOfDay(time);
+      instants.set(
+        key,
+        minutes === null
+          ? null
+          : zonedTimeToUtc(day, minutes, timeZone).getTime()
+      );
+    }
+
+    return instants.get(key);
+  };
+};
+
+/**
+ * Working hours of a doctor over the range, as instants
+ * @param {Array} schedules - Weekly schedule rows
+ * @param {Array} days - Calendar days of the range in the practice zone
+ * @param {Function} toInstant - Converts a day and "HH:mm" to milliseconds
+ * @returns {Array} Merged working windows
+ */
+const getWorkingWindows = (schedules, days, toInstant) => {
+  const windows = [];
+
+  for (const day of days) {
+    for (const schedule of schedules) {
+      if (!schedule.isAvailable || schedule.dayOfWeek !== day.dayOfWeek) {
+        continue;
+      }
+
+      const start = toInstant(day, schedule.startTime);
+      const end = toInstant(day, schedule.endTime);
+
+      if (start !== null && end !== null && end > start) {
+        windows.push({ start, end });
+      }
+    }
+  }
+
+  return mergeIntervals(windows);
+};
+
+/**
+ * Compute the open slots of one doctor
+ *
+ * Candidate start times step through each working window at the configured
+ * interval. Busy time (appointments widened by the buffer, time off) is
+ * merged and swept once, so the cost is linear in slots plus busy blocks.
+ * @param {Object} params - Parameters
+ * @param {Array} params.windows - Working windows (merged, in milliseconds)
+ * @param {Array} params.busy - Busy intervals (in milliseconds)
+ * @param {Number} params.start - Range start
+ * @param {Number} params.end - Range end (slots must start before it)
+ * @param {Number} params.duration - Visit length
+ * @returns {Array} Slots with startTime and endTime
+ */
+const computeSlots = ({ windows, busy, start, end, duration }) => {
+  const interval = config.booking.slotIntervalMinutes * MINUTE;
+  const blocked = mergeIntervals(busy);
+  const slots = [];
+  let next = 0;
+
+  for (const window of windows) {
+    // First grid point of the window at or after the range start
+    let time =
+      window.start +
+      Math.max(0, Math.ceil((start - window.start) / interval)) * interval;
+
+    while (time + duration <= window.end && time < end) {
+      while (next < blocked.length && blocked[next].end <= time) next++;
+
+      const block = blocked[next];
+
+      if (block && block.start < time + duration) {
+        // Jump to the first grid point after the busy block
+        time =
+          window.start +
+          Math.ceil((block.end - window.start) / interval) * interval;
+        continue;
+      }
+
+      slots.push({
+        startTime: new Date(time),
+        endTime: new Date(time + duration),
+      });
+      time += interval;
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * Compute open slots for a service across a practice's doctors
+ *
+ * Everything is loaded in four queries whatever the number of doctors and
+ * days, then computed in memory. Unexpired slot holds count as bookings.
+ * @param {String} practiceId - Practice ID
+ * @param {Object} query - Query
+ * @param {String} query.serviceId - Service to book
+ * @param {String} [query.from] - Range start (ISO date or date-time)
+ * @param {String} [query.to] - Range end (ISO date or date-time)
+ * @param {Array} [query.doctorIds] - Only these doctors
+ * @param {Array} [query.excludeAppointmentIds] - Appointments whose time counts
+ *   as free (the ones being rescheduled)
+ * @param {String} [query.excludeHoldId] - Hold whose time counts as free (the
+ *   one being booked)
+ * @returns {Object} Range, time zone and slots per doctor
+ */
+exports.getAvailability = async (
+  practiceId,
+  { serviceId, from, to, doctorIds, excludeAppointmentIds, excludeHoldId }
+) => {
+  const db = scopedPrisma(practiceId);
+
+  const [practice, service] = await Promise.all([
+    db.practice.findUnique({
+      where: { id: practiceId },
+      select: { timezone: true },
+    }),
+    db.service.findUnique({ where: { id: serviceId } }),
+  ]);
+
+  if (!service) {
+    throw new NotFoundError("Service not found");
+  }
+
+  const { timezone } = practice;
+  const { start, end } = resolveRange({ from, to }, timezone);
+  const duration = service.duration * MINUTE;
+  const buffer =
+    (service.bufferMinutes ?? config.booking.bufferMinutes) * MINUTE;
+
+  // Nothing can be booked before the minimum notice
+  const earliest = Math.max(
+    start.getTime(),
+    Date.now() + config.booking.minNoticeMinutes * MINUTE
+  );
+
+  const doctors = await db.doctor.findMany({
+    where: {
+      active: true,
+      services: { some: { id: serviceId } },
+      ...(doctorIds && { id: { in: doctorIds } }),
+    },
+    select: {
+      id: true,
+      schedules: {
+        select: {
+          dayOfWeek: true,
+          startTime: true,
+          endTime: true,
+          isAvailable: true,
+          timeOffs: {
+            where: { startDate: { lt: end }, endDate: { gt: start } },
+            select: { startDate: true, endDate: true },
+          },
+        },
+      },
+    },
+    orderBy: { id: "asc" },
+  });
+
+  const overlapping = {
+    doctorId: { in: doctors.map((doctor) => doctor.id) },
+    startTime: { lt: new Date(end.getTime() + duration + buffer) },
+    endTime: { gt: new Date(start.getTime() - buffer) },
+  };
+
+  const [appointments, holds] = await Promise.all([
+    db.appointment.findMany({
+      where: {
+        ...overlapping,
+        status: { notIn: exports.NON_BLOCKING_STATUSES },
+        ...(excludeAppointmentIds && { id: { notIn: excludeAppointmentIds } }),
+      },
+      select: { doctorId: true, startTime: true, endTime: true },
+    }),
+    db.slotHold.findMany({
+      where: {
+        ...overlapping,
+        ...exports.activeHoldWhere(excludeHoldId),
+      },
+      select: { doctorId: true, startTime: true, endTime: true },
+    }),
+  ]);
+
+  const days = listDays(start, end, timezone);
+
+  // Time zone conversions are shared by all doctors
+  const toInstant = createInstantConverter(timezone);
+
+  const busyByDoctor = new Map(doctors.map((doctor) => [doctor.id, []]));
+  for (const booked of [...appointments, ...holds]) {
+    busyByDoctor.get(booked.doctorId).push({
+      start: booked.startTime.getTime() - buffer,
+      end: booked.endTime.getTime() + buffer,
+    });
+  }
+
+  return {
+    serviceId,
+    timezone,
+    from: start,
+    to: end,
+    doctors: doctors.map((doctor) => {
+      const timeOff = doctor.schedules.flatMap((schedule) =>
+        schedule.timeOffs.map((block) => ({
+          start: block.startDate.getTime(),
+          end: block.endDate.getTime(),
+        }))
+      );
+
+      return {
+        doctorId: doctor.id,
+        slots: computeSlots({
+          windows: getWorkingWindows(doctor.schedules, days, toInstant),
+          busy: [...busyByDoctor.get(doctor.id), ...timeOff],
+          start: earliest,
+          end: end.getTime(),
+          duration,
+        }),
+      };
+    }),
+  };
+};
+
+/**
+ * Compute the open slots of one doctor for a service
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @param {Object} query - Query (serviceId, from, to, excludeAppointmentIds,
+ *   excludeHoldId)
+ * @returns {Object} Range, time zone and slots
+ */
+exports.getDoctorAvailability = async (practiceId, doctorId, query) => {
+  const doctor = await scopedPrisma(practiceId).doctor.findFirst({
+    where: { id: doctorId, active: true },
+    select: { id: true, services: { where: { id: query.serviceId } } },
+  });
+
+  if (!doctor) {
+    throw new NotFoundError("Doctor not found");
+  }
+
+  if (doctor.services.length === 0) {
+    throw new ValidationError(
+      "The doctor does not offer this service",
+      undefined,
+      "SERVICE_NOT_OFFERED"
+    );
+  }
+
+  const { doctors, ...availability } = await exports.getAvailability(
+    practiceId,
+    { ...query, doctorIds: [doctorId] }
+  );
+
+  return { ...availability, doctorId, slots: doctors[0].slots };
+};
+
+/**
+ * Find a doctor's upcoming bookings that their hours no longer cover
+ *
+ * Changing a schedule or adding time off leaves existing bookings in place;
+ * this lists the ones that now fall outside working hours or in time off,
+ * so they can be moved or cancelled.
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @returns {Array} Appointments (id, startTime, endTime, status), each with
+ *   a reason: TIME_OFF or OUTSIDE_HOURS
+ */
+exports.findUncoveredAppointments = async (practiceId, doctorId) => {
+  const db = scopedPrisma(practiceId);
+
+  const [practice, doctor] = await Promise.all([
+    db.practice.findUnique({
+      where: { id: practiceId },
+      select: { timezone: true },
+    }),
+    db.doctor.findUnique({
+      where: { id: doctorId },
+      select: {
+        schedules: {
+          select: {
+            dayOfWeek: true,
+            startTime: true,
+            endTime: true,
+            isAvailable: true,
+          },
+        },
+        appointments: {
+          where: {
+            status: { notIn: exports.NON_BLOCKING_STATUSES },
+            startTime: { gt: new Date() },
+          },
+          select: { id: true, startTime: true, endTime: true, status: true },
+          orderBy: { startTime: "asc" },
+        },
+      },
+    }),
+  ]);
+
+  if (!doctor || doctor.appointments.length === 0) return [];
+
+  const { appointments } = doctor;
+  const start = appointments[0].startTime;
+  const end = new Date(
+    Math.max(...appointments.map((appointment) => appointment.endTime))
+  );
+
+  const timeOffs = await db.timeOff.findMany({
+    where: {
+      schedule: { doctorId },
+      startDate: { lt: end },
+      endDate: { gt: start },
+    },
+    select: { startDate: true, endDate: true },
+  });
+
+  const windows = getWorkingWindows(
+    doctor.schedules,
+    listDays(start, end, practice.timezone),
+    createInstantConverter(practice.timezone)
+  );
+
+  return appointments.flatMap((appointment) => {
+    const from = appointment.startTime.getTime();
+    const to = appointment.endTime.getTime();
+
+    if (
+      timeOffs.some((block) => block.startDate < to && block.endDate > from)
+    ) {
+      return [{ ...appointment, reason: "TIME_OFF" }];
+    }
+
+    if (!windows.some((window) => window.start <= from && window.end >= to)) {
+      return [{ ...appointment, reason: "OUTSIDE_HOURS" }];
+    }
+
+    return [];
+  });
+};
+
+/**
+ * Working time of a practice's active doctors on each day of a range, less
+ * their time off
+ * @param {String} practiceId - Practice ID
+ * @param {Date} start - Range start (midnight in the practice's time zone)
+ * @param {Date} end - Range end (midnight after the last day)
+ * @returns {Array} Rows with doctorId, day (year, month, day) and minutes;
+ *   days without working hours are left out
+ */
+exports.getWorkingMinutes = async (practiceId, start, end) => {
+  const db = scopedPrisma(practiceId);
+
+  const [practice, doctors] = await Promise.all([
+    db.practice.findUnique({
+      where: { id: practiceId },
+      select: { timezone: true },
+    }),
+    db.doctor.findMany({
+      where: { active: true },
+      select: {
+        id: true,
+        schedules: {
+          select: {
+            dayOfWeek: true,
+            startTime: true,
+            endTime: true,
+            isAvailable: true,
+            timeOffs: {
+              where: { startDate: { lt: end }, endDate: { gt: start } },
+              select: { startDate: true, endDate: true },
+            },
+          },
+        },
+      },
+    }),
+  ]);
+
+  const days = listDays(start, new Date(end.getTime() - 1), practice.timezone);
+  const toInstant = createInstantConverter(practice.timezone);
+  const rows = [];
+
+  for (const doctor of doctors) {
+    const timeOff = mergeIntervals(
+      doctor.schedules.flatMap((schedule) =>
+        schedule.timeOffs.map((block) => ({
+          start: block.startDate.getTime(),
+          end: block.endDate.getTime(),
+        }))
+      )
+    );
+
+    for (const day of days) {
+      let minutes = 0;
+
+      for (const window of getWorkingWindows(
+        doctor.schedules,
+        [day],
+        toInstant
+      )) {
+        const off = timeOff.reduce(
+          (total, block) =>
+            total +
+            Math.max(
+              0,
+              Math.min(window.end, block.end) -
+                Math.max(window.start, block.start)
+            ),
+          0
+        );
+
+        minutes += (window.end - window.start - off) / MINUTE;
+      }
+
+      if (minutes > 0) {
+        rows.push({ doctorId: doctor.id, day, minutes: Math.round(minutes) });
+      }
+    }
+  }
+
+  return rows;
+};
@@ -0,0 +1,260 @@
+// src/services/bruteForce.services.js
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const { sendMail } = require("../mailer");
+const { NotFoundError, RateLimitError } = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+/**
+ * Seconds a client must wait after a number of consecutive failures
+ *
+ * No delay up to `delayAfter` failures, then doubling from `baseDelaySeconds`
+ * up to `maxDelaySeconds`.
+ * @param {Number} failures - Failure count
+ * @returns {Number} Delay in seconds
+ */
+const getDelaySeconds = (failures) => {
+  const { delayAfter, baseDelaySeconds, maxDelaySeconds } =
+    config.auth.bruteForce;
+
+  if (failures < delayAfter) return 0;
+
+  return Math.min(
+    baseDelaySeconds * 2 ** (failures - delayAfter),
+    maxDelaySeconds
+  );
+};
+
+/**
+ * Seconds left before the next attempt is allowed
+ * @param {Number} failures - Failure count
+ * @param {Date} lastFailureAt - Time of the last failure
+ * @returns {Number} Remaining wait in seconds (0 if none)
+ */
+const getRemainingDelay = (failures, lastFailureAt) => {
+  if (!lastFailureAt) return 0;
+
+  const readyAt = lastFailureAt.getTime() + getDelaySeconds(failures) * 1000;
+  return Math.max(0, Math.ceil((readyAt - Date.now()) / 1000));
+};
+
+/**
+ * Failures from an IP within the tracking window
+ * @param {String} ipAddress - Client IP
+ * @returns {Object} Failure count and time of the latest failure
+ */
+const getIpFailures = async (ipAddress) => {
+  const since = new Date(
+    Date.now() - config.auth.bruteForce.ipWindowMinutes * 60 * 1000
+  );
+
+  const where = { ipAddress, success: false, createdAt: { gt: since } };
+  const [count, latest] = await Promise.all([
+    prisma.loginAttempt.count({ where }),
+    prisma.loginAttempt.findFirst({
+      where,
+      orderBy: { createdAt: "desc" },
+      select: { createdAt: true },
+    }),
+  ]);
+
+  return { count, lastFailureAt: latest && latest.createdAt };
+};
+
+/**
+ * Reject the attempt if the account or the IP is locked out or throttled
+ * @param {Object} params - Attempt details
+ * @param {Object} [params.user] - User being authenticated (if known)
+ * @param {String} [params.ipAddress] - Client IP
+ */
+exports.assertCanAttempt = async ({ user, ipAddress }) => {
+  const { ipMaxFailedAttempts } = config.auth.bruteForce;
+
+  if (user && user.lockedUntil && user.lockedUntil > new Date()) {
+    throw new RateLimitError(
+      "Account temporarily locked due to too many failed attempts",
+      Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000),
+      "ACCOUNT_LOCKED"
+    );
+  }
+
+  if (user) {
+    const wait = getRemainingDelay(
+      user.failedLoginAttempts,
+      user.lastFailedLoginAt
+    );
+    if (wait > 0) {
+      throw new RateLimitError(
+        `Too many failed attempts, try again in ${wait} seconds`,
+        wait,
+        "TOO_MANY_ATTEMPTS"
+      );
+    }
+  }
+
+  if (ipAddress) {
+    const { count, lastFailureAt } = await getIpFailures(ipAddress);
+
+    if (count >= ipMaxFailedAttempts) {
+      throw new RateLimitError(
+        "Too many failed attempts from this network, try again later",
+        config.auth.bruteForce.ipWindowMinutes * 60,
+        "TOO_MANY_ATTEMPTS"
+      );
+    }
+
+    const wait = getRemainingDelay(count, lastFailureAt);
+    if (wait > 0) {
+      throw new RateLimitError(
+        `Too many failed attempts, try again in ${wait} seconds`,
+        wait,
+        "TOO_MANY_ATTEMPTS"
+      );
+    }
+  }
+};
+
+/**
+ * Record a failed attempt and lock the account once the limit is reached
+ * @param {Object} params - Attempt details
+ * @param {Object} [params.user] - User being authenticated (if known)
+ * @param {String} [params.email] - Email that was tried
+ * @param {String} [params.ipAddress] - Client IP
+ * @param {String} params.type - LoginAttemptType
+ */
+exports.recordFailure = async ({ user, email, ipAddress, type }) => {
+  await prisma.loginAttempt.create({
+    data: {
+      userId: user ? user.id : null,
+      email,
+      ipAddress,
+      type,
+      success: false,
+    },
+  });
+
+  if (!user) return;
+
+  const { maxFailedAttempts, lockoutMinutes } = config.auth.bruteForce;
+
+  // A lockout that has run out starts a fresh count
+  const lockExpired = user.lockedUntil && user.lockedUntil <= new Date();
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: lockExpired ? 1 : { increment: 1 },
+      lastFailedLoginAt: new Date(),
+      ...(lockExpired && { lockedUntil: null }),
+    },
+  });
+
+  // Lock exactly once, when the threshold is crossed
+  if (updated.failedLoginAttempts === maxFailedAttempts) {
+    const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lockedUntil },
+    });
+
+    await notifyAccountLocked(updated, lockedUntil, ipAddress);
+  }
+};
+
+/**
+ * Record a successful attempt and reset the account's failure counters
+ * @param {Object} params - Attempt details
+ * @param {Object} params.user - Authenticated user
+ * @param {String} [params.ipAddress] - Client IP
+ * @param {String} params.type - LoginAttemptType
+ */
+exports.recordSuccess = async ({ user, ipAddress, type }) => {
+  await prisma.loginAttempt.create({
+    data: {
+      userId: user.id,
+      email: user.email,
+      ipAddress,
+      type,
+      success: true,
+    },
+  });
+
+  if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null,
+      },
+    });
+  }
+};
+
+/**
+ * Unlock an account before its lockout expires
+ * @param {String} userId - User ID
+ * @param {Object} admin - Admin performing the unlock
+ */
+exports.unlockAccount = async (userId, admin) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null,
+    },
+  });
+
+  await notifyAccountUnlocked(user, admin);
+};
+
+/**
+ * Email the account owner that their account was locked
+ * @param {Object} user - User
+ * @param {Date} lockedUntil - End of the lockout
+ * @param {String} [ipAddress] - IP of the last failed attempt
+ */
+const notifyAccountLocked = async (user, lockedUntil, ipAddress) => {
+  try {
+    await sendMail({
+      to: user.email,
+      template: "accountLocked",
+      data: {
+        failedAttempts: user.failedLoginAttempts,
+        lockedUntil,
+        ipAddress,
+      },
+    });
+  } catch (error) {
+    // The lockout itself must not fail because the notification did
+    console.error("Failed to send account locked email:", error);
+  }
+};
+
+/**
+ * Email the account owner that an admin unlocked their account
+ * @param {Object} user - User
+ * @param {Object} admin - Admin who unlocked the account
+ */
+const notifyAccountUnlocked = async (user, admin) => {
+  try {
+    await sendMail({
+      to: user.email,
+      template: "accountUnlocked",
+      data: { adminName: `${admin.firstName} ${admin.lastName}` },
+    });
+  } catch (error) {
+    console.error("Failed to send account unlocked email:", error);
+  }
+};
@@ -0,0 +1,249 @@
+// src/services/calendar.services.js
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const auditService = require("./audit.services");
+const availabilityService = require("./availability.services");
+const { buildCalendar } = require("../utils/ical");
+const { hashToken } = require("../utils/tokens");
+const { scopedPrisma } = require("../utils/practiceScope");
+const { AuthorizationError, NotFoundError } = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Roles that can manage any doctor's feed; doctors manage their own
+const FEED_MANAGERS = ["SUPER_ADMIN", "ADMIN"];
+
+const EVENT_STATUS = {
+  PENDING: "TENTATIVE",
+  SCHEDULED: "CONFIRMED",
+  CONFIRMED: "CONFIRMED",
+  CANCELLED: "CANCELLED",
+  COMPLETED: "CONFIRMED",
+  NO_SHOW: "CONFIRMED",
+};
+
+/**
+ * Display name of a doctor
+ * @param {Object} doctor - Doctor with title and user names
+ * @returns {String} e.g. "Dr. Jane Doe"
+ */
+const doctorName = (doctor) =>
+  [doctor.title, doctor.user.firstName, doctor.user.lastName]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Name and email of an appointment's patient
+ * @param {Object} appointment - Appointment with its patient
+ * @returns {Object} name and email
+ */
+const patientOf = (appointment) => {
+  const patientUser = appointment.patient && appointment.patient.user;
+
+  return patientUser
+    ? {
+        name: `${patientUser.firstName} ${patientUser.lastName}`,
+        email: patientUser.email,
+      }
+    : { name: appointment.patientName, email: appointment.patientEmail };
+};
+
+/**
+ * Calendar event of an appointment
+ *
+ * The UID is the appointment's, so every file or feed carrying it updates
+ * the same event; SEQUENCE is bumped whenever the appointment changes.
+ * @param {Object} appointment - Appointment with doctor, service and patient
+ * @param {Object} practice - Practice (name, address)
+ * @param {String} audience - "patient" (invitations) or "doctor" (feeds)
+ * @returns {Object} Event
+ */
+const appointmentEvent = (appointment, practice, audience) => {
+  const serviceName = appointment.service
+    ? appointment.service.name
+    : "Appointment";
+  const patient = patientOf(appointment);
+
+  return {
+    uid: `appointment-${appointment.id}@medibook`,
+    sequence: appointment.sequence,
+    stamp: appointment.updatedAt,
+    start: appointment.startTime,
+    end: appointment.endTime,
+    summary:
+      audience === "doctor"
+        ? `${serviceName}: ${patient.name}`
+        : `${serviceName} with ${doctorName(appointment.doctor)}`,
+    location: [practice.name, practice.address].filter(Boolean).join(", "),
+    url: `${config.app.frontend.url}/appointments/${appointment.id}`,
+    status: EVENT_STATUS[appointment.status],
+    ...(audience === "patient" && {
+      organizer: { name: practice.name, email: config.email.from.address },
+      attendee: patient,
+    }),
+  };
+};
+
+/**
+ * Build the .ics attachment for an email about appointments
+ * @param {Array} appointments - Appointments with doctor, service and patient
+ * @param {Object} practice - Practice
+ * @param {String} method - REQUEST (booked or changed) or CANCEL
+ * @returns {Object} Attachment (filename, content, contentType)
+ */
+exports.inviteAttachment = (appointments, practice, method) => ({
+  filename: "invite.ics",
+  content: buildCalendar({
+    method,
+    events: appointments.map((appointment) =>
+      appointmentEvent(appointment, practice, "patient")
+    ),
+  }),
+  contentType: `text/calendar; charset=utf-8; method=${method}`,
+});
+
+/**
+ * Find a doctor whose feed the user may manage
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Doctor
+ */
+const findManagedDoctor = async (practiceId, doctorId, user) => {
+  const doctor = await scopedPrisma(practiceId).doctor.findUnique({
+    where: { id: doctorId },
+    select: { id: true, userId: true },
+  });
+
+  if (!doctor) {
+    throw new NotFoundError("Doctor not found");
+  }
+
+  if (!FEED_MANAGERS.includes(user.role) && doctor.userId !== user.id) {
+    throw new AuthorizationError("You can only manage your own calendar feed");
+  }
+
+  return doctor;
+};
+
+/**
+ * Issue a new feed token for a doctor, replacing any previous one
+ *
+ * Only the token's hash is stored, so the URL is shown once.
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @param {Object} user - Authenticated user (the doctor or an admin)
+ * @returns {Object} Subscription URL
+ */
+exports.createFeedToken = async (practiceId, doctorId, user) => {
+  const doctor = await findManagedDoctor(practiceId, doctorId, user);
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await scopedPrisma(practiceId).doctor.update({
+    where: { id: doctor.id },
+    data: { calendarTokenHash: hashToken(token) },
+  });
+
+  return {
+    url: `${config.app.url}/api/doctors/${doctor.id}/calendar.ics?token=${token}`,
+  };
+};
+
+/**
+ * Turn off a doctor's feed; subscribed calendars stop updating
+ * @param {String} practiceId - Practice ID
+ * @param {String} doctorId - Doctor ID
+ * @param {Object} user - Authenticated user (the doctor or an admin)
+ */
+exports.revokeFeedToken = async (practiceId, doctorId, user) => {
+  const doctor = await findManagedDoctor(practiceId, doctorId, user);
+
+  await scopedPrisma(practiceId).doctor.update({
+    where: { id: doctor.id },
+    data: { calendarTokenHash: null },
+  });
+};
+
+/**
+ * Build a doctor's calendar feed: their appointments and time off around
+ * today
+ * @param {String} doctorId - Doctor ID
+ * @param {String} token - Feed token from the subscription URL
+ * @returns {String} iCalendar document
+ */
+exports.getDoctorFeed = async (doctorId, token) => {
+  const doctor = token
+    ? await prisma.doctor.findFirst({
+        where: {
+          id: doctorId,
+          active: true,
+          calendarTokenHash: hashToken(String(token)),
+        },
+        include: {
+          user: { select: { firstName: true, lastName: true } },
+          practice: { select: { id: true, name: true, address: true } },
+        },
+      })
+    : null;
+
+  if (!doctor) {
+    throw new NotFoundError("Calendar not found");
+  }
+
+  const db = scopedPrisma(doctor.practiceId);
+  const { pastDays, futureDays } = config.booking.calendarFeed;
+  const from = new Date(Date.now() - pastDays * DAY);
+  const to = new Date(Date.now() + futureDays * DAY);
+
+  const [appointments, timeOffs] = await Promise.all([
+    db.appointment.findMany({
+      where: {
+        doctorId: doctor.id,
+        status: { notIn: availabilityService.NON_BLOCKING_STATUSES },
+        startTime: { lt: to },
+        endTime: { gt: from },
+      },
+      include: {
+        service: { select: { name: true } },
+        patient: {
+          select: { user: { select: { firstName: true, lastName: true } } },
+        },
+      },
+      orderBy: { startTime: "asc" },
+    }),
+    db.timeOff.findMany({
+      where: {
+        schedule: { doctorId: doctor.id },
+        startDate: { lt: to },
+        endDate: { gt: from },
+      },
+      orderBy: { startDate: "asc" },
+    }),
+  ]);
+
+  // The feed token stands in for the doctor's login
+  await auditService.recordAppointmentReads(doctor.practiceId, appointments, {
+    id: doctor.userId,
+    role: "DOCTOR",
+  });
+
+  return buildCalendar({
+    method: "PUBLISH",
+    name: `${config.app.name}: ${doctorName(doctor)}`,
+    events: [
+      ...appointments.map((appointment) =>
+        appointmentEvent({ ...appointment, doctor }, doctor.practice, "doctor")
+      ),
+      ...timeOffs.map((block) => ({
+        uid: `timeoff-${block.id}@medibook`,
+        stamp: block.updatedAt,
+        start: block.startDate,
+        end: block.endDate,
+        summary: block.reason ? `Time off: ${block.reason}` : "Time off",
+      })),
+    ],
+  });
+};
@@ -0,0 +1,546 @@
+// src/services/doctor.services.js
+const { PrismaClient } = require("@prisma/client");
+const appointmentService = require("./appointment.services");
+const auditService = require("./audit.services");
+const availabilityService = require("./availability.services");
+const fileService = require("./file.services");
+const { scopedPrisma } = require("../utils/practiceScope");
+const {
+  addDays,
+  getZonedDate,
+  parseTimeOfDay,
+  zonedTimeToUtc,
+} = require("../utils/timezone");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Days shown by each agenda view
+const AGENDA_VIEWS = { day: 1, week: 7 };
+
+// Quick actions on the agenda, and the status each one sets
+const QUICK_ACTIONS = {
+  confirm: "CONFIRMED",
+  complete: "COMPLETED",
+  "no-show": "NO_SHOW",
+};
+
+const DEFAULT_NO_SHOW_REASON = "The patient did not attend";
+
+// Most rows a weekly schedule can have
+const MAX_SCHEDULE_ROWS = 50;
+
+const MAX_REASON_LENGTH = 200;
+
+const agendaInclude = {
+  service: {
+    select: { id: true, name: true, duration: true, color: true },
+  },
+  patient: {
+    select: {
+      id: true,
+      dateOfBirth: true,
+      gender: true,
+      user: {
+        select: { firstName: true, lastName: true, email: true, phone: true },
+      },
+    },
+  },
+};
+
+const scheduleSelect = {
+  id: true,
+  dayOfWeek: true,
+  startTime: true,
+  endTime: true,
+  isAvailable: true,
+};
+
+const timeOffSelect = {
+  id: true,
+  startDate: true,
+  endDate: true,
+  reason: true,
+};
+
+/**
+ * Find the doctor profile of the signed-in user in a practice
+ * @param {String} practiceId - Practice ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Doctor (id)
+ */
+const findOwnDoctor = async (practiceId, user) => {
+  const doctor = await scopedPrisma(practiceId).doctor.findFirst({
+    where: { userId: user.id, active: true },
+    select: { id: true },
+  });
+
+  if (!doctor) {
+    throw new NotFoundError(
+      "You have no doctor profile in this practice",
+      "DOCTOR_PROFILE_NOT_FOUND"
+    );
+  }
+
+  return doctor;
+};
+
+/**
+ * Visit counts of patients at a practice
+ * @param {Object} db - Practice-scoped Prisma client
+ * @param {Array} patientIds - Patient IDs
+ * @returns {Map} Patient ID to visits, noShows and lastVisit
+ */
+const getVisitSummaries = async (db, patientIds) => {
+  const summaries = new Map(
+    patientIds.map((id) => [id, { visits: 0, noShows: 0, lastVisit: null }])
+  );
+  if (patientIds.length === 0) return summaries;
+
+  const groups = await db.appointment.groupBy({
+    by: ["patientId", "status"],
+    where: {
+      patientId: { in: patientIds },
+      status: { in: ["COMPLETED", "NO_SHOW"] },
+    },
+    _count: { _all: true },
+    _max: { startTime: true },
+  });
+
+  for (const group of groups) {
+    const summary = summaries.get(group.patientId);
+
+    if (group.status === "COMPLETED") {
+      summary.visits = group._count._all;
+      summary.lastVisit = group._max.startTime;
+    } else {
+      summary.noShows = group._count._all;
+    }
+  }
+
+  return summaries;
+};
+
+/**
+ * Check the rows of a weekly schedule
+ * @param {Array} rows - Rows: dayOfWeek, startTime, endTime and optionally
+ *   isAvailable
+ * @returns {Array} Rows to save
+ */
+const parseScheduleRows = (rows) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ValidationError("Please provide at least one schedule row");
+  }
+
+  if (rows.length > MAX_SCHEDULE_ROWS) {
+    throw new ValidationError(
+      `A schedule cannot have more than ${MAX_SCHEDULE_ROWS} rows`
+    );
+  }
+
+  return rows.map((row, index) => {
+    const dayOfWeek = Number(row.dayOfWeek);
+    const start = parseTimeOfDay(row.startTime);
+    const end = parseTimeOfDay(row.endTime);
+
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new ValidationError(
+        "dayOfWeek must be a whole number from 0 (Sunday) to 6 (Saturday)",
+        { index }
+      );
+    }
+
+    if (start === null || end === null) {
+      throw new ValidationError("Times must be given as HH:mm", { index });
+    }
+
+    if (end <= start) {
+      throw new ValidationError("The end time must be after the start time", {
+        index,
+      });
+    }
+
+    return {
+      dayOfWeek,
+      startTime: row.startTime,
+      endTime: row.endTime,
+      isAvailable: row.isAvailable !== false,
+    };
+  });
+};
+
+/**
+ * Get the signed-in doctor's agenda for a day or a week
+ *
+ * Weeks start on Monday. Each appointment carries its patient's visit
+ * history at the practice and the quick actions open to the doctor.
+ * @param {String} practiceId - Practice ID
+ * @param {Object} user - Authenticated user (a doctor)
+ * @param {Object} query - Query
+ * @param {String} [query.date] - Day to show, as YYYY-MM-DD (defaults to
+ *   today in the practice's time zone)
+ * @param {String} [query.view] - "day" (default) or "week"
+ * @returns {Object} Range, time zone, appointments and time off
+ */
+exports.getAgenda = async (practiceId, user, { date, view = "day" } = {}) => {
+  const length = AGENDA_VIEWS[view];
+
+  if (!length) {
+    throw new ValidationError('View must be "day" or "week"');
+  }
+
+  if (date && !DATE_ONLY.test(date)) {
+    throw new ValidationError("Please provide the date as YYYY-MM-DD");
+  }
+
+  const doctor = await findOwnDoctor(practiceId, user);
+  const db = scopedPrisma(practiceId);
+
+  const { timezone } = await db.practice.findUnique({
+    where: { id: practiceId },
+    select: { timezone: true },
+  });
+
+  let first = getZonedDate(new Date(), timezone);
+
+  if (date) {
+    const [year, month, day] = date.split("-").map(Number);
+    first = addDays({ year, month, day }, 0);
+  }
+
+  // Back to Monday
+  if (view === "week") first = addDays(first, -((first.dayOfWeek + 6) % 7));
+
+  const from = zonedTimeToUtc(first, 0, timezone);
+  const to = zonedTimeToUtc(addDays(first, length), 0, timezone);
+
+  const [appointments, timeOff] = await Promise.all([
+    db.appointment.findMany({
+      where: {
+        doctorId: doctor.id,
+        status: { notIn: availabilityService.NON_BLOCKING_STATUSES },
+        startTime: { gte: from, lt: to },
+      },
+      include: agendaInclude,
+      orderBy: { startTime: "asc" },
+    }),
+    db.timeOff.findMany({
+      where: {
+        schedule: { doctorId: doctor.id },
+        startDate: { lt: to },
+        endDate: { gt: from },
+      },
+      select: timeOffSelect,
+      orderBy: { startDate: "asc" },
+    }),
+  ]);
+
+  const patientIds = appointments
+    .map((appointment) => appointment.patientId)
+    .filter(Boolean);
+  const summaries = await getVisitSummaries(db, [...new Set(patientIds)]);
+  const { STATUS_TRANSITIONS } = appointmentService;
+
+  await auditService.recordAppointmentReads(practiceId, appointments, user);
+
+  return {
+    view,
+    timezone,
+    from,
+    to,
+    appointments: appointments.map((appointment) => ({
+      ...appointment,
+      patientHistory: appointment.patientId
+        ? summaries.get(appointment.patientId)
+        : null,
+      actions: Object.keys(QUICK_ACTIONS).filter((action) =>
+        (
+          STATUS_TRANSITIONS[appointment.status][QUICK_ACTIONS[action]] || []
+        ).includes("DOCTOR")
+      ),
+    })),
+    timeOff,
+  };
+};
+
+/**
+ * Apply a quick action to one of the signed-in doctor's appointments
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @param {String} action - confirm, complete or no-show
+ * @param {String} [reason] - Why the status changes
+ * @param {Object} user - Authenticated user (a doctor)
+ * @returns {Object} Appointment
+ */
+exports.applyQuickAction = async (
+  practiceId,
+  appointmentId,
+  action,
+  reason,
+  user
+) => {
+  const status = QUICK_ACTIONS[action];
+
+  if (!status) {
+    throw new ValidationError(
+      `Action must be one of: ${Object.keys(QUICK_ACTIONS).join(", ")}`
+    );
+  }
+
+  return appointmentService.changeStatus(
+    practiceId,
+    appointmentId,
+    {
+      status,
+      reason: status === "NO_SHOW" ? reason || DEFAULT_NO_SHOW_REASON : reason,
+    },
+    user
+  );
+};
+
+/**
+ * Get the signed-in doctor's weekly schedule and upcoming time off
+ * @param {String} practiceId - Practice ID
+ * @param {Object} user - Authenticated user (a doctor)
+ * @returns {Object} Schedule rows and time off
+ */
+exports.getSchedule = async (practiceId, user) => {
+  const doctor = await findOwnDoctor(practiceId, user);
+  const db = scopedPrisma(practiceId);
+
+  const [schedule, timeOff] = await Promise.all([
+    db.schedule.findMany({
+      where: { doctorId: doctor.id },
+      select: scheduleSelect,
+      orderBy: [{ dayOfWeek: "asc" }, { startTime: "asc" }],
+    }),
+    db.timeOff.findMany({
+      where: { schedule: { doctorId: doctor.id }, endDate: { gt: new Date() } },
+      select: timeOffSelect,
+      orderBy: { startDate: "asc" },
+    }),
+  ]);
+
+  return { schedule, timeOff };
+};
+
+/**
+ * Replace the signed-in doctor's weekly schedule
+ *
+ * Existing bookings are kept even if the new hours no longer cover them;
+ * those are returned so the doctor can move or cancel them.
+ * @param {String} practiceId - Practice ID
+ * @param {Object} user - Authenticated user (a doctor)
+ * @param {Array} rows - Schedule rows: dayOfWeek (0 = Sunday), startTime and
+ *   endTime ("HH:mm"), and optionally isAvailable
+ * @returns {Object} Schedule, time off and affected appointments
+ */
+exports.replaceSchedule = async (practiceId, user, rows) => {
+  const doctor = await findOwnDoctor(practiceId, user);
+  const data = parseScheduleRows(rows);
+
+  await scopedPrisma(practiceId).$transaction(async (tx) => {
+    const existing = await tx.schedule.findMany({
+      where: { doctorId: doctor.id },
+      select: { id: true },
+      orderBy: { createdAt: "asc" },
+    });
+
+    // Rows are reused in place: time off hangs off them and would be
+    // deleted with them
+    for (const [index, row] of data.entries()) {
+      if (index < existing.length) {
+        await tx.schedule.update({
+          where: { id: existing[index].id },
+          data: row,
+        });
+      } else {
+        await tx.schedule.create({ data: { ...row, doctorId: doctor.id } });
+      }
+    }
+
+    const removed = existing.slice(data.length).map((row) => row.id);
+
+    if (removed.length > 0) {
+      await tx.timeOff.updateMany({
+        where: { scheduleId: { in: removed } },
+        data: { scheduleId: existing[0].id },
+      });
+      await tx.schedule.deleteMany({ where: { id: { in: removed } } });
+    }
+  });
+
+  return {
+    ...(await exports.getSchedule(practiceId, user)),
+    affectedAppointments: await availabilityService.findUncoveredAppointments(
+      practiceId,
+      doctor.id
+    ),
+  };
+};
+
+/**
+ * Add time off for the signed-in doctor
+ *
+ * Plain dates ("2026-12-24") cover whole days in the practice's time zone,
+ * the end date included. Bookings in the time off are kept and returned.
+ * @param {String} practiceId - Practice ID
+ * @param {Object} user - Authenticated user (a doctor)
+ * @param {Object} data - Time off
+ * @param {String} data.startDate - Start (ISO date or date-time)
+ * @param {String} data.endDate - End (ISO date or date-time)
+ * @param {String} [data.reason] - Reason
+ * @returns {Object} Time off and affected appointments
+ */
+exports.addTimeOff = async (practiceId, user, data) => {
+  const doctor = await findOwnDoctor(practiceId, user);
+  const db = scopedPrisma(practiceId);
+
+  const { timezone } = await db.practice.findUnique({
+    where: { id: practiceId },
+    select: { timezone: true },
+  });
+
+  const startDate = availabilityService.parseBound(
+    String(data.startDate),
+    timezone,
+    false
+  );
+  const endDate = availabilityService.parseBound(
+    String(data.endDate),
+    timezone,
+    true
+  );
+  const reason = data.reason ? String(data.reason).trim() : null;
+
+  if (endDate <= startDate) {
+    throw new ValidationError(
+      "The end of the time off must be after its start"
+    );
+  }
+
+  if (reason && reason.length > MAX_REASON_LENGTH) {
+    throw new ValidationError(
+      `The reason cannot be longer than ${MAX_REASON_LENGTH} characters`
+    );
+  }
+
+  const schedule = await db.schedule.findFirst({
+    where: { doctorId: doctor.id },
+    select: { id: true },
+    orderBy: { createdAt: "asc" },
+  });
+
+  if (!schedule) {
+    throw new ValidationError(
+      "Please set up your weekly schedule before adding time off",
+      undefined,
+      "SCHEDULE_REQUIRED"
+    );
+  }
+
+  // Time off has no practice of its own; the schedule was found in scope
+  const timeOff = await prisma.timeOff.create({
+    data: { scheduleId: schedule.id, startDate, endDate, reason },
+    select: timeOffSelect,
+  });
+
+  return {
+    timeOff,
+    affectedAppointments: (
+      await availabilityService.findUncoveredAppointments(practiceId, doctor.id)
+    ).filter(
+      (appointment) =>
+        appointment.startTime < endDate && appointment.endTime > startDate
+    ),
+  };
+};
+
+/**
+ * Remove time off of the signed-in doctor
+ * @param {String} practiceId - Practice ID
+ * @param {Object} user - Authenticated user (a doctor)
+ * @param {String} timeOffId - Time off ID
+ */
+exports.removeTimeOff = async (practiceId, user, timeOffId) => {
+  const doctor = await findOwnDoctor(practiceId, user);
+  const db = scopedPrisma(practiceId);
+
+  const timeOff = await db.timeOff.findFirst({
+    where: { id: timeOffId, schedule: { doctorId: doctor.id } },
+    select: { id: true },
+  });
+
+  if (!timeOff) {
+    throw new NotFoundError("Time off not found");
+  }
+
+  await db.timeOff.delete({ where: { id: timeOff.id } });
+};
+
+/**
+ * Upload the signed-in doctor's photo, replacing the old one
+ * @param {String} practiceId - Practice ID
+ * @param {Object} user - Authenticated user (a doctor)
+ * @param {Object} upload - Upload (data and name)
+ * @returns {String} Public URL of the photo
+ */
+exports.setOwnPhoto = async (practiceId, user, upload) => {
+  const doctor = await findOwnDoctor(practiceId, user);
+
+  const { file, previousFileId } = await fileService.replaceImage(
+    practiceId,
+    "DOCTOR_PHOTO",
+    doctor.id,
+    upload,
+    user
+  );
+
+  await auditService.record({
+    practiceId,
+    action: "UPDATE",
+    resourceType: "USER",
+    resourceId: user.id,
+    changes: auditService.diff(
+      { photoFileId: previousFileId },
+      { photoFileId: file.id }
+    ),
+  });
+
+  const { profileImage } = await scopedPrisma(practiceId).doctor.findUnique({
+    where: { id: doctor.id },
+    select: { profileImage: true },
+  });
+
+  return profileImage;
+};
+
+/**
+ * Remove the signed-in doctor's uploaded photo
+ * @param {String} practiceId - Practice ID
+ * @param {Object} user - Authenticated user (a doctor)
+ */
+exports.removeOwnPhoto = async (practiceId, user) => {
+  const doctor = await findOwnDoctor(practiceId, user);
+
+  const fileId = await fileService.removeImage(
+    practiceId,
+    "DOCTOR_PHOTO",
+    doctor.id
+  );
+
+  if (fileId) {
+    await auditService.record({
+      practiceId,
+      action: "UPDATE",
+      resourceType: "USER",
+      resourceId: user.id,
+      changes: auditService.diff(
+        { photoFileId: fileId },
+        { photoFileId: null }
+      ),
+    });
+  }
+};
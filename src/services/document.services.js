@@ -0,0 +1,208 @@
+// src/services/document.services.js
+const auditService = require("./audit.services");
+const fileService = require("./file.services");
+const { scopedPrisma } = require("../utils/practiceScope");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+const DOCUMENT_TYPES = [
+  "REFERRAL",
+  "LAB_RESULT",
+  "IMAGING",
+  "PRESCRIPTION",
+  "OTHER",
+];
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const documentSelect = {
+  id: true,
+  appointmentId: true,
+  type: true,
+  description: true,
+  createdAt: true,
+  file: {
+    select: {
+      ...fileService.fileSelect,
+      uploadedBy: {
+        select: { id: true, firstName: true, lastName: true },
+      },
+    },
+  },
+};
+
+/**
+ * Find one of a practice's appointments
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @returns {Object} Appointment (id and patientId)
+ */
+const findAppointment = async (practiceId, appointmentId) => {
+  const appointment = await scopedPrisma(practiceId).appointment.findUnique({
+    where: { id: appointmentId },
+    select: { id: true, patientId: true },
+  });
+
+  if (!appointment) {
+    throw new NotFoundError("Appointment not found");
+  }
+
+  return appointment;
+};
+
+/**
+ * Find a document of an appointment
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @param {String} documentId - Document ID
+ * @returns {Object} Document
+ */
+const findDocument = async (practiceId, appointmentId, documentId) => {
+  const document = await scopedPrisma(practiceId).appointmentDocument.findFirst(
+    {
+      where: { id: documentId, appointmentId },
+      select: documentSelect,
+    }
+  );
+
+  if (!document) {
+    throw new NotFoundError("Document not found", "DOCUMENT_NOT_FOUND");
+  }
+
+  return document;
+};
+
+/**
+ * Add a signed download URL to a document
+ * @param {Object} document - Document (with its file)
+ * @returns {Object} Document with url and urlExpiresAt
+ */
+const withUrl = (document) => ({
+  ...document,
+  ...fileService.signedUrl(document.file),
+});
+
+/**
+ * Attach a patient document (referral letter, lab results, ...) to an
+ * appointment
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @param {Object} upload - Upload (data and name, see fileService.storeFile)
+ * @param {Object} data - Document details
+ * @param {String} [data.type] - DocumentType (defaults to OTHER)
+ * @param {String} [data.description] - Description
+ * @param {Object} user - Uploading user
+ * @returns {Object} Document, with a signed download URL
+ */
+exports.addDocument = async (practiceId, appointmentId, upload, data, user) => {
+  const appointment = await findAppointment(practiceId, appointmentId);
+  const type = data.type ? String(data.type).toUpperCase() : "OTHER";
+  const description = data.description ? String(data.description).trim() : null;
+
+  if (!DOCUMENT_TYPES.includes(type)) {
+    throw new ValidationError(
+      `type must be one of: ${DOCUMENT_TYPES.join(", ")}`
+    );
+  }
+
+  if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new ValidationError(
+      `The description cannot be longer than ${MAX_DESCRIPTION_LENGTH} characters`
+    );
+  }
+
+  let documentId;
+
+  await fileService.storeFile(
+    practiceId,
+    "APPOINTMENT_DOCUMENT",
+    upload,
+    user,
+    async (tx, file) => {
+      const document = await tx.appointmentDocument.create({
+        data: {
+          appointmentId: appointment.id,
+          fileId: file.id,
+          type,
+          description,
+        },
+        select: { id: true },
+      });
+      documentId = document.id;
+
+      await auditService.record(
+        {
+          practiceId,
+          action: "UPDATE",
+          resourceType: "APPOINTMENT",
+          resourceId: appointment.id,
+          changes: auditService.diff({}, { documentId }),
+        },
+        tx
+      );
+    }
+  );
+
+  return withUrl(await findDocument(practiceId, appointment.id, documentId));
+};
+
+/**
+ * List the documents of an appointment, each with a fresh signed download URL
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @returns {Array} Documents, oldest first
+ */
+exports.listDocuments = async (practiceId, appointmentId) => {
+  const appointment = await findAppointment(practiceId, appointmentId);
+
+  const documents = await scopedPrisma(practiceId).appointmentDocument.findMany(
+    {
+      where: { appointmentId: appointment.id },
+      select: documentSelect,
+      orderBy: { createdAt: "asc" },
+    }
+  );
+
+  await auditService.recordAppointmentReads(practiceId, [appointment]);
+
+  return documents.map(withUrl);
+};
+
+/**
+ * Get a document of an appointment with a fresh signed download URL
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @param {String} documentId - Document ID
+ * @returns {Object} Document
+ */
+exports.getDocument = async (practiceId, appointmentId, documentId) => {
+  const appointment = await findAppointment(practiceId, appointmentId);
+  const document = await findDocument(practiceId, appointment.id, documentId);
+
+  await auditService.recordAppointmentReads(practiceId, [appointment]);
+
+  return withUrl(document);
+};
+
+/**
+ * Remove a document from an appointment, deleting its file
+ * @param {String} practiceId - Practice ID
+ * @param {String} appointmentId - Appointment ID
+ * @param {String} documentId - Document ID
+ */
+exports.removeDocument = async (practiceId, appointmentId, documentId) => {
+  const appointment = await findAppointment(practiceId, appointmentId);
+  const document = await findDocument(practiceId, appointment.id, documentId);
+
+  await fileService.deleteFile(practiceId, document.file.id);
+
+  await auditService.record({
+    practiceId,
+    action: "UPDATE",
+    resourceType: "APPOINTMENT",
+    resourceId: appointment.id,
+    changes: auditService.diff(
+      { documentId: document.id },
+      { documentId: null }
+    ),
+  });
+};
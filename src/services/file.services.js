@@ -0,0 +1,318 @@
+// src/services/file.services.js
+const crypto = require("crypto");
+const path = require("path");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const storage = require("../storage");
+const { detectFileType } = require("../utils/fileType");
+const { scopedPrisma } = require("../utils/practiceScope");
+const { signFileLink, verifyFileLink } = require("../utils/tokens");
+const {
+  NotFoundError,
+  PayloadTooLargeError,
+  ValidationError,
+} = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const DOCUMENT_TYPES = [...IMAGE_TYPES, "image/tiff", "application/pdf"];
+
+// Where each kind of upload is stored and what it may contain
+const PURPOSES = {
+  DOCTOR_PHOTO: {
+    folder: "doctor-photos",
+    types: IMAGE_TYPES,
+    maxBytes: config.app.uploads.maxImageBytes,
+  },
+  PRACTICE_LOGO: {
+    folder: "practice-logos",
+    types: IMAGE_TYPES,
+    maxBytes: config.app.uploads.maxImageBytes,
+  },
+  APPOINTMENT_DOCUMENT: {
+    folder: "appointment-documents",
+    types: DOCUMENT_TYPES,
+    maxBytes: config.app.uploads.maxDocumentBytes,
+  },
+};
+
+// Records that show an uploaded image: the field linking the file, and the
+// field holding the stable public URL that redirects to a signed one
+const IMAGE_OWNERS = {
+  DOCTOR_PHOTO: {
+    model: "doctor",
+    fileField: "photoFileId",
+    urlField: "profileImage",
+    publicPath: "/api/public/photos",
+  },
+  PRACTICE_LOGO: {
+    model: "practice",
+    fileField: "logoFileId",
+    urlField: "logo",
+    publicPath: "/api/public/logos",
+  },
+};
+
+exports.fileSelect = {
+  id: true,
+  name: true,
+  contentType: true,
+  size: true,
+  createdAt: true,
+};
+
+/**
+ * Clean up the file name given by an uploader, for Content-Disposition
+ *
+ * Only the base name is kept, reduced to safe characters, and the extension
+ * is replaced by the one of the detected type.
+ * @param {String} [name] - File name given by the uploader
+ * @param {String} purpose - FilePurpose
+ * @param {String} extension - Extension of the detected type
+ * @returns {String} File name
+ */
+const downloadName = (name, purpose, extension) => {
+  const base = path
+    .basename(String(name || ""))
+    .replace(/\.[^.]*$/, "")
+    .replace(/[^A-Za-z0-9 ._()-]+/g, "_")
+    .trim()
+    .slice(0, 100);
+
+  return `${base || purpose.toLowerCase().replace(/_/g, "-")}.${extension}`;
+};
+
+/**
+ * Delete a stored object, logging failures (the row is already gone, so an
+ * orphaned object is harmless)
+ * @param {String} key - Storage key
+ */
+const removeObject = (key) =>
+  storage
+    .delete(key)
+    .catch((error) =>
+      console.error(`Failed to delete stored file ${key}:`, error)
+    );
+
+/**
+ * Check and store an uploaded file
+ *
+ * The type is detected from the content, never taken from the client, and
+ * the object gets a random key. `attach` runs in the transaction that
+ * creates the file, so a file is never left half-linked.
+ * @param {String} practiceId - Practice ID
+ * @param {String} purpose - FilePurpose
+ * @param {Object} upload - Upload
+ * @param {Buffer} upload.data - Content
+ * @param {String} [upload.name] - File name given by the uploader
+ * @param {Object} [user] - Uploading user
+ * @param {Function} [attach] - (tx, file) => Promise, links the file to the
+ *   record it belongs to
+ * @returns {Object} File
+ */
+exports.storeFile = async (practiceId, purpose, upload, user, attach) => {
+  const { folder, types, maxBytes } = PURPOSES[purpose];
+  const { data, name } = upload;
+
+  // Check if a file is provided
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw new ValidationError("Please provide a file");
+  }
+
+  if (data.length > maxBytes) {
+    throw new PayloadTooLargeError(
+      `The file must not be larger than ${Math.floor(maxBytes / 1024)} KB`
+    );
+  }
+
+  const type = detectFileType(data);
+
+  if (!type || !types.includes(type.contentType)) {
+    throw new ValidationError(
+      `Unsupported file type, please upload one of: ${types.join(", ")}`,
+      undefined,
+      "UNSUPPORTED_FILE_TYPE"
+    );
+  }
+
+  const key = `${folder}/${crypto.randomBytes(16).toString("hex")}.${
+    type.extension
+  }`;
+
+  await storage.put(key, data, { contentType: type.contentType });
+
+  try {
+    return await scopedPrisma(practiceId).$transaction(async (tx) => {
+      const file = await tx.file.create({
+        data: {
+          key,
+          purpose,
+          name: downloadName(name, purpose, type.extension),
+          contentType: type.contentType,
+          size: data.length,
+          checksum: crypto.createHash("sha256").update(data).digest("hex"),
+          uploadedById: user ? user.id : null,
+        },
+        select: exports.fileSelect,
+      });
+
+      if (attach) await attach(tx, file);
+
+      return file;
+    });
+  } catch (error) {
+    await removeObject(key);
+    throw error;
+  }
+};
+
+/**
+ * Delete a file and its stored content
+ * @param {String} practiceId - Practice ID
+ * @param {String} fileId - File ID
+ */
+exports.deleteFile = async (practiceId, fileId) => {
+  const db = scopedPrisma(practiceId);
+  const file = await db.file.findUnique({
+    where: { id: fileId },
+    select: { id: true, key: true },
+  });
+
+  if (!file) return;
+
+  await db.file.delete({ where: { id: file.id } });
+  await removeObject(file.key);
+};
+
+/**
+ * Create a signed, expiring download URL for a file
+ *
+ * Only hand one out after checking that the user may see the file: anyone
+ * holding the URL can download it until it expires.
+ * @param {Object} file - File (id)
+ * @returns {Object} url and urlExpiresAt
+ */
+exports.signedUrl = (file) => {
+  const { token, expiresAt } = signFileLink(file.id);
+
+  return {
+    url: `${config.app.url}/api/files/${file.id}?token=${token}`,
+    urlExpiresAt: expiresAt,
+  };
+};
+
+/**
+ * Open a file through a signed URL
+ * @param {String} fileId - File ID
+ * @param {String} token - Link token from the URL
+ * @returns {Object} file (name, contentType, size, purpose) and stream
+ */
+exports.openFile = async (fileId, token) => {
+  let linkedId;
+
+  try {
+    linkedId = verifyFileLink(token);
+  } catch (error) {
+    throw new NotFoundError("Invalid or expired link", "LINK_INVALID");
+  }
+
+  if (linkedId !== fileId) {
+    throw new NotFoundError("Invalid or expired link", "LINK_INVALID");
+  }
+
+  const file = await prisma.file.findUnique({
+    where: { id: fileId },
+    select: {
+      key: true,
+      name: true,
+      contentType: true,
+      size: true,
+      purpose: true,
+    },
+  });
+  const stream = file && (await storage.get(file.key));
+
+  if (!stream) {
+    throw new NotFoundError("File not found", "FILE_NOT_FOUND");
+  }
+
+  return { file, stream };
+};
+
+/**
+ * Upload a doctor's photo or a practice's logo, replacing the previous one
+ *
+ * The record's profileImage or logo is set to a stable public URL that
+ * redirects to a fresh signed one. Check that the user may change the record
+ * first.
+ * @param {String} practiceId - Practice ID
+ * @param {String} purpose - DOCTOR_PHOTO or PRACTICE_LOGO
+ * @param {String} recordId - Doctor or practice ID
+ * @param {Object} upload - Upload (see storeFile)
+ * @param {Object} [user] - Uploading user
+ * @returns {Object} file and previousFileId (already deleted)
+ */
+exports.replaceImage = async (practiceId, purpose, recordId, upload, user) => {
+  const owner = IMAGE_OWNERS[purpose];
+  let previousFileId = null;
+
+  const file = await exports.storeFile(
+    practiceId,
+    purpose,
+    upload,
+    user,
+    async (tx, created) => {
+      const record = await tx[owner.model].findUnique({
+        where: { id: recordId },
+        select: { [owner.fileField]: true },
+      });
+
+      if (!record) {
+        throw new NotFoundError("Record not found");
+      }
+
+      previousFileId = record[owner.fileField];
+
+      await tx[owner.model].update({
+        where: { id: recordId },
+        data: {
+          [owner.fileField]: created.id,
+          [owner.urlField]: `${config.app.url}${owner.publicPath}/${recordId}`,
+        },
+      });
+    }
+  );
+
+  if (previousFileId) await exports.deleteFile(practiceId, previousFileId);
+
+  return { file, previousFileId };
+};
+
+/**
+ * Remove a doctor's photo or a practice's logo
+ * @param {String} practiceId - Practice ID
+ * @param {String} purpose - DOCTOR_PHOTO or PRACTICE_LOGO
+ * @param {String} recordId - Doctor or practice ID
+ * @returns {String|null} ID of the removed file, if there was one
+ */
+exports.removeImage = async (practiceId, purpose, recordId) => {
+  const owner = IMAGE_OWNERS[purpose];
+  const db = scopedPrisma(practiceId);
+
+  const record = await db[owner.model].findUnique({
+    where: { id: recordId },
+    select: { [owner.fileField]: true },
+  });
+  const fileId = record && record[owner.fileField];
+
+  if (!fileId) return null;
+
+  await db[owner.model].update({
+    where: { id: recordId },
+    data: { [owner.fileField]: null, [owner.urlField]: null },
+  });
+  await exports.deleteFile(practiceId, fileId);
+
+  return fileId;
+};
@@ -0,0 +1,361 @@
+// src/services/invitation.services.js
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const { hashToken } = require("../utils/tokens");
+const { scopedPrisma } = require("../utils/practiceScope");
+const { sendMail } = require("../mailer");
+const auditService = require("./audit.services");
+const passwordService = require("./password.services");
+const sessionService = require("./session.services");
+const twoFactorService = require("./twoFactor.services");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+// Roles an admin can invite
+const INVITABLE_ROLES = ["DOCTOR", "STAFF"];
+
+const invitationSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  practiceId: true,
+  expiresAt: true,
+  sendCount: true,
+  lastSentAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: { select: { id: true, firstName: true, lastName: true } },
+};
+
+/**
+ * Create a fresh invitation token and its expiry
+ * @returns {Object} Plain token, hash and expiry date
+ */
+const generateInvitationToken = () => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(
+      Date.now() + config.auth.invitation.expiresInDays * 24 * 60 * 60 * 1000
+    ),
+  };
+};
+
+/**
+ * Email an invitation link
+ * @param {Object} invitation - Invitation
+ * @param {Object} inviter - Admin who sent it
+ * @param {String} token - Plain invitation token
+ */
+const sendInvitationEmail = async (invitation, inviter, token) => {
+  await sendMail({
+    to: invitation.email,
+    template: "invitation",
+    data: {
+      inviterName: `${inviter.firstName} ${inviter.lastName}`,
+      acceptUrl: `${config.app.frontend.url}/auth/accept-invitation/${token}`,
+      expiresAt: invitation.expiresAt,
+    },
+  });
+};
+
+/**
+ * Find a usable invitation by its plain token
+ * @param {String} token - Plain invitation token
+ * @returns {Object} Invitation
+ */
+const findPendingByToken = async (token) => {
+  const invitation = await prisma.invitation.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (
+    !invitation ||
+    invitation.acceptedAt ||
+    invitation.revokedAt ||
+    invitation.expiresAt <= new Date()
+  ) {
+    throw new NotFoundError(
+      "Invalid or expired invitation",
+      "INVITATION_INVALID"
+    );
+  }
+
+  return invitation;
+};
+
+/**
+ * Invite a doctor or staff member to a practice
+ * @param {String} practiceId - Practice to attach the user to
+ * @param {Object} data - Invitation data
+ * @param {String} data.email - Invitee email
+ * @param {String} data.role - Role to grant
+ * @param {String} [data.firstName] - Invitee first name
+ * @param {String} [data.lastName] - Invitee last name
+ * @param {Object} inviter - Admin sending the invitation
+ * @returns {Object} Invitation
+ */
+exports.createInvitation = async (practiceId, data, inviter) => {
+  const email = data.email.trim().toLowerCase();
+
+  if (!INVITABLE_ROLES.includes(data.role)) {
+    throw new ValidationError(
+      `Role must be one of ${INVITABLE_ROLES.join(", ")}`
+    );
+  }
+
+  const existingUser = await prisma.user.findUnique({ where: { email } });
+  if (existingUser) {
+    throw new ConflictError("A user with that email address already exists");
+  }
+
+  const pending = await prisma.invitation.findFirst({
+    where: {
+      email,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+  });
+  if (pending) {
+    throw new ConflictError(
+      "An invitation is already pending for that email address"
+    );
+  }
+
+  const { token, tokenHash, expiresAt } = generateInvitationToken();
+
+  const invitation = await scopedPrisma(practiceId).invitation.create({
+    data: {
+      email,
+      firstName: data.firstName,
+      lastName: data.lastName,
+      role: data.role,
+      tokenHash,
+      expiresAt,
+      invitedById: inviter.id,
+    },
+    select: invitationSelect,
+  });
+
+  await sendInvitationEmail(invitation, inviter, token);
+
+  return invitation;
+};
+
+/**
+ * List a practice's invitations
+ * @param {String} practiceId - Practice ID
+ * @param {Object} filters - Filters
+ * @param {String} [filters.status] - pending, accepted, revoked or expired
+ * @returns {Array} Invitations, newest first
+ */
+exports.listInvitations = async (practiceId, { status } = {}) => {
+  const now = new Date();
+  const where = {
+    pending: { acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+    accepted: { acceptedAt: { not: null } },
+    revoked: { revokedAt: { not: null } },
+    expired: { acceptedAt: null, revokedAt: null, expiresAt: { lte: now } },
+  }[status];
+
+  return scopedPrisma(practiceId).invitation.findMany({
+    where,
+    select: invitationSelect,
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+/**
+ * Resend an invitation with a new link (the previous link stops working)
+ * @param {String} practiceId - Practice ID
+ * @param {String} invitationId - Invitation ID
+ * @param {Object} inviter - Admin resending the invitation
+ * @returns {Object} Invitation
+ */
+exports.resendInvitation = async (practiceId, invitationId, inviter) => {
+  const db = scopedPrisma(practiceId);
+
+  const existing = await db.invitation.findUnique({
+    where: { id: invitationId },
+  });
+
+  if (!existing || existing.acceptedAt || existing.revokedAt) {
+    throw new NotFoundError("Invitation not found or no longer pending");
+  }
+
+  const { token, tokenHash, expiresAt } = generateInvitationToken();
+
+  const invitation = await db.invitation.update({
+    where: { id: invitationId },
+    data: {
+      tokenHash,
+      expiresAt,
+      sendCount: { increment: 1 },
+      lastSentAt: new Date(),
+    },
+    select: invitationSelect,
+  });
+
+  await sendInvitationEmail(invitation, inviter, token);
+
+  return invitation;
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {String} practiceId - Practice ID
+ * @param {String} invitationId - Invitation ID
+ */
+exports.revokeInvitation = async (practiceId, invitationId) => {
+  const { count } = await scopedPrisma(practiceId).invitation.updateMany({
+    where: { id: invitationId, acceptedAt: null, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw new NotFoundError("Invitation not found or no longer pending");
+  }
+};
+
+/**
+ * Get the public details of an invitation, for the accept page
+ * @param {String} token - Plain invitation token
+ * @returns {Object} Invitation details
+ */
+exports.getInvitationByToken = async (token) => {
+  const invitation = await findPendingByToken(token);
+
+  return {
+    email: invitation.email,
+    firstName: invitation.firstName,
+    lastName: invitation.lastName,
+    role: invitation.role,
+    expiresAt: invitation.expiresAt,
+  };
+};
+
+/**
+ * Profile created alongside the user, by invited role
+ * @param {Object} invitation - Invitation being accepted
+ * @returns {Object} Nested create data for the user
+ */
+const profileFor = (invitation) => {
+  const profile = { create: { practiceId: invitation.practiceId } };
+
+  return invitation.role === "DOCTOR"
+    ? { doctor: profile }
+    : { staff: profile };
+};
+
+/**
+ * Accept an invitation: create the account with a verified email and sign in
+ * @param {String} token - Plain invitation token
+ * @param {Object} data - Account data
+ * @param {String} data.password - Password chosen by the invitee
+ * @param {String} [data.firstName] - First name (defaults to the invitation's)
+ * @param {String} [data.lastName] - Last name (defaults to the invitation's)
+ * @param {Object} meta - Client metadata (userAgent, ipAddress) for the session
+ * @returns {Object} User data, access token and refresh token
+ */
+exports.acceptInvitation = async (token, data, meta) => {
+  const invitation = await findPendingByToken(token);
+
+  const firstName = data.firstName || invitation.firstName;
+  const lastName = data.lastName || invitation.lastName;
+
+  if (!firstName || !lastName) {
+    throw new ValidationError("Please provide first and last name");
+  }
+
+  await passwordService.assertPasswordAllowed(
+    { email: invitation.email, firstName, lastName },
+    data.password
+  );
+
+  const hashedPassword = await passwordService.hashPassword(data.password);
+
+  const user = await prisma.$transaction(async (tx) => {
+    // Claim the invitation first so it can only be used once
+    const { count } = await tx.invitation.updateMany({
+      where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+      data: { acceptedAt: new Date() },
+    });
+
+    if (count === 0) {
+      throw new NotFoundError(
+        "Invalid or expired invitation",
+        "INVITATION_INVALID"
+      );
+    }
+
+    const created = await tx.user.create({
+      data: {
+        email: invitation.email,
+        password: hashedPassword,
+        firstName,
+        lastName,
+        role: invitation.role,
+        // Following the emailed link proves ownership of the address
+        emailVerifiedAt: new Date(),
+        ...profileFor(invitation),
+      },
+    });
+
+    await tx.invitation.update({
+      where: { id: invitation.id },
+      data: { userId: created.id },
+    });
+
+    await auditService.record(
+      {
+        practiceId: invitation.practiceId,
+        action: "CREATE",
+        resourceType: "USER",
+        resourceId: created.id,
+        changes: auditService.diff(
+          {},
+          {
+            email: created.email,
+            password: created.password,
+            firstName: created.firstName,
+            lastName: created.lastName,
+            role: created.role,
+          }
+        ),
+        actor: created,
+      },
+      tx
+    );
+
+    return created;
+  });
+
+  const { token: accessToken, refreshToken } =
+    await sessionService.createSession(user.id, meta);
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+    },
+    token: accessToken,
+    refreshToken,
+    // New accounts have no 2FA yet; set when the role policy requires it
+    twoFactorSetupRequired: twoFactorService.isRequiredForRole(user.role),
+  };
+};
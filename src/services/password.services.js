@@ -0,0 +1,100 @@
+// src/services/password.services.js
+const bcrypt = require("bcryptjs");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const auditService = require("./audit.services");
+const { validatePassword } = require("../utils/passwordPolicy");
+const { ValidationError } = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+/**
+ * Hash a password
+ * @param {String} password - Plain password
+ * @returns {String} bcrypt hash
+ */
+exports.hashPassword = (password) => bcrypt.hash(password, 12);
+
+/**
+ * Check a new password against the policy and the user's recent passwords
+ * @param {Object} user - User (with current password hash, if any)
+ * @param {String} password - Candidate password
+ */
+exports.assertPasswordAllowed = async (user, password) => {
+  const errors = validatePassword(password, user);
+
+  if (errors.length > 0) {
+    throw new ValidationError(
+      "Password does not meet the requirements",
+      errors,
+      "PASSWORD_POLICY"
+    );
+  }
+
+  if (!user.id) return;
+
+  const history = await prisma.passwordHistory.findMany({
+    where: { userId: user.id },
+    orderBy: { createdAt: "desc" },
+    take: config.auth.password.historySize,
+    select: { passwordHash: true },
+  });
+
+  const recentHashes = [user.password, ...history.map((h) => h.passwordHash)];
+
+  for (const hash of recentHashes.filter(Boolean)) {
+    if (await bcrypt.compare(password, hash)) {
+      throw new ValidationError(
+        `Password must not match any of your last ${config.auth.password.historySize} passwords`,
+        undefined,
+        "PASSWORD_REUSED"
+      );
+    }
+  }
+};
+
+/**
+ * Replace a user's password, keeping the old hash in their history
+ * @param {Object} user - User (with current password hash)
+ * @param {String} password - New plain password (already checked)
+ * @param {Object} [data] - Extra user fields to update in the same write
+ */
+exports.changeUserPassword = async (user, password, data = {}) => {
+  const hashedPassword = await exports.hashPassword(password);
+  const { historySize } = config.auth.password;
+
+  await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: user.id },
+      data: { ...data, password: hashedPassword },
+    });
+
+    await tx.passwordHistory.create({
+      data: { userId: user.id, passwordHash: user.password },
+    });
+
+    await auditService.record(
+      {
+        action: "UPDATE",
+        resourceType: "USER",
+        resourceId: user.id,
+        changes: auditService.diff(user, { ...data, password: hashedPassword }),
+      },
+      tx
+    );
+
+    // Only the newest `historySize` entries are ever compared
+    const stale = await tx.passwordHistory.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: "desc" },
+      skip: historySize,
+      select: { id: true },
+    });
+
+    if (stale.length > 0) {
+      await tx.passwordHistory.deleteMany({
+        where: { id: { in: stale.map((h) => h.id) } },
+      });
+    }
+  });
+};
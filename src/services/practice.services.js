@@ -0,0 +1,122 @@
+// src/services/practice.services.js
+const { PrismaClient } = require("@prisma/client");
+const {
+  AuthorizationError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+const practiceSelect = {
+  id: true,
+  name: true,
+  slug: true,
+  logo: true,
+  primaryColor: true,
+  secondaryColor: true,
+};
+
+/**
+ * Filter matching the practices a user belongs to
+ *
+ * Deactivated practices belong to no one but super admins.
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Prisma where clause on Practice
+ */
+exports.membershipWhere = (user) => {
+  switch (user.role) {
+    case "SUPER_ADMIN":
+      return {};
+    case "ADMIN":
+      return { active: true, admins: { some: { userId: user.id } } };
+    case "DOCTOR":
+      return {
+        active: true,
+        doctors: { some: { userId: user.id, active: true } },
+      };
+    case "STAFF":
+      return {
+        active: true,
+        staff: { some: { userId: user.id, active: true } },
+      };
+    case "PATIENT":
+      return { active: true, patients: { some: { userId: user.id } } };
+    default:
+      // Unknown roles belong nowhere
+      return { id: { in: [] } };
+  }
+};
+
+/**
+ * List the practices a user can act in
+ * @param {Object} user - Authenticated user
+ * @returns {Array} Practices, by name
+ */
+exports.listUserPractices = async (user) => {
+  return prisma.practice.findMany({
+    where: exports.membershipWhere(user),
+    select: practiceSelect,
+    orderBy: { name: "asc" },
+  });
+};
+
+/**
+ * Resolve the practice a request acts in and check the user belongs to it
+ *
+ * The practice is identified by ID or slug. Without one, users who belong to
+ * exactly one practice default to it; anyone else must say which one.
+ * @param {Object} user - Authenticated user
+ * @param {String} [identifier] - Practice ID or slug (X-Practice-ID header)
+ * @returns {Object} Practice
+ */
+exports.resolvePractice = async (user, identifier) => {
+  const membership = exports.membershipWhere(user);
+
+  if (identifier) {
+    const practice = await prisma.practice.findFirst({
+      where: { OR: [{ id: identifier }, { slug: identifier }] },
+      select: practiceSelect,
+    });
+
+    if (!practice) {
+      throw new NotFoundError("Practice not found", "PRACTICE_NOT_FOUND");
+    }
+
+    const member = await prisma.practice.count({
+      where: { AND: [{ id: practice.id }, membership] },
+    });
+
+    if (member === 0) {
+      throw new AuthorizationError(
+        "You do not have access to this practice",
+        "PRACTICE_FORBIDDEN"
+      );
+    }
+
+    return practice;
+  }
+
+  const practices = await prisma.practice.findMany({
+    where: membership,
+    select: practiceSelect,
+    take: 2,
+  });
+
+  if (practices.length === 0) {
+    throw new AuthorizationError(
+      "Your account is not linked to a practice",
+      "PRACTICE_FORBIDDEN"
+    );
+  }
+
+  if (practices.length > 1) {
+    throw new ValidationError(
+      "Please select a practice with the X-Practice-ID header",
+      undefined,
+      "PRACTICE_REQUIRED"
+    );
+  }
+
+  return practices[0];
+};
@@ -0,0 +1,428 @@
+// src/services/publicBooking.services.js
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const { sendMail } = require("../mailer");
+const appointmentService = require("./appointment.services");
+const availabilityService = require("./availability.services");
+const fileService = require("./file.services");
+const { hashToken } = require("../utils/tokens");
+const { scopedPrisma } = require("../utils/practiceScope");
+const {
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+} = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+const MINUTE = 60 * 1000;
+
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Longest guest name and notes accepted from the public site
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 1000;
+
+// Practice fields shown on the public site
+const practiceSelect = {
+  id: true,
+  name: true,
+  slug: true,
+  description: true,
+  email: true,
+  phone: true,
+  address: true,
+  city: true,
+  state: true,
+  zip: true,
+  website: true,
+  logo: true,
+  primaryColor: true,
+  secondaryColor: true,
+  timezone: true,
+};
+
+const doctorSelect = {
+  id: true,
+  title: true,
+  specialty: true,
+  bio: true,
+  education: true,
+  profileImage: true,
+  user: { select: { firstName: true, lastName: true } },
+};
+
+const requestInclude = {
+  practice: { select: practiceSelect },
+  hold: {
+    include: {
+      doctor: { select: doctorSelect },
+      service: { select: { id: true, name: true, duration: true } },
+    },
+  },
+};
+
+/**
+ * Find a practice by its public slug
+ * @param {String} slug - Practice slug
+ * @returns {Object} Practice (public fields)
+ */
+const findPractice = async (slug) => {
+  const practice = await prisma.practice.findFirst({
+    where: { slug: String(slug).toLowerCase(), active: true },
+    select: practiceSelect,
+  });
+
+  if (!practice) {
+    throw new NotFoundError("Practice not found");
+  }
+
+  return practice;
+};
+
+/**
+ * Find a booking request of a practice by its plain token
+ *
+ * Confirmed requests stay readable, so opening the link again shows the
+ * booking instead of an error.
+ * @param {String} slug - Practice slug
+ * @param {String} token - Plain verification token
+ * @returns {Object} Request with its practice and hold
+ */
+const findRequest = async (slug, token) => {
+  const request = await prisma.bookingRequest.findUnique({
+    where: { tokenHash: hashToken(String(token)) },
+    include: requestInclude,
+  });
+
+  if (
+    !request ||
+    request.practice.slug !== String(slug).toLowerCase() ||
+    (!request.confirmedAt && request.expiresAt <= new Date())
+  ) {
+    throw new NotFoundError(
+      "Invalid or expired booking link",
+      "BOOKING_LINK_INVALID"
+    );
+  }
+
+  return request;
+};
+
+/**
+ * Email a patient the link that confirms their booking
+ * @param {String} requestId - Booking request ID
+ * @param {String} token - Plain verification token
+ */
+const sendVerificationEmail = async (requestId, token) => {
+  const { practice, hold, ...request } = await prisma.bookingRequest.findUnique(
+    {
+      where: { id: requestId },
+      include: requestInclude,
+    }
+  );
+  const doctorUser = hold.doctor.user;
+
+  await sendMail({
+    to: request.patientEmail,
+    template: "bookingVerification",
+    data: {
+      patientName: request.patientName,
+      doctorName: [hold.doctor.title, doctorUser.firstName, doctorUser.lastName]
+        .filter(Boolean)
+        .join(" "),
+      serviceName: hold.service.name,
+      practiceName: practice.name,
+      practiceAddress: practice.address,
+      startTime: hold.startTime,
+      timezone: practice.timezone,
+      expiresAt: request.expiresAt,
+      confirmUrl: `${config.app.frontend.url}/book/${practice.slug}/confirm/${token}`,
+    },
+  });
+};
+
+/**
+ * Get a practice's public profile
+ * @param {String} slug - Practice slug
+ * @returns {Object} Practice
+ */
+exports.getPractice = async (slug) => findPractice(slug);
+
+/**
+ * List the services that can be booked online
+ * @param {String} slug - Practice slug
+ * @returns {Array} Services, with the IDs of the doctors offering them
+ */
+exports.listServices = async (slug) => {
+  const practice = await findPractice(slug);
+
+  return scopedPrisma(practice.id).service.findMany({
+    where: { active: true, doctors: { some: { active: true } } },
+    select: {
+      id: true,
+      name: true,
+      description: true,
+      duration: true,
+      price: true,
+      color: true,
+      doctors: { where: { active: true }, select: { id: true } },
+    },
+    orderBy: { name: "asc" },
+  });
+};
+
+/**
+ * List a practice's active doctors
+ * @param {String} slug - Practice slug
+ * @param {Object} filters - Filters
+ * @param {String} [filters.serviceId] - Only doctors offering this service
+ * @returns {Array} Doctors, with the IDs of the services they offer
+ */
+exports.listDoctors = async (slug, { serviceId } = {}) => {
+  const practice = await findPractice(slug);
+
+  return scopedPrisma(practice.id).doctor.findMany({
+    where: {
+      active: true,
+      ...(serviceId && { services: { some: { id: serviceId } } }),
+    },
+    select: { ...doctorSelect, services: { select: { id: true } } },
+    orderBy: { user: { lastName: "asc" } },
+  });
+};
+
+/**
+ * Get a short-lived URL of an active practice's uploaded logo
+ * @param {String} practiceId - Practice ID
+ * @returns {String} Signed URL
+ */
+exports.getLogoUrl = async (practiceId) => {
+  const practice = await prisma.practice.findFirst({
+    where: { id: practiceId, active: true, logoFileId: { not: null } },
+    select: { logoFileId: true },
+  });
+
+  if (!practice) {
+    throw new NotFoundError("Logo not found");
+  }
+
+  return fileService.signedUrl({ id: practice.logoFileId }).url;
+};
+
+/**
+ * Get a short-lived URL of an active doctor's uploaded photo
+ * @param {String} doctorId - Doctor ID
+ * @returns {String} Signed URL
+ */
+exports.getPhotoUrl = async (doctorId) => {
+  const doctor = await prisma.doctor.findFirst({
+    where: {
+      id: doctorId,
+      active: true,
+      photoFileId: { not: null },
+      practice: { active: true },
+    },
+    select: { photoFileId: true },
+  });
+
+  if (!doctor) {
+    throw new NotFoundError("Photo not found");
+  }
+
+  return fileService.signedUrl({ id: doctor.photoFileId }).url;
+};
+
+/**
+ * Compute open slots for a service
+ * @param {String} slug - Practice slug
+ * @param {Object} query - serviceId, from, to and optionally doctorId
+ * @returns {Object} Range, time zone and slots per doctor
+ */
+exports.getAvailability = async (slug, { serviceId, doctorId, from, to }) => {
+  const practice = await findPractice(slug);
+
+  const service = await scopedPrisma(practice.id).service.findFirst({
+    where: { id: serviceId, active: true },
+    select: { id: true },
+  });
+
+  if (!service) {
+    throw new NotFoundError("Service not found");
+  }
+
+  return availabilityService.getAvailability(practice.id, {
+    serviceId,
+    from,
+    to,
+    doctorIds: doctorId ? [doctorId] : undefined,
+  });
+};
+
+/**
+ * Start a guest booking: hold the slot and email a link that confirms it
+ *
+ * Nothing is booked until the link is opened. If it isn't opened before the
+ * hold runs out, the slot is free again.
+ * @param {String} slug - Practice slug
+ * @param {Object} data - Booking data
+ * @param {String} data.doctorId - Doctor ID
+ * @param {String} data.serviceId - Service ID
+ * @param {String} data.startTime - Start (ISO date-time, must be an open slot)
+ * @param {String} data.patientName - Patient name
+ * @param {String} data.patientEmail - Patient email
+ * @param {String} [data.notes] - Notes
+ * @returns {Object} Held slot and when the hold ends
+ */
+exports.requestBooking = async (slug, data) => {
+  const practice = await findPractice(slug);
+  const db = scopedPrisma(practice.id);
+  const patientName = String(data.patientName).trim();
+  const patientEmail = String(data.patientEmail).trim().toLowerCase();
+  const { holdMinutes, maxPendingPerEmail } = config.booking.publicBooking;
+
+  if (!patientName || patientName.length > MAX_NAME_LENGTH) {
+    throw new ValidationError("Please provide a valid name");
+  }
+
+  if (!EMAIL_FORMAT.test(patientEmail)) {
+    throw new ValidationError("Please provide a valid email address");
+  }
+
+  if (data.notes && String(data.notes).length > MAX_NOTES_LENGTH) {
+    throw new ValidationError(
+      `Notes cannot be longer than ${MAX_NOTES_LENGTH} characters`
+    );
+  }
+
+  // Stops one address from holding a practice's calendar hostage
+  const pending = await db.bookingRequest.count({
+    where: { patientEmail, confirmedAt: null, expiresAt: { gt: new Date() } },
+  });
+
+  if (pending >= maxPendingPerEmail) {
+    throw new RateLimitError(
+      "You already have bookings waiting to be confirmed, please check your email",
+      undefined,
+      "TOO_MANY_PENDING_BOOKINGS"
+    );
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + holdMinutes * MINUTE);
+  let request;
+
+  const hold = await appointmentService.holdSlot(
+    practice.id,
+    {
+      doctorId: data.doctorId,
+      serviceId: data.serviceId,
+      startTime: data.startTime,
+      expiresAt,
+    },
+    async (tx, created) => {
+      request = await tx.bookingRequest.create({
+        data: {
+          practiceId: practice.id,
+          holdId: created.id,
+          tokenHash: hashToken(token),
+          patientName,
+          patientEmail,
+          notes: data.notes ? String(data.notes) : null,
+          expiresAt,
+        },
+      });
+    }
+  );
+
+  sendVerificationEmail(request.id, token).catch((error) =>
+    console.error("Failed to send booking verification email:", error)
+  );
+
+  return {
+    id: request.id,
+    doctorId: hold.doctorId,
+    serviceId: hold.serviceId,
+    startTime: hold.startTime,
+    endTime: hold.endTime,
+    expiresAt,
+  };
+};
+
+/**
+ * Get a booking request by its verification token
+ * @param {String} slug - Practice slug
+ * @param {String} token - Plain verification token
+ * @returns {Object} Booking details, with status PENDING or CONFIRMED
+ */
+exports.getBookingRequest = async (slug, token) => {
+  const request = await findRequest(slug, token);
+  const { practice, hold } = request;
+
+  return {
+    status: request.confirmedAt ? "CONFIRMED" : "PENDING",
+    appointmentId: request.appointmentId,
+    patientName: request.patientName,
+    patientEmail: request.patientEmail,
+    practice: {
+      name: practice.name,
+      address: practice.address,
+    },
+    doctor: hold.doctor,
+    service: hold.service,
+    startTime: hold.startTime,
+    endTime: hold.endTime,
+    timezone: practice.timezone,
+    expiresAt: request.expiresAt,
+  };
+};
+
+/**
+ * Confirm a booking request, booking the held slot
+ *
+ * Opening the link twice is harmless: the second time just shows the
+ * booking.
+ * @param {String} slug - Practice slug
+ * @param {String} token - Plain verification token
+ * @returns {Object} Booking details
+ */
+exports.confirmBooking = async (slug, token) => {
+  const request = await findRequest(slug, token);
+  const { practice, hold } = request;
+
+  if (request.confirmedAt) {
+    return exports.getBookingRequest(slug, token);
+  }
+
+  try {
+    await appointmentService.createAppointment(
+      practice.id,
+      {
+        doctorId: hold.doctorId,
+        serviceId: hold.serviceId,
+        startTime: hold.startTime,
+        patientName: request.patientName,
+        patientEmail: request.patientEmail,
+        notes: request.notes,
+        holdId: hold.id,
+      },
+      undefined,
+      // Confirmed with the booking itself, so a booking never leaves its
+      // request pending
+      (tx, appointment) =>
+        tx.bookingRequest.update({
+          where: { id: request.id },
+          data: { confirmedAt: new Date(), appointmentId: appointment.id },
+        })
+    );
+  } catch (error) {
+    // Either the hold ran out, or another click just confirmed it
+    if (error.code === "HOLD_EXPIRED") {
+      return exports.getBookingRequest(slug, token);
+    }
+    throw error;
+  }
+
+  return exports.getBookingRequest(slug, token);
+};
@@ -0,0 +1,339 @@
+// src/services/reminder.services.js
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const appointmentService = require("./appointment.services");
+const auditService = require("./audit.services");
+const queue = require("../jobs/queue");
+const { getChannel } = require("../notifications");
+const { scopedPrisma } = require("../utils/practiceScope");
+const {
+  signAppointmentLink,
+  verifyAppointmentLink,
+} = require("../utils/tokens");
+const { NotFoundError } = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+const MINUTE = 60 * 1000;
+
+exports.REMINDER_JOB = "appointment.reminder";
+
+const reminderInclude = {
+  doctor: {
+    select: {
+      id: true,
+      title: true,
+      user: { select: { firstName: true, lastName: true } },
+    },
+  },
+  service: { select: { id: true, name: true, duration: true } },
+  patient: {
+    select: {
+      userId: true,
+      user: {
+        select: { firstName: true, lastName: true, email: true, phone: true },
+      },
+    },
+  },
+  practice: {
+    select: { id: true, name: true, address: true, timezone: true },
+  },
+};
+
+/**
+ * The reminder an appointment is due, if any
+ *
+ * Only the closest reminder that has come due is sent, so an appointment
+ * booked two days out gets the 2h reminder but not a late 48h one. Reminders
+ * due before the appointment was booked are skipped.
+ * @param {Array} offsets - Practice reminder offsets in minutes, ascending
+ * @param {Object} appointment - startTime, createdAt and lastReminderOffset
+ * @param {Date} now - Current time
+ * @returns {Number|null} Offset to send
+ */
+const dueOffset = (offsets, appointment, now) => {
+  const remindAt = (offset) =>
+    appointment.startTime.getTime() - offset * MINUTE;
+  const offset = offsets.find((minutes) => remindAt(minutes) <= now.getTime());
+
+  if (offset === undefined) return null;
+  if (remindAt(offset) < appointment.createdAt.getTime()) return null;
+  if (
+    appointment.lastReminderOffset !== null &&
+    offset >= appointment.lastReminderOffset
+  ) {
+    return null;
+  }
+
+  return offset;
+};
+
+/**
+ * Queue the appointment reminders that have come due, on every channel the
+ * practice uses
+ *
+ * Runs periodically (see src/jobs). Each reminder is queued under a key of
+ * the appointment, its start time, the offset and the channel, so scanning
+ * twice never sends twice; rescheduling starts the reminders afresh.
+ * @returns {Number} Appointments reminded
+ */
+exports.scheduleReminders = async () => {
+  const now = new Date();
+  let reminded = 0;
+
+  const practices = await prisma.practice.findMany({
+    where: {
+      NOT: [
+        { reminderOffsets: { isEmpty: true } },
+        { reminderChannels: { isEmpty: true } },
+      ],
+    },
+    select: { id: true, reminderOffsets: true, reminderChannels: true },
+  });
+
+  for (const practice of practices) {
+    const db = scopedPrisma(practice.id);
+    const offsets = [...new Set(practice.reminderOffsets)]
+      .filter((minutes) => minutes > 0)
+      .sort((a, b) => a - b);
+    if (offsets.length === 0) continue;
+
+    const appointments = await db.appointment.findMany({
+      where: {
+        status: { in: appointmentService.ACTIVE_STATUSES },
+        reminder: true,
+        startTime: {
+          gt: now,
+          lte: new Date(now.getTime() + offsets[offsets.length - 1] * MINUTE),
+        },
+        OR: [
+          { lastReminderOffset: null },
+          { lastReminderOffset: { gt: offsets[0] } },
+        ],
+      },
+      select: {
+        id: true,
+        startTime: true,
+        createdAt: true,
+        lastReminderOffset: true,
+      },
+    });
+
+    for (const appointment of appointments) {
+      const offset = dueOffset(offsets, appointment, now);
+      if (offset === null) continue;
+
+      for (const channel of practice.reminderChannels) {
+        await queue.enqueue(
+          exports.REMINDER_JOB,
+          {
+            practiceId: practice.id,
+            appointmentId: appointment.id,
+            startTime: appointment.startTime.toISOString(),
+            offset,
+            channel,
+          },
+          {
+            uniqueKey: [
+              "reminder",
+              appointment.id,
+              appointment.startTime.getTime(),
+              offset,
+              channel,
+            ].join(":"),
+          }
+        );
+      }
+
+      // Skipped if the appointment moved since it was read
+      await db.appointment.updateMany({
+        where: { id: appointment.id, startTime: appointment.startTime },
+        data: { lastReminderOffset: offset, reminderSent: true },
+      });
+      reminded++;
+    }
+  }
+
+  return reminded;
+};
+
+/**
+ * Send one queued reminder (job handler)
+ *
+ * Reminders for appointments cancelled, moved or started since they were
+ * queued are dropped, as are channels the patient can't be reached on.
+ * @param {Object} payload - practiceId, appointmentId, startTime and channel
+ * @param {Object} job - Job, whose key lets providers drop a repeated send
+ */
+exports.sendReminder = async (payload, job) => {
+  const appointment = await scopedPrisma(
+    payload.practiceId
+  ).appointment.findUnique({
+    where: { id: payload.appointmentId },
+    include: reminderInclude,
+  });
+
+  if (
+    !appointment ||
+    !appointment.reminder ||
+    !appointmentService.ACTIVE_STATUSES.includes(appointment.status) ||
+    appointment.startTime.toISOString() !== payload.startTime ||
+    appointment.startTime <= new Date()
+  ) {
+    return;
+  }
+
+  const channel = getChannel(payload.channel);
+  const patientUser = appointment.patient && appointment.patient.user;
+  const to = channel.address(
+    patientUser || { email: appointment.patientEmail }
+  );
+  if (!to) return;
+
+  const doctorUser = appointment.doctor.user;
+  const linkUrl = `${
+    config.app.frontend.url
+  }/appointments/links/${signAppointmentLink(appointment)}`;
+
+  await channel.send({
+    to,
+    template: "appointmentReminder",
+    data: {
+      patientName: patientUser
+        ? `${patientUser.firstName} ${patientUser.lastName}`
+        : appointment.patientName,
+      doctorName: [
+        appointment.doctor.title,
+        doctorUser.firstName,
+        doctorUser.lastName,
+      ]
+        .filter(Boolean)
+        .join(" "),
+      serviceName: appointment.service.name,
+      practiceName: appointment.practice.name,
+      practiceAddress: appointment.practice.address,
+      startTime: appointment.startTime,
+      timezone: appointment.practice.timezone,
+      confirmUrl:
+        appointment.status === "SCHEDULED" ? `${linkUrl}/confirm` : null,
+      cancelUrl: `${linkUrl}/cancel`,
+      manageUrl: linkUrl,
+    },
+    idempotencyKey: job.uniqueKey || job.id,
+  });
+};
+
+/**
+ * Find the appointment a reminder link was signed for
+ * @param {String} token - Link token
+ * @returns {Object} Appointment
+ */
+const findLinkedAppointment = async (token) => {
+  let link;
+
+  try {
+    link = verifyAppointmentLink(token);
+  } catch (error) {
+    throw new NotFoundError("Invalid or expired link", "LINK_INVALID");
+  }
+
+  const appointment = await scopedPrisma(
+    link.practiceId
+  ).appointment.findUnique({
+    where: { id: link.appointmentId },
+    include: reminderInclude,
+  });
+
+  // Links die with a reschedule
+  if (
+    !appointment ||
+    appointment.startTime.getTime() !== link.startTime.getTime()
+  ) {
+    throw new NotFoundError("Invalid or expired link", "LINK_INVALID");
+  }
+
+  return appointment;
+};
+
+/**
+ * The patient, as the user changing an appointment through a link
+ * @param {Object} appointment - Appointment with its patient
+ * @returns {Object} Actor (no id for patients without an account)
+ */
+const linkActor = (appointment) => ({
+  id: appointment.patient ? appointment.patient.userId : null,
+  role: "PATIENT",
+});
+
+/**
+ * Get the appointment behind a reminder link
+ * @param {String} token - Link token
+ * @returns {Object} Appointment details and what the patient can do
+ */
+exports.getLinkedAppointment = async (token) => {
+  const appointment = await findLinkedAppointment(token);
+  const { STATUS_TRANSITIONS } = appointmentService;
+
+  await auditService.recordAppointmentReads(
+    appointment.practiceId,
+    [appointment],
+    linkActor(appointment)
+  );
+
+  return {
+    id: appointment.id,
+    status: appointment.status,
+    startTime: appointment.startTime,
+    endTime: appointment.endTime,
+    timezone: appointment.practice.timezone,
+    doctor: appointment.doctor,
+    service: appointment.service,
+    practice: {
+      name: appointment.practice.name,
+      address: appointment.practice.address,
+    },
+    actions: Object.keys(STATUS_TRANSITIONS[appointment.status]).filter(
+      (status) =>
+        STATUS_TRANSITIONS[appointment.status][status].includes("PATIENT")
+    ),
+  };
+};
+
+/**
+ * Confirm an appointment from a reminder link
+ * @param {String} token - Link token
+ * @returns {Object} Appointment details
+ */
+exports.confirmFromLink = async (token) => {
+  const appointment = await findLinkedAppointment(token);
+
+  await appointmentService.changeStatus(
+    appointment.practiceId,
+    appointment.id,
+    { status: "CONFIRMED" },
+    linkActor(appointment)
+  );
+
+  return exports.getLinkedAppointment(token);
+};
+
+/**
+ * Cancel an appointment from a reminder link
+ *
+ * Only this appointment is cancelled, even in a series.
+ * @param {String} token - Link token
+ * @param {String} [reason] - Why the patient cancels
+ * @returns {Object} Appointment details
+ */
+exports.cancelFromLink = async (token, reason) => {
+  const appointment = await findLinkedAppointment(token);
+
+  await appointmentService.cancelAppointment(
+    appointment.practiceId,
+    appointment.id,
+    reason || "Cancelled by the patient",
+    linkActor(appointment)
+  );
+
+  return exports.getLinkedAppointment(token);
+};
@@ -0,0 +1,40 @@
+// src/services/securityEvent.services.js
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+/**
+ * Record a security-relevant change to an account
+ * @param {Object} event - Event details
+ * @param {String} event.userId - Account the event concerns
+ * @param {String} event.type - SecurityEventType
+ * @param {String} [event.actorId] - User who made the change, if not the owner
+ * @param {String} [event.ipAddress] - Client IP
+ * @param {Object} [event.metadata] - Extra details (never secrets)
+ */
+exports.record = async ({ userId, type, actorId, ipAddress, metadata }) => {
+  await prisma.securityEvent.create({
+    data: {
+      userId,
+      type,
+      actorId: actorId || null,
+      ipAddress,
+      metadata,
+    },
+  });
+};
+
+/**
+ * List security events for a user, newest first
+ * @param {String} userId - User ID
+ * @returns {Array} Events
+ */
+exports.listForUser = async (userId) => {
+  return prisma.securityEvent.findMany({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+    include: {
+      actor: { select: { id: true, firstName: true, lastName: true } },
+    },
+  });
+};
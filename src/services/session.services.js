@@ -0,0 +1,241 @@
+// src/services/session.services.js
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const { AuthenticationError, NotFoundError } = require("../utils/errors");
+const {
+  generateToken,
+  generateRefreshToken,
+  getRefreshTokenSessionId,
+  hashToken,
+} = require("../utils/tokens");
+
+const prisma = new PrismaClient();
+
+const sessionSelect = {
+  id: true,
+  userAgent: true,
+  ipAddress: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  createdAt: true,
+};
+
+/**
+ * Compute the expiry date of a refresh token issued now
+ * @returns {Date} Expiry date
+ */
+const refreshExpiry = () =>
+  new Date(
+    Date.now() + config.auth.refreshToken.expiresInDays * 24 * 60 * 60 * 1000
+  );
+
+/**
+ * Create a session and issue its first token pair
+ * @param {String} userId - User ID
+ * @param {Object} meta - Client metadata
+ * @param {String} [meta.userAgent] - User-Agent header
+ * @param {String} [meta.ipAddress] - Client IP
+ * @returns {Object} Access token, refresh token and session ID
+ */
+exports.createSession = async (userId, { userAgent, ipAddress } = {}) => {
+  // Create the row first so the refresh token can embed its ID
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      refreshTokenHash: "",
+      userAgent,
+      ipAddress,
+      expiresAt: refreshExpiry(),
+    },
+  });
+
+  const { refreshToken, hashedToken } = generateRefreshToken(session.id);
+
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { refreshTokenHash: hashedToken },
+  });
+
+  return {
+    sessionId: session.id,
+    token: generateToken(userId, session.id),
+    refreshToken,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ *
+ * Each refresh token can be used once. Presenting a token that has already
+ * been rotated means it was copied, so the whole session is revoked.
+ * @param {String} refreshToken - Plain refresh token
+ * @param {Object} meta - Client metadata
+ * @returns {Object} Access token, refresh token and session ID
+ */
+exports.rotateRefreshToken = async (
+  refreshToken,
+  { userAgent, ipAddress } = {}
+) => {
+  const sessionId = getRefreshTokenSessionId(refreshToken);
+
+  if (!sessionId) {
+    throw new AuthenticationError(
+      "Invalid refresh token",
+      "REFRESH_TOKEN_INVALID"
+    );
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw new AuthenticationError(
+      "Invalid refresh token",
+      "REFRESH_TOKEN_INVALID"
+    );
+  }
+
+  const { refreshToken: nextToken, hashedToken } =
+    generateRefreshToken(sessionId);
+
+  // Conditional update: only one request can rotate a given token
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: sessionId,
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: null,
+    },
+    data: {
+      refreshTokenHash: hashedToken,
+      userAgent: userAgent || session.userAgent,
+      ipAddress: ipAddress || session.ipAddress,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+    },
+  });
+
+  if (count === 0) {
+    await exports.revokeSession(sessionId, "refresh_token_reuse");
+    throw new AuthenticationError(
+      "Refresh token reuse detected, session revoked",
+      "REFRESH_TOKEN_REUSED"
+    );
+  }
+
+  return {
+    sessionId,
+    token: generateToken(session.userId, sessionId),
+    refreshToken: nextToken,
+  };
+};
+
+/**
+ * Check that a session exists and is still active
+ * @param {String} sessionId - Session ID
+ * @returns {Boolean} Whether the session is active
+ */
+exports.isSessionActive = async (sessionId) => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true },
+  });
+
+  return Boolean(
+    session && !session.revokedAt && session.expiresAt > new Date()
+  );
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Why the session was revoked
+ */
+exports.revokeSession = async (sessionId, reason) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ *
+ * The whole token is checked, not just the session ID in it, so a session
+ * can only be ended by whoever holds its current refresh token.
+ * @param {String} refreshToken - Plain refresh token
+ * @param {String} reason - Why the session was revoked
+ * @returns {Boolean} Whether a session was revoked
+ */
+exports.revokeSessionByRefreshToken = async (refreshToken, reason) => {
+  const sessionId = getRefreshTokenSessionId(refreshToken);
+
+  if (!sessionId) return false;
+
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: sessionId,
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: null,
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Revoke all active sessions of a user
+ * @param {String} userId - User ID
+ * @param {Object} options - Options
+ * @param {String} options.reason - Why the sessions were revoked
+ * @param {String} [options.exceptSessionId] - Session to keep (the caller's)
+ * @returns {Number} Number of revoked sessions
+ */
+exports.revokeUserSessions = async (userId, { reason, exceptSessionId }) => {
+  const { count } = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return count;
+};
+
+/**
+ * List the active sessions of a user
+ * @param {String} userId - User ID
+ * @param {String} [currentSessionId] - Caller's session, flagged in the result
+ * @returns {Array} Sessions
+ */
+exports.listUserSessions = async (userId, currentSessionId) => {
+  const sessions = await prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: sessionSelect,
+    orderBy: { lastUsedAt: "desc" },
+  });
+
+  return sessions.map((session) => ({
+    ...session,
+    current: session.id === currentSessionId,
+  }));
+};
+
+/**
+ * Revoke one of the user's own sessions
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID
+ */
+exports.revokeOwnSession = async (userId, sessionId) => {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: "user_revoked" },
+  });
+
+  if (count === 0) {
+    throw new NotFoundError("Session not found");
+  }
+};
@@ -0,0 +1,243 @@
+// src/services/twoFactor.services.js
+const speakeasy = require("speakeasy");
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const auditService = require("./audit.services");
+const { hashToken } = require("../utils/tokens");
+const { decrypt } = require("../utils/encryption");
+const { AuthenticationError } = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+// Length of a TOTP time step, in seconds (speakeasy default)
+const TOTP_STEP = 30;
+
+/**
+ * Create a login challenge for a user whose password was accepted
+ * @param {String} userId - User ID
+ * @returns {Object} Plain challenge token and its expiry
+ */
+exports.createChallenge = async (userId) => {
+  const challengeToken = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + config.auth.twoFactor.challengeExpiresInMinutes * 60 * 1000
+  );
+
+  await prisma.twoFactorChallenge.create({
+    data: {
+      userId,
+      tokenHash: hashToken(challengeToken),
+      expiresAt,
+    },
+  });
+
+  return { challengeToken, expiresAt };
+};
+
+/**
+ * Find a pending challenge by its plain token
+ * @param {String} challengeToken - Plain challenge token
+ * @returns {Object} Challenge including its user
+ */
+exports.findChallenge = async (challengeToken) => {
+  const challenge = await prisma.twoFactorChallenge.findUnique({
+    where: { tokenHash: hashToken(challengeToken) },
+    include: { user: true },
+  });
+
+  if (
+    !challenge ||
+    challenge.usedAt ||
+    challenge.expiresAt <= new Date() ||
+    challenge.attempts >= config.auth.twoFactor.challengeMaxAttempts
+  ) {
+    throw new AuthenticationError(
+      "Invalid or expired challenge",
+      "CHALLENGE_INVALID"
+    );
+  }
+
+  return challenge;
+};
+
+/**
+ * Count a failed code against a challenge
+ * @param {String} challengeId - Challenge ID
+ */
+exports.recordChallengeFailure = async (challengeId) => {
+  await prisma.twoFactorChallenge.update({
+    where: { id: challengeId },
+    data: { attempts: { increment: 1 } },
+  });
+};
+
+/**
+ * Mark a challenge as used. Only one caller can consume a challenge.
+ * @param {String} challengeId - Challenge ID
+ */
+exports.consumeChallenge = async (challengeId) => {
+  const { count } = await prisma.twoFactorChallenge.updateMany({
+    where: { id: challengeId, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw new AuthenticationError(
+      "Invalid or expired challenge",
+      "CHALLENGE_INVALID"
+    );
+  }
+};
+
+/**
+ * Verify a TOTP code and reject codes that were already used
+ *
+ * A code stays valid for its whole time step (and `window` steps either side),
+ * so the step of the last accepted code is stored and only later steps pass.
+ * @param {Object} user - User with twoFactorSecret (encrypted, as stored)
+ * @param {String} token - 6-digit code
+ * @param {String} [secret] - Secret to check against (defaults to the active one)
+ * @returns {Boolean} Whether the code was accepted
+ */
+exports.verifyCode = async (user, token, secret = user.twoFactorSecret) => {
+  if (!secret || !token) return false;
+
+  const result = speakeasy.totp.verifyDelta({
+    secret: decrypt(secret),
+    encoding: "base32",
+    token: String(token),
+    window: config.auth.twoFactor.window,
+  });
+
+  if (!result) return false;
+
+  const step = Math.floor(Date.now() / 1000 / TOTP_STEP) + result.delta;
+
+  // Conditional update so two concurrent requests can't both use the code
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { lt: step } },
+      ],
+    },
+    data: { twoFactorLastUsedStep: step },
+  });
+
+  return count === 1;
+};
+
+/**
+ * Normalize a backup code as typed by a user ("ABCD-1234 ..." -> "abcd1234...")
+ * @param {String} code - Backup code
+ * @returns {String} Normalized code
+ */
+const normalizeBackupCode = (code) =>
+  String(code)
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+
+/**
+ * Replace a user's backup codes with a fresh set
+ * @param {String} userId - User ID
+ * @returns {Array} Plain codes, shown to the user once
+ */
+exports.generateBackupCodes = async (userId) => {
+  const codes = Array.from(
+    { length: config.auth.twoFactor.backupCodeCount },
+    () => crypto.randomBytes(8).toString("hex").match(/.{4}/g).join("-")
+  );
+
+  await prisma.$transaction([
+    prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorBackupCode.createMany({
+      data: codes.map((code) => ({
+        userId,
+        codeHash: hashToken(normalizeBackupCode(code)),
+      })),
+    }),
+  ]);
+
+  return codes;
+};
+
+/**
+ * Use up a backup code
+ * @param {Object} user - User
+ * @param {String} code - Backup code
+ * @returns {Boolean} Whether the code was valid and unused
+ */
+exports.useBackupCode = async (user, code) => {
+  const { count } = await prisma.twoFactorBackupCode.updateMany({
+    where: {
+      userId: user.id,
+      codeHash: hashToken(normalizeBackupCode(code)),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1;
+};
+
+/**
+ * Verify either a TOTP code or a backup code
+ * @param {Object} user - User with twoFactorSecret
+ * @param {String} code - 6-digit TOTP code or backup code
+ * @returns {Object} verified flag and whether a backup code was used
+ */
+exports.verifyCodeOrBackupCode = async (user, code) => {
+  if (!code) return { verified: false, usedBackupCode: false };
+
+  if (/^\d{6}$/.test(String(code).trim())) {
+    return {
+      verified: await exports.verifyCode(user, String(code).trim()),
+      usedBackupCode: false,
+    };
+  }
+
+  return {
+    verified: await exports.useBackupCode(user, code),
+    usedBackupCode: true,
+  };
+};
+
+/**
+ * Remove all 2FA material from a user
+ * @param {String} userId - User ID
+ */
+exports.clearTwoFactor = async (userId) => {
+  const data = {
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorPendingSecret: null,
+    twoFactorLastUsedStep: null,
+  };
+
+  const [, , before] = await prisma.$transaction([
+    prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorChallenge.deleteMany({ where: { userId } }),
+    prisma.user.findUnique({ where: { id: userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data,
+    }),
+  ]);
+
+  await auditService.record({
+    action: "UPDATE",
+    resourceType: "USER",
+    resourceId: userId,
+    changes: auditService.diff(before, data),
+  });
+};
+
+/**
+ * Whether the user's role must have 2FA enabled
+ * @param {String} role - Role
+ * @returns {Boolean} Whether 2FA is mandatory
+ */
+exports.isRequiredForRole = (role) =>
+  config.auth.twoFactor.requiredRoles.includes(role);
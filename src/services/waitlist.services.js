@@ -0,0 +1,628 @@
+// src/services/waitlist.services.js
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const { sendMail } = require("../mailer");
+const appointmentService = require("./appointment.services");
+const auditService = require("./audit.services");
+const { hashToken } = require("../utils/tokens");
+const { scopedPrisma } = require("../utils/practiceScope");
+const { addDays, zonedTimeToUtc } = require("../utils/timezone");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const prisma = new PrismaClient();
+
+const MINUTE = 60 * 1000;
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+exports.WAITLIST_STATUSES = ["WAITING", "OFFERED", "BOOKED", "REMOVED"];
+
+// Entries still hoping for a slot
+const OPEN_STATUSES = ["WAITING", "OFFERED"];
+
+// Entries tried, in queue order, for each freed slot
+const MAX_CANDIDATES = 20;
+
+// Errors meaning a freed slot doesn't suit an entry; the next one is tried
+const SKIP_CODES = [
+  "SLOT_UNAVAILABLE",
+  "SERVICE_NOT_OFFERED",
+  "WAITLIST_ENTRY_CLOSED",
+];
+
+const entryInclude = {
+  service: { select: { id: true, name: true, duration: true } },
+  doctor: {
+    select: {
+      id: true,
+      title: true,
+      user: { select: { firstName: true, lastName: true } },
+    },
+  },
+  patient: {
+    select: {
+      id: true,
+      user: {
+        select: { firstName: true, lastName: true, email: true, phone: true },
+      },
+    },
+  },
+  offers: {
+    where: { status: "PENDING" },
+    select: {
+      id: true,
+      expiresAt: true,
+      hold: { select: { doctorId: true, startTime: true, endTime: true } },
+    },
+  },
+};
+
+const offerInclude = {
+  entry: {
+    include: {
+      patient: {
+        select: {
+          user: { select: { firstName: true, lastName: true, email: true } },
+        },
+      },
+      practice: {
+        select: { id: true, name: true, address: true, timezone: true },
+      },
+    },
+  },
+  hold: {
+    include: {
+      doctor: {
+        select: {
+          title: true,
+          user: { select: { firstName: true, lastName: true } },
+        },
+      },
+      service: { select: { id: true, name: true, duration: true } },
+    },
+  },
+};
+
+/**
+ * Parse a "YYYY-MM-DD" date of the preferred window
+ * @param {String} value - Date
+ * @param {String} name - Field name, for the error message
+ * @returns {Object} year, month and day
+ */
+const parseDay = (value, name) => {
+  const match = DATE_ONLY.exec(value || "");
+
+  if (!match) {
+    throw new ValidationError(`${name} must be a date like 2026-11-02`);
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  return { year, month, day };
+};
+
+/**
+ * Work out who a waitlist entry is for
+ *
+ * Patients join for themselves; team members name the patient.
+ * @param {String} practiceId - Practice ID
+ * @param {Object} data - patientId, or patientName and patientEmail
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Patient fields of the entry
+ */
+const resolveEntryPatient = async (practiceId, data, user) => {
+  if (user.role !== "PATIENT") {
+    return appointmentService.resolveBookingPatient(practiceId, data);
+  }
+
+  const patient = await scopedPrisma(practiceId).patient.findFirst({
+    where: { userId: user.id },
+    select: { id: true },
+  });
+
+  if (!patient) {
+    throw new NotFoundError("Patient profile not found");
+  }
+
+  return { patientId: patient.id, patientName: null, patientEmail: null };
+};
+
+/**
+ * Find an offer that can still be answered, by its plain token
+ * @param {String} token - Plain offer token
+ * @returns {Object} Offer with its entry and hold
+ */
+const findPendingOffer = async (token) => {
+  const offer = await prisma.waitlistOffer.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: offerInclude,
+  });
+
+  if (!offer || offer.status !== "PENDING" || offer.expiresAt <= new Date()) {
+    throw new NotFoundError("Invalid or expired offer", "OFFER_INVALID");
+  }
+
+  return offer;
+};
+
+/**
+ * Email a patient the link to a held slot
+ * @param {String} offerId - Offer ID
+ * @param {String} token - Plain offer token
+ */
+const sendOfferEmail = async (offerId, token) => {
+  const { entry, hold, expiresAt } = await prisma.waitlistOffer.findUnique({
+    where: { id: offerId },
+    include: offerInclude,
+  });
+  const patientUser = entry.patient && entry.patient.user;
+  const doctorUser = hold.doctor.user;
+
+  await sendMail({
+    to: patientUser ? patientUser.email : entry.patientEmail,
+    template: "waitlistOffer",
+    data: {
+      patientName: patientUser
+        ? `${patientUser.firstName} ${patientUser.lastName}`
+        : entry.patientName,
+      doctorName: [hold.doctor.title, doctorUser.firstName, doctorUser.lastName]
+        .filter(Boolean)
+        .join(" "),
+      serviceName: hold.service.name,
+      practiceName: entry.practice.name,
+      practiceAddress: entry.practice.address,
+      startTime: hold.startTime,
+      timezone: entry.practice.timezone,
+      expiresAt,
+      offerUrl: `${config.app.frontend.url}/waitlist/offers/${token}`,
+    },
+  });
+};
+
+/**
+ * Hold a freed slot for one waitlist entry and email them the offer
+ * @param {String} practiceId - Practice ID
+ * @param {Object} entry - Waiting entry
+ * @param {Object} slot - doctorId and startTime
+ * @returns {Object|null} Offer, or null if the slot doesn't suit the entry
+ */
+const makeOffer = async (practiceId, entry, { doctorId, startTime }) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + config.booking.waitlist.offerMinutes * MINUTE
+  );
+  let offer;
+
+  try {
+    await appointmentService.holdSlot(
+      practiceId,
+      { doctorId, serviceId: entry.serviceId, startTime, expiresAt },
+      async (tx, hold) => {
+        // The entry may have been offered another slot in the meantime
+        const { count } = await tx.waitlistEntry.updateMany({
+          where: { id: entry.id, status: "WAITING" },
+          data: { status: "OFFERED" },
+        });
+
+        if (count === 0) {
+          throw new ConflictError(
+            "The waitlist entry is no longer waiting",
+            undefined,
+            "WAITLIST_ENTRY_CLOSED"
+          );
+        }
+
+        offer = await tx.waitlistOffer.create({
+          data: {
+            entryId: entry.id,
+            holdId: hold.id,
+            tokenHash: hashToken(token),
+            expiresAt,
+          },
+        });
+      }
+    );
+  } catch (error) {
+    if (SKIP_CODES.includes(error.code)) return null;
+    throw error;
+  }
+
+  sendOfferEmail(offer.id, token).catch((error) =>
+    console.error("Failed to send waitlist offer email:", error)
+  );
+
+  return offer;
+};
+
+/**
+ * Offer a held slot's time to the next patient, in the background
+ * @param {String} practiceId - Practice ID
+ * @param {Object} hold - Hold that was given up or ran out
+ */
+const passOn = (practiceId, hold) => {
+  exports
+    .offerFreedSlot(practiceId, hold)
+    .catch((error) =>
+      console.error("Failed to offer a freed slot to the waitlist:", error)
+    );
+};
+
+/**
+ * Add a patient to a practice's waitlist
+ * @param {String} practiceId - Practice ID
+ * @param {Object} data - Entry data
+ * @param {String} data.serviceId - Service wanted
+ * @param {String} [data.doctorId] - Doctor wanted (any doctor if omitted)
+ * @param {String} data.from - First acceptable day (YYYY-MM-DD)
+ * @param {String} data.to - Last acceptable day (YYYY-MM-DD)
+ * @param {String} [data.patientId] - Patient with an account (team only)
+ * @param {String} [data.patientName] - Patient name, without an account
+ * @param {String} [data.patientEmail] - Patient email, without an account
+ * @param {String} [data.notes] - Notes
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Waitlist entry
+ */
+exports.joinWaitlist = async (practiceId, data, user) => {
+  const db = scopedPrisma(practiceId);
+  const patient = await resolveEntryPatient(practiceId, data, user);
+
+  const service = await db.service.findFirst({
+    where: { id: data.serviceId, active: true },
+  });
+
+  if (!service) {
+    throw new NotFoundError("Service not found");
+  }
+
+  if (data.doctorId) {
+    const doctor = await db.doctor.findFirst({
+      where: { id: data.doctorId, active: true },
+      select: { id: true, services: { where: { id: service.id } } },
+    });
+
+    if (!doctor) {
+      throw new NotFoundError("Doctor not found");
+    }
+
+    if (doctor.services.length === 0) {
+      throw new ValidationError(
+        "The doctor does not offer this service",
+        undefined,
+        "SERVICE_NOT_OFFERED"
+      );
+    }
+  }
+
+  const { timezone } = await db.practice.findUnique({
+    where: { id: practiceId },
+    select: { timezone: true },
+  });
+  const windowStart = zonedTimeToUtc(parseDay(data.from, "from"), 0, timezone);
+  const windowEnd = zonedTimeToUtc(
+    addDays(parseDay(data.to, "to"), 1),
+    0,
+    timezone
+  );
+
+  if (windowEnd <= windowStart) {
+    throw new ValidationError(
+      "The end of the window must not be before its start"
+    );
+  }
+
+  if (windowEnd <= new Date()) {
+    throw new ValidationError("The window is already over");
+  }
+
+  const existing = await db.waitlistEntry.findFirst({
+    where: {
+      serviceId: service.id,
+      doctorId: data.doctorId || null,
+      status: { in: OPEN_STATUSES },
+      ...(patient.patientId
+        ? { patientId: patient.patientId }
+        : { patientEmail: patient.patientEmail }),
+    },
+    select: { id: true },
+  });
+
+  if (existing) {
+    throw new ConflictError(
+      "The patient is already on the waitlist for this service",
+      undefined,
+      "ALREADY_WAITLISTED"
+    );
+  }
+
+  return db.waitlistEntry.create({
+    data: {
+      serviceId: service.id,
+      doctorId: data.doctorId || null,
+      ...patient,
+      windowStart,
+      windowEnd,
+      notes: data.notes,
+    },
+    include: entryInclude,
+  });
+};
+
+/**
+ * List a practice's waitlist in queue order
+ * @param {String} practiceId - Practice ID
+ * @param {Object} filters - Filters
+ * @param {String} [filters.doctorId] - Entries this doctor could take,
+ *   including those open to any doctor offering the service
+ * @param {String} [filters.serviceId] - Service ID
+ * @param {String} [filters.status] - WaitlistStatus (defaults to open entries)
+ * @returns {Array} Waitlist entries, oldest first
+ */
+exports.listWaitlist = async (practiceId, { doctorId, serviceId, status }) => {
+  if (status && !exports.WAITLIST_STATUSES.includes(status)) {
+    throw new ValidationError(
+      `Status must be one of ${exports.WAITLIST_STATUSES.join(", ")}`
+    );
+  }
+
+  const entries = await scopedPrisma(practiceId).waitlistEntry.findMany({
+    where: {
+      status: status || { in: OPEN_STATUSES },
+      ...(serviceId && { serviceId }),
+      ...(doctorId && {
+        OR: [
+          { doctorId },
+          { doctorId: null, service: { doctors: { some: { id: doctorId } } } },
+        ],
+      }),
+    },
+    include: entryInclude,
+    orderBy: { createdAt: "asc" },
+  });
+
+  await auditService.recordMany(
+    auditService.reads(
+      practiceId,
+      "PATIENT",
+      entries.map((entry) => entry.patientId)
+    )
+  );
+
+  return entries;
+};
+
+/**
+ * Take an entry off the waitlist, passing on any slot held for it
+ * @param {String} practiceId - Practice ID
+ * @param {String} entryId - Waitlist entry ID
+ * @param {Object} user - Authenticated user (patients can only remove their own)
+ * @returns {Object} Waitlist entry
+ */
+exports.removeEntry = async (practiceId, entryId, user) => {
+  const db = scopedPrisma(practiceId);
+
+  const entry = await db.waitlistEntry.findUnique({
+    where: { id: entryId },
+    include: {
+      patient: { select: { userId: true } },
+      offers: { where: { status: "PENDING" }, include: { hold: true } },
+    },
+  });
+
+  if (
+    !entry ||
+    (user.role === "PATIENT" &&
+      (!entry.patient || entry.patient.userId !== user.id))
+  ) {
+    throw new NotFoundError("Waitlist entry not found");
+  }
+
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    throw new ConflictError(
+      "This waitlist entry is no longer open",
+      undefined,
+      "WAITLIST_ENTRY_CLOSED"
+    );
+  }
+
+  const updated = await db.$transaction(async (tx) => {
+    await tx.waitlistOffer.updateMany({
+      where: { entryId: entry.id, status: "PENDING" },
+      data: { status: "DECLINED", respondedAt: new Date() },
+    });
+
+    await tx.slotHold.updateMany({
+      where: {
+        id: { in: entry.offers.map((offer) => offer.holdId) },
+        releasedAt: null,
+      },
+      data: { releasedAt: new Date() },
+    });
+
+    return tx.waitlistEntry.update({
+      where: { id: entry.id },
+      data: { status: "REMOVED" },
+      include: entryInclude,
+    });
+  });
+
+  for (const offer of entry.offers) {
+    passOn(practiceId, offer.hold);
+  }
+
+  return updated;
+};
+
+/**
+ * Offer a freed slot to the first suitable patient on the waitlist
+ *
+ * Entries are tried in queue order: they must want this doctor (or any
+ * doctor offering their service), have the day in their window and not have
+ * been offered this time before. The slot is held for them and they are
+ * emailed a link that expires with the hold.
+ * @param {String} practiceId - Practice ID
+ * @param {Object} slot - Freed slot
+ * @param {String} slot.doctorId - Doctor ID
+ * @param {Date} slot.startTime - Start time
+ * @returns {Object|null} Offer made, if any
+ */
+exports.offerFreedSlot = async (practiceId, { doctorId, startTime }) => {
+  // Too late to be worth offering
+  if (
+    startTime.getTime() <
+    Date.now() + config.booking.minNoticeMinutes * MINUTE
+  ) {
+    return null;
+  }
+
+  const candidates = await scopedPrisma(practiceId).waitlistEntry.findMany({
+    where: {
+      status: "WAITING",
+      windowStart: { lte: startTime },
+      windowEnd: { gt: startTime },
+      OR: [{ doctorId }, { doctorId: null }],
+      service: { doctors: { some: { id: doctorId } } },
+      offers: { none: { hold: { doctorId, startTime } } },
+    },
+    orderBy: { createdAt: "asc" },
+    take: MAX_CANDIDATES,
+  });
+
+  for (const entry of candidates) {
+    const offer = await makeOffer(practiceId, entry, { doctorId, startTime });
+    if (offer) return offer;
+  }
+
+  return null;
+};
+
+/**
+ * Get an offer's details by its token
+ * @param {String} token - Plain offer token
+ * @returns {Object} Offer
+ */
+exports.getOffer = async (token) => {
+  const { entry, hold, expiresAt } = await findPendingOffer(token);
+
+  return {
+    practice: { id: entry.practice.id, name: entry.practice.name },
+    doctor: hold.doctor,
+    service: hold.service,
+    startTime: hold.startTime,
+    endTime: hold.endTime,
+    timezone: entry.practice.timezone,
+    expiresAt,
+  };
+};
+
+/**
+ * Accept an offer, booking the held slot
+ * @param {String} token - Plain offer token
+ * @returns {Object} Appointment
+ */
+exports.acceptOffer = async (token) => {
+  const offer = await findPendingOffer(token);
+  const { entry, hold } = offer;
+  let appointment;
+
+  try {
+    appointment = await appointmentService.createAppointment(entry.practiceId, {
+      doctorId: hold.doctorId,
+      serviceId: hold.serviceId,
+      startTime: hold.startTime,
+      patientId: entry.patientId,
+      patientName: entry.patientName,
+      patientEmail: entry.patientEmail,
+      notes: entry.notes,
+      holdId: hold.id,
+    });
+  } catch (error) {
+    if (error.code === "HOLD_EXPIRED") {
+      throw new NotFoundError("Invalid or expired offer", "OFFER_INVALID");
+    }
+    throw error;
+  }
+
+  await prisma.$transaction([
+    prisma.waitlistOffer.update({
+      where: { id: offer.id },
+      data: {
+        status: "ACCEPTED",
+        respondedAt: new Date(),
+        appointmentId: appointment.id,
+      },
+    }),
+    prisma.waitlistEntry.update({
+      where: { id: entry.id },
+      data: { status: "BOOKED" },
+    }),
+  ]);
+
+  return appointment;
+};
+
+/**
+ * Decline an offer; the patient stays on the waitlist and the slot moves on
+ * @param {String} token - Plain offer token
+ */
+exports.declineOffer = async (token) => {
+  const { id, entry, hold } = await findPendingOffer(token);
+
+  const { count } = await prisma.waitlistOffer.updateMany({
+    where: { id, status: "PENDING" },
+    data: { status: "DECLINED", respondedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw new NotFoundError("Invalid or expired offer", "OFFER_INVALID");
+  }
+
+  await prisma.waitlistEntry.updateMany({
+    where: { id: entry.id, status: "OFFERED" },
+    data: { status: "WAITING" },
+  });
+  await appointmentService.releaseHold(entry.practiceId, hold.id);
+
+  passOn(entry.practiceId, hold);
+};
+
+/**
+ * Expire unanswered offers and pass their slots to the next patient
+ *
+ * Runs periodically (see src/jobs). The patients stay on the
+ * waitlist for other slots.
+ * @returns {Number} Offers expired
+ */
+exports.expireOffers = async () => {
+  const offers = await prisma.waitlistOffer.findMany({
+    where: { status: "PENDING", expiresAt: { lte: new Date() } },
+    include: {
+      entry: { select: { id: true, practiceId: true } },
+      hold: true,
+    },
+    orderBy: { expiresAt: "asc" },
+    take: 100,
+  });
+  let expired = 0;
+
+  for (const offer of offers) {
+    // Skipped if it was accepted or declined since it was read
+    const { count } = await prisma.waitlistOffer.updateMany({
+      where: { id: offer.id, status: "PENDING" },
+      data: { status: "EXPIRED" },
+    });
+    if (count === 0) continue;
+
+    await prisma.waitlistEntry.updateMany({
+      where: { id: offer.entry.id, status: "OFFERED" },
+      data: { status: "WAITING" },
+    });
+    await exports.offerFreedSlot(offer.entry.practiceId, offer.hold);
+    expired++;
+  }
+
+  return expired;
+};
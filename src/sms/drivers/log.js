@@ -0,0 +1,14 @@
+// src/sms/drivers/log.js
+
+/**
+ * Stub driver for development: messages are printed instead of sent
+ * @returns {Object} Driver
+ */
+module.exports = () => ({
+  name: "log",
+
+  async send(message) {
+    console.log(`SMS to ${message.to} from ${message.from}: ${message.body}`);
+    return { id: message.idempotencyKey || String(Date.now()) };
+  },
+});
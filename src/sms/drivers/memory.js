@@ -0,0 +1,30 @@
+// src/sms/drivers/memory.js
+
+/**
+ * In-memory driver for tests: messages are kept in an array
+ * @returns {Object} Driver with `messages` and `clear()`
+ */
+module.exports = () => {
+  const messages = [];
+
+  return {
+    name: "memory",
+    messages,
+
+    async send(message) {
+      // A repeated key is the same message; don't keep it twice
+      const existing = message.idempotencyKey
+        ? messages.find((m) => m.idempotencyKey === message.idempotencyKey)
+        : null;
+      if (existing) return { id: existing.id };
+
+      const id = String(messages.length + 1);
+      messages.push({ id, ...message });
+      return { id };
+    },
+
+    clear() {
+      messages.length = 0;
+    },
+  };
+};
@@ -0,0 +1,66 @@
+// src/sms/index.js
+const config = require("../config");
+const templates = require("./templates");
+
+const drivers = {
+  log: () => require("./drivers/log")(),
+  memory: () => require("./drivers/memory")(),
+};
+
+let driver;
+
+/**
+ * Get the configured delivery driver (created on first use)
+ * @returns {Object} Driver with a send(message) method
+ */
+exports.getDriver = () => {
+  if (!driver) {
+    const create = drivers[config.sms.driver];
+
+    if (!create) {
+      throw new Error(`Unknown SMS driver "${config.sms.driver}"`);
+    }
+
+    driver = create();
+  }
+
+  return driver;
+};
+
+/**
+ * Render a named template
+ * @param {String} name - Template name (see ./templates)
+ * @param {Object} data - Template data
+ * @param {String} [locale] - Preferred locale, falls back to the default
+ * @returns {String} Message body
+ */
+exports.render = (name, data, locale) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown SMS template "${name}"`);
+  }
+
+  return (template[locale] || template[config.sms.defaultLocale])(data);
+};
+
+/**
+ * Render a template and send it as a text message
+ *
+ * Not retried here: callers run in the job queue, which retries failures.
+ * @param {Object} options - SMS options
+ * @param {String} options.to - Recipient phone number
+ * @param {String} options.template - Template name
+ * @param {Object} options.data - Template data
+ * @param {String} [options.locale] - Recipient locale
+ * @param {String} [options.idempotencyKey] - Key the provider can use to
+ *   drop a repeated send
+ * @returns {Object} Driver result
+ */
+exports.sendSms = async ({ to, template, data, locale, idempotencyKey }) =>
+  exports.getDriver().send({
+    from: config.sms.from,
+    to,
+    body: exports.render(template, data, locale),
+    idempotencyKey,
+  });
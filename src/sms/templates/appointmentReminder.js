@@ -0,0 +1,18 @@
+// src/sms/templates/appointmentReminder.js
+const { formatDateTime } = require("../../mailer/render");
+
+/**
+ * Upcoming appointment reminder
+ * @param {Object} data - { doctorName, practiceName, startTime, timezone,
+ *   manageUrl }
+ */
+module.exports = {
+  en: (data) =>
+    [
+      `Reminder: ${data.practiceName} with ${data.doctorName}, ${formatDateTime(
+        data.startTime,
+        data.timezone
+      )}.`,
+      `Confirm or cancel: ${data.manageUrl}`,
+    ].join(" "),
+};
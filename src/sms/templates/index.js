@@ -0,0 +1,12 @@
+// src/sms/templates/index.js
+
+/**
+ * Registered SMS templates, by name
+ *
+ * Each template exports one function per locale that receives the template
+ * data and returns the message body. Keep bodies short: long messages are
+ * split and billed per part.
+ */
+module.exports = {
+  appointmentReminder: require("./appointmentReminder"),
+};
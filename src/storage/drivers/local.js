@@ -0,0 +1,55 @@
+// src/storage/drivers/local.js
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Local disk driver: objects are files under a root directory, readable only
+ * by the server's user
+ * @param {Object} options - root (absolute directory)
+ * @returns {Object} Driver
+ */
+module.exports = (options) => {
+  const root = path.resolve(options.root);
+
+  // Keys are generated by the app, but never let one point outside the root
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+
+    return file;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, data) {
+      const file = resolve(key);
+
+      await fs.promises.mkdir(path.dirname(file), {
+        recursive: true,
+        mode: 0o700,
+      });
+      await fs.promises.writeFile(file, data, { mode: 0o600 });
+    },
+
+    async get(key) {
+      let handle;
+
+      try {
+        handle = await fs.promises.open(resolve(key), "r");
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+
+      return handle.createReadStream();
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+};
@@ -0,0 +1,32 @@
+// src/storage/drivers/memory.js
+const { Readable } = require("stream");
+
+/**
+ * In-memory driver for tests: objects are kept in a Map
+ * @returns {Object} Driver with `objects` and `clear()`
+ */
+module.exports = () => {
+  const objects = new Map();
+
+  return {
+    name: "memory",
+    objects,
+
+    async put(key, data, { contentType }) {
+      objects.set(key, { data: Buffer.from(data), contentType });
+    },
+
+    async get(key) {
+      const object = objects.get(key);
+      return object ? Readable.from([object.data]) : null;
+    },
+
+    async delete(key) {
+      objects.delete(key);
+    },
+
+    clear() {
+      objects.clear();
+    },
+  };
+};
@@ -0,0 +1,195 @@
+// src/storage/drivers/s3.js
+const crypto = require("crypto");
+const { Readable } = require("stream");
+
+const SERVICE = "s3";
+
+/**
+ * SHA-256 hex digest
+ * @param {Buffer|String} data - Data
+ * @returns {String} Digest
+ */
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+/**
+ * HMAC-SHA256
+ * @param {Buffer|String} key - Key
+ * @param {String} data - Data
+ * @returns {Buffer} MAC
+ */
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+/**
+ * Percent-encode a path segment the way AWS expects (RFC 3986)
+ * @param {String} value - Segment
+ * @returns {String} Encoded segment
+ */
+const encodeSegment = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - method, url (URL), headers and payloadHash
+ * @param {Object} credentials - accessKeyId, secretAccessKey and region
+ * @param {Date} [now] - Signing time
+ * @returns {Object} Headers to send, including Authorization
+ */
+const signRequest = (request, credentials, now = new Date()) => {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${credentials.region}/${SERVICE}/aws4_request`;
+
+  const headers = {
+    ...request.headers,
+    host: request.url.host,
+    "x-amz-content-sha256": request.payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const names = Object.keys(headers)
+    .map((name) => name.toLowerCase())
+    .sort();
+  const lowerCased = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const signedHeaders = names.join(";");
+
+  const canonicalRequest = [
+    request.method,
+    request.url.pathname,
+    [...request.url.searchParams]
+      .map(([name, value]) => `${encodeSegment(name)}=${encodeSegment(value)}`)
+      .sort()
+      .join("&"),
+    names
+      .map((name) => `${name}:${String(lowerCased[name]).trim()}\n`)
+      .join(""),
+    signedHeaders,
+    request.payloadHash,
+  ].join("\n");
+
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = [day, credentials.region, SERVICE, "aws4_request"].reduce(
+    hmac,
+    `AWS4${credentials.secretAccessKey}`
+  );
+  const signature = hmac(signingKey, stringToSign).toString("hex");
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+};
+
+/**
+ * S3 driver, for AWS or any S3-compatible store (MinIO, LocalStack, ...)
+ *
+ * Talks to the REST API directly with SigV4-signed requests.
+ * @param {Object} options - config.app.uploads.s3
+ * @returns {Object} Driver
+ */
+module.exports = (options) => {
+  if (!options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+    throw new Error("S3 storage needs a bucket and credentials");
+  }
+
+  const endpoint = new URL(options.endpoint);
+
+  /**
+   * URL of an object
+   * @param {String} key - Object key
+   * @returns {URL} URL
+   */
+  const objectUrl = (key) => {
+    const path = key.split("/").map(encodeSegment).join("/");
+
+    return options.forcePathStyle
+      ? new URL(`${endpoint.origin}/${options.bucket}/${path}`)
+      : new URL(
+          `${endpoint.protocol}//${options.bucket}.${endpoint.host}/${path}`
+        );
+  };
+
+  /**
+   * Send a signed request
+   * @param {String} method - HTTP method
+   * @param {String} key - Object key
+   * @param {Object} [extra] - body and headers
+   * @returns {Response} fetch response
+   */
+  const send = (method, key, { body, headers = {} } = {}) => {
+    const url = objectUrl(key);
+
+    return fetch(url, {
+      method,
+      headers: signRequest(
+        { method, url, headers, payloadHash: sha256(body || "") },
+        options
+      ),
+      body,
+      signal: AbortSignal.timeout(options.timeoutMs),
+    });
+  };
+
+  /**
+   * Turn a failed response into an error
+   * @param {String} action - What was attempted
+   * @param {Response} response - fetch response
+   * @returns {Error} Error
+   */
+  const responseError = async (action, response) => {
+    const body = await response.text().catch(() => "");
+    return new Error(
+      `S3 ${action} responded with ${response.status}: ${body.slice(0, 500)}`
+    );
+  };
+
+  return {
+    name: "s3",
+
+    async put(key, data, { contentType }) {
+      const response = await send("PUT", key, {
+        body: data,
+        headers: {
+          "content-type": contentType,
+          ...(options.serverSideEncryption && {
+            "x-amz-server-side-encryption": options.serverSideEncryption,
+          }),
+        },
+      });
+
+      if (!response.ok) {
+        throw await responseError("upload", response);
+      }
+    },
+
+    async get(key) {
+      const response = await send("GET", key);
+
+      if (response.status === 404) return null;
+
+      if (!response.ok) {
+        throw await responseError("download", response);
+      }
+
+      return Readable.fromWeb(response.body);
+    },
+
+    async delete(key) {
+      const response = await send("DELETE", key);
+
+      if (!response.ok && response.status !== 404) {
+        throw await responseError("delete", response);
+      }
+    },
+  };
+};
@@ -0,0 +1,52 @@
+// src/storage/index.js
+const config = require("../config");
+
+const drivers = {
+  local: () => require("./drivers/local")({ root: config.paths.uploads }),
+  s3: () => require("./drivers/s3")(config.app.uploads.s3),
+  memory: () => require("./drivers/memory")(),
+};
+
+let driver;
+
+/**
+ * Get the configured storage driver (created on first use)
+ * @returns {Object} Driver with put(key, data, options), get(key) and
+ *   delete(key) methods
+ */
+exports.getDriver = () => {
+  if (!driver) {
+    const create = drivers[config.app.uploads.driver];
+
+    if (!create) {
+      throw new Error(`Unknown storage driver "${config.app.uploads.driver}"`);
+    }
+
+    driver = create();
+  }
+
+  return driver;
+};
+
+/**
+ * Store an object, replacing any object with the same key
+ * @param {String} key - Object key
+ * @param {Buffer} data - Content
+ * @param {Object} options - Options
+ * @param {String} options.contentType - MIME type
+ */
+exports.put = (key, data, options) =>
+  exports.getDriver().put(key, data, options);
+
+/**
+ * Read an object
+ * @param {String} key - Object key
+ * @returns {Readable|null} Content stream, or null if there is no object
+ */
+exports.get = (key) => exports.getDriver().get(key);
+
+/**
+ * Delete an object (a missing object is not an error)
+ * @param {String} key - Object key
+ */
+exports.delete = (key) => exports.getDriver().delete(key);
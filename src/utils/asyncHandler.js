@@ -0,0 +1,11 @@
+// src/utils/asyncHandler.js
+
+/**
+ * Wrap an async route handler so rejected promises reach the error middleware
+ * @param {Function} fn - Async route handler
+ * @returns {Function} Express middleware
+ */
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
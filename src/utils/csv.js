@@ -0,0 +1,28 @@
+// src/utils/csv.js
+
+// Leading characters that make spreadsheet apps run a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Format one CSV field (RFC 4180)
+ *
+ * Text that a spreadsheet would read as a formula is prefixed with a quote.
+ * @param {*} value - Value (null and undefined give an empty field)
+ * @returns {String} Field
+ */
+const formatField = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a CSV record
+ * @param {Array} values - Field values
+ * @returns {String} Record, ending with CRLF
+ */
+exports.formatRow = (values) => values.map(formatField).join(",") + "\r\n";
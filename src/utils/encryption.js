@@ -0,0 +1,106 @@
+// src/utils/encryption.js
+const crypto = require("crypto");
+const config = require("../config");
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const PREFIX = "enc";
+
+/**
+ * Sensitive columns encrypted at rest, by Prisma model
+ * Used by the key rotation script, and kept out of audit log diffs.
+ */
+exports.ENCRYPTED_FIELDS = {
+  user: ["twoFactorSecret", "twoFactorPendingSecret"],
+  patient: ["insuranceNumber", "emergencyContact", "emergencyPhone"],
+};
+
+/**
+ * Look up a key by version
+ * @param {String} version - Key version
+ * @returns {Buffer} 32-byte key
+ */
+const getKey = (version) => {
+  const key = config.encryption.keys[version];
+
+  if (!key || key.length !== 32) {
+    throw new Error(`Encryption key version ${version} is not configured`);
+  }
+
+  return key;
+};
+
+/**
+ * Whether a stored value is ciphertext produced by encrypt()
+ * @param {String} value - Stored value
+ * @returns {Boolean} Whether the value is encrypted
+ */
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(`${PREFIX}:`);
+
+exports.isEncrypted = isEncrypted;
+
+/**
+ * Encrypt a value with the current key
+ *
+ * Output format: "enc:<keyVersion>:<iv>:<authTag>:<ciphertext>" (base64 parts)
+ * @param {String|null} plaintext - Value to encrypt
+ * @returns {String|null} Ciphertext (null stays null)
+ */
+exports.encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const version = config.encryption.currentKeyVersion;
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(version), iv);
+
+  const ciphertext = Buffer.concat([
+    cipher.update(String(plaintext), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    PREFIX,
+    version,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+};
+
+/**
+ * Decrypt a value written by encrypt()
+ *
+ * Values that are not encrypted yet (rows written before encryption was
+ * introduced) are returned as-is until the rotation script has run.
+ * @param {String|null} value - Stored value
+ * @returns {String|null} Plaintext
+ */
+exports.decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, version, iv, authTag, ciphertext] = value.split(":");
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    getKey(version),
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+/**
+ * Whether a stored value should be re-encrypted with the current key
+ * @param {String|null} value - Stored value
+ * @returns {Boolean} Whether rotation is needed
+ */
+exports.needsRotation = (value) => {
+  if (value === null || value === undefined) return false;
+  if (!isEncrypted(value)) return true;
+
+  return value.split(":")[1] !== String(config.encryption.currentKeyVersion);
+};
@@ -0,0 +1,120 @@
+// src/utils/errors.js
+
+/**
+ * Base class for errors that are safe to show to the client
+ *
+ * The global error handler turns these into
+ * `{ success: false, code, message, details }` with `statusCode`.
+ */
+class AppError extends Error {
+  /**
+   * @param {String} message - Client-facing message
+   * @param {Number} statusCode - HTTP status
+   * @param {String} code - Machine-readable error code
+   * @param {*} [details] - Extra data (e.g. field errors)
+   */
+  constructor(message, statusCode = 500, code = "INTERNAL_ERROR", details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Invalid input (400)
+ */
+class ValidationError extends AppError {
+  constructor(
+    message = "Validation failed",
+    details,
+    code = "VALIDATION_ERROR"
+  ) {
+    super(message, 400, code, details);
+  }
+}
+
+/**
+ * Missing or invalid credentials (401)
+ */
+class AuthenticationError extends AppError {
+  constructor(
+    message = "Not authorized, please log in",
+    code = "UNAUTHENTICATED"
+  ) {
+    super(message, 401, code);
+  }
+}
+
+/**
+ * Authenticated but not allowed (403)
+ */
+class AuthorizationError extends AppError {
+  constructor(
+    message = "You do not have permission to perform this action",
+    code = "FORBIDDEN"
+  ) {
+    super(message, 403, code);
+  }
+}
+
+/**
+ * Resource does not exist, or is not visible to the caller (404)
+ */
+class NotFoundError extends AppError {
+  constructor(message = "Resource not found", code = "NOT_FOUND") {
+    super(message, 404, code);
+  }
+}
+
+/**
+ * Request conflicts with the current state (409)
+ */
+class ConflictError extends AppError {
+  constructor(message = "Conflict", details, code = "CONFLICT") {
+    super(message, 409, code, details);
+  }
+}
+
+/**
+ * Request body is over the size limit (413)
+ */
+class PayloadTooLargeError extends AppError {
+  constructor(
+    message = "Request body is too large",
+    code = "PAYLOAD_TOO_LARGE"
+  ) {
+    super(message, 413, code);
+  }
+}
+
+/**
+ * Too many requests or attempts (429)
+ */
+class RateLimitError extends AppError {
+  /**
+   * @param {String} message - Client-facing message
+   * @param {Number} [retryAfter] - Seconds until the client may retry
+   * @param {String} [code] - Machine-readable error code
+   */
+  constructor(
+    message = "Too many requests, please try again later",
+    retryAfter,
+    code = "RATE_LIMITED"
+  ) {
+    super(message, 429, code, retryAfter ? { retryAfter } : undefined);
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  RateLimitError,
+};
@@ -0,0 +1,60 @@
+// src/utils/fileType.js
+
+/**
+ * File types recognized from their leading bytes ("magic numbers"). The type
+ * a client declares is never trusted.
+ */
+const SIGNATURES = [
+  {
+    contentType: "image/jpeg",
+    extension: "jpg",
+    matches: (data) => startsWith(data, [0xff, 0xd8, 0xff]),
+  },
+  {
+    contentType: "image/png",
+    extension: "png",
+    matches: (data) =>
+      startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    contentType: "image/webp",
+    extension: "webp",
+    matches: (data) =>
+      startsWith(data, [0x52, 0x49, 0x46, 0x46]) &&
+      data.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+  {
+    contentType: "image/tiff",
+    extension: "tif",
+    matches: (data) =>
+      startsWith(data, [0x49, 0x49, 0x2a, 0x00]) ||
+      startsWith(data, [0x4d, 0x4d, 0x00, 0x2a]),
+  },
+  {
+    contentType: "application/pdf",
+    extension: "pdf",
+    matches: (data) => data.subarray(0, 5).toString("latin1") === "%PDF-",
+  },
+];
+
+/**
+ * Whether a buffer starts with the given bytes
+ * @param {Buffer} data - File content
+ * @param {Array} bytes - Expected leading bytes
+ * @returns {Boolean} Whether it matches
+ */
+const startsWith = (data, bytes) =>
+  data.length >= bytes.length && bytes.every((byte, i) => data[i] === byte);
+
+/**
+ * Detect a file's type from its content
+ * @param {Buffer} data - File content
+ * @returns {Object|null} contentType and extension, or null if unrecognized
+ */
+exports.detectFileType = (data) => {
+  const signature = SIGNATURES.find((candidate) => candidate.matches(data));
+
+  return signature
+    ? { contentType: signature.contentType, extension: signature.extension }
+    : null;
+};
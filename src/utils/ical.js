@@ -0,0 +1,152 @@
+// src/utils/ical.js
+
+// Content lines longer than this many octets are folded (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const EVENT_STATUSES = ["TENTATIVE", "CONFIRMED", "CANCELLED"];
+
+/**
+ * Escape a TEXT value
+ * @param {String} value - Text
+ * @returns {String} Escaped text
+ */
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Escape a parameter value (e.g. CN), quoting it if needed
+ * @param {String} value - Parameter value
+ * @returns {String} Parameter value
+ */
+const escapeParam = (value) => {
+  const text = String(value).replace(/"/g, "'");
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME, e.g. "20261102T080000Z"
+ * @param {Date} date - Instant
+ * @returns {String} DATE-TIME
+ */
+exports.formatDateTime = (date) =>
+  date
+    .toISOString()
+    .replace(/\.\d{3}/, "")
+    .replace(/[-:]/g, "");
+
+/**
+ * Fold a content line so no line is longer than 75 octets, without
+ * splitting a UTF-8 character
+ * @param {String} line - Content line
+ * @returns {String} Folded line
+ */
+const fold = (line) => {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Content lines of one event
+ * @param {Object} event - Event (see buildCalendar)
+ * @returns {Array} Unfolded lines
+ */
+const eventLines = (event) => {
+  if (event.status && !EVENT_STATUSES.includes(event.status)) {
+    throw new Error(`Invalid event status "${event.status}"`);
+  }
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${exports.formatDateTime(event.stamp || new Date())}`,
+    `DTSTART:${exports.formatDateTime(event.start)}`,
+    `DTEND:${exports.formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.busy === false) lines.push("TRANSP:TRANSPARENT");
+
+  if (event.organizer) {
+    lines.push(
+      `ORGANIZER;CN=${escapeParam(event.organizer.name)}:mailto:${
+        event.organizer.email
+      }`
+    );
+  }
+
+  if (event.attendee) {
+    lines.push(
+      `ATTENDEE;CN=${escapeParam(
+        event.attendee.name
+      )};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${
+        event.attendee.email
+      }`
+    );
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Build an iCalendar (RFC 5545) document
+ *
+ * Times are written in UTC, so no VTIMEZONE is needed. Calendar apps match
+ * events on UID; an update or cancellation must reuse the UID with a higher
+ * SEQUENCE.
+ * @param {Object} calendar - Calendar
+ * @param {String} [calendar.method] - iTIP method: PUBLISH (feeds), REQUEST
+ *   (new or updated invitations) or CANCEL
+ * @param {String} [calendar.name] - Calendar name shown by subscribers
+ * @param {Array} calendar.events - Events: uid, sequence, start, end,
+ *   summary, and optionally stamp, description, location, url, status
+ *   (TENTATIVE, CONFIRMED, CANCELLED), busy, organizer and attendee
+ *   ({ name, email })
+ * @returns {String} Document, with CRLF line endings
+ */
+exports.buildCalendar = ({ method, name, events }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//MediBook//Appointments//EN",
+    "CALSCALE:GREGORIAN",
+  ];
+
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  for (const event of events) lines.push(...eventLines(event));
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+};
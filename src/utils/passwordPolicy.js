@@ -0,0 +1,70 @@
+// src/utils/passwordPolicy.js
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+// Loaded once; the list is small and lowercase
+const commonPasswords = new Set(
+  fs
+    .readFileSync(path.join(__dirname, "../data/common-passwords.txt"), "utf8")
+    .split("\n")
+    .map((line) => line.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+/**
+ * Check a new password against the configured policy
+ * @param {String} password - Candidate password
+ * @param {Object} [user] - Account the password is for (email, names)
+ * @returns {Array} Human-readable violations (empty if the password is valid)
+ */
+exports.validatePassword = (password, user = {}) => {
+  const policy = config.auth.password;
+  const errors = [];
+
+  if (typeof password !== "string") {
+    return ["Password is required"];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+
+  if (password.length > policy.maxLength) {
+    errors.push(`Password must be at most ${policy.maxLength} characters`);
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push("Password must contain an uppercase letter");
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push("Password must contain a lowercase letter");
+  }
+
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push("Password must contain a number");
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push("Password must contain a symbol");
+  }
+
+  if (policy.rejectCommon && commonPasswords.has(password.toLowerCase())) {
+    errors.push("Password is too common");
+  }
+
+  // Don't allow the user's own email or name inside the password
+  const lowered = password.toLowerCase();
+  const personal = [
+    user.email && user.email.split("@")[0],
+    user.firstName,
+    user.lastName,
+  ].filter((value) => value && value.length >= 3);
+
+  if (personal.some((value) => lowered.includes(value.toLowerCase()))) {
+    errors.push("Password must not contain your name or email");
+  }
+
+  return errors;
+};
@@ -0,0 +1,134 @@
+// src/utils/practiceScope.js
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+/**
+ * Filter that restricts each practice-owned model to a single practice
+ */
+const SCOPES = {
+  Practice: (practiceId) => ({ id: practiceId }),
+  Doctor: (practiceId) => ({ practiceId }),
+  Staff: (practiceId) => ({ practiceId }),
+  Service: (practiceId) => ({ practiceId }),
+  Schedule: (practiceId) => ({ practiceId }),
+  Appointment: (practiceId) => ({ practiceId }),
+  AppointmentSeries: (practiceId) => ({ practiceId }),
+  SlotHold: (practiceId) => ({ practiceId }),
+  WaitlistEntry: (practiceId) => ({ practiceId }),
+  BookingRequest: (practiceId) => ({ practiceId }),
+  Invitation: (practiceId) => ({ practiceId }),
+  ScheduleStat: (practiceId) => ({ practiceId }),
+  AppointmentStat: (practiceId) => ({ practiceId }),
+  File: (practiceId) => ({ practiceId }),
+  AppointmentDocument: (practiceId) => ({ practiceId }),
+  TimeOff: (practiceId) => ({ schedule: { practiceId } }),
+  Patient: (practiceId) => ({ practices: { some: { id: practiceId } } }),
+};
+
+/**
+ * Data forced onto rows created through a scoped client
+ */
+const OWNERSHIP = {
+  Doctor: (practiceId) => ({ practiceId }),
+  Staff: (practiceId) => ({ practiceId }),
+  Service: (practiceId) => ({ practiceId }),
+  Schedule: (practiceId) => ({ practiceId }),
+  Appointment: (practiceId) => ({ practiceId }),
+  AppointmentSeries: (practiceId) => ({ practiceId }),
+  SlotHold: (practiceId) => ({ practiceId }),
+  WaitlistEntry: (practiceId) => ({ practiceId }),
+  BookingRequest: (practiceId) => ({ practiceId }),
+  Invitation: (practiceId) => ({ practiceId }),
+  ScheduleStat: (practiceId) => ({ practiceId }),
+  AppointmentStat: (practiceId) => ({ practiceId }),
+  File: (practiceId) => ({ practiceId }),
+  AppointmentDocument: (practiceId) => ({ practiceId }),
+  Patient: (practiceId) => ({ practices: { connect: { id: practiceId } } }),
+};
+
+// Operations whose `where` is narrowed to the practice
+const FILTERED_OPERATIONS = [
+  "findUnique",
+  "findUniqueOrThrow",
+  "findFirst",
+  "findFirstOrThrow",
+  "findMany",
+  "count",
+  "aggregate",
+  "groupBy",
+  "update",
+  "updateMany",
+  "updateManyAndReturn",
+  "delete",
+  "deleteMany",
+  "upsert",
+];
+
+// Operations whose `data` gets the practice ownership fields
+const CREATE_OPERATIONS = ["create", "createMany", "createManyAndReturn"];
+
+/**
+ * Add the practice filter and ownership fields to a query's arguments
+ * @param {String} model - Prisma model name
+ * @param {String} operation - Prisma operation
+ * @param {Object} args - Query arguments
+ * @param {String} practiceId - Practice ID
+ * @returns {Object} Scoped arguments
+ */
+const scopeArgs = (model, operation, args = {}, practiceId) => {
+  const scoped = { ...args };
+  const owned = OWNERSHIP[model] ? OWNERSHIP[model](practiceId) : null;
+
+  if (FILTERED_OPERATIONS.includes(operation)) {
+    // The scope is spread last so a caller can't widen it
+    scoped.where = { ...args.where, ...SCOPES[model](practiceId) };
+  }
+
+  if (CREATE_OPERATIONS.includes(operation)) {
+    if (!owned) {
+      throw new Error(`${model} cannot be created through a practice scope`);
+    }
+
+    scoped.data = Array.isArray(args.data)
+      ? args.data.map((row) => ({ ...row, ...owned }))
+      : { ...args.data, ...owned };
+  }
+
+  if (operation === "upsert" && owned) {
+    scoped.create = { ...args.create, ...owned };
+  }
+
+  return scoped;
+};
+
+/**
+ * Prisma client restricted to one practice
+ *
+ * Every top-level query on a practice-owned model is filtered to the practice
+ * and every row it creates is attached to it, so a service holding this
+ * client cannot read or write another practice's data. Nested reads and
+ * writes (include, connect) are not rewritten: look related records up
+ * through the scoped client before linking them. Creates must use scalar
+ * foreign keys (doctorId, serviceId, ...) rather than nested connects.
+ * @param {String} practiceId - Practice ID
+ * @returns {Object} Extended Prisma client
+ */
+exports.scopedPrisma = (practiceId) => {
+  if (!practiceId) {
+    throw new Error("A practice ID is required for a scoped client");
+  }
+
+  return prisma.$extends({
+    name: "practiceScope",
+    query: {
+      $allModels: {
+        $allOperations({ model, operation, args, query }) {
+          if (!SCOPES[model]) return query(args);
+
+          return query(scopeArgs(model, operation, args, practiceId));
+        },
+      },
+    },
+  });
+};
@@ -0,0 +1,268 @@
+// src/utils/recurrence.js
+const { ValidationError } = require("./errors");
+const {
+  addDays,
+  getZonedDate,
+  getZonedMinutes,
+  zonedTimeToUtc,
+} = require("./timezone");
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+// Index = Date#getDay()
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Safety net for rules that rarely match (e.g. the 31st every other month)
+const MAX_ITERATIONS = 10000;
+
+/**
+ * Build the error for a rule outside the supported subset
+ * @param {String} message - Error message
+ * @returns {ValidationError} Error
+ */
+const invalidRule = (message) =>
+  new ValidationError(message, undefined, "INVALID_RRULE");
+
+/**
+ * Parse a positive integer rule part
+ * @param {String} name - Part name
+ * @param {String} value - Part value
+ * @returns {Number} Value
+ */
+const positiveInt = (name, value) => {
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw invalidRule(`${name} must be a positive whole number`);
+  }
+
+  return Number(value);
+};
+
+/**
+ * Parse an UNTIL value
+ *
+ * A date-time ("20270131T090000Z") is an instant; a plain date ("20270131")
+ * includes that whole day in the practice's time zone.
+ * @param {String} value - UNTIL value
+ * @returns {Object} Either { instant } or { date: { year, month, day } }
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(
+    value
+  );
+
+  if (!match) {
+    throw invalidRule("UNTIL must look like 20270131 or 20270131T090000Z");
+  }
+
+  const [year, month, day, hour, minute, second] = match
+    .slice(1)
+    .map((part) => (part === undefined ? undefined : Number(part)));
+
+  if (hour === undefined) {
+    return { date: { year, month, day } };
+  }
+
+  return {
+    instant: new Date(Date.UTC(year, month - 1, day, hour, minute, second)),
+  };
+};
+
+/**
+ * Parse a recurrence rule
+ *
+ * Supports the RFC 5545 RRULE subset FREQ (DAILY, WEEKLY, MONTHLY),
+ * INTERVAL, COUNT or UNTIL, and BYDAY for weekly rules. The rule must end,
+ * through COUNT or UNTIL.
+ * @param {String} value - Rule, e.g. "FREQ=WEEKLY;BYDAY=MO,TH;COUNT=12"
+ * @returns {Object} freq, interval, count, until and byDay
+ */
+exports.parseRRule = (value) => {
+  const source = String(value || "")
+    .trim()
+    .replace(/^RRULE:/i, "");
+
+  if (!source) {
+    throw invalidRule("Please provide a recurrence rule");
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: null,
+  };
+
+  for (const part of source.split(";").filter(Boolean)) {
+    const [name, partValue = ""] = part.split("=");
+    const key = name.trim().toUpperCase();
+    const text = partValue.trim().toUpperCase();
+
+    switch (key) {
+      case "FREQ":
+        if (!FREQUENCIES.includes(text)) {
+          throw invalidRule(`FREQ must be one of ${FREQUENCIES.join(", ")}`);
+        }
+        rule.freq = text;
+        break;
+      case "INTERVAL":
+        rule.interval = positiveInt(key, text);
+        break;
+      case "COUNT":
+        rule.count = positiveInt(key, text);
+        break;
+      case "UNTIL":
+        rule.until = parseUntil(text);
+        break;
+      case "BYDAY":
+        rule.byDay = text.split(",").map((day) => {
+          if (!WEEKDAYS.includes(day)) {
+            throw invalidRule("BYDAY must list days like MO,TH");
+          }
+          return WEEKDAYS.indexOf(day);
+        });
+        break;
+      case "WKST":
+        // Weeks start on Monday, the RFC default
+        if (text !== "MO") {
+          throw invalidRule("Only WKST=MO is supported");
+        }
+        break;
+      default:
+        throw invalidRule(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw invalidRule("The recurrence rule needs a FREQ");
+  }
+
+  if (rule.count && rule.until) {
+    throw invalidRule("Use either COUNT or UNTIL, not both");
+  }
+
+  if (!rule.count && !rule.until) {
+    throw invalidRule("The recurrence rule must end with COUNT or UNTIL");
+  }
+
+  if (rule.byDay && rule.freq !== "WEEKLY") {
+    throw invalidRule("BYDAY is only supported with FREQ=WEEKLY");
+  }
+
+  return rule;
+};
+
+/**
+ * Write a parsed rule back as an RRULE string
+ * @param {Object} rule - Parsed rule
+ * @returns {String} Rule
+ */
+exports.formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  const pad = (number) => String(number).padStart(2, "0");
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) {
+    parts.push(`BYDAY=${rule.byDay.map((day) => WEEKDAYS[day]).join(",")}`);
+  }
+
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  } else if (rule.until.date) {
+    const { year, month, day } = rule.until.date;
+    parts.push(`UNTIL=${year}${pad(month)}${pad(day)}`);
+  } else {
+    parts.push(
+      `UNTIL=${rule.until.instant
+        .toISOString()
+        .replace(/\.\d{3}/, "")
+        .replace(/[-:]/g, "")}`
+    );
+  }
+
+  return parts.join(";");
+};
+
+/**
+ * Calendar days a rule produces, in order, starting with the first day
+ * @param {Object} rule - Parsed rule
+ * @param {Object} first - Calendar day of the first occurrence
+ * @returns {Generator} Calendar days
+ */
+function* ruleDays(rule, first) {
+  if (rule.freq === "DAILY") {
+    for (let i = 0; ; i++) yield addDays(first, i * rule.interval);
+  }
+
+  if (rule.freq === "WEEKLY") {
+    // Days of the week in Monday-first order
+    const offsets = [...new Set(rule.byDay || [first.dayOfWeek])]
+      .map((day) => (day + 6) % 7)
+      .sort((a, b) => a - b);
+    const monday = addDays(first, -((first.dayOfWeek + 6) % 7));
+
+    for (let week = 0; ; week++) {
+      const start = addDays(monday, week * 7 * rule.interval);
+      for (const offset of offsets) yield addDays(start, offset);
+    }
+  }
+
+  // MONTHLY: the same day of the month, skipping months too short for it
+  for (let i = 0; ; i++) {
+    const months = first.month - 1 + i * rule.interval;
+    const year = first.year + Math.floor(months / 12);
+    const month = (months % 12) + 1;
+    const day = addDays({ year, month, day: first.day }, 0);
+
+    if (day.month === month) yield day;
+    else yield null;
+  }
+}
+
+/**
+ * Start times of a rule's occurrences
+ *
+ * Occurrences keep the wall-clock time of the first one in the practice's
+ * time zone, so a 09:00 weekly visit stays at 09:00 across DST changes.
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - First occurrence (DTSTART)
+ * @param {String} timeZone - Practice time zone
+ * @param {Number} limit - Most occurrences allowed
+ * @returns {Array} Start times
+ */
+exports.expandRRule = (rule, start, timeZone, limit) => {
+  const minutes = getZonedMinutes(start, timeZone);
+  const until = rule.until
+    ? rule.until.instant ||
+      zonedTimeToUtc(addDays(rule.until.date, 1), 0, timeZone)
+    : null;
+  const untilInclusive = Boolean(rule.until && rule.until.instant);
+
+  const occurrences = [];
+  let iterations = 0;
+
+  for (const day of ruleDays(rule, getZonedDate(start, timeZone))) {
+    if (++iterations > MAX_ITERATIONS) break;
+    if (!day) continue;
+
+    const time = zonedTimeToUtc(day, minutes, timeZone);
+
+    // Days of the first week before the start don't count
+    if (time < start) continue;
+    if (until && (untilInclusive ? time > until : time >= until)) break;
+
+    if (occurrences.length === limit) {
+      throw new ValidationError(
+        `A series cannot have more than ${limit} occurrences`,
+        undefined,
+        "SERIES_TOO_LONG"
+      );
+    }
+
+    occurrences.push(time);
+
+    if (rule.count && occurrences.length === rule.count) break;
+  }
+
+  return occurrences;
+};
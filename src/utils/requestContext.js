@@ -0,0 +1,30 @@
+// src/utils/requestContext.js
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Follows a request through every await, so deeply nested services (e.g. the
+// audit trail) can tell who is acting without it being passed down
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * @param {Object} context - Context (requestId, ipAddress, ...)
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+exports.run = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the context of the current request
+ * @returns {Object} Context ({} outside a request, e.g. in background jobs)
+ */
+exports.get = () => storage.getStore() || {};
+
+/**
+ * Add values to the context of the current request
+ * @param {Object} values - Values to add
+ */
+exports.set = (values) => {
+  const context = storage.getStore();
+
+  if (context) Object.assign(context, values);
+};
@@ -0,0 +1,166 @@
+// src/utils/timezone.js
+
+// One formatter per time zone; building them is the expensive part
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that prints a date's wall-clock parts in a zone
+ * @param {String} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+
+  return formatters.get(timeZone);
+};
+
+/**
+ * Whether a string is a time zone known to the runtime
+ * @param {String} timeZone - IANA time zone, e.g. "Africa/Johannesburg"
+ * @returns {Boolean} Whether the zone is valid
+ */
+exports.isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock date and time of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Object} year, month (1-12), day, hour, minute, second
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+
+  return parts;
+};
+
+/**
+ * Offset of a zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Number} Offset in milliseconds (positive east of UTC)
+ */
+const getOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Calendar date of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Object} year, month (1-12), day and dayOfWeek (0 = Sunday)
+ */
+exports.getZonedDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+
+  return {
+    year,
+    month,
+    day,
+    dayOfWeek: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+  };
+};
+
+/**
+ * Wall-clock time of day of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Number} Minutes after midnight
+ */
+exports.getZonedMinutes = (date, timeZone) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+
+  return hour * 60 + minute;
+};
+
+/**
+ * Instant at which a wall-clock time occurs on a date in a zone
+ *
+ * Ambiguous times (repeated when clocks go back) resolve to the first
+ * occurrence; times skipped when clocks go forward move past the gap.
+ * @param {Object} date - year, month (1-12) and day
+ * @param {Number} minutes - Minutes after midnight (may exceed a day)
+ * @param {String} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+exports.zonedTimeToUtc = ({ year, month, day }, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  const offset = getOffset(new Date(wallClock), timeZone);
+  const first = wallClock - offset;
+  const firstOffset = getOffset(new Date(first), timeZone);
+  if (firstOffset === offset) return new Date(first);
+
+  // A DST change lies between the guess and the answer
+  const second = wallClock - firstOffset;
+  if (getOffset(new Date(second), timeZone) === firstOffset) {
+    return new Date(second);
+  }
+
+  return new Date(wallClock - Math.min(offset, firstOffset));
+};
+
+/**
+ * The calendar date a number of days after another
+ * @param {Object} date - year, month (1-12) and day
+ * @param {Number} days - Days to add
+ * @returns {Object} year, month, day and dayOfWeek
+ */
+exports.addDays = ({ year, month, day }, days) => {
+  const next = new Date(Date.UTC(year, month - 1, day + days));
+
+  return {
+    year: next.getUTCFullYear(),
+    month: next.getUTCMonth() + 1,
+    day: next.getUTCDate(),
+    dayOfWeek: next.getUTCDay(),
+  };
+};
+
+/**
+ * Parse an "HH:mm" time of day
+ * @param {String} time - Time, e.g. "09:30"
+ * @returns {Number|null} Minutes after midnight, or null if malformed
+ */
+exports.parseTimeOfDay = (time) => {
+  if (time === "24:00") return 24 * 60;
+
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || "");
+  if (!match) return null;
+
+  return Number(match[1]) * 60 + Number(match[2]);
+};
@@ -0,0 +1,204 @@
+// src/utils/tokens.js
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const config = require("../config");
+
+/**
+ * Hash an opaque token for storage
+ * @param {String} token - Plain token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+exports.hashToken = hashToken;
+
+/**
+ * Generate a signed, short-lived access token for a user
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session the token belongs to
+ * @returns {String} JWT
+ */
+exports.generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, config.auth.jwt.secret, {
+    expiresIn: config.auth.jwt.expiresIn,
+  });
+};
+
+/**
+ * Verify a JWT and return its payload
+ * @param {String} token - JWT
+ * @returns {Object} Decoded payload
+ */
+exports.verifyToken = (token) => {
+  return jwt.verify(token, config.auth.jwt.secret);
+};
+
+// Keeps appointment links from being accepted as anything else
+const APPOINTMENT_LINK_AUDIENCE = "appointment-link";
+
+/**
+ * Sign a link token that lets the patient confirm or cancel an appointment
+ *
+ * The token names the start time it was issued for, so rescheduling the
+ * appointment invalidates it, and it expires when the appointment starts.
+ * @param {Object} appointment - Appointment (id, practiceId, startTime)
+ * @returns {String} JWT
+ */
+exports.signAppointmentLink = (appointment) =>
+  jwt.sign(
+    {
+      sub: appointment.id,
+      pid: appointment.practiceId,
+      st: appointment.startTime.getTime(),
+      exp: Math.floor(appointment.startTime.getTime() / 1000),
+    },
+    config.auth.appointmentLinks.secret,
+    // No issue time: the token goes into text messages, so keep it short
+    { audience: APPOINTMENT_LINK_AUDIENCE, noTimestamp: true }
+  );
+
+/**
+ * Verify an appointment link token
+ * @param {String} token - JWT
+ * @returns {Object} appointmentId, practiceId and startTime
+ */
+exports.verifyAppointmentLink = (token) => {
+  const payload = jwt.verify(token, config.auth.appointmentLinks.secret, {
+    audience: APPOINTMENT_LINK_AUDIENCE,
+  });
+
+  return {
+    appointmentId: payload.sub,
+    practiceId: payload.pid,
+    startTime: new Date(payload.st),
+  };
+};
+
+// Keeps file links from being accepted as anything else
+const FILE_LINK_AUDIENCE = "file-link";
+
+/**
+ * Sign a link token that lets its holder download one file for a short time
+ * @param {String} fileId - File ID
+ * @returns {Object} Token and when it expires
+ */
+exports.signFileLink = (fileId) => {
+  const { secret, expiresInMinutes } = config.auth.fileLinks;
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  const token = jwt.sign(
+    { sub: fileId, exp: Math.floor(expiresAt.getTime() / 1000) },
+    secret,
+    { audience: FILE_LINK_AUDIENCE, noTimestamp: true }
+  );
+
+  return { token, expiresAt };
+};
+
+/**
+ * Verify a file link token
+ * @param {String} token - JWT
+ * @returns {String} File ID
+ */
+exports.verifyFileLink = (token) =>
+  jwt.verify(token, config.auth.fileLinks.secret, {
+    audience: FILE_LINK_AUDIENCE,
+  }).sub;
+
+/**
+ * Generate a password reset token
+ * @returns {Object} Plain token (sent to the user), its hash (stored) and expiry
+ */
+exports.generateResetToken = () => {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  const hashedToken = hashToken(resetToken);
+  const resetExpires = new Date(
+    Date.now() + config.auth.passwordReset.expiresInMinutes * 60 * 1000
+  );
+
+  return { resetToken, hashedToken, resetExpires };
+};
+
+/**
+ * Generate a refresh token for a session
+ *
+ * The token is "<sessionId>.<secret>" so the session can be looked up
+ * directly; only the hash of the whole token is stored.
+ * @param {String} sessionId - Session ID
+ * @returns {Object} Plain token and its hash
+ */
+exports.generateRefreshToken = (sessionId) => {
+  const refreshToken = `${sessionId}.${crypto.randomBytes(48).toString("hex")}`;
+
+  return { refreshToken, hashedToken: hashToken(refreshToken) };
+};
+
+/**
+ * Extract the session ID from a refresh token
+ * @param {String} refreshToken - Plain refresh token
+ * @returns {String|null} Session ID
+ */
+exports.getRefreshTokenSessionId = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null;
+
+  const [sessionId, secret] = refreshToken.split(".");
+  return sessionId && secret ? sessionId : null;
+};
+
+/**
+ * Set the auth token cookie on a response
+ * @param {Object} res - Express response
+ * @param {String} token - JWT
+ */
+exports.sendTokenCookie = (res, token) => {
+  const { cookie } = config.auth;
+
+  res.cookie(cookie.name, token, {
+    expires: new Date(Date.now() + cookie.expiresInDays * 24 * 60 * 60 * 1000),
+    httpOnly: true,
+    secure: cookie.secure,
+    sameSite: cookie.sameSite,
+  });
+};
+
+/**
+ * Set the refresh token cookie on a response
+ *
+ * Scoped to the auth routes so it is not sent with every API request.
+ * @param {Object} res - Express response
+ * @param {String} refreshToken - Plain refresh token
+ */
+exports.sendRefreshTokenCookie = (res, refreshToken) => {
+  const { cookie, refreshToken: refreshConfig } = config.auth;
+
+  res.cookie(refreshConfig.cookieName, refreshToken, {
+    expires: new Date(
+      Date.now() + refreshConfig.expiresInDays * 24 * 60 * 60 * 1000
+    ),
+    httpOnly: true,
+    secure: cookie.secure,
+    sameSite: cookie.sameSite,
+    path: refreshConfig.cookiePath,
+  });
+};
+
+/**
+ * Clear both auth cookies
+ * @param {Object} res - Express response
+ */
+exports.clearAuthCookies = (res) => {
+  const { cookie, refreshToken: refreshConfig } = config.auth;
+
+  res.clearCookie(cookie.name, {
+    httpOnly: true,
+    secure: cookie.secure,
+    sameSite: cookie.sameSite,
+  });
+  res.clearCookie(refreshConfig.cookieName, {
+    httpOnly: true,
+    secure: cookie.secure,
+    sameSite: cookie.sameSite,
+    path: refreshConfig.cookiePath,
+  });
+};
@@ -0,0 +1,73 @@
+// test/auth.controller.test.js
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakePrisma, src } = require("./helpers/fakePrisma");
+
+installFakePrisma({ user: [], loginAttempt: [], securityEvent: [] });
+
+const express = require("express");
+const authController = src("controllers/auth.controller");
+const { errorHandler } = src("middleware/errorHandler");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post("/api/auth/login", authController.login);
+  app.post("/api/auth/verify-2fa", authController.verifyTwoFactor);
+  app.use(errorHandler);
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+/**
+ * Post a JSON body
+ * @param {String} path - Path under /api/auth
+ * @param {Object} body - Body
+ * @returns {Object} status and parsed body
+ */
+const post = async (path, body) => {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  return { status: res.status, body: await res.json() };
+};
+
+describe("login", () => {
+  const invalid = [
+    ["a missing password", { email: "a@b.c" }],
+    ["an object password", { email: "a@b.c", password: {} }],
+    ["an array password", { email: "a@b.c", password: ["secret"] }],
+    ["a number password", { email: "a@b.c", password: 12345678 }],
+    ["an object email", { email: { $ne: null }, password: "secret" }],
+  ];
+
+  for (const [label, body] of invalid) {
+    test(`rejects ${label} with a 400`, async () => {
+      const res = await post("/login", body);
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, "VALIDATION_ERROR");
+    });
+  }
+});
+
+describe("verifyTwoFactor", () => {
+  test("rejects a non-string challenge token with a 400", async () => {
+    const res = await post("/verify-2fa", {
+      challengeToken: { token: "x" },
+      token: "123456",
+    });
+
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,279 @@
+// test/file.services.test.js
+const { test, describe, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { installFakePrisma, src } = require("./helpers/fakePrisma");
+
+process.env.UPLOADS_DRIVER = "memory";
+process.env.UPLOADS_MAX_IMAGE_BYTES = "1024";
+process.env.UPLOADS_MAX_DOCUMENT_BYTES = "4096";
+
+const tables = { file: [] };
+
+installFakePrisma(tables);
+
+const config = src("config");
+const storage = src("storage");
+const fileService = src("services/file.services");
+const { NotFoundError, PayloadTooLargeError, ValidationError } =
+  src("utils/errors");
+
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.alloc(64, 1),
+]);
+const PDF = Buffer.from("%PDF-1.7\n% test document\n");
+
+/**
+ * Read a stream to a buffer
+ * @param {Readable} stream - Stream
+ * @returns {Buffer} Content
+ */
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Token query parameter of a signed URL
+ * @param {String} url - Signed URL
+ * @returns {String} Token
+ */
+const tokenOf = (url) => new URL(url).searchParams.get("token");
+
+beforeEach(() => {
+  tables.file.length = 0;
+  storage.getDriver().clear();
+});
+
+describe("memory driver", () => {
+  test("puts, gets and deletes objects", async () => {
+    const driver = storage.getDriver();
+
+    assert.equal(driver.name, "memory");
+
+    await storage.put("folder/object.png", PNG, { contentType: "image/png" });
+    assert.deepEqual(await read(await storage.get("folder/object.png")), PNG);
+
+    await storage.delete("folder/object.png");
+    assert.equal(await storage.get("folder/object.png"), null);
+  });
+
+  test("does not fail when deleting a missing object", async () => {
+    await assert.doesNotReject(storage.delete("folder/missing.png"));
+  });
+});
+
+describe("storeFile", () => {
+  test("stores a file under a random key of its detected type", async () => {
+    const file = await fileService.storeFile(
+      "practice-a",
+      "APPOINTMENT_DOCUMENT",
+      { data: PDF, name: "../../etc/referral letter.exe" },
+      { id: "user-1" }
+    );
+    const [row] = tables.file;
+
+    assert.equal(file.contentType, "application/pdf");
+    assert.equal(file.name, "referral letter.pdf");
+    assert.equal(row.practiceId, "practice-a");
+    assert.equal(row.uploadedById, "user-1");
+    assert.match(row.key, /^appointment-documents\/[0-9a-f]{32}\.pdf$/);
+    assert.deepEqual(storage.getDriver().objects.get(row.key), {
+      data: PDF,
+      contentType: "application/pdf",
+    });
+  });
+
+  test("gives every upload a different key", async () => {
+    for (let i = 0; i < 5; i++) {
+      await fileService.storeFile("practice-a", "DOCTOR_PHOTO", {
+        data: PNG,
+        name: "holiday-upload.png",
+      });
+    }
+
+    const keys = tables.file.map((row) => row.key);
+
+    assert.equal(new Set(keys).size, keys.length);
+    for (const key of keys) {
+      assert.match(key, /^doctor-photos\/[0-9a-f]{32}\.png$/);
+      assert.ok(!key.includes("holiday-upload"));
+    }
+  });
+
+  test("rejects files over the size limit of their purpose", async () => {
+    const large = Buffer.concat([PNG, Buffer.alloc(1024)]);
+
+    await assert.rejects(
+      fileService.storeFile("practice-a", "DOCTOR_PHOTO", { data: large }),
+      (error) =>
+        error instanceof PayloadTooLargeError && error.statusCode === 413
+    );
+
+    // The same file is within the document limit
+    await assert.doesNotReject(
+      fileService.storeFile("practice-a", "APPOINTMENT_DOCUMENT", {
+        data: large,
+      })
+    );
+  });
+
+  test("rejects content that is not an allowed type", async () => {
+    const html = Buffer.from("<html><script>alert(1)</script></html>");
+
+    await assert.rejects(
+      fileService.storeFile("practice-a", "APPOINTMENT_DOCUMENT", {
+        data: html,
+        name: "report.pdf",
+      }),
+      (error) =>
+        error instanceof ValidationError &&
+        error.code === "UNSUPPORTED_FILE_TYPE"
+    );
+
+    // PDFs are documents, not images
+    await assert.rejects(
+      fileService.storeFile("practice-a", "PRACTICE_LOGO", { data: PDF }),
+      (error) => error.code === "UNSUPPORTED_FILE_TYPE"
+    );
+
+    assert.equal(storage.getDriver().objects.size, 0);
+  });
+
+  test("rejects an empty upload", async () => {
+    await assert.rejects(
+      fileService.storeFile("practice-a", "DOCTOR_PHOTO", {
+        data: Buffer.alloc(0),
+      }),
+      ValidationError
+    );
+  });
+
+  test("removes the stored object when attaching fails", async () => {
+    await assert.rejects(
+      fileService.storeFile(
+        "practice-a",
+        "DOCTOR_PHOTO",
+        { data: PNG },
+        undefined,
+        async () => {
+          throw new NotFoundError("Record not found");
+        }
+      ),
+      NotFoundError
+    );
+
+    assert.equal(storage.getDriver().objects.size, 0);
+  });
+});
+
+describe("signed links", () => {
+  test("open the file they were signed for", async () => {
+    const file = await fileService.storeFile("practice-a", "DOCTOR_PHOTO", {
+      data: PNG,
+    });
+    const { url, urlExpiresAt } = fileService.signedUrl(file);
+
+    assert.ok(urlExpiresAt > new Date());
+
+    const opened = await fileService.openFile(file.id, tokenOf(url));
+
+    assert.equal(opened.file.contentType, "image/png");
+    assert.deepEqual(await read(opened.stream), PNG);
+  });
+
+  const invalidLink = (error) =>
+    error instanceof NotFoundError &&
+    error.statusCode === 404 &&
+    error.code === "LINK_INVALID";
+
+  test("return 404 for a malformed token", async () => {
+    const file = await fileService.storeFile("practice-a", "DOCTOR_PHOTO", {
+      data: PNG,
+    });
+
+    await assert.rejects(
+      fileService.openFile(file.id, "not-a-token"),
+      invalidLink
+    );
+    await assert.rejects(fileService.openFile(file.id, undefined), invalidLink);
+  });
+
+  test("return 404 for a token signed for another file", async () => {
+    const [first, second] = [
+      await fileService.storeFile("practice-a", "DOCTOR_PHOTO", { data: PNG }),
+      await fileService.storeFile("practice-b", "DOCTOR_PHOTO", { data: PNG }),
+    ];
+    const { url } = fileService.signedUrl(second);
+
+    await assert.rejects(
+      fileService.openFile(first.id, tokenOf(url)),
+      invalidLink
+    );
+  });
+
+  test("return 404 for an expired token", async () => {
+    const file = await fileService.storeFile("practice-a", "DOCTOR_PHOTO", {
+      data: PNG,
+    });
+    const token = jwt.sign(
+      { sub: file.id, exp: Math.floor(Date.now() / 1000) - 60 },
+      config.auth.fileLinks.secret,
+      { audience: "file-link", noTimestamp: true }
+    );
+
+    await assert.rejects(fileService.openFile(file.id, token), invalidLink);
+  });
+
+  test("return 404 for a token signed with another secret", async () => {
+    const file = await fileService.storeFile("practice-a", "DOCTOR_PHOTO", {
+      data: PNG,
+    });
+    const token = jwt.sign({ sub: file.id }, "another-secret", {
+      audience: "file-link",
+      expiresIn: 60,
+    });
+
+    await assert.rejects(fileService.openFile(file.id, token), invalidLink);
+  });
+
+  test("return 404 for another kind of token", async () => {
+    const file = await fileService.storeFile("practice-a", "DOCTOR_PHOTO", {
+      data: PNG,
+    });
+    const token = jwt.sign({ sub: file.id }, config.auth.fileLinks.secret, {
+      expiresIn: 60,
+    });
+
+    await assert.rejects(fileService.openFile(file.id, token), invalidLink);
+  });
+
+  test("return 404 once the file is deleted", async () => {
+    const file = await fileService.storeFile("practice-a", "DOCTOR_PHOTO", {
+      data: PNG,
+    });
+    const { url } = fileService.signedUrl(file);
+
+    await fileService.deleteFile("practice-a", file.id);
+
+    assert.equal(storage.getDriver().objects.size, 0);
+    await assert.rejects(
+      fileService.openFile(file.id, tokenOf(url)),
+      (error) =>
+        error instanceof NotFoundError && error.code === "FILE_NOT_FOUND"
+    );
+  });
+
+  test("cannot be used to delete another practice's file", async () => {
+    const file = await fileService.storeFile("practice-a", "DOCTOR_PHOTO", {
+      data: PNG,
+    });
+
+    await fileService.deleteFile("practice-b", file.id);
+
+    assert.equal(tables.file.length, 1);
+    assert.equal(storage.getDriver().objects.size, 1);
+  });
+});
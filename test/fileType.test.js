@@ -0,0 +1,58 @@
+// test/fileType.test.js
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectFileType } = require("../src/utils/fileType");
+
+/**
+ * Build file content from leading bytes and some filler
+ * @param {Array|String} head - Leading bytes or text
+ * @returns {Buffer} Content
+ */
+const file = (head) =>
+  Buffer.concat([Buffer.from(head), Buffer.alloc(32, 0x20)]);
+
+describe("detectFileType", () => {
+  const accepted = [
+    ["JPEG", file([0xff, 0xd8, 0xff, 0xe0]), "image/jpeg", "jpg"],
+    [
+      "PNG",
+      file([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      "image/png",
+      "png",
+    ],
+    [
+      "WebP",
+      file([...Buffer.from("RIFF"), 0x24, 0, 0, 0, ...Buffer.from("WEBPVP8 ")]),
+      "image/webp",
+      "webp",
+    ],
+    ["little-endian TIFF", file([0x49, 0x49, 0x2a, 0x00]), "image/tiff", "tif"],
+    ["big-endian TIFF", file([0x4d, 0x4d, 0x00, 0x2a]), "image/tiff", "tif"],
+    ["PDF", file("%PDF-1.7\n"), "application/pdf", "pdf"],
+  ];
+
+  for (const [label, data, contentType, extension] of accepted) {
+    test(`recognizes ${label}`, () => {
+      assert.deepEqual(detectFileType(data), { contentType, extension });
+    });
+  }
+
+  const rejected = [
+    ["HTML", file("<!DOCTYPE html><script>alert(1)</script>")],
+    ["SVG", file('<svg xmlns="http://www.w3.org/2000/svg">')],
+    [
+      "a RIFF file that is not WebP",
+      file([...Buffer.from("RIFF"), 0, 0, 0, 0, ...Buffer.from("WAVE")]),
+    ],
+    ["an empty file", Buffer.alloc(0)],
+    ["a truncated JPEG signature", Buffer.from([0xff, 0xd8])],
+    ["a truncated PNG signature", Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+    ["a PDF signature after other content", file(" %PDF-1.7")],
+  ];
+
+  for (const [label, data] of rejected) {
+    test(`rejects ${label}`, () => {
+      assert.equal(detectFileType(data), null);
+    });
+  }
+});
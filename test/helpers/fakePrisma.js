@@ -0,0 +1,232 @@
+// test/helpers/fakePrisma.js
+const path = require("path");
+
+/**
+ * In-memory stand-in for the Prisma client, so services can be tested
+ * without a database
+ *
+ * Rows live in plain arrays keyed by delegate name (e.g. `appointment`).
+ * Where clauses support what the services use: equality, `in`, `not`,
+ * comparisons, AND/OR/NOT, `some` on embedded lists and nested objects for
+ * to-one relations. `select` and `include` are ignored (whole rows are
+ * returned). Query extensions registered with $extends run like Prisma's,
+ * so the practice scope is exercised as written.
+ */
+
+const prismaPath = require.resolve("@prisma/client");
+const runtime = require("@prisma/client/runtime/library");
+
+// The error classes the generated client exposes on its Prisma namespace;
+// taken from the runtime so they work before `prisma generate` has run
+const Prisma = {
+  PrismaClientKnownRequestError: runtime.PrismaClientKnownRequestError,
+  PrismaClientUnknownRequestError: runtime.PrismaClientUnknownRequestError,
+  PrismaClientValidationError: runtime.PrismaClientValidationError,
+  PrismaClientInitializationError: runtime.PrismaClientInitializationError,
+};
+
+let counter = 0;
+
+/**
+ * Check a value against a scalar filter
+ * @param {*} value - Row value
+ * @param {*} filter - Filter (a value or { in, not, lt, ... })
+ * @returns {Boolean} Whether it matches
+ */
+const matchValue = (value, filter) => {
+  if (filter === null || typeof filter !== "object" || filter instanceof Date) {
+    return String(value ?? null) === String(filter ?? null);
+  }
+
+  return Object.entries(filter).every(([op, operand]) => {
+    switch (op) {
+      case "equals":
+        return matchValue(value, operand);
+      case "in":
+        return operand.some((item) => matchValue(value, item));
+      case "notIn":
+        return !operand.some((item) => matchValue(value, item));
+      case "not":
+        return !matchValue(value, operand);
+      case "lt":
+        return value < operand;
+      case "lte":
+        return value <= operand;
+      case "gt":
+        return value > operand;
+      case "gte":
+        return value >= operand;
+      default:
+        throw new Error(`Unsupported filter "${op}" in fake Prisma`);
+    }
+  });
+};
+
+/**
+ * Check a row against a where clause
+ * @param {Object} row - Row
+ * @param {Object} [where] - Where clause
+ * @returns {Boolean} Whether it matches
+ */
+const matches = (row, where = {}) =>
+  Object.entries(where).every(([field, filter]) => {
+    if (filter === undefined) return true;
+    if (field === "AND") return [].concat(filter).every((w) => matches(row, w));
+    if (field === "OR") return filter.some((w) => matches(row, w));
+    if (field === "NOT") return ![].concat(filter).some((w) => matches(row, w));
+
+    const value = row[field];
+
+    if (Array.isArray(value)) {
+      if (filter.some) return value.some((item) => matches(item, filter.some));
+      if (filter.none) return !value.some((item) => matches(item, filter.none));
+      if (filter.every)
+        return value.every((item) => matches(item, filter.every));
+    }
+
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      return matches(value, filter);
+    }
+
+    return matchValue(value, filter);
+  });
+
+/**
+ * Prisma's error for a missing record to update or delete
+ * @returns {Error} P2025 error
+ */
+const notFound = () =>
+  new Prisma.PrismaClientKnownRequestError("Record to update not found.", {
+    code: "P2025",
+    clientVersion: "fake",
+  });
+
+/**
+ * Create the operations of one model
+ * @param {Array} rows - The model's rows
+ * @returns {Object} Operations by name
+ */
+const modelOperations = (rows) => ({
+  findUnique: ({ where }) => rows.find((row) => matches(row, where)) || null,
+  findUniqueOrThrow: ({ where }) => {
+    const row = rows.find((candidate) => matches(candidate, where));
+    if (!row) throw notFound();
+    return row;
+  },
+  findFirst: ({ where } = {}) =>
+    rows.find((row) => matches(row, where)) || null,
+  findMany: ({ where, take } = {}) =>
+    rows.filter((row) => matches(row, where)).slice(0, take),
+  count: ({ where } = {}) => rows.filter((row) => matches(row, where)).length,
+  create: ({ data }) => {
+    const row = { id: `id-${++counter}`, createdAt: new Date(), ...data };
+    rows.push(row);
+    return row;
+  },
+  createMany: ({ data }) => {
+    for (const item of data) {
+      rows.push({ id: `id-${++counter}`, createdAt: new Date(), ...item });
+    }
+    return { count: data.length };
+  },
+  update: ({ where, data }) => {
+    const row = rows.find((candidate) => matches(candidate, where));
+    if (!row) throw notFound();
+    return Object.assign(row, data);
+  },
+  updateMany: ({ where, data }) => {
+    const found = rows.filter((row) => matches(row, where));
+    found.forEach((row) => Object.assign(row, data));
+    return { count: found.length };
+  },
+  delete: ({ where }) => {
+    const index = rows.findIndex((row) => matches(row, where));
+    if (index === -1) throw notFound();
+    return rows.splice(index, 1)[0];
+  },
+  deleteMany: ({ where } = {}) => {
+    const kept = rows.filter((row) => !matches(row, where));
+    const count = rows.length - kept.length;
+    rows.splice(0, rows.length, ...kept);
+    return { count };
+  },
+});
+
+/**
+ * Model name Prisma passes to extensions (e.g. "Appointment")
+ * @param {String} delegate - Delegate name (e.g. "appointment")
+ * @returns {String} Model name
+ */
+const modelName = (delegate) =>
+  delegate.charAt(0).toUpperCase() + delegate.slice(1);
+
+/**
+ * Build a client over the shared tables
+ * @param {Object} tables - Rows by delegate name
+ * @param {Function} [hook] - $allOperations query extension
+ * @returns {Object} Client
+ */
+const createClient = (tables, hook) => {
+  const client = {
+    $extends: (extension) =>
+      createClient(tables, extension.query.$allModels.$allOperations),
+    $transaction: async (fn) => fn(client),
+    $executeRaw: async () => 0,
+    $disconnect: async () => {},
+  };
+
+  for (const [delegate, rows] of Object.entries(tables)) {
+    const operations = modelOperations(rows);
+
+    client[delegate] = new Proxy(
+      {},
+      {
+        get: (target, operation) => {
+          if (!operations[operation]) {
+            throw new Error(`Fake Prisma has no ${delegate}.${operation}`);
+          }
+
+          const query = async (args) => operations[operation](args);
+
+          return async (args) =>
+            hook
+              ? hook({ model: modelName(delegate), operation, args, query })
+              : query(args);
+        },
+      }
+    );
+  }
+
+  return client;
+};
+
+/**
+ * Replace @prisma/client with the in-memory client for every module loaded
+ * afterwards. Call before requiring anything from src/.
+ * @param {Object} tables - Rows by delegate name; the arrays are used (and
+ *   changed) in place
+ */
+exports.installFakePrisma = (tables) => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+  class PrismaClient {
+    constructor() {
+      return createClient(tables);
+    }
+  }
+
+  require.cache[prismaPath] = {
+    id: prismaPath,
+    filename: prismaPath,
+    loaded: true,
+    exports: { Prisma, PrismaClient },
+  };
+};
+
+/**
+ * Require a module from src/
+ * @param {String} modulePath - Path relative to src/
+ * @returns {*} Module exports
+ */
+exports.src = (modulePath) =>
+  require(path.join(__dirname, "..", "..", "src", modulePath));
@@ -0,0 +1,45 @@
+// test/jobQueue.test.js
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakePrisma, src } = require("./helpers/fakePrisma");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const tables = { job: [] };
+
+installFakePrisma(tables);
+
+const config = src("config");
+const queue = src("jobs/queue");
+
+/**
+ * Date a number of days ago
+ * @param {Number} days - Days
+ * @returns {Date} Date
+ */
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+
+describe("prune", () => {
+  test("keeps finished jobs for a week by default", () => {
+    assert.equal(config.jobs.keepDays, 7);
+  });
+
+  test("deletes old finished jobs and keeps recent and unfinished ones", async () => {
+    tables.job.push(
+      { id: "old-completed", status: "COMPLETED", updatedAt: daysAgo(8) },
+      { id: "old-failed", status: "FAILED", updatedAt: daysAgo(30) },
+      { id: "recent-completed", status: "COMPLETED", updatedAt: daysAgo(6) },
+      { id: "recent-failed", status: "FAILED", updatedAt: daysAgo(1) },
+      { id: "old-pending", status: "PENDING", updatedAt: daysAgo(30) },
+      { id: "old-running", status: "RUNNING", updatedAt: daysAgo(30) }
+    );
+
+    const count = await queue.prune();
+
+    assert.equal(count, 2);
+    assert.deepEqual(
+      tables.job.map((job) => job.id),
+      ["recent-completed", "recent-failed", "old-pending", "old-running"]
+    );
+  });
+});
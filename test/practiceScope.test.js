@@ -0,0 +1,347 @@
+// test/practiceScope.test.js
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakePrisma, src } = require("./helpers/fakePrisma");
+
+const tables = {
+  practice: [
+    {
+      id: "practice-a",
+      slug: "clinic-a",
+      name: "Clinic A",
+      active: true,
+      admins: [{ userId: "admin-a" }],
+      doctors: [{ userId: "doctor-a", active: true }],
+      staff: [],
+      patients: [],
+    },
+    {
+      id: "practice-b",
+      slug: "clinic-b",
+      name: "Clinic B",
+      active: true,
+      admins: [{ userId: "admin-b" }, { userId: "admin-ab" }],
+      doctors: [],
+      staff: [],
+      patients: [],
+    },
+    {
+      id: "practice-c",
+      slug: "clinic-c",
+      name: "Clinic C",
+      active: true,
+      admins: [{ userId: "admin-ab" }],
+      doctors: [],
+      staff: [],
+      patients: [],
+    },
+  ],
+  appointment: [
+    { id: "appointment-a", practiceId: "practice-a", notes: "a" },
+    { id: "appointment-b", practiceId: "practice-b", notes: "b" },
+  ],
+  timeOff: [{ id: "time-off-b", schedule: { practiceId: "practice-b" } }],
+  user: [],
+};
+
+installFakePrisma(tables);
+
+const express = require("express");
+const { scopedPrisma } = src("utils/practiceScope");
+const { resolvePractice } = src("middleware/practice");
+const { errorHandler } = src("middleware/errorHandler");
+const asyncHandler = src("utils/asyncHandler");
+const { NotFoundError } = src("utils/errors");
+
+const USERS = {
+  "admin-a": { id: "admin-a", role: "ADMIN" },
+  "admin-ab": { id: "admin-ab", role: "ADMIN" },
+  "doctor-a": { id: "doctor-a", role: "DOCTOR" },
+  "patient-x": { id: "patient-x", role: "PATIENT" },
+};
+
+/**
+ * App with the real resolvePractice and error handler, and appointment
+ * routes that go through scopedPrisma(req.practiceId). The user is taken
+ * from the X-Test-User header in place of authenticate.
+ */
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = USERS[req.get("X-Test-User")];
+    next();
+  });
+
+  const router = express.Router();
+  router.use(resolvePractice);
+
+  router.get(
+    "/appointments/:id",
+    asyncHandler(async (req, res) => {
+      const appointment = await scopedPrisma(
+        req.practiceId
+      ).appointment.findUnique({ where: { id: req.params.id } });
+
+      if (!appointment) {
+        throw new NotFoundError("Appointment not found");
+      }
+
+      res.status(200).json({ success: true, data: appointment });
+    })
+  );
+
+  router.patch(
+    "/appointments/:id",
+    asyncHandler(async (req, res) => {
+      const appointment = await scopedPrisma(req.practiceId).appointment.update(
+        { where: { id: req.params.id }, data: { notes: req.body.notes } }
+      );
+
+      res.status(200).json({ success: true, data: appointment });
+    })
+  );
+
+  router.delete(
+    "/appointments/:id",
+    asyncHandler(async (req, res) => {
+      await scopedPrisma(req.practiceId).appointment.delete({
+        where: { id: req.params.id },
+      });
+
+      res.status(200).json({ success: true });
+    })
+  );
+
+  router.post(
+    "/appointments",
+    asyncHandler(async (req, res) => {
+      const appointment = await scopedPrisma(req.practiceId).appointment.create(
+        { data: req.body }
+      );
+
+      res.status(201).json({ success: true, data: appointment });
+    })
+  );
+
+  router.get("/practice", (req, res) => {
+    res.status(200).json({ success: true, data: req.practice });
+  });
+
+  app.use("/api", router);
+  app.use(errorHandler);
+
+  return app;
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = buildApp().listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+/**
+ * Send a request to the test app
+ * @param {String} method - HTTP method
+ * @param {String} path - Path under /api
+ * @param {Object} [options] - user, practice (X-Practice-ID) and body
+ * @returns {Object} status and parsed body
+ */
+const request = async (method, path, { user, practice, body } = {}) => {
+  const headers = { "Content-Type": "application/json" };
+  if (user) headers["X-Test-User"] = user;
+  if (practice) headers["X-Practice-ID"] = practice;
+
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body && JSON.stringify(body),
+  });
+
+  return { status: res.status, body: await res.json() };
+};
+
+const adminA = { user: "admin-a", practice: "practice-a" };
+
+describe("scopedPrisma", () => {
+  test("finds the practice's own records", async () => {
+    const res = await request("GET", "/appointments/appointment-a", adminA);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.id, "appointment-a");
+  });
+
+  test("returns 404 when finding another practice's record", async () => {
+    const res = await request("GET", "/appointments/appointment-b", adminA);
+
+    assert.equal(res.status, 404);
+  });
+
+  test("returns 404 when updating another practice's record", async () => {
+    const res = await request("PATCH", "/appointments/appointment-b", {
+      ...adminA,
+      body: { notes: "changed" },
+    });
+
+    assert.equal(res.status, 404);
+    assert.equal(tables.appointment[1].notes, "b");
+  });
+
+  test("returns 404 when deleting another practice's record", async () => {
+    const res = await request("DELETE", "/appointments/appointment-b", adminA);
+
+    assert.equal(res.status, 404);
+    assert.ok(tables.appointment.some((row) => row.id === "appointment-b"));
+  });
+
+  test("updates the practice's own records", async () => {
+    const res = await request("PATCH", "/appointments/appointment-a", {
+      ...adminA,
+      body: { notes: "changed" },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(tables.appointment[0].notes, "changed");
+  });
+
+  test("creates records in the request's practice", async () => {
+    const res = await request("POST", "/appointments", {
+      ...adminA,
+      body: { notes: "new" },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.practiceId, "practice-a");
+  });
+
+  test("ignores a practiceId given in the create data", async () => {
+    const res = await request("POST", "/appointments", {
+      ...adminA,
+      body: { notes: "sneaky", practiceId: "practice-b" },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.practiceId, "practice-a");
+  });
+
+  test("forces the practice onto every row of createMany", async () => {
+    await scopedPrisma("practice-a").appointment.createMany({
+      data: [{ notes: "one" }, { notes: "two", practiceId: "practice-b" }],
+    });
+
+    const created = tables.appointment.filter((row) =>
+      ["one", "two"].includes(row.notes)
+    );
+    assert.deepEqual(
+      created.map((row) => row.practiceId),
+      ["practice-a", "practice-a"]
+    );
+  });
+
+  test("does not let the where clause widen the scope", async () => {
+    const count = await scopedPrisma("practice-a").appointment.count({
+      where: { practiceId: "practice-b" },
+    });
+
+    assert.equal(
+      count,
+      tables.appointment.filter((row) => row.practiceId === "practice-a").length
+    );
+  });
+
+  test("scopes models owned through a relation", async () => {
+    const db = scopedPrisma("practice-a");
+
+    assert.equal(
+      await db.timeOff.findFirst({ where: { id: "time-off-b" } }),
+      null
+    );
+    assert.ok(
+      await scopedPrisma("practice-b").timeOff.findFirst({
+        where: { id: "time-off-b" },
+      })
+    );
+  });
+
+  test("refuses to create models without an owner", async () => {
+    await assert.rejects(
+      scopedPrisma("practice-a").timeOff.create({ data: {} }),
+      /TimeOff cannot be created through a practice scope/
+    );
+  });
+
+  test("requires a practice ID", () => {
+    assert.throws(() => scopedPrisma(undefined), /practice ID is required/);
+  });
+});
+
+describe("resolvePractice", () => {
+  test("resolves the practice named by ID", async () => {
+    const res = await request("GET", "/practice", adminA);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.id, "practice-a");
+  });
+
+  test("resolves the practice named by slug", async () => {
+    const res = await request("GET", "/practice", {
+      user: "admin-a",
+      practice: "clinic-a",
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.id, "practice-a");
+  });
+
+  test("defaults to the user's only practice", async () => {
+    const res = await request("GET", "/practice", { user: "doctor-a" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.id, "practice-a");
+  });
+
+  test("requires a practice from users of several practices", async () => {
+    const res = await request("GET", "/practice", { user: "admin-ab" });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "PRACTICE_REQUIRED");
+  });
+
+  test("forbids a practice the user does not belong to", async () => {
+    const res = await request("GET", "/appointments/appointment-b", {
+      user: "admin-a",
+      practice: "practice-b",
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "PRACTICE_FORBIDDEN");
+  });
+
+  test("forbids users that belong to no practice", async () => {
+    const res = await request("GET", "/practice", { user: "patient-x" });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "PRACTICE_FORBIDDEN");
+  });
+
+  test("returns 404 for an unknown practice", async () => {
+    const res = await request("GET", "/practice", {
+      user: "admin-a",
+      practice: "no-such-practice",
+    });
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "PRACTICE_NOT_FOUND");
+  });
+
+  test("requires an authenticated user", async () => {
+    const res = await request("GET", "/practice", { practice: "practice-a" });
+
+    assert.equal(res.status, 401);
+  });
+});
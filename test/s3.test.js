@@ -0,0 +1,189 @@
+// test/s3.test.js
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const createS3Driver = require("../src/storage/drivers/s3");
+
+const objects = new Map();
+const requests = [];
+let failNext = false;
+
+// Stand-in for an S3-compatible store (path-style bucket URLs)
+const server = http.createServer((req, res) => {
+  const chunks = [];
+
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks);
+    requests.push({
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      body,
+    });
+
+    if (failNext) {
+      failNext = false;
+      res.statusCode = 500;
+      return res.end("<Error><Code>InternalError</Code></Error>");
+    }
+
+    switch (req.method) {
+      case "PUT":
+        objects.set(req.url, {
+          data: body,
+          contentType: req.headers["content-type"],
+        });
+        return res.end();
+      case "GET": {
+        const object = objects.get(req.url);
+        if (!object) {
+          res.statusCode = 404;
+          return res.end("<Error><Code>NoSuchKey</Code></Error>");
+        }
+        res.setHeader("Content-Type", object.contentType);
+        return res.end(object.data);
+      }
+      case "DELETE":
+        objects.delete(req.url);
+        res.statusCode = 204;
+        return res.end();
+      default:
+        res.statusCode = 405;
+        return res.end();
+    }
+  });
+});
+
+let s3;
+
+before(async () => {
+  server.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  s3 = createS3Driver({
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    region: "eu-central-1",
+    bucket: "documents",
+    accessKeyId: "test-access-key",
+    secretAccessKey: "test-secret-key",
+    forcePathStyle: true,
+    serverSideEncryption: "AES256",
+    timeoutMs: 5000,
+  });
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  objects.clear();
+  requests.length = 0;
+});
+
+/**
+ * Read a stream to a buffer
+ * @param {Readable} stream - Stream
+ * @returns {Buffer} Content
+ */
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const PDF = Buffer.from("%PDF-1.7\n% test document\n");
+
+describe("S3 driver", () => {
+  test("puts an object in the bucket", async () => {
+    await s3.put("appointment-documents/abc.pdf", PDF, {
+      contentType: "application/pdf",
+    });
+
+    const [request] = requests;
+
+    assert.equal(request.method, "PUT");
+    assert.equal(request.url, "/documents/appointment-documents/abc.pdf");
+    assert.deepEqual(request.body, PDF);
+    assert.equal(request.headers["content-type"], "application/pdf");
+    assert.equal(request.headers["x-amz-server-side-encryption"], "AES256");
+  });
+
+  test("signs requests with SigV4", async () => {
+    await s3.put("appointment-documents/abc.pdf", PDF, {
+      contentType: "application/pdf",
+    });
+
+    const { headers } = requests[0];
+
+    assert.equal(
+      headers["x-amz-content-sha256"],
+      crypto.createHash("sha256").update(PDF).digest("hex")
+    );
+    assert.match(headers["x-amz-date"], /^\d{8}T\d{6}Z$/);
+    assert.match(
+      headers.authorization,
+      new RegExp(
+        "^AWS4-HMAC-SHA256 " +
+          `Credential=test-access-key/${headers["x-amz-date"].slice(0, 8)}` +
+          "/eu-central-1/s3/aws4_request, " +
+          "SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date;" +
+          "x-amz-server-side-encryption, Signature=[0-9a-f]{64}$"
+      )
+    );
+    assert.ok(!headers.authorization.includes("test-secret-key"));
+  });
+
+  test("gets an object back", async () => {
+    await s3.put("doctor-photos/abc.png", PDF, { contentType: "image/png" });
+
+    const stream = await s3.get("doctor-photos/abc.png");
+
+    assert.deepEqual(await read(stream), PDF);
+  });
+
+  test("returns null for a missing object", async () => {
+    assert.equal(await s3.get("doctor-photos/missing.png"), null);
+  });
+
+  test("deletes an object", async () => {
+    await s3.put("doctor-photos/abc.png", PDF, { contentType: "image/png" });
+    await s3.delete("doctor-photos/abc.png");
+
+    assert.equal(objects.size, 0);
+    assert.equal(await s3.get("doctor-photos/abc.png"), null);
+  });
+
+  test("does not fail when deleting a missing object", async () => {
+    await assert.doesNotReject(s3.delete("doctor-photos/missing.png"));
+  });
+
+  test("encodes keys as path segments", async () => {
+    await s3.put("folder/a b(1).pdf", PDF, { contentType: "application/pdf" });
+
+    assert.equal(requests[0].url, "/documents/folder/a%20b%281%29.pdf");
+    assert.deepEqual(await read(await s3.get("folder/a b(1).pdf")), PDF);
+  });
+
+  test("throws when the store responds with an error", async () => {
+    failNext = true;
+
+    await assert.rejects(
+      s3.put("doctor-photos/abc.png", PDF, { contentType: "image/png" }),
+      /S3 upload responded with 500: .*InternalError/
+    );
+  });
+
+  test("needs a bucket and credentials", () => {
+    assert.throws(
+      () =>
+        createS3Driver({
+          endpoint: "http://127.0.0.1:9000",
+          region: "us-east-1",
+          accessKeyId: "key",
+          secretAccessKey: "secret",
+        }),
+      /needs a bucket and credentials/
+    );
+  });
+});